@@ -0,0 +1,302 @@
+// src/anythingLLMClient.js
+// The one place that talks to the AnythingLLM API: workspaces, threads, chat, documents and embeddings.
+// Every call gets the same headers and a timeout, goes through the retrying HTTP layer, and fails with
+// one of the typed errors below so callers can tell "not found" from "down".
+
+import FormData from 'form-data';
+import { resilientAxios } from './resilientHttp.js';
+import {
+    anythingLLMBaseUrl,
+    anythingLLMApiKey,
+    ANYTHINGLLM_REQUEST_TIMEOUT_MS,
+    ANYTHINGLLM_CHAT_TIMEOUT_MS,
+    ANYTHINGLLM_UPLOAD_TIMEOUT_MS
+} from './config.js';
+
+// --- Errors ---
+
+/**
+ * Base class for failed AnythingLLM calls. `status` is the HTTP status (null for network errors),
+ * `details` the response body when there was one.
+ */
+export class AnythingLLMError extends Error {
+    constructor(message, { status = null, details = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'AnythingLLMError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/** The workspace, thread or document doesn't exist (404). */
+export class NotFoundError extends AnythingLLMError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NotFoundError';
+    }
+}
+
+/** The API key is missing, wrong or lacks access (401/403). */
+export class UnauthorizedError extends AnythingLLMError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'UnauthorizedError';
+    }
+}
+
+/** No response within the call's timeout. */
+export class TimeoutError extends AnythingLLMError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TimeoutError';
+    }
+}
+
+/** AnythingLLM answered with a 5xx, after retries. */
+export class ServerError extends AnythingLLMError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ServerError';
+    }
+}
+
+// Response bodies of streamed requests are streams, which aren't worth keeping on the error
+function readErrorDetails(data) {
+    if (data === undefined || data === null || typeof data.pipe === 'function') return null;
+    return data;
+}
+
+/**
+ * Converts an axios error into the matching AnythingLLMError subclass.
+ * @param {Error} error
+ * @param {string} action - What was being done, e.g. 'chat in workspace "docs"'. Used in the message.
+ * @returns {AnythingLLMError}
+ */
+export function toAnythingLLMError(error, action) {
+    if (error instanceof AnythingLLMError) return error;
+    const status = error.response?.status ?? null;
+    const details = readErrorDetails(error.response?.data);
+    const reason = status ? `status ${status}${details ? `: ${JSON.stringify(details).substring(0, 500)}` : ''}` : error.message;
+    const message = `AnythingLLM ${action} failed (${reason})`;
+    const options = { status, details, cause: error };
+
+    if (!status && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT')) return new TimeoutError(message, options);
+    if (status === 404) return new NotFoundError(message, options);
+    if (status === 401 || status === 403) return new UnauthorizedError(message, options);
+    if (status >= 500) return new ServerError(message, options);
+    return new AnythingLLMError(message, options);
+}
+
+// Thread chats keep their own history; workspace chats are one-off
+function chatPath(workspaceSlug, threadSlug, endpoint) {
+    const workspacePath = `/workspace/${encodeURIComponent(workspaceSlug)}`;
+    return threadSlug ? `${workspacePath}/thread/${encodeURIComponent(threadSlug)}/${endpoint}` : `${workspacePath}/${endpoint}`;
+}
+
+function chatAction(workspaceSlug, threadSlug) {
+    return `chat in workspace "${workspaceSlug}"${threadSlug ? `, thread "${threadSlug}"` : ''}`;
+}
+
+// --- Client ---
+
+export class AnythingLLMClient {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.baseUrl=anythingLLMBaseUrl] - Without the /api/v1 suffix.
+     * @param {string} [options.apiKey=anythingLLMApiKey]
+     * @param {{request: (config: object, retryOptions?: object) => Promise<{data: any}>}} [options.http=resilientAxios]
+     *   Axios-style transport; injectable for tests.
+     * @param {{request?: number, chat?: number, upload?: number}} [options.timeouts] - Milliseconds per kind of call.
+     */
+    constructor({ baseUrl = anythingLLMBaseUrl, apiKey = anythingLLMApiKey, http = resilientAxios, timeouts = {} } = {}) {
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.http = http;
+        this.timeouts = {
+            request: ANYTHINGLLM_REQUEST_TIMEOUT_MS,
+            chat: ANYTHINGLLM_CHAT_TIMEOUT_MS,
+            upload: ANYTHINGLLM_UPLOAD_TIMEOUT_MS,
+            ...timeouts
+        };
+    }
+
+    /**
+     * Sends a request to /api/v1{path} and returns the response body.
+     * @param {string} action - For error messages.
+     * @param {object} request
+     * @param {string} [request.method='get']
+     * @param {string} request.path - e.g. '/workspaces'.
+     * @param {object} [request.data]
+     * @param {object} [request.headers]
+     * @param {number} [request.timeout=this.timeouts.request]
+     * @param {string} [request.responseType]
+     * @param {object} [request.retry] - Options for withRetry().
+     * @returns {Promise<any>}
+     * @throws {AnythingLLMError}
+     */
+    async request(action, { method = 'get', path, data, headers = {}, timeout = this.timeouts.request, responseType, retry }) {
+        try {
+            const response = await this.http.request({
+                method,
+                url: `${this.baseUrl}/api/v1${path}`,
+                data,
+                headers: { Accept: 'application/json', ...headers, Authorization: `Bearer ${this.apiKey}` },
+                timeout,
+                responseType,
+                maxBodyLength: Infinity
+            }, retry);
+            return response.data;
+        } catch (error) {
+            throw toAnythingLLMError(error, action);
+        }
+    }
+
+    // --- Workspaces & Threads ---
+
+    /**
+     * @returns {Promise<object[]>} Workspace objects (with `slug`, `name`, ...).
+     */
+    async listWorkspaces() {
+        const data = await this.request('list workspaces', { path: '/workspaces' });
+        if (!Array.isArray(data?.workspaces)) {
+            throw new AnythingLLMError('AnythingLLM list workspaces returned an unexpected response', { details: data });
+        }
+        return data.workspaces;
+    }
+
+    /**
+     * @param {string} workspaceSlug
+     * @returns {Promise<string>} The new thread's slug.
+     */
+    async createThread(workspaceSlug) {
+        const data = await this.request(`create thread in workspace "${workspaceSlug}"`, {
+            method: 'post',
+            path: `/workspace/${encodeURIComponent(workspaceSlug)}/thread/new`,
+            data: {}
+        });
+        if (!data?.thread?.slug) {
+            throw new AnythingLLMError(`AnythingLLM create thread in workspace "${workspaceSlug}" returned no thread`, { details: data });
+        }
+        return data.thread.slug;
+    }
+
+    /**
+     * @param {string} workspaceSlug
+     * @param {string} threadSlug
+     * @returns {Promise<void>}
+     * @throws {NotFoundError} When the thread (or workspace) no longer exists.
+     */
+    async deleteThread(workspaceSlug, threadSlug) {
+        await this.request(`delete thread "${threadSlug}" in workspace "${workspaceSlug}"`, {
+            method: 'delete',
+            path: `/workspace/${encodeURIComponent(workspaceSlug)}/thread/${encodeURIComponent(threadSlug)}`
+        });
+    }
+
+    // --- Chat ---
+
+    /**
+     * @param {string} workspaceSlug
+     * @param {string|null} threadSlug - Null to chat with the workspace without a thread.
+     * @param {string} message
+     * @param {string} [mode='chat'] - 'chat' or 'query'.
+     * @returns {Promise<object>} The chat response (`textResponse`, `sources`, ...).
+     */
+    chat(workspaceSlug, threadSlug, message, mode = 'chat') {
+        return this.request(chatAction(workspaceSlug, threadSlug), {
+            method: 'post',
+            path: chatPath(workspaceSlug, threadSlug, 'chat'),
+            data: { message, mode },
+            timeout: this.timeouts.chat
+        });
+    }
+
+    /**
+     * Starts a streamed chat. The timeout applies until the response starts.
+     * @param {string} workspaceSlug
+     * @param {string|null} threadSlug
+     * @param {string} message
+     * @param {string} [mode='chat']
+     * @returns {Promise<import('stream').Readable>} Server-Sent Events stream (see parseSseEvents in llm.js).
+     */
+    streamChat(workspaceSlug, threadSlug, message, mode = 'chat') {
+        return this.request(chatAction(workspaceSlug, threadSlug), {
+            method: 'post',
+            path: chatPath(workspaceSlug, threadSlug, 'stream-chat'),
+            data: { message, mode },
+            headers: { Accept: 'text/event-stream' },
+            timeout: this.timeouts.chat,
+            responseType: 'stream'
+        });
+    }
+
+    // --- Documents & Embeddings ---
+
+    /**
+     * Uploads a document to AnythingLLM's document store (not to any workspace yet).
+     * @param {string} filename
+     * @param {string|Buffer} content
+     * @returns {Promise<object>} Upload response (`success`, `documents[].location`, ...).
+     */
+    uploadDocument(filename, content) {
+        const form = new FormData();
+        form.append('file', Buffer.isBuffer(content) ? content : Buffer.from(content), { filename });
+        return this.request(`upload document "${filename}"`, {
+            method: 'post',
+            path: '/document/upload',
+            data: form,
+            headers: form.getHeaders(),
+            timeout: this.timeouts.upload,
+            // The form is a stream and can only be sent once
+            retry: { maxAttempts: 1 }
+        });
+    }
+
+    /**
+     * Moves documents between folders of the document store.
+     * @param {{from: string, to: string}[]} files
+     * @returns {Promise<object>}
+     */
+    moveFiles(files) {
+        return this.request('move documents', { method: 'post', path: '/document/move-files', data: { files } });
+    }
+
+    /**
+     * Adds documents to (and removes them from) a workspace's embeddings.
+     * @param {string} workspaceSlug
+     * @param {{adds?: string[], deletes?: string[]}} changes - Document locations.
+     * @returns {Promise<object>}
+     */
+    updateEmbeddings(workspaceSlug, { adds = [], deletes = [] }) {
+        return this.request(`update embeddings of workspace "${workspaceSlug}"`, {
+            method: 'post',
+            path: `/workspace/${encodeURIComponent(workspaceSlug)}/update-embeddings`,
+            data: { adds, deletes },
+            timeout: this.timeouts.upload
+        });
+    }
+}
+
+// --- Shared Instance ---
+
+let sharedClient = null;
+
+/**
+ * The client used by llm.js and conversation-export.js, created from config on first use.
+ * @returns {AnythingLLMClient}
+ */
+export function getAnythingLLMClient() {
+    if (!sharedClient) sharedClient = new AnythingLLMClient();
+    return sharedClient;
+}
+
+/**
+ * Replaces the shared client, e.g. with a fake in tests.
+ * @param {AnythingLLMClient|null} client - Null to go back to the config-based client.
+ * @returns {AnythingLLMClient|null} The previous client.
+ */
+export function setAnythingLLMClient(client) {
+    const previous = sharedClient;
+    sharedClient = client;
+    return previous;
+}
@@ -13,11 +13,16 @@ import {
     port,
     signingSecret,
     botToken,
+    appToken,
+    SLACK_TRANSPORT,
     botUserId,
     anythingLLMBaseUrl,
     anythingLLMApiKey,
     redisUrl,
     databaseUrl,
+    AUTO_MIGRATE,
+    FEEDBACK_REPORT_API_TOKEN,
+    GITHUB_WEBHOOK_SECRET,
     MAX_SLACK_BLOCK_TEXT_LENGTH,
     RESET_CONVERSATION_COMMAND,
     RESET_HISTORY_REDIS_PREFIX,
@@ -39,15 +44,39 @@ import {
     dbPool, redisClient, isRedisReady
 } from './services.js';
 
+// Import Database Migrations
+import { runMigrations, assertSchemaUpToDate } from './migrate.js';
+
 // Import Slack Handlers & Clients
 import { slackEvents, handleSlackEvent, handleInteraction } from './slack.js';
+import { captureRawBody, verifySlackSignature } from './middleware/slackSignature.js';
+import { handleSlashCommand } from './handlers/slashCommandHandler.js';
+import { requireBearerToken } from './middleware/bearerAuth.js';
+import { handleFeedbackReportRequest } from './feedbackReport.js';
+import { startSocketMode, stopSocketMode } from './socketMode.js';
+import { startJobWorkers, stopJobWorkers } from './jobQueue.js';
+import { startThreadCleanupSchedule, stopThreadCleanupSchedule } from './threadCleanup.js';
+import { verifyGithubSignature } from './middleware/githubSignature.js';
+import { handleGithubWebhook } from './githubWebhooks.js';
 
 // --- Configuration ---
 const app = express();
 
 // --- Input Validation ---
-if (!signingSecret || !botToken || !anythingLLMBaseUrl || !anythingLLMApiKey) {
-    console.error("Missing critical environment variables (SLACK_SIGNING_SECRET, SLACK_BOT_TOKEN, LLM_API_BASE_URL, LLM_API_KEY)");
+if (!botToken || !anythingLLMBaseUrl || !anythingLLMApiKey) {
+    console.error("Missing critical environment variables (SLACK_BOT_TOKEN, LLM_API_BASE_URL, LLM_API_KEY)");
+    process.exit(1);
+}
+if (SLACK_TRANSPORT === 'http' && !signingSecret) {
+    console.error("SLACK_SIGNING_SECRET is required for the HTTP transport (SLACK_TRANSPORT=http).");
+    process.exit(1);
+}
+if (SLACK_TRANSPORT === 'socket' && !appToken) {
+    console.error("SLACK_APP_TOKEN (app-level token with connections:write) is required for Socket Mode (SLACK_TRANSPORT=socket).");
+    process.exit(1);
+}
+if (SLACK_TRANSPORT !== 'http' && SLACK_TRANSPORT !== 'socket') {
+    console.error(`Unknown SLACK_TRANSPORT '${SLACK_TRANSPORT}'. Use 'http' or 'socket'.`);
     process.exit(1);
 }
 if (!botUserId) {
@@ -61,18 +90,57 @@ if (!databaseUrl) {
     console.warn("DATABASE_URL environment variable not set. Feedback will be logged to console only.");
 }
 
+// --- Database Schema Check ---
+// Refuse to start against a database whose schema is behind this version of the bot.
+if (databaseUrl) {
+    try {
+        if (AUTO_MIGRATE) {
+            await runMigrations(dbPool);
+        }
+        await assertSchemaUpToDate(dbPool);
+    } catch (error) {
+        console.error(`[Startup] ${error.message}`);
+        process.exit(1);
+    }
+}
+
 // --- Express App Setup ---
-// Events API listener *MUST* come before any body parsers that consume the raw body
-app.use('/slack/events', slackEvents.requestListener());
+// The Slack routes are only used by the HTTP transport; in Socket Mode Slack delivers
+// events, interactions and slash commands over the WebSocket (see socketMode.js).
+if (SLACK_TRANSPORT === 'http') {
+    // Events API listener *MUST* come before any body parsers that consume the raw body
+    app.use('/slack/events', slackEvents.requestListener());
+
+    // --- Signed Slack Endpoints ---
+    // Parses the urlencoded body while keeping the raw bytes, then verifies the Slack signature.
+    // Reuse this for any additional Slack-facing routes.
+    const slackSignedRequest = [
+        express.urlencoded({ extended: true, limit: '1mb', verify: captureRawBody }),
+        verifySlackSignature(signingSecret)
+    ];
+
+    // --- Interaction Endpoint ---
+    app.post('/slack/interactions', ...slackSignedRequest, handleInteraction);
+
+    // --- Slash Command Endpoint (/ask, /workspace, /export) ---
+    app.post('/slack/commands', ...slackSignedRequest, handleSlashCommand);
+}
 
-// --- Interaction Endpoint ---
-// Apply urlencoded middleware specifically to this route for Slack interactions
-app.post('/slack/interactions', express.urlencoded({ extended: true, limit: '1mb' }), handleInteraction);
+// --- GitHub Webhooks (signed with GITHUB_WEBHOOK_SECRET; disabled until it is set) ---
+// Needed with either Slack transport, since GitHub always delivers over HTTP.
+app.post('/github/webhook',
+    express.json({ limit: '5mb', verify: captureRawBody }),
+    verifyGithubSignature(GITHUB_WEBHOOK_SECRET),
+    handleGithubWebhook
+);
+
+// --- Feedback Report API (JSON, bearer token protected) ---
+app.get('/api/feedback/report', requireBearerToken(FEEDBACK_REPORT_API_TOKEN), handleFeedbackReportRequest);
 
 // --- Basic Health Check Route ---
 app.get('/', (req, res) => {
     const redisStatus = redisUrl ? (isRedisReady ? 'Ready' : 'Not Ready/Error') : 'Not Configured';
-    res.send(`DeepOrbit (Modular) is live 🛰️ Redis Status: ${redisStatus}`);
+    res.send(`DeepOrbit (Modular) is live 🛰️ Transport: ${SLACK_TRANSPORT} Redis Status: ${redisStatus}`);
 });
 
 // --- Start Server ---
@@ -84,32 +152,50 @@ const server = app.listen(port, () => {
 // --- Graceful Shutdown Handler ---
 async function gracefulShutdown(signal) {
     console.log(`${signal} received. Shutting down gracefully...`);
+
+    // Force shutdown after timeout (unfinished queued jobs are picked up again once their lease expires)
+    setTimeout(() => {
+        console.error('Could not close connections gracefully after timeout, forcing shutdown.');
+        process.exit(1);
+    }, 10000); // 10 seconds timeout
+
+    await stopSocketMode(); // No-op for the HTTP transport
+    stopThreadCleanupSchedule();
+    await stopJobWorkers(); // Wait for running jobs before closing Redis
     server.close(async () => {
         console.log('HTTP server closed.');
         await shutdownServices(signal); // Close Redis/DB connections
         console.log('Cleanup finished. Exiting.');
         process.exit(0);
     });
-
-    // Force shutdown after timeout
-    setTimeout(() => {
-        console.error('Could not close connections gracefully after timeout, forcing shutdown.');
-        process.exit(1);
-    }, 10000); // 10 seconds timeout
 }
 
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
+// --- Background Job Workers ---
+startJobWorkers();
+startThreadCleanupSchedule(); // No-op unless THREAD_CLEANUP_ENABLED
+
 // --- Main Event Listener Attachment ---
-// This connects the internal handler logic exported from slack.js to the event emitter
-slackEvents.on('message', handleSlackEvent);
-slackEvents.on('app_mention', handleSlackEvent);
-
-slackEvents.on('error', (error) => {
-    console.error('[SlackEvents Adapter Error]', error.name, error.code || '', error.message);
-    if (error.request) { console.error('Request:', error.request.method, error.request.url); }
-    if (error.code === '@slack/events-api:adapter:signatureVerificationFailure') { console.error('[FATAL] Slack signature verification failed!'); }
-});
+if (SLACK_TRANSPORT === 'socket') {
+    // Socket Mode dispatches to the same handlers as the HTTP routes
+    try {
+        await startSocketMode();
+    } catch (error) {
+        console.error('[Startup] Failed to start Socket Mode:', error.data?.error || error.message);
+        process.exit(1);
+    }
+} else {
+    // This connects the internal handler logic exported from slack.js to the event emitter
+    slackEvents.on('message', handleSlackEvent);
+    slackEvents.on('app_mention', handleSlackEvent);
+
+    slackEvents.on('error', (error) => {
+        console.error('[SlackEvents Adapter Error]', error.name, error.code || '', error.message);
+        if (error.request) { console.error('Request:', error.request.method, error.request.url); }
+        if (error.code === '@slack/events-api:adapter:signatureVerificationFailure') { console.error('[FATAL] Slack signature verification failed!'); }
+    });
+}
 
-console.log("Event listeners attached.");
\ No newline at end of file
+console.log(`Event listeners attached (transport: ${SLACK_TRANSPORT}).`);
\ No newline at end of file
@@ -6,9 +6,13 @@ dotenv.config();
 export const signingSecret = process.env.SLACK_SIGNING_SECRET;
 export const botToken = process.env.SLACK_BOT_TOKEN;
 export const appToken = process.env.SLACK_APP_TOKEN;
+export const SLACK_TRANSPORT = (process.env.SLACK_TRANSPORT || 'http').toLowerCase(); // 'http' (Events API) or 'socket' (Socket Mode)
 export const botUserId = process.env.SLACK_BOT_USER_ID; // Bot's own User ID
 export const developerId = process.env.DEVELOPER_ID; // Optional: Restrict usage
 export const userWorkspaceMapping = JSON.parse(process.env.SLACK_USER_WORKSPACE_MAPPING || '{}');
+// Permission name -> list of Slack user IDs (or ["*"] for everyone). DEVELOPER_ID always has every permission.
+// Example: COMMAND_PERMISSIONS='{"admin":["U0123ABCD"]}'
+export const commandPermissions = JSON.parse(process.env.COMMAND_PERMISSIONS || '{}');
 
 // Added enableUserWorkspaces
 export const enableUserWorkspaces = process.env.ENABLE_USER_WORKSPACES === 'true';
@@ -19,14 +23,28 @@ export const fallbackWorkspace = process.env.FALLBACK_WORKSPACE_SLUG || null;
 // Added workspaceMapping for channel/default routing
 export const workspaceMapping = JSON.parse(process.env.WORKSPACE_MAPPING || '{}');
 
+// Automatic routing of new threads without a channel/user mapping or #tag (see workspaceRouter.js)
+export const WORKSPACE_CLASSIFIER_SLUG = process.env.WORKSPACE_CLASSIFIER_SLUG || null; // Optional: workspace asked to pick one; keyword matching otherwise
+export const WORKSPACE_ROUTING_MIN_CONFIDENCE = process.env.WORKSPACE_ROUTING_MIN_CONFIDENCE ? parseFloat(process.env.WORKSPACE_ROUTING_MIN_CONFIDENCE) : 0.5; // Below this, FALLBACK_WORKSPACE_SLUG is used
+export const WORKSPACE_DESCRIPTIONS = JSON.parse(process.env.WORKSPACE_DESCRIPTIONS || '{}'); // Slug -> what the workspace covers, used by the classifier
+export const WORKSPACE_SWITCH_TRANSCRIPT_MAX_CHARS = 12000; // Most recent part of a thread summarized when it moves to another workspace (`#switch`)
+
 // --- AnythingLLM Configuration ---
 export const anythingLLMBaseUrl = process.env.LLM_API_BASE_URL;
 export const anythingLLMApiKey = process.env.LLM_API_KEY;
+export const ANYTHINGLLM_REQUEST_TIMEOUT_MS = 15000; // Workspace/thread/document calls
+export const ANYTHINGLLM_CHAT_TIMEOUT_MS = process.env.ANYTHINGLLM_CHAT_TIMEOUT_MS ? parseInt(process.env.ANYTHINGLLM_CHAT_TIMEOUT_MS) : 90000; // Chat answers (for streams: until the first byte)
+export const ANYTHINGLLM_UPLOAD_TIMEOUT_MS = 120000; // Document uploads and embedding updates
+export const LLM_STREAMING_ENABLED = process.env.LLM_STREAMING_ENABLED === 'true'; // Stream answers into Slack via stream-chat
+export const STREAM_UPDATE_INTERVAL_MS = process.env.STREAM_UPDATE_INTERVAL_MS ? parseInt(process.env.STREAM_UPDATE_INTERVAL_MS) : 1500; // Min delay between chat.update calls while streaming
 
 // --- Infrastructure Configuration ---
 export const port = process.env.PORT || 3000;
 export const redisUrl = process.env.REDIS_URL || null;
 export const databaseUrl = process.env.DATABASE_URL || null;
+export const THREAD_MAPPING_STORE = process.env.THREAD_MAPPING_STORE || (databaseUrl ? 'postgres' : redisUrl ? 'redis' : 'memory'); // Where Slack -> AnythingLLM thread mappings live: postgres, redis or memory
+export const THREAD_MAPPING_REDIS_TTL = (process.env.THREAD_MAPPING_REDIS_TTL_DAYS ? parseFloat(process.env.THREAD_MAPPING_REDIS_TTL_DAYS) : 90) * 86400; // Seconds a Redis mapping lives after its last use
+export const AUTO_MIGRATE = process.env.AUTO_MIGRATE !== 'false'; // Apply pending DB migrations at startup (default: true)
 export const githubToken = process.env.GITHUB_TOKEN || null; // Optional: Used for GitHub features (release check)
 export const githubWorkspaceSlug = process.env.GITHUB_WORKSPACE_SLUG || null;
 export const formatterWorkspaceSlug = process.env.FORMATTER_WORKSPACE_SLUG || null; // Added formatter slug
@@ -38,25 +56,96 @@ export const RESET_CONVERSATION_COMMAND = 'reset conversation';
 export const WORKSPACE_OVERRIDE_COMMAND_PREFIX = '#'; // Prefix to trigger manual workspace selection
 export const MIN_SUBSTANTIVE_RESPONSE_LENGTH = process.env.MIN_SUBSTANTIVE_RESPONSE_LENGTH ? parseInt(process.env.MIN_SUBSTANTIVE_RESPONSE_LENGTH) : 100; // Minimum length for a response to be considered substantive enough for feedback buttons
 export const GITHUB_OWNER = process.env.GITHUB_OWNER || 'gravityforms'; // Default GH owner
+export const PR_REVIEW_BATCH_TOKENS = process.env.PR_REVIEW_BATCH_TOKENS ? parseInt(process.env.PR_REVIEW_BATCH_TOKENS) : 6000; // Prompt budget per PR review batch
+export const PR_REVIEW_MAX_BATCHES = process.env.PR_REVIEW_MAX_BATCHES ? parseInt(process.env.PR_REVIEW_MAX_BATCHES) : 20; // Files beyond this many batches are reported as not reviewed
+export const ISSUE_CONTEXT_MAX_CHARS = process.env.ISSUE_CONTEXT_MAX_CHARS ? parseInt(process.env.ISSUE_CONTEXT_MAX_CHARS) : 16000; // Longer issue histories are summarized in stages
+export const ISSUE_HISTORY_CHUNK_CHARS = 8000; // Comment characters per stage summary
+export const ISSUE_HISTORY_MAX_STAGES = 8; // Stage summaries (LLM calls) per analysis; the middle of longer discussions is skipped
+export const RELEASE_CHANGES_MAX_CHARS = process.env.RELEASE_CHANGES_MAX_CHARS ? parseInt(process.env.RELEASE_CHANGES_MAX_CHARS) : 16000; // Prompt budget for `changes in <repo>` summaries
+export const ISSUE_DRAFT_TRANSCRIPT_MAX_CHARS = 16000; // Longer threads are cut in the middle before drafting an issue
+export const REPO_ALIASES_FILE = process.env.REPO_ALIASES_FILE || null; // Optional JSON/YAML repository alias registry (see repoAliases.js)
 
 // --- Cache Configuration ---
 export const DUPLICATE_EVENT_TTL = 600; // 10 minutes
-export const RESET_HISTORY_TTL = 300; // 5 minutes
+export const RESET_HISTORY_TTL = process.env.RESET_HISTORY_TTL ? parseInt(process.env.RESET_HISTORY_TTL) : 604800; // Seconds a `reset conversation` keeps earlier messages out of the thread history (7 days)
 export const WORKSPACE_LIST_CACHE_TTL = 3600; // 1 hour
 export const THREAD_WORKSPACE_TTL = 3600; // Seconds to cache the chosen workspace for a thread
+export const ISSUE_DRAFT_TTL = 86400; // Seconds an issue draft stays editable (`file issue in owner/repo`)
+
+// --- Job Queue (requires Redis) ---
+export const JOB_QUEUE_CONCURRENCY = process.env.JOB_QUEUE_CONCURRENCY ? parseInt(process.env.JOB_QUEUE_CONCURRENCY) : 2; // Messages processed in parallel per instance
+export const JOB_MAX_ATTEMPTS = process.env.JOB_MAX_ATTEMPTS ? parseInt(process.env.JOB_MAX_ATTEMPTS) : 3; // Attempts before a job goes to the dead-letter list
+export const JOB_RETRY_BASE_DELAY_MS = process.env.JOB_RETRY_BASE_DELAY_MS ? parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) : 5000; // Doubled on every retry
+export const JOB_LEASE_MS = process.env.JOB_LEASE_MS ? parseInt(process.env.JOB_LEASE_MS) : 60000; // Unrenewed jobs are handed to another worker after this long
+export const JOB_DEAD_LETTER_MAX = 1000; // Dead-letter list is trimmed to this many entries
+
+// --- HTTP Retries (GitHub and AnythingLLM, see resilientHttp.js) ---
+export const HTTP_RETRY_MAX_ATTEMPTS = process.env.HTTP_RETRY_MAX_ATTEMPTS ? parseInt(process.env.HTTP_RETRY_MAX_ATTEMPTS) : 4; // Attempts per request, including the first
+export const HTTP_RETRY_BASE_DELAY_MS = process.env.HTTP_RETRY_BASE_DELAY_MS ? parseInt(process.env.HTTP_RETRY_BASE_DELAY_MS) : 1000; // Backoff for 5xx/network errors, doubled per attempt (with jitter)
+export const HTTP_RETRY_MAX_DELAY_MS = 30000; // Longest backoff wait (rate limit waits follow the server's reset time)
+export const HTTP_RETRY_MAX_TOTAL_MS = process.env.HTTP_RETRY_MAX_TOTAL_MS ? parseInt(process.env.HTTP_RETRY_MAX_TOTAL_MS) : 120000; // Give up when a retry would take a request past this
+export const HTTP_RETRY_NOTICE_MS = 5000; // Retry waits at least this long are announced in the thread
+
+// --- Thread Cleanup (see threadCleanup.js) ---
+export const THREAD_CLEANUP_ENABLED = process.env.THREAD_CLEANUP_ENABLED === 'true'; // Run the cleanup on a schedule
+export const THREAD_CLEANUP_IDLE_DAYS = process.env.THREAD_CLEANUP_IDLE_DAYS ? parseFloat(process.env.THREAD_CLEANUP_IDLE_DAYS) : 30; // Threads unused this long are removed
+export const THREAD_CLEANUP_DRY_RUN = process.env.THREAD_CLEANUP_DRY_RUN === 'true'; // Only report what would be removed
+export const THREAD_CLEANUP_MODE = process.env.THREAD_CLEANUP_MODE === 'delete' ? 'delete' : 'archive'; // Mapping rows: 'archive' (to the mapping history) or 'delete'
+export const THREAD_CLEANUP_INTERVAL_MS = process.env.THREAD_CLEANUP_INTERVAL_MS ? parseInt(process.env.THREAD_CLEANUP_INTERVAL_MS) : 86400000; // Time between scheduled runs (24 hours)
+export const THREAD_CLEANUP_BATCH_SIZE = 500; // Threads removed per run at most; the rest wait for the next run
+export const THREAD_CLEANUP_LOCK_TTL = 1800; // Seconds the Redis lock is held at most, in case an instance dies mid-run
+
+// --- Rate Limits (requires Redis) ---
+// Token buckets per command category; `capacity` is the burst size, `perMinute` the refill rate.
+// Override with RATE_LIMITS (JSON, merged per category) e.g. '{"chat":{"user":{"capacity":5,"perMinute":2}}}'
+const DEFAULT_RATE_LIMITS = {
+    chat: { user: { capacity: 10, perMinute: 5 }, channel: { capacity: 30, perMinute: 20 } },
+    github: { user: { capacity: 5, perMinute: 2 }, channel: { capacity: 15, perMinute: 6 } },
+    pr_review: { user: { capacity: 2, perMinute: 0.5 }, channel: { capacity: 5, perMinute: 1 } }
+};
+const rateLimitOverrides = JSON.parse(process.env.RATE_LIMITS || '{}');
+export const RATE_LIMITS = Object.fromEntries(
+    [...new Set([...Object.keys(DEFAULT_RATE_LIMITS), ...Object.keys(rateLimitOverrides)])].map(category => [
+        category,
+        { ...DEFAULT_RATE_LIMITS[category], ...rateLimitOverrides[category] }
+    ])
+);
+
+// --- GitHub API Guardrails ---
+// Replaces the default allowlist in githubApiPolicy.js, e.g. '{"allowedHosts":["api.github.com"],"rules":[{"methods":["GET"],"paths":["^/repos/.*$"]}]}'
+export const GITHUB_API_POLICY = JSON.parse(process.env.GITHUB_API_POLICY || 'null');
+export const GITHUB_API_CONFIRMATION_TTL = 600; // Seconds a mutating call waits for the requester's approval
+
+// --- GitHub Webhooks ---
+export const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || null; // /github/webhook is disabled until this is set
+export const GITHUB_WEBHOOK_SUMMARY_WORKSPACE_SLUG = process.env.GITHUB_WEBHOOK_SUMMARY_WORKSPACE_SLUG || null; // Optional: summarize release notes / PR descriptions
+export const GITHUB_WEBHOOK_SUMMARY_MIN_CHARS = 600; // Shorter notes and descriptions are posted as-is
+
+// --- Internal API ---
+export const FEEDBACK_REPORT_API_TOKEN = process.env.FEEDBACK_REPORT_API_TOKEN || null; // Bearer token for GET /api/feedback/report (endpoint disabled if unset)
+
+// --- Request Verification ---
+export const SLACK_REQUEST_MAX_AGE_SECONDS = 300; // Reject signed Slack requests older than 5 minutes (replay protection)
 
 // --- Redis Prefixes ---
 export const DUPLICATE_EVENT_REDIS_PREFIX = 'slack_event_id:';
 export const RESET_HISTORY_REDIS_PREFIX = 'slack_reset_hist:';
 export const WORKSPACE_LIST_CACHE_KEY = 'anythingllm_workspaces';
 export const THREAD_WORKSPACE_PREFIX = 'thread_workspace:'; // Key: thread_workspace:channel_id:thread_ts
+export const JOB_QUEUE_REDIS_PREFIX = 'job_queue:'; // Keys: job_queue:pending|processing|delayed|dead
+export const RATE_LIMIT_REDIS_PREFIX = 'rate_limit:'; // Key: rate_limit:category:user|channel:id
+export const GITHUB_API_PENDING_REDIS_PREFIX = 'github_api_pending:'; // Key: github_api_pending:confirmation_id
+export const ISSUE_DRAFT_REDIS_PREFIX = 'issue_draft:'; // Key: issue_draft:draft_id
+export const THREAD_MAPPING_REDIS_PREFIX = 'thread_map:'; // Key: thread_map:channel_id:thread_ts
+export const THREAD_CLEANUP_LOCK_KEY = 'thread_cleanup_lock'; // Held by the instance running threadCleanup.js
 
 // --- Validation ---
 export function validateConfig() {
     console.log("[Config] Validating configuration...");
-    if (!signingSecret) console.error("❌ SLACK_SIGNING_SECRET is not set!");
+    if (SLACK_TRANSPORT !== 'http' && SLACK_TRANSPORT !== 'socket') console.error(`❌ SLACK_TRANSPORT must be 'http' or 'socket' (got '${SLACK_TRANSPORT}')!`);
+    if (!signingSecret && SLACK_TRANSPORT === 'http') console.error("❌ SLACK_SIGNING_SECRET is not set!");
     if (!botToken) console.error("❌ SLACK_BOT_TOKEN is not set!");
-    if (!appToken) console.error("❌ SLACK_APP_TOKEN is not set!");
+    if (!appToken && SLACK_TRANSPORT === 'socket') console.error("❌ SLACK_APP_TOKEN is not set (required for Socket Mode)!");
     if (!botUserId) console.error("❌ SLACK_BOT_USER_ID is not set!");
     if (!anythingLLMBaseUrl) console.error("❌ LLM_API_BASE_URL is not set!");
     if (!anythingLLMApiKey) console.error("❌ LLM_API_KEY is not set!");
@@ -74,6 +163,7 @@ export function validateConfig() {
     }
     if (!redisUrl) console.warn("⚠️ REDIS_URL not set. Duplicate detection and history reset features disabled.");
     if (!databaseUrl) console.warn("⚠️ DATABASE_URL not set. Feedback storage disabled (will log to console).");
+    if (THREAD_MAPPING_STORE === 'memory') console.warn("⚠️ Thread mappings are kept in memory and lost on restart (set DATABASE_URL or REDIS_URL, see THREAD_MAPPING_STORE).");
     if (!githubToken) console.warn("⚠️ GITHUB_TOKEN not set. GitHub features (release check) disabled.");
     if (!formatterWorkspaceSlug) console.warn("⚠️ FORMATTER_WORKSPACE_SLUG not set. GitHub responses will be sent as raw JSON."); // Added warning
 
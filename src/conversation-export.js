@@ -1,9 +1,6 @@
 import { slack } from './slack.js';
-import FormData from 'form-data';
-import fs from 'fs';
 import path from 'path';
-import { anythingLLMBaseUrl, anythingLLMApiKey } from './config.js';
-import axios from 'axios';
+import { getAnythingLLMClient } from './anythingLLMClient.js';
 
 /**
  * Formats a Slack message into Markdown
@@ -111,47 +108,10 @@ async function formatMessageToMarkdown(message, userInfo) {
  * @returns {Promise<Object>} Response from AnythingLLM
  */
 async function addToConversationsWorkspace(docPath) {
-    try {
-        console.log('\n[AnythingLLM] Starting workspace update process...');
-        console.log('[AnythingLLM] Document path:', docPath);
-        console.log('[AnythingLLM] Target workspace: conversations');
-
-        const updateUrl = `${anythingLLMBaseUrl}/api/v1/workspace/conversations/update-embeddings`;
-        console.log('[AnythingLLM] Update URL:', updateUrl);
-
-        const requestBody = {
-            adds: [docPath],
-            deletes: []
-        };
-        console.log('[AnythingLLM] Request body:', JSON.stringify(requestBody, null, 2));
-        console.log('[AnythingLLM] Request headers:', {
-            'Authorization': 'Bearer [REDACTED]',
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-        });
-
-        // Add document to the workspace using the slug
-        const response = await axios.post(
-            updateUrl,
-            requestBody,
-            {
-                headers: {
-                    'Authorization': `Bearer ${anythingLLMApiKey}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                }
-            }
-        );
-
-        console.log('[AnythingLLM] Workspace update successful');
-        console.log('[AnythingLLM] Response status:', response.status);
-        console.log('[AnythingLLM] Response headers:', response.headers);
-        console.log('[AnythingLLM] Response data:', JSON.stringify(response.data, null, 2));
-        return response.data;
-    } catch (error) {
-        console.error('Error adding document to workspace:', error);
-        throw error;
-    }
+    console.log('\n[AnythingLLM] Adding document to the conversations workspace:', docPath);
+    const data = await getAnythingLLMClient().updateEmbeddings('conversations', { adds: [docPath] });
+    console.log('[AnythingLLM] Workspace update successful');
+    return data;
 }
 
 /**
@@ -161,33 +121,18 @@ async function addToConversationsWorkspace(docPath) {
  * @returns {Promise<Object>} Response from AnythingLLM
  */
 async function uploadToAnythingLLM(content, filename) {
+    const client = getAnythingLLMClient();
+
     // Get a title for the conversation using AnythingLLM
     console.log('[AnythingLLM] Getting title for conversation...');
     try {
         const requestPrompt = 'Based on this conversation, suggest a clear and detailed long title (not less than 10 words) that captures its main topic. Only respond with the title, nothing else:';
-        const requestMessage = `${requestPrompt}\n\n${content}`;
-        console.log('[AnythingLLM] Title request prompt:', requestPrompt);
         console.log('[AnythingLLM] Content length:', content.length, 'characters');
 
-        const chatResponse = await axios.post(
-            `${anythingLLMBaseUrl}/api/v1/workspace/all/chat`,
-            {
-                message: requestMessage,
-                mode: 'chat'
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${anythingLLMApiKey}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                }
-            }
-        );
+        const chatResponse = await client.chat('all', null, `${requestPrompt}\n\n${content}`);
 
-        console.log('[AnythingLLM] Chat response:', JSON.stringify(chatResponse.data, null, 2));
-        
         // Get title from LLM response and clean it up
-        let suggestedTitle = chatResponse.data.textResponse;
+        let suggestedTitle = chatResponse?.textResponse;
         if (!suggestedTitle) {
             throw new Error('No title found in response');
         }
@@ -204,99 +149,36 @@ async function uploadToAnythingLLM(content, filename) {
         filename = `${suggestedTitle}-${currentDate}.md`;
         console.log('[AnythingLLM] Final filename:', filename);
     } catch (error) {
-        console.error('[AnythingLLM] Error getting title:', error);
+        console.error('[AnythingLLM] Error getting title:', error.message);
         // Fall back to default filename if title generation fails
         const currentDate = new Date().toISOString().split('T')[0];
         filename = `slack-conversation-${currentDate}.md`;
     }
 
-    // Create a temporary file
-    const tempDir = path.join(process.cwd(), 'temp');
-    if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir);
-    }
-    const tempFile = path.join(tempDir, filename);
-    fs.writeFileSync(tempFile, content);
-
-    try {
-        console.log('[AnythingLLM] Starting document upload process...');
-        console.log('[AnythingLLM] Temp file created at:', tempFile);
-        console.log('[AnythingLLM] File size:', fs.statSync(tempFile).size, 'bytes');
-
-        // Create form data
-        const form = new FormData();
-        form.append('file', fs.createReadStream(tempFile));
-
-        console.log('[AnythingLLM] Uploading document:', filename);
-        console.log('[AnythingLLM] Upload URL:', `${anythingLLMBaseUrl}/api/v1/document/upload`);
-        console.log('[AnythingLLM] Request headers:', {
-            ...form.getHeaders(),
-            'Authorization': 'Bearer [REDACTED]',
-            'Accept': 'application/json'
-        });
-        
-        // Upload to AnythingLLM
-        const response = await axios.post(`${anythingLLMBaseUrl}/api/v1/document/upload`, form, {
-            headers: {
-                ...form.getHeaders(),
-                'Authorization': `Bearer ${anythingLLMApiKey}`,
-                'Accept': 'application/json'
-            },
-            maxBodyLength: Infinity,
-            maxContentLength: Infinity
-        });
-        
-        console.log('[AnythingLLM] Upload successful');
-        console.log('[AnythingLLM] Response status:', response.status);
-        console.log('[AnythingLLM] Response headers:', response.headers);
-        console.log('[AnythingLLM] Response data:', JSON.stringify(response.data, null, 2));
+    console.log('[AnythingLLM] Uploading document:', filename, `(${Buffer.byteLength(content)} bytes)`);
+    const uploadResponse = await client.uploadDocument(filename, content);
+    console.log('[AnythingLLM] Upload response:', JSON.stringify(uploadResponse, null, 2));
 
-        const uploadResponse = response.data;
-        
-        // If upload successful, move to conversations folder and add to workspace
-        if (uploadResponse.success && uploadResponse.documents && uploadResponse.documents.length > 0) {
-            console.log('[AnythingLLM] Document uploaded successfully, moving to conversations folder...');
-            const docPath = uploadResponse.documents[0].location;
+    // If upload successful, move to conversations folder and add to workspace
+    if (!uploadResponse?.success || !uploadResponse.documents?.length) {
+        console.error('[AnythingLLM] Upload response missing required data:', uploadResponse);
+        throw new Error('Upload response missing required data');
+    }
+    console.log('[AnythingLLM] Document uploaded successfully, moving to conversations folder...');
+    const docPath = uploadResponse.documents[0].location;
+    const conversationsPath = `conversations/${path.basename(docPath)}`;
 
-            // Move file to conversations folder
-            const moveResponse = await axios.post(
-                `${anythingLLMBaseUrl}/api/v1/document/move-files`,
-                {
-                    files: [{
-                        from: docPath,
-                        to: `conversations/${path.basename(docPath)}`
-                    }]
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${anythingLLMApiKey}`,
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    }
-                }
-            );
-            console.log('[AnythingLLM] Move response:', moveResponse.data);
+    const moveResponse = await client.moveFiles([{ from: docPath, to: conversationsPath }]);
+    console.log('[AnythingLLM] Move response:', moveResponse);
 
-            // Add to workspace
-            console.log('[AnythingLLM] Adding to workspace...');
-            const workspaceResponse = await addToConversationsWorkspace(`conversations/${path.basename(docPath)}`);
-            console.log('[AnythingLLM] Workspace response:', workspaceResponse);
+    const workspaceResponse = await addToConversationsWorkspace(conversationsPath);
+    console.log('[AnythingLLM] Workspace response:', workspaceResponse);
 
-            return {
-                ...uploadResponse,
-                move: moveResponse.data,
-                workspace: workspaceResponse
-            };
-        } else {
-            console.error('[AnythingLLM] Upload response missing required data:', uploadResponse);
-            throw new Error('Upload response missing required data');
-        }
-        
-        return uploadResponse;
-    } finally {
-        // Clean up temp file
-        fs.unlinkSync(tempFile);
-    }
+    return {
+        ...uploadResponse,
+        move: moveResponse,
+        workspace: workspaceResponse
+    };
 }
 
 /**
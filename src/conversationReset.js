@@ -0,0 +1,114 @@
+// src/conversationReset.js
+// `reset conversation`: the Slack thread (or DM) gets a fresh AnythingLLM thread in the same workspace, and a
+// reset marker (the reset message's ts) keeps earlier Slack messages out of the history sent to the LLM.
+// Markers are stored in Redis when available, otherwise in memory.
+
+import { redisClient, isRedisReady, getAnythingLLMThreadMapping, replaceAnythingLLMThreadMapping } from './services.js';
+import { redisUrl, RESET_HISTORY_REDIS_PREFIX, RESET_HISTORY_TTL } from './config.js';
+import { createNewAnythingLLMThread } from './llm.js';
+import { routeWorkspace } from './workspaceRouter.js';
+
+const memoryMarkers = new Map(); // key -> {resetTs, expiresAt}
+const useRedis = () => Boolean(redisUrl && isRedisReady);
+
+// Threads are keyed by their ts; DM channels (whose history isn't read per thread) by the channel alone
+function markerKey(channel, threadTs) {
+    return `${RESET_HISTORY_REDIS_PREFIX}${channel}${threadTs ? `:${threadTs}` : ''}`;
+}
+
+// --- Reset Markers ---
+
+/**
+ * Records that the conversation was reset at resetTs. Expires after RESET_HISTORY_TTL seconds.
+ * @param {string} channel
+ * @param {string|null} threadTs - Null for a whole DM channel.
+ * @param {string} resetTs - Slack ts of the reset message; it and everything before it are left out of the history.
+ * @returns {Promise<void>}
+ */
+export async function saveResetMarker(channel, threadTs, resetTs) {
+    const key = markerKey(channel, threadTs);
+    if (useRedis()) {
+        await redisClient.set(key, resetTs, { EX: RESET_HISTORY_TTL });
+        return;
+    }
+    // Expiry is checked on read rather than with a timer, since long TTLs overflow setTimeout's limit (~24.8 days)
+    const now = Date.now();
+    for (const [expiredKey, marker] of memoryMarkers) {
+        if (marker.expiresAt <= now) memoryMarkers.delete(expiredKey);
+    }
+    memoryMarkers.set(key, { resetTs, expiresAt: now + RESET_HISTORY_TTL * 1000 });
+}
+
+function getMemoryMarker(key) {
+    const marker = memoryMarkers.get(key);
+    if (!marker) return null;
+    if (marker.expiresAt > Date.now()) return marker.resetTs;
+    memoryMarkers.delete(key);
+    return null;
+}
+
+/**
+ * @param {string} channel
+ * @param {string|null} threadTs - Null for a whole DM channel.
+ * @returns {Promise<string|null>} The ts of the last reset, if any.
+ */
+export async function getResetMarker(channel, threadTs) {
+    const key = markerKey(channel, threadTs);
+    try {
+        return useRedis() ? await redisClient.get(key) : getMemoryMarker(key);
+    } catch (error) {
+        console.warn(`[Conversation Reset] Could not read reset marker ${key}:`, error.message);
+        return null;
+    }
+}
+
+// --- Reset ---
+
+/**
+ * Starts a fresh AnythingLLM thread for a Slack thread, in the workspace it already uses (or the one it would be
+ * routed to), replaces the mapping and stores the reset marker.
+ * @param {{channel: string, threadTs: string, resetTs: string, userId: string, isDM: boolean}} request
+ * @param {object} [deps] - Injectable for tests.
+ * @param {Function} [deps.getMapping=getAnythingLLMThreadMapping]
+ * @param {Function} [deps.replaceMapping=replaceAnythingLLMThreadMapping]
+ * @param {Function} [deps.createThread=createNewAnythingLLMThread]
+ * @param {Function} [deps.route=routeWorkspace]
+ * @param {Function} [deps.saveMarker=saveResetMarker]
+ * @returns {Promise<{status: 'reset'|'failed', workspaceSlug: string, threadSlug?: string, previousThreadSlug: string|null}>}
+ */
+export async function resetConversation({ channel, threadTs, resetTs, userId, isDM }, {
+    getMapping = getAnythingLLMThreadMapping,
+    replaceMapping = replaceAnythingLLMThreadMapping,
+    createThread = createNewAnythingLLMThread,
+    route = routeWorkspace,
+    saveMarker = saveResetMarker
+} = {}) {
+    const current = await getMapping(channel, threadTs);
+    const workspaceSlug = current?.anythingllm_workspace_slug || (await route({ text: '', channelId: channel, userId })).slug;
+    const previousThreadSlug = current?.anythingllm_thread_slug || null;
+
+    const threadSlug = await createThread(workspaceSlug);
+    if (!threadSlug) return { status: 'failed', workspaceSlug, previousThreadSlug };
+    if (!await replaceMapping(channel, threadTs, workspaceSlug, threadSlug, { reason: 'reset', changedBy: userId })) {
+        return { status: 'failed', workspaceSlug, previousThreadSlug };
+    }
+
+    await saveMarker(channel, threadTs, resetTs);
+    if (isDM) await saveMarker(channel, null, resetTs);
+
+    console.log(`[Conversation Reset] ${channel}:${threadTs} reset by ${userId}: ${workspaceSlug}:${previousThreadSlug || '(none)'} -> ${workspaceSlug}:${threadSlug}`);
+    return { status: 'reset', workspaceSlug, threadSlug, previousThreadSlug };
+}
+
+/**
+ * The Slack message confirming (or reporting a failed) reset.
+ * @param {Awaited<ReturnType<typeof resetConversation>>} result
+ * @returns {string}
+ */
+export function formatResetResult(result) {
+    if (result.status !== 'reset') {
+        return `⚠️ I couldn't reset the conversation. ${result.previousThreadSlug ? 'The current context is still in use.' : 'Please try again.'}`;
+    }
+    return `:broom: Conversation reset. New AnythingLLM thread \`${result.threadSlug}\` in workspace *${result.workspaceSlug}*; `
+        + 'earlier messages here won\'t be used as context.';
+}
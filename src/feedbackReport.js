@@ -0,0 +1,172 @@
+// src/feedbackReport.js
+// Aggregates feedback rows (see the feedback migration) into per-workspace ("sphere") reports.
+// Used by the `feedback report` command and the /api/feedback/report JSON endpoint.
+
+import { dbPool } from './services.js';
+import { databaseUrl } from './config.js';
+
+export const DEFAULT_REPORT_DAYS = 7;
+const MAX_REPORT_DAYS = 365;
+const WORST_QUESTIONS_LIMIT = 5;
+
+/**
+ * Parses a report period such as "last 7d", "30 days", "2w" or "last 3 months".
+ * @param {string} text - Free text that may contain a period.
+ * @returns {number|null} Number of days, or null if no period was found.
+ */
+export function parseReportPeriod(text) {
+    const match = text?.match(/(\d+)\s*(d|days?|w|weeks?|m|months?)\b/i);
+    if (!match) return null;
+    const amount = parseInt(match[1], 10);
+    const unit = match[2].toLowerCase();
+    const multiplier = unit.startsWith('w') ? 7 : unit.startsWith('m') ? 30 : 1;
+    return Math.min(Math.max(amount * multiplier, 1), MAX_REPORT_DAYS);
+}
+
+// Converts raw count columns into the report's {total, good, ok, bad, ratios} shape
+function toRatings(row) {
+    const good = Number(row.good) || 0;
+    const ok = Number(row.ok) || 0;
+    const bad = Number(row.bad) || 0;
+    const total = Number(row.total) || good + ok + bad;
+    const ratio = value => (total > 0 ? Math.round((value / total) * 1000) / 1000 : 0);
+    return { total, good, ok, bad, goodRatio: ratio(good), okRatio: ratio(ok), badRatio: ratio(bad) };
+}
+
+/**
+ * Builds an aggregate feedback report.
+ * @param {object} [options]
+ * @param {string|null} [options.workspaceSlug] - Limit the report to one workspace (sphere).
+ * @param {number} [options.days=DEFAULT_REPORT_DAYS] - Look-back period in days.
+ * @param {object} [options.pool=dbPool] - pg Pool (injectable for tests).
+ * @returns {Promise<object>} Report with per-sphere ratios, trend buckets and the worst-rated questions.
+ */
+export async function getFeedbackReport({ workspaceSlug = null, days = DEFAULT_REPORT_DAYS, pool = dbPool } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const bucket = days > 31 ? 'week' : 'day';
+    const params = [since.toISOString(), workspaceSlug];
+    const whereClause = `feedback_ts >= $1 AND ($2::text IS NULL OR sphere_slug = $2)`;
+    const countColumns = `
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE feedback_value = 'great') AS good,
+        COUNT(*) FILTER (WHERE feedback_value = 'ok') AS ok,
+        COUNT(*) FILTER (WHERE feedback_value = 'bad') AS bad`;
+
+    const sphereQuery = `
+        SELECT COALESCE(sphere_slug, 'unknown') AS sphere, ${countColumns}
+        FROM feedback
+        WHERE ${whereClause}
+        GROUP BY 1
+        ORDER BY bad DESC, total DESC;`;
+    const trendQuery = `
+        SELECT date_trunc('${bucket}', feedback_ts) AS period_start, ${countColumns}
+        FROM feedback
+        WHERE ${whereClause}
+        GROUP BY 1
+        ORDER BY 1;`;
+    const worstQuery = `
+        SELECT
+            original_user_message_text AS question,
+            COALESCE(sphere_slug, 'unknown') AS sphere,
+            ${countColumns},
+            (array_agg(bot_message_text ORDER BY feedback_ts DESC) FILTER (WHERE feedback_value = 'bad'))[1] AS answer
+        FROM feedback
+        WHERE ${whereClause} AND original_user_message_text IS NOT NULL
+        GROUP BY 1, 2
+        HAVING COUNT(*) FILTER (WHERE feedback_value = 'bad') > 0
+        ORDER BY bad DESC, (COUNT(*) FILTER (WHERE feedback_value = 'bad'))::float / COUNT(*) DESC
+        LIMIT ${WORST_QUESTIONS_LIMIT};`;
+
+    const client = await pool.connect();
+    try {
+        const sphereResult = await client.query(sphereQuery, params);
+        const trendResult = await client.query(trendQuery, params);
+        const worstResult = await client.query(worstQuery, params);
+        const spheres = sphereResult.rows.map(row => ({ sphere: row.sphere, ...toRatings(row) }));
+        return {
+            workspace: workspaceSlug,
+            days,
+            since: since.toISOString(),
+            bucket,
+            overall: toRatings(spheres.reduce((sum, sphere) => ({
+                good: sum.good + sphere.good, ok: sum.ok + sphere.ok, bad: sum.bad + sphere.bad, total: sum.total + sphere.total
+            }), { good: 0, ok: 0, bad: 0, total: 0 })),
+            spheres,
+            trend: trendResult.rows.map(row => ({
+                periodStart: new Date(row.period_start).toISOString(),
+                ...toRatings(row)
+            })),
+            worstQuestions: worstResult.rows.map(row => ({
+                question: row.question,
+                sphere: row.sphere,
+                answer: row.answer || null,
+                ...toRatings(row)
+            }))
+        };
+    } finally {
+        client.release();
+    }
+}
+
+const percent = ratio => `${Math.round(ratio * 100)}%`;
+const truncate = (text, length) => (text && text.length > length ? `${text.substring(0, length)}...` : text || '');
+
+/**
+ * Formats a report from getFeedbackReport() as Slack-friendly markdown.
+ * @param {object} report
+ * @returns {string}
+ */
+export function formatFeedbackReport(report) {
+    const scope = report.workspace ? `#${report.workspace}` : 'all workspaces';
+    const lines = [`*Feedback report for ${scope} (last ${report.days} days)*`];
+
+    if (report.overall.total === 0) {
+        lines.push('No feedback was recorded in this period.');
+        return lines.join('\n');
+    }
+
+    const { overall } = report;
+    lines.push(`Overall: ${overall.total} ratings – 👍 ${percent(overall.goodRatio)} · 👌 ${percent(overall.okRatio)} · 👎 ${percent(overall.badRatio)}`);
+
+    lines.push('', '*By workspace:*');
+    report.spheres.forEach(sphere => {
+        lines.push(`• \`${sphere.sphere}\`: ${sphere.total} ratings – 👍 ${percent(sphere.goodRatio)} · 👌 ${percent(sphere.okRatio)} · 👎 ${percent(sphere.badRatio)}`);
+    });
+
+    if (report.trend.length > 1) {
+        lines.push('', `*Trend (per ${report.bucket}):*`);
+        report.trend.forEach(point => {
+            lines.push(`• ${point.periodStart.split('T')[0]}: ${point.total} ratings, 👎 ${percent(point.badRatio)}`);
+        });
+    }
+
+    if (report.worstQuestions.length > 0) {
+        lines.push('', '*Worst-rated questions:*');
+        report.worstQuestions.forEach((item, i) => {
+            lines.push(`${i + 1}. "${truncate(item.question, 150)}" (\`${item.sphere}\`, 👎 ${item.bad}/${item.total})`);
+            if (item.answer) lines.push(`    Answer: ${truncate(item.answer, 200)}`);
+        });
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Express handler for GET /api/feedback/report?workspace=<slug>&days=<n>.
+ * Authentication is done by the bearer token middleware mounted in app.js.
+ */
+export async function handleFeedbackReportRequest(req, res) {
+    if (!databaseUrl) {
+        return res.status(503).json({ error: 'Feedback storage is not configured (DATABASE_URL not set).' });
+    }
+    const days = req.query.days ? parseInt(req.query.days, 10) : DEFAULT_REPORT_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_REPORT_DAYS) {
+        return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_REPORT_DAYS}.` });
+    }
+    try {
+        const report = await getFeedbackReport({ workspaceSlug: req.query.workspace || null, days });
+        res.json(report);
+    } catch (error) {
+        console.error('[Feedback Report] Failed to build report:', error);
+        res.status(500).json({ error: 'Failed to build feedback report.' });
+    }
+}
@@ -0,0 +1,136 @@
+// src/githubApiPolicy.js
+// Guardrails for the LLM-generated GitHub API calls made by the `github` command:
+// an allowlist of hosts, methods and path patterns, per-user permissions for mutating calls,
+// and the calls waiting for the requester's approval.
+
+import { createPendingStore } from './pendingStore.js';
+import { GITHUB_API_POLICY, GITHUB_API_PENDING_REDIS_PREFIX, GITHUB_API_CONFIRMATION_TTL } from './config.js';
+import { hasPermission } from './permissions.js';
+
+export const GITHUB_API_WRITE_PERMISSION = 'github_api_write';
+export const GITHUB_API_APPROVE_ACTION = 'github_api_approve';
+export const GITHUB_API_CANCEL_ACTION = 'github_api_cancel';
+const READ_METHODS = new Set(['GET', 'HEAD']);
+// Only these request headers are passed through; everything else (e.g. Authorization) is dropped
+const ALLOWED_HEADERS = new Set(['accept']);
+
+/**
+ * Default policy (replaced entirely by GITHUB_API_POLICY when set): read anything in repositories, search, orgs and users on api.github.com;
+ * write only to issues, issue comments, labels and assignees.
+ */
+export const DEFAULT_GITHUB_API_POLICY = {
+    allowedHosts: ['api.github.com'],
+    rules: [
+        {
+            methods: ['GET', 'HEAD'],
+            paths: ['^/repos/[^/]+/[^/]+(/.*)?$', '^/search/[a-z]+$', '^/orgs/[^/]+(/.*)?$', '^/users/[^/]+(/.*)?$', '^/rate_limit$']
+        },
+        {
+            methods: ['POST', 'PATCH'],
+            paths: [
+                '^/repos/[^/]+/[^/]+/issues(/\\d+)?$',
+                '^/repos/[^/]+/[^/]+/issues/\\d+/(comments|labels|assignees)$',
+                '^/repos/[^/]+/[^/]+/issues/comments/\\d+$'
+            ]
+        },
+        {
+            methods: ['PUT', 'DELETE'],
+            paths: ['^/repos/[^/]+/[^/]+/issues/\\d+/labels(/[^/]+)?$', '^/repos/[^/]+/[^/]+/issues/\\d+/assignees$']
+        }
+    ]
+};
+
+/**
+ * Checks an LLM-generated API call against the policy.
+ * @param {{endpoint: string, method?: string, parameters?: object, headers?: object}} apiDetails
+ * @param {string} userId - Slack user who asked for the call.
+ * @param {object} [options]
+ * @param {{allowedHosts: string[], rules: {methods: string[], paths: string[]}[]}} [options.policy] - Defaults to GITHUB_API_POLICY, then DEFAULT_GITHUB_API_POLICY.
+ * @param {Object<string, string[]>} [options.permissionMap] - Injectable for tests (see permissions.js).
+ * @returns {{allowed: boolean, reason?: string, mutating: boolean, request?: {endpoint: string, method: string, parameters: object, headers: object}}}
+ *   `request` is the sanitized call to execute.
+ */
+export function evaluateGithubApiCall(apiDetails, userId, { policy = GITHUB_API_POLICY || DEFAULT_GITHUB_API_POLICY, permissionMap } = {}) {
+    const method = String(apiDetails?.method || 'GET').toUpperCase();
+    const mutating = !READ_METHODS.has(method);
+    const deny = reason => ({ allowed: false, reason, mutating });
+
+    let url, path;
+    try {
+        url = new URL(apiDetails?.endpoint);
+        path = decodeURIComponent(url.pathname).replace(/\/+$/, '') || '/';
+    } catch {
+        return deny('The endpoint is not a valid URL.');
+    }
+    if (url.protocol !== 'https:') return deny('Only HTTPS endpoints are allowed.');
+    if (url.username || url.password) return deny('Credentials in the URL are not allowed.');
+    if (!policy.allowedHosts.includes(url.hostname)) return deny(`Host \`${url.hostname}\` is not on the allowlist.`);
+
+    if (path.split('/').includes('..')) return deny('Relative path segments are not allowed.');
+    const rule = policy.rules.find(candidate =>
+        candidate.methods.map(m => m.toUpperCase()).includes(method) &&
+        candidate.paths.some(pattern => new RegExp(pattern).test(path))
+    );
+    if (!rule) return deny(`\`${method} ${path}\` is not allowed by the GitHub API policy.`);
+
+    if (mutating && !hasPermission(userId, GITHUB_API_WRITE_PERMISSION, permissionMap)) {
+        return deny(`Changing data on GitHub requires the \`${GITHUB_API_WRITE_PERMISSION}\` permission.`);
+    }
+
+    const headers = Object.fromEntries(
+        Object.entries(apiDetails.headers || {}).filter(([name]) => ALLOWED_HEADERS.has(name.toLowerCase()))
+    );
+    return {
+        allowed: true,
+        mutating,
+        request: { endpoint: url.toString(), method, parameters: apiDetails.parameters || {}, headers }
+    };
+}
+
+/**
+ * Describes a sanitized request for the confirmation card.
+ * @param {{endpoint: string, method: string, parameters: object}} request
+ * @returns {string} Slack mrkdwn.
+ */
+export function describeGithubApiCall(request) {
+    const url = new URL(request.endpoint);
+    const action = { POST: 'Create', PATCH: 'Update', PUT: 'Replace', DELETE: 'Delete' }[request.method] || request.method;
+    // The query string is part of what runs on approval, so it's shown too
+    const lines = [`*${action}:* \`${request.method} ${url.pathname}${url.search}\``];
+    const parameters = JSON.stringify(request.parameters || {}, null, 2);
+    if (parameters !== '{}') {
+        lines.push(`*With data:*\n\`\`\`${parameters.length > 2500 ? `${parameters.substring(0, 2500)}\n... (truncated)` : parameters}\`\`\``);
+    }
+    return lines.join('\n');
+}
+
+// --- Pending Confirmations ---
+
+const pendingCalls = createPendingStore({ prefix: GITHUB_API_PENDING_REDIS_PREFIX, ttlSeconds: GITHUB_API_CONFIRMATION_TTL });
+
+/**
+ * Stores a call waiting for approval.
+ * @param {{request: object, userId: string, channel: string, replyTarget: string}} pending
+ * @returns {Promise<string>} Confirmation ID (used as the button value).
+ */
+export function savePendingGithubApiCall(pending) {
+    return pendingCalls.save(pending);
+}
+
+/**
+ * Reads a pending call without consuming it.
+ * @param {string} id
+ * @returns {Promise<object|null>} The pending call, or null if it expired or was already handled.
+ */
+export function getPendingGithubApiCall(id) {
+    return pendingCalls.get(id);
+}
+
+/**
+ * Removes and returns a pending call, so each confirmation can only be used once.
+ * @param {string} id
+ * @returns {Promise<object|null>} The pending call, or null if it expired or was already handled.
+ */
+export function takePendingGithubApiCall(id) {
+    return pendingCalls.take(id);
+}
@@ -3,6 +3,7 @@
 // Note: Octokit is no longer imported or used directly here for most functions.
 // It will be passed in.
 import fetch from 'node-fetch';
+import { fetchWithRetry } from './resilientHttp.js';
 import {
     githubToken, // Still needed for callGithubApi and potentially others not using octokitInstance
     GITHUB_OWNER // May still be needed if hardcoded owners are used
@@ -51,16 +52,44 @@ async function getLatestRelease(octokitInstance, owner, repo) {
     }
 }
 
+// Timeline events worth showing in an analysis (comments are fetched separately)
+const RELEVANT_TIMELINE_EVENTS = new Set([
+    'labeled', 'unlabeled', 'assigned', 'unassigned', 'closed', 'reopened', 'renamed',
+    'milestoned', 'demilestoned', 'cross-referenced', 'referenced', 'connected', 'disconnected', 'transferred'
+]);
+
+// Condenses a timeline event to {event, actor, createdAt, detail}
+function summarizeTimelineEvent(event) {
+    const details = {
+        labeled: () => event.label?.name,
+        unlabeled: () => event.label?.name,
+        assigned: () => event.assignee?.login,
+        unassigned: () => event.assignee?.login,
+        renamed: () => event.rename ? `"${event.rename.from}" -> "${event.rename.to}"` : null,
+        milestoned: () => event.milestone?.title,
+        demilestoned: () => event.milestone?.title,
+        'cross-referenced': () => event.source?.issue ? `${event.source.issue.pull_request ? 'PR' : 'issue'} ${event.source.issue.html_url}` : null,
+        referenced: () => event.commit_id ? `commit ${event.commit_id.substring(0, 7)}` : null
+    };
+    return {
+        event: event.event,
+        actor: event.actor?.login || 'unknown',
+        createdAt: event.created_at || null,
+        detail: details[event.event]?.() || null
+    };
+}
+
 /**
- * Fetches details for a specific issue using the provided Octokit instance.
+ * Fetches details for a specific issue using the provided Octokit instance, including the
+ * full comment history (paginated), labels, assignees, timeline events and linked pull requests.
  * @param {import('@octokit/rest').Octokit} octokitInstance - An initialized Octokit instance.
  * @param {number} issueNumber - The number of the issue to fetch.
  * @param {string} [owner=GITHUB_OWNER] - The repository owner (defaults to GITHUB_OWNER from config).
  * @param {string} [repo='backlog'] - The repository name (defaults to 'backlog').
- * @returns {Promise<object|null>} - An object containing issue details (title, body, url, comments) or null if not found or error.
+ * @returns {Promise<object|null>} - Issue details, or null if not found or error.
  */
 async function getGithubIssueDetails(octokitInstance, issueNumber, owner = GITHUB_OWNER, repo = 'backlog') {
-    if (!octokitInstance || typeof octokitInstance.issues?.get !== 'function' || typeof octokitInstance.issues?.listComments !== 'function') {
+    if (!octokitInstance || typeof octokitInstance.issues?.get !== 'function' || typeof octokitInstance.issues?.listComments !== 'function' || typeof octokitInstance.paginate !== 'function') {
         console.error("[GitHub Service] getGithubIssueDetails called without a valid Octokit instance.");
         return null;
     }
@@ -83,37 +112,69 @@ async function getGithubIssueDetails(octokitInstance, issueNumber, owner = GITHU
         });
 
         console.log(`[GitHub Service] Fetching comments for ${owner}/${repo}#${issueNumber}`);
-        // Fetch issue comments using Octokit
+        // Fetch every page of comments; failures here don't fail the whole lookup
         let commentsData = [];
         try {
-            const { data: rawComments } = await octokitInstance.issues.listComments({
+            const rawComments = await octokitInstance.paginate(octokitInstance.issues.listComments, {
                 owner,
                 repo,
                 issue_number: issueNumber,
+                per_page: 100
             });
-            // Ensure it's an array before assigning
             if (Array.isArray(rawComments)) {
                 commentsData = rawComments;
             } else {
                 console.warn(`[GitHub Service] Comments response for issue ${issueNumber} was not an array.`);
             }
         } catch (commentError) {
-             // Log error but don't fail the whole process if comments fail
             console.warn(`[GitHub Service] Failed to fetch comments for issue ${issueNumber}. Status: ${commentError.status} ${commentError.message}`);
         }
 
-        // Limit number of comments to keep context manageable (e.g., last 10)
-        const MAX_COMMENTS = 10;
-        const relevantComments = commentsData.slice(-MAX_COMMENTS);
+        // Timeline: label/assignee changes, cross-references (linked PRs), closes, ...
+        let timelineData = [];
+        if (typeof octokitInstance.issues.listEventsForTimeline === 'function') {
+            try {
+                const rawTimeline = await octokitInstance.paginate(octokitInstance.issues.listEventsForTimeline, {
+                    owner,
+                    repo,
+                    issue_number: issueNumber,
+                    per_page: 100
+                });
+                if (Array.isArray(rawTimeline)) timelineData = rawTimeline;
+            } catch (timelineError) {
+                console.warn(`[GitHub Service] Failed to fetch timeline for issue ${issueNumber}. Status: ${timelineError.status} ${timelineError.message}`);
+            }
+        }
+
+        const linkedPullRequests = [];
+        for (const event of timelineData) {
+            const source = event.source?.issue;
+            if (event.event === 'cross-referenced' && source?.pull_request && !linkedPullRequests.some(pr => pr.url === source.html_url)) {
+                linkedPullRequests.push({
+                    number: source.number,
+                    title: source.title,
+                    url: source.html_url,
+                    state: source.pull_request.merged_at ? 'merged' : source.state
+                });
+            }
+        }
 
         return {
             title: issueData?.title || 'N/A',
             body: issueData?.body || '',
             url: issueData?.html_url || `https://github.com/${owner}/${repo}/issues/${issueNumber}`,
-            comments: relevantComments.map(comment => ({
+            state: issueData?.state || 'unknown',
+            author: issueData?.user?.login || 'unknown',
+            createdAt: issueData?.created_at || null,
+            labels: (issueData?.labels || []).map(label => (typeof label === 'string' ? label : label?.name)).filter(Boolean),
+            assignees: (issueData?.assignees || []).map(assignee => assignee?.login).filter(Boolean),
+            comments: commentsData.map(comment => ({
                 user: comment?.user?.login || 'unknown',
-                body: comment?.body || ''
-            })) || []
+                body: comment?.body || '',
+                createdAt: comment?.created_at || null
+            })),
+            linkedPullRequests,
+            timeline: timelineData.filter(event => RELEVANT_TIMELINE_EVENTS.has(event.event)).map(summarizeTimelineEvent)
         };
 
     } catch (error) {
@@ -125,6 +186,29 @@ async function getGithubIssueDetails(octokitInstance, issueNumber, owner = GITHU
     }
 }
 
+/**
+ * Parses an issue reference: an issue/PR URL, `owner/repo#123`, or `issue #123` / `backlog #123`
+ * (which refer to the default backlog repository).
+ * @param {string} text - Text starting with the reference; anything after it is returned as `rest`.
+ * @param {{owner: string, repo: string}} [defaults] - Repository for `issue #123`.
+ * @returns {{owner: string, repo: string, issueNumber: number, rest: string}|null}
+ */
+function parseIssueReference(text, defaults = { owner: GITHUB_OWNER, repo: 'backlog' }) {
+    const input = String(text || '').trim().replace(/^issue\s+(?=<?https?:|[\w.-]+\/)/i, '');
+    const url = input.match(/^<?https?:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/(?:issues|pull)\/(\d+)[^\s>|]*(?:\|[^>]*)?>?/i);
+    const shorthand = input.match(/^([\w.-]+)\/([\w.-]+)#(\d+)\b/);
+    const legacy = input.match(/^(?:issue|backlog)\s+#(\d+)\b/i);
+
+    const match = url || shorthand;
+    if (match) {
+        return { owner: match[1], repo: match[2], issueNumber: parseInt(match[3], 10), rest: input.substring(match[0].length).trim() };
+    }
+    if (legacy) {
+        return { ...defaults, issueNumber: parseInt(legacy[1], 10), rest: input.substring(legacy[0].length).trim() };
+    }
+    return null;
+}
+
 /**
  * Calls the GitHub API using fetch based on details provided. Requires githubToken in config.
  * @param {object} apiDetails - Object containing endpoint, method, parameters, headers.
@@ -144,11 +228,12 @@ async function callGithubApi(apiDetails) {
          throw new Error('GitHub API endpoint is missing in the details.');
      }
      const url = new URL(endpoint);
+     // Caller headers come first so they can never replace the bot's credentials
      const requestHeaders = {
          'Accept': 'application/vnd.github.v3+json',
-         'Authorization': `token ${githubToken}`,
          'Content-Type': 'application/json',
-         ...headers
+         ...headers,
+         'Authorization': `token ${githubToken}`
      };
      const options = {
          method: method.toUpperCase(),
@@ -162,7 +247,7 @@ async function callGithubApi(apiDetails) {
      console.log(`[GitHub Service] Making request: ${options.method} ${url.toString()}`);
      if (options.body) console.log(`[GitHub Service] Body:`, options.body);
      try {
-         const response = await fetch(url.toString(), options);
+         const response = await fetchWithRetry(url.toString(), options, { fetchImpl: fetch, service: 'GitHub' });
          if (!response.ok) {
              const errorBody = await response.text();
              console.error(`[GitHub Service] API Error: ${response.status} ${response.statusText}`, errorBody);
@@ -192,7 +277,7 @@ async function callGithubApi(apiDetails) {
  * @returns {Promise<object|null>} Object with title, body, comments, files, or null on error.
  */
 async function getPrDetailsForReview(octokitInstance, owner, repo, prNumber) {
-    if (!octokitInstance || typeof octokitInstance.pulls?.get !== 'function' || typeof octokitInstance.issues?.listComments !== 'function' || typeof octokitInstance.pulls?.listFiles !== 'function') {
+    if (!octokitInstance || typeof octokitInstance.pulls?.get !== 'function' || typeof octokitInstance.issues?.listComments !== 'function' || typeof octokitInstance.pulls?.listFiles !== 'function' || typeof octokitInstance.paginate !== 'function') {
         console.error("[GitHub Service] getPrDetailsForReview called without a valid Octokit instance.");
         return null;
     }
@@ -206,13 +291,15 @@ async function getPrDetailsForReview(octokitInstance, owner, repo, prNumber) {
 
         // Use the passed-in instance
         const { data: pr } = await octokitInstance.pulls.get({ owner, repo, pull_number: prNumber });
-        const { data: comments } = await octokitInstance.issues.listComments({ owner, repo, issue_number: prNumber });
-        const { data: files } = await octokitInstance.pulls.listFiles({ owner, repo, pull_number: prNumber });
+        // Paginate: listFiles/listComments only return the first 30 items per page by default
+        const comments = await octokitInstance.paginate(octokitInstance.issues.listComments, { owner, repo, issue_number: prNumber, per_page: 100 });
+        const files = await octokitInstance.paginate(octokitInstance.pulls.listFiles, { owner, repo, pull_number: prNumber, per_page: 100 });
 
         console.log(`[GitHub Service] Fetched PR details, ${comments.length} comments, ${files.length} files.`);
         return {
             title: pr.title,
             body: pr.body,
+            headSha: pr.head?.sha,
             comments: comments,
             files: files
         };
@@ -225,5 +312,222 @@ async function getPrDetailsForReview(octokitInstance, owner, repo, prNumber) {
     }
 }
 
+/**
+ * Submits a pull request review. The event is always COMMENT: the bot never approves or requests changes.
+ * @param {import('@octokit/rest').Octokit} octokitInstance - An initialized Octokit instance.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {number} prNumber - The pull request number.
+ * @param {object} review
+ * @param {string} review.body - Review summary.
+ * @param {{path: string, line: number, side: string, body: string}[]} [review.comments] - Inline comments.
+ * @param {string} [review.commitId] - Commit the inline comments refer to (defaults to the PR head).
+ * @returns {Promise<{id: number, url: string}|null>} - The created review, or null on error.
+ */
+async function createPrReview(octokitInstance, owner, repo, prNumber, { body, comments = [], commitId } = {}) {
+    if (!octokitInstance || typeof octokitInstance.pulls?.createReview !== 'function') {
+        console.error("[GitHub Service] createPrReview called without a valid Octokit instance.");
+        return null;
+    }
+    if (!owner || !repo || !prNumber || !body) {
+        console.error("[GitHub Service] createPrReview requires owner, repo, prNumber and body.");
+        return null;
+    }
+    try {
+        console.log(`[GitHub Service] Creating review on PR ${owner}/${repo}#${prNumber} with ${comments.length} inline comments`);
+        const { data } = await octokitInstance.pulls.createReview({
+            owner,
+            repo,
+            pull_number: prNumber,
+            ...(commitId ? { commit_id: commitId } : {}),
+            body,
+            event: 'COMMENT',
+            comments
+        });
+        return { id: data.id, url: data.html_url };
+    } catch (error) {
+        console.error(`[GitHub Service] Error creating review on PR ${owner}/${repo}#${prNumber}:`, error.status, error.message);
+        return null;
+    }
+}
+
+/**
+ * Lists a repository's label names (first 100).
+ * @param {import('@octokit/rest').Octokit} octokitInstance - An initialized Octokit instance.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @returns {Promise<string[]>} Label names, or an empty array on error.
+ */
+async function getRepoLabels(octokitInstance, owner, repo) {
+    try {
+        const { data } = await octokitInstance.issues.listLabelsForRepo({ owner, repo, per_page: 100 });
+        return data.map(label => label.name);
+    } catch (error) {
+        console.warn(`[GitHub Service] Could not list labels for ${owner}/${repo}:`, error.status, error.message);
+        return [];
+    }
+}
+
+/**
+ * Creates an issue.
+ * @param {import('@octokit/rest').Octokit} octokitInstance - An initialized Octokit instance.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {{title: string, body?: string, labels?: string[]}} issue
+ * @returns {Promise<{number: number, url: string}|null>} The new issue, or null on error.
+ */
+async function createGithubIssue(octokitInstance, owner, repo, { title, body = '', labels = [] } = {}) {
+    if (!octokitInstance || !title) {
+        console.error("[GitHub Service] createGithubIssue requires an Octokit instance and a title.");
+        return null;
+    }
+    try {
+        console.log(`[GitHub Service] Creating issue in ${owner}/${repo} with ${labels.length} labels`);
+        const { data } = await octokitInstance.issues.create({ owner, repo, title, body, labels });
+        return { number: data.number, url: data.html_url };
+    } catch (error) {
+        console.error(`[GitHub Service] Error creating issue in ${owner}/${repo}:`, error.status, error.message);
+        return null;
+    }
+}
+
+// Maximum number of merged PRs looked up for a release comparison
+const MAX_RELEASE_CHANGE_PRS = 30;
+// Commits are read in pages of 100, oldest first; longer ranges keep their most recent pages
+const RELEASE_CHANGE_COMMITS_PER_PAGE = 100;
+const MAX_RELEASE_CHANGE_COMMIT_PAGES = 5;
+
+// PR numbers referenced by merge commits ("Merge pull request #12") or squash merges ("Title (#12)")
+function extractPullRequestNumber(message) {
+    const firstLine = (message || '').split('\n')[0];
+    const match = firstLine.match(/^Merge pull request #(\d+)/) || firstLine.match(/\(#(\d+)\)\s*$/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Finds a release by tag, ignoring a leading "v" ("2.8.1" matches "v2.8.1")
+function findReleaseIndex(releases, ref) {
+    const normalize = tag => String(tag).replace(/^v/i, '');
+    return releases.findIndex(release => release.tag_name === ref || normalize(release.tag_name) === normalize(ref));
+}
+
+// Picks the releases to compare (indexes into `releases`, newest first; -1 when not found)
+function pickReleaseRange(releases, { from, to }) {
+    const toIndex = to ? findReleaseIndex(releases, to) : releases.findIndex(release => !release.prerelease);
+    let fromIndex = from ? findReleaseIndex(releases, from) : -1;
+    if (!from && toIndex !== -1) {
+        const previous = releases.slice(toIndex + 1).find(release => !release.prerelease);
+        fromIndex = previous ? releases.indexOf(previous) : -1;
+    }
+    return { toIndex, fromIndex };
+}
+
+/**
+ * Collects what changed between two releases: commits (compare API), merged PRs referenced by those commits,
+ * and the release notes of every release in the range.
+ * Without `from`/`to`, compares the previous stable release with the latest one; with only `to`, compares it
+ * with the release before it.
+ * @param {import('@octokit/rest').Octokit} octokitInstance - An initialized Octokit instance.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {object} [range]
+ * @param {string|null} [range.from] - Older tag (or any ref).
+ * @param {string|null} [range.to] - Newer tag (or any ref).
+ * @returns {Promise<{from: string, to: string, compareUrl: string, totalCommits: number,
+ *   commits: {sha: string, message: string, author: string}[],
+ *   pullRequests: {number: number, title: string, labels: string[], author: string, url: string, body: string}[],
+ *   releases: {tagName: string, name: string, body: string, publishedAt: string}[]} | null>}
+ *   Null when the repository, the refs or enough releases to pick a default range can't be found.
+ *   Commits are oldest first; ranges longer than MAX_RELEASE_CHANGE_COMMIT_PAGES pages keep the most recent ones.
+ */
+async function getReleaseChanges(octokitInstance, owner, repo, { from = null, to = null } = {}) {
+    if (!octokitInstance) {
+        console.error("[GitHub Service] getReleaseChanges called without a valid Octokit instance.");
+        return null;
+    }
+    try {
+        // Newest first. Older pages are only fetched until both ends of the range are found.
+        const releases = [];
+        await octokitInstance.paginate(octokitInstance.repos.listReleases, { owner, repo, per_page: 100 }, (response, done) => {
+            releases.push(...response.data.filter(release => !release.draft));
+            const range = pickReleaseRange(releases, { from, to });
+            if (range.toIndex !== -1 && range.fromIndex !== -1) done();
+            return [];
+        });
+        const { toIndex, fromIndex } = pickReleaseRange(releases, { from, to });
+        const toRef = toIndex !== -1 ? releases[toIndex].tag_name : to;
+        const fromRef = fromIndex !== -1 ? releases[fromIndex].tag_name : from;
+        if (!toRef || !fromRef) {
+            console.log(`[GitHub Service] Not enough releases in ${owner}/${repo} to pick a comparison range.`);
+            return null;
+        }
+
+        console.log(`[GitHub Service] Comparing ${owner}/${repo} ${fromRef}...${toRef}`);
+        const comparePage = async page => (await octokitInstance.repos.compareCommitsWithBasehead({
+            owner, repo, basehead: `${fromRef}...${toRef}`, per_page: RELEASE_CHANGE_COMMITS_PER_PAGE, page
+        })).data;
+        const comparison = await comparePage(1);
+        const lastPage = Math.ceil((comparison.total_commits || 0) / RELEASE_CHANGE_COMMITS_PER_PAGE);
+        const firstKeptPage = Math.max(1, lastPage - MAX_RELEASE_CHANGE_COMMIT_PAGES + 1);
+        const rawCommits = firstKeptPage === 1 ? [...(comparison.commits || [])] : [];
+        for (let page = Math.max(2, firstKeptPage); page <= lastPage; page++) {
+            rawCommits.push(...((await comparePage(page)).commits || []));
+        }
+        if (firstKeptPage > 1) {
+            console.log(`[GitHub Service] ${owner}/${repo} ${fromRef}...${toRef} has ${comparison.total_commits} commits, keeping the latest ${rawCommits.length}.`);
+        }
+        const commits = rawCommits.map(commit => ({
+            sha: commit.sha,
+            message: commit.commit?.message || '',
+            author: commit.author?.login || commit.commit?.author?.name || 'unknown'
+        }));
+
+        const prNumbers = [...new Set(commits.map(commit => extractPullRequestNumber(commit.message)).filter(Boolean))];
+        const pullRequests = [];
+        for (const number of prNumbers.slice(-MAX_RELEASE_CHANGE_PRS)) {
+            try {
+                const { data: pr } = await octokitInstance.pulls.get({ owner, repo, pull_number: number });
+                if (!pr.merged_at) continue;
+                pullRequests.push({
+                    number,
+                    title: pr.title,
+                    labels: (pr.labels || []).map(label => label.name),
+                    author: pr.user?.login || 'unknown',
+                    url: pr.html_url,
+                    body: (pr.body || '').substring(0, 500)
+                });
+            } catch (error) {
+                console.warn(`[GitHub Service] Could not load PR #${number} of ${owner}/${repo}:`, error.status, error.message);
+            }
+        }
+
+        // Notes of every release after `from` up to and including `to`
+        const rangeReleases = toIndex !== -1 && fromIndex > toIndex ? releases.slice(toIndex, fromIndex) : [];
+        return {
+            from: fromRef,
+            to: toRef,
+            compareUrl: comparison.html_url,
+            totalCommits: comparison.total_commits ?? commits.length,
+            commits,
+            pullRequests,
+            releases: rangeReleases.map(release => ({
+                tagName: release.tag_name,
+                name: release.name || release.tag_name,
+                body: release.body || '',
+                publishedAt: release.published_at
+            }))
+        };
+    } catch (error) {
+        if (error.status === 404) {
+            console.log(`[GitHub Service] Repository or refs not found for ${owner}/${repo} (404).`);
+        } else {
+            console.error(`[GitHub Service] Error collecting release changes for ${owner}/${repo}:`, error.status, error.message);
+        }
+        return null;
+    }
+}
+
 // Export the refactored functions
-export { getLatestRelease, getGithubIssueDetails, callGithubApi, getPrDetailsForReview };
\ No newline at end of file
+export {
+    getLatestRelease, getReleaseChanges, getGithubIssueDetails, parseIssueReference, callGithubApi,
+    getPrDetailsForReview, createPrReview, getRepoLabels, createGithubIssue
+};
\ No newline at end of file
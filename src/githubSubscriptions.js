@@ -0,0 +1,94 @@
+// src/githubSubscriptions.js
+// Storage for GitHub webhook subscriptions: which Slack channel gets which events for which repository.
+
+import { dbPool } from './services.js';
+
+export const SUPPORTED_GITHUB_EVENTS = ['release', 'pull_request', 'issues', 'workflow_run'];
+
+/**
+ * Normalizes a repository for storage and lookups ("Owner/Repo" -> "owner/repo", "owner/*" stays a wildcard).
+ * @param {string} repository
+ * @returns {string|null} Null when it isn't "owner/repo" or "owner/*".
+ */
+export function normalizeRepository(repository) {
+    const match = String(repository || '').trim().match(/^([\w.-]+)\/([\w.-]+|\*)$/);
+    return match ? `${match[1]}/${match[2]}`.toLowerCase() : null;
+}
+
+/**
+ * Picks the supported event names out of free text ("releases and prs" -> ['release', 'pull_request']).
+ * @param {string} text
+ * @returns {string[]} Empty when none are mentioned.
+ */
+export function parseEventList(text) {
+    const synonyms = {
+        release: 'release', releases: 'release',
+        pull_request: 'pull_request', pull_requests: 'pull_request', pr: 'pull_request', prs: 'pull_request',
+        issue: 'issues', issues: 'issues',
+        workflow_run: 'workflow_run', workflow: 'workflow_run', workflows: 'workflow_run', ci: 'workflow_run'
+    };
+    const events = String(text || '').toLowerCase().split(/[\s,]+/).map(word => synonyms[word]).filter(Boolean);
+    return [...new Set(events)];
+}
+
+/**
+ * Creates or replaces a channel's subscription to a repository.
+ * @param {{channelId: string, repository: string, events: string[], userId?: string}} subscription
+ * @param {import('pg').Pool} [pool=dbPool]
+ * @returns {Promise<void>}
+ */
+export async function addGithubSubscription({ channelId, repository, events, userId = null }, pool = dbPool) {
+    await pool.query(
+        `INSERT INTO github_subscriptions (channel_id, repository, events, created_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (channel_id, repository) DO UPDATE SET events = EXCLUDED.events, created_by = EXCLUDED.created_by;`,
+        [channelId, normalizeRepository(repository), events, userId]
+    );
+    console.log(`[GitHub Subscriptions] ${channelId} subscribed to ${repository} (${events.join(', ')})`);
+}
+
+/**
+ * Removes a channel's subscription to a repository.
+ * @param {{channelId: string, repository: string}} subscription
+ * @param {import('pg').Pool} [pool=dbPool]
+ * @returns {Promise<boolean>} True if a subscription was removed.
+ */
+export async function removeGithubSubscription({ channelId, repository }, pool = dbPool) {
+    const result = await pool.query(
+        'DELETE FROM github_subscriptions WHERE channel_id = $1 AND repository = $2;',
+        [channelId, normalizeRepository(repository)]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Lists a channel's subscriptions.
+ * @param {string} channelId
+ * @param {import('pg').Pool} [pool=dbPool]
+ * @returns {Promise<{repository: string, events: string[]}[]>}
+ */
+export async function listGithubSubscriptions(channelId, pool = dbPool) {
+    const result = await pool.query(
+        'SELECT repository, events FROM github_subscriptions WHERE channel_id = $1 ORDER BY repository;',
+        [channelId]
+    );
+    return result.rows;
+}
+
+/**
+ * Finds the channels subscribed to an event for a repository (directly or via "owner/*").
+ * @param {string} repository - "owner/repo" from the webhook payload.
+ * @param {string} eventName - X-GitHub-Event value.
+ * @param {import('pg').Pool} [pool=dbPool]
+ * @returns {Promise<string[]>} Channel IDs.
+ */
+export async function getSubscribedChannels(repository, eventName, pool = dbPool) {
+    const normalized = normalizeRepository(repository);
+    if (!normalized) return [];
+    const wildcard = `${normalized.split('/')[0]}/*`;
+    const result = await pool.query(
+        'SELECT DISTINCT channel_id FROM github_subscriptions WHERE repository IN ($1, $2) AND $3 = ANY(events);',
+        [normalized, wildcard, eventName]
+    );
+    return result.rows.map(row => row.channel_id).filter(Boolean);
+}
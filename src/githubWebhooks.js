@@ -0,0 +1,193 @@
+// src/githubWebhooks.js
+// Turns GitHub webhook deliveries (release, pull_request, issues, workflow_run) into Slack posts
+// for the channels subscribed to the repository (see githubSubscriptions.js).
+// Deliveries are queued before they are acknowledged, so GitHub redelivers those that couldn't be queued.
+
+import { queryLlm } from './llm.js';
+import { enqueueJob } from './jobQueue.js';
+import { isDuplicateRedis, forgetEventId } from './utils.js';
+import { dbPool } from './services.js';
+import { splitMessageIntoChunks, markdownToRichTextBlock } from './formattingService.js';
+import { SUPPORTED_GITHUB_EVENTS, getSubscribedChannels } from './githubSubscriptions.js';
+import { GITHUB_WEBHOOK_SUMMARY_WORKSPACE_SLUG, GITHUB_WEBHOOK_SUMMARY_MIN_CHARS } from './config.js';
+
+export const GITHUB_WEBHOOK_JOB = 'github_webhook';
+const MAX_DETAILS_CHARS = 1500;
+
+const truncate = (text, max) => (text.length > max ? `${text.substring(0, max)}...` : text);
+
+/**
+ * Builds the Slack message for a webhook delivery.
+ * @param {string} eventName - X-GitHub-Event value.
+ * @param {object} payload - Parsed webhook payload.
+ * @returns {{repository: string, markdown: string, details: {kind: string, text: string}|null}|null}
+ *   Null for events and actions that aren't announced. `details` is the release notes or PR description, if any.
+ */
+export function buildGithubEventMessage(eventName, payload) {
+    const repository = payload?.repository?.full_name;
+    if (!repository) return null;
+    const sender = payload.sender?.login || 'someone';
+
+    switch (eventName) {
+        case 'release': {
+            const { release, action } = payload;
+            if (action !== 'published' || !release || release.draft) return null;
+            const label = release.prerelease ? 'pre-release' : 'release';
+            return {
+                repository,
+                markdown: `🚀 **${repository}** published ${label} \`${release.tag_name}\`${release.name && release.name !== release.tag_name ? ` – ${release.name}` : ''}\n[View release](${release.html_url})`,
+                details: release.body ? { kind: 'release notes', text: release.body } : null
+            };
+        }
+        case 'pull_request': {
+            const { pull_request: pr, action } = payload;
+            if (!pr) return null;
+            const verbs = { opened: 'opened', reopened: 'reopened', ready_for_review: 'marked ready for review', closed: pr.merged ? 'merged' : 'closed' };
+            if (!verbs[action]) return null;
+            const icon = action === 'closed' ? (pr.merged ? '🟣' : '⚪') : '🔀';
+            const announcesNewWork = action === 'opened' || action === 'ready_for_review';
+            return {
+                repository,
+                markdown: `${icon} **${repository}#${pr.number}** ${pr.title}\n${verbs[action]} by ${sender} (\`${pr.head?.ref}\` → \`${pr.base?.ref}\`) · [View pull request](${pr.html_url})`,
+                details: announcesNewWork && pr.body ? { kind: 'pull request description', text: pr.body } : null
+            };
+        }
+        case 'issues': {
+            const { issue, action } = payload;
+            if (!issue || !['opened', 'closed', 'reopened'].includes(action)) return null;
+            const icon = action === 'closed' ? '✅' : '🐛';
+            return {
+                repository,
+                markdown: `${icon} **${repository}#${issue.number}** ${issue.title}\n${action} by ${sender} · [View issue](${issue.html_url})`,
+                details: null
+            };
+        }
+        case 'workflow_run': {
+            const { workflow_run: run, action } = payload;
+            if (action !== 'completed' || !run) return null;
+            const icon = run.conclusion === 'success' ? '✅' : run.conclusion === 'failure' ? '❌' : '⚠️';
+            return {
+                repository,
+                markdown: `${icon} **${repository}** workflow **${run.name}** ${run.conclusion || 'completed'} on \`${run.head_branch}\`\n[View run](${run.html_url})`,
+                details: null
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the text to post for release notes or a PR description: an LLM summary when
+ * GITHUB_WEBHOOK_SUMMARY_WORKSPACE_SLUG is set and the text is long, otherwise the (truncated) text itself.
+ * @param {{kind: string, text: string}} details
+ * @param {object} [options]
+ * @param {string|null} [options.workspaceSlug=GITHUB_WEBHOOK_SUMMARY_WORKSPACE_SLUG]
+ * @param {Function} [options.llm=queryLlm] - Injectable for tests.
+ * @returns {Promise<string>}
+ */
+export async function summarizeDetails({ kind, text }, { workspaceSlug = GITHUB_WEBHOOK_SUMMARY_WORKSPACE_SLUG, llm = queryLlm } = {}) {
+    if (workspaceSlug && text.length >= GITHUB_WEBHOOK_SUMMARY_MIN_CHARS) {
+        try {
+            const summary = await llm(workspaceSlug, null, `Summarize these ${kind} for a Slack channel in at most 5 short bullet points. Only use what is written here.\n\n${text}`);
+            if (summary?.trim()) return `**Summary:**\n${summary.trim()}`;
+        } catch (error) {
+            console.error(`[GitHub Webhooks] Failed to summarize ${kind}:`, error.message);
+        }
+    }
+    return truncate(text.trim(), MAX_DETAILS_CHARS);
+}
+
+/**
+ * Posts a webhook delivery to every subscribed channel.
+ * @param {string} eventName - X-GitHub-Event value.
+ * @param {object} payload - Parsed webhook payload.
+ * @param {object} options
+ * @param {import('@slack/web-api').WebClient} options.slack
+ * @param {import('pg').Pool} [options.pool=dbPool]
+ * @param {Function} [options.llm=queryLlm] - Injectable for tests.
+ * @param {string|null} [options.workspaceSlug=GITHUB_WEBHOOK_SUMMARY_WORKSPACE_SLUG] - Summary workspace (null disables summaries).
+ * @param {() => Promise<void>|void} [options.beforePosting] - Called before the first post, e.g. to stop the job queue from retrying.
+ * @returns {Promise<number>} Number of channels posted to.
+ */
+export async function processGithubWebhook(eventName, payload, { slack, pool = dbPool, llm = queryLlm, workspaceSlug = GITHUB_WEBHOOK_SUMMARY_WORKSPACE_SLUG, beforePosting = () => {} } = {}) {
+    const message = buildGithubEventMessage(eventName, payload);
+    if (!message) return 0;
+
+    const channels = await getSubscribedChannels(message.repository, eventName, pool);
+    if (channels.length === 0) {
+        console.log(`[GitHub Webhooks] No subscriptions for ${eventName} on ${message.repository}`);
+        return 0;
+    }
+
+    let markdown = message.markdown;
+    if (message.details) {
+        markdown += `\n\n${await summarizeDetails(message.details, { llm, workspaceSlug })}`;
+    }
+    const chunks = splitMessageIntoChunks(markdown);
+
+    await beforePosting();
+    let posted = 0;
+    for (const channel of channels) {
+        try {
+            for (const chunk of chunks) {
+                const block = markdownToRichTextBlock(chunk, `github_${eventName}_${Date.now()}`);
+                await slack.chat.postMessage({
+                    channel,
+                    text: chunk.substring(0, 200),
+                    unfurl_links: false,
+                    ...(block ? { blocks: [block] } : {})
+                });
+            }
+            posted++;
+        } catch (error) {
+            // One archived or inaccessible channel shouldn't block the others
+            console.error(`[GitHub Webhooks] Failed to post ${eventName} to ${channel}:`, error.data?.error || error.message);
+        }
+    }
+    console.log(`[GitHub Webhooks] Posted ${eventName} for ${message.repository} to ${posted}/${channels.length} channel(s)`);
+    return posted;
+}
+
+/**
+ * Creates the Express handler for POST /github/webhook. Mount after verifyGithubSignature().
+ * A delivery is recorded (for deduplication) and queued before it is acknowledged with 202. When queueing
+ * fails the record is dropped again and GitHub gets a 503, so its redelivery isn't ignored as a duplicate.
+ * @param {object} [deps] - Injectable for tests.
+ * @param {Function} [deps.enqueue=enqueueJob]
+ * @param {(eventId: string) => Promise<boolean>} [deps.isDuplicate=isDuplicateRedis] - Records the ID; true if it was seen before.
+ * @param {(eventId: string) => Promise<void>} [deps.forget=forgetEventId]
+ * @returns {(req: import('express').Request, res: import('express').Response) => Promise<void>}
+ */
+export function createGithubWebhookHandler({ enqueue = enqueueJob, isDuplicate = isDuplicateRedis, forget = forgetEventId } = {}) {
+    return async function handleGithubWebhook(req, res) {
+        const eventName = req.get('X-GitHub-Event');
+        const deliveryId = req.get('X-GitHub-Delivery');
+
+        if (eventName === 'ping') {
+            return res.status(200).json({ ok: true, message: 'pong' });
+        }
+        if (!SUPPORTED_GITHUB_EVENTS.includes(eventName)) {
+            return res.status(202).json({ ok: true, ignored: true });
+        }
+        const dedupeKey = `github:${deliveryId}`;
+        if (deliveryId && await isDuplicate(dedupeKey)) {
+            console.log(`[GitHub Webhooks] Duplicate delivery ${deliveryId} ignored`);
+            return res.status(202).json({ ok: true, duplicate: true });
+        }
+
+        try {
+            await enqueue(GITHUB_WEBHOOK_JOB, { deliveryId, eventName, payload: req.body });
+        } catch (error) {
+            console.error(`[GitHub Webhooks] Failed to queue delivery ${deliveryId}:`, error);
+            if (deliveryId) await forget(dedupeKey);
+            return res.status(503).json({ ok: false, error: 'Could not queue the delivery' });
+        }
+        res.status(202).json({ ok: true });
+    };
+}
+
+/**
+ * Express handler for POST /github/webhook (see createGithubWebhookHandler).
+ */
+export const handleGithubWebhook = createGithubWebhookHandler();
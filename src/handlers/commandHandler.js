@@ -5,26 +5,41 @@
 // but we might need them for others (e.g., config, services)
 
 // Add imports needed for release command
-import { getLatestRelease } from '../githubService.js';
+import { getLatestRelease, getReleaseChanges } from '../githubService.js';
+import { getRepoAliasRegistry, resolveRepository, formatKnownAliases } from '../repoAliases.js';
+import { buildReleaseChangesPrompt, formatReleaseChangesFallback } from '../releaseChanges.js';
 import { markdownToRichTextBlock, extractTextAndCode, splitMessageIntoChunks } from '../formattingService.js';
 // Add imports needed for PR review command
 import { getPrDetailsForReview } from '../githubService.js';
+import { runMapReduceReview, formatPerFileFindings, postReviewToGithub } from '../prReview.js';
 import { queryLlm } from '../llm.js';
-import { githubToken } from '../config.js'; // Needed for the check
+import { githubToken, botUserId, githubWorkspaceSlug, formatterWorkspaceSlug, GITHUB_API_CONFIRMATION_TTL } from '../config.js';
 // Add imports needed for issue analysis command
-import { getGithubIssueDetails, callGithubApi } from '../githubService.js';
+import { getGithubIssueDetails, parseIssueReference, callGithubApi } from '../githubService.js';
+import { buildIssueContext } from '../issueAnalysis.js';
+import {
+    evaluateGithubApiCall, describeGithubApiCall, savePendingGithubApiCall, getPendingGithubApiCall, takePendingGithubApiCall,
+    GITHUB_API_APPROVE_ACTION, GITHUB_API_CANCEL_ACTION, GITHUB_API_WRITE_PERMISSION
+} from '../githubApiPolicy.js';
+import { hasPermission } from '../permissions.js';
+// Command registry (handlers below are registered at the bottom of this file)
+import { registerCommand, buildHelpText } from './commandRegistry.js';
+// Commands that live in their own modules register themselves on import
+import './feedbackReportCommand.js';
+import './githubSubscriptionCommand.js';
+import './fileIssueCommand.js';
+import './switchWorkspaceCommand.js';
+import './resetConversationCommand.js';
 
 /**
  * Handles the '#delete_last_message' command.
  * Attempts to find and delete the bot's last message in the thread.
  *
- * @param {string} channel - The channel ID.
- * @param {string} replyTarget - The timestamp of the message to reply to (thread TS or original message TS).
- * @param {string} botUserId - The user ID of the bot.
- * @param {import('@slack/web-api').WebClient} slack - The Slack WebClient instance.
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
  * @returns {Promise<boolean>} - True if the command was handled (message deleted or error posted), False otherwise.
  */
-async function handleDeleteLastMessageCommand(channel, replyTarget, botUserId, slack) {
+async function handleDeleteLastMessageCommand(ctx) {
+    const { channel, replyTarget, slack } = ctx;
     console.log(`[Command Handler] Handling #delete_last_message in channel ${channel}`);
     try {
         // Fetch thread history to find bot's last message
@@ -99,133 +114,182 @@ async function handleDeleteLastMessageCommand(channel, replyTarget, botUserId, s
 
 /**
  * Handles the 'latest ... release' command.
- * Checks if the query matches the release pattern, fetches info from GitHub, and posts it.
+ * Resolves the product through the repository alias registry (or takes owner/repo as-is),
+ * then fetches the latest release info from GitHub and posts it.
  *
- * @param {string} cleanedQuery - The processed user query text.
- * @param {string} replyTarget - The timestamp of the message to reply to.
- * @param {import('@slack/web-api').WebClient} slack - The Slack WebClient instance.
- * @param {object} appOctokitInstance - The initialized Octokit instance (or null).
- * @param {Promise<string | null>} thinkingMessagePromise - Promise resolving to the thinking message timestamp.
- * @param {string} channel - The channel ID.
- * @returns {Promise<boolean>} - True if the command pattern matched and was handled, False otherwise.
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @param {{productName: string}} args - Parsed command arguments.
+ * @returns {Promise<boolean>} - True if the command was handled, False to fall through to the LLM.
  */
-async function handleReleaseInfoCommand(cleanedQuery, replyTarget, slack, appOctokitInstance, thinkingMessagePromise, channel) {
-    const releaseMatchRegex = /latest (?:gravityforms\/)?([\w-]+(?: addon| checkout)?|\S+) release/i;
-    const releaseMatch = cleanedQuery.match(releaseMatchRegex);
-
-    if (!releaseMatch) {
-        return false; // Pattern didn't match
-    }
-
+async function handleReleaseInfoCommand(ctx, args) {
+    const { replyTarget, slack, octokit: appOctokitInstance, thinkingMessagePromise, channel } = ctx;
     console.log("[Command Handler] Release query detected.");
 
-    // Logic moved from messageHandler.js
+    const reply = async (text, blocks) => {
+        await slack.chat.postMessage({ channel, thread_ts: replyTarget, text, ...(blocks ? { blocks } : {}) });
+        const ts = await thinkingMessagePromise;
+        if (ts) slack.chat.delete({ channel: channel, ts: ts }).catch(() => {});
+        return true;
+    };
+
     try {
-        if (releaseMatch && releaseMatch[1]) {
-            let productName = releaseMatch[1].toLowerCase();
-            let owner = 'gravityforms';
-            let repo = null;
-            const abbreviations = {
-                'gf': 'gravityforms',
-                'ppcp': 'gravityformsppcp',
-                'paypal checkout': 'gravityformsppcp',
-                'paypal': 'gravityformsppcp',
-                'stripe': 'gravityformsstripe',
-                'authorize.net': 'gravityformsauthorizenet',
-                'user registration': 'gravityformsuserregistration',
-                'core': 'gravityforms'
-            };
-            if (productName === 'gravityflow') {
-                repo = 'gravityflow';
-            } else if (abbreviations[productName]) {
-                repo = abbreviations[productName];
-            } else {
-                productName = productName.replace(/\s+addon$/, '').replace(/\s+checkout$/, '');
-                repo = productName.startsWith('gravityforms') ? productName : `gravityforms${productName}`;
-            }
-            console.log(`[Command Handler] Determined GitHub target: ${owner}/${repo}`);
-
-            if (owner && repo && appOctokitInstance) {
-                const releaseInfo = await getLatestRelease(appOctokitInstance, owner, repo);
-
-                if (releaseInfo) {
-                    const publishedDate = new Date(releaseInfo.publishedAt).toLocaleDateString();
-                    const messageText = `The latest release for ${owner}/${repo} is ${releaseInfo.tagName}. Published on ${publishedDate}.`;
-                    const richTextBlock = markdownToRichTextBlock(messageText, `release_${owner}_${repo}`);
-
-                    if (richTextBlock) {
-                        await slack.chat.postMessage({
-                            channel, thread_ts: replyTarget,
-                            text: `The latest release for ${owner}/${repo} is ${releaseInfo.tagName} (Published on ${publishedDate})`,
-                            blocks: [richTextBlock]
-                        });
-                        console.log("[Command Handler] Responded directly with GitHub release info.");
-                        const ts = await thinkingMessagePromise;
-                        if (ts) {
-                            slack.chat.delete({ channel: channel, ts: ts }).catch(() => {});
-                        }
-                        return true; // Command handled successfully
-                    }
-                } else {
-                    await slack.chat.postMessage({
-                        channel,
-                        thread_ts: replyTarget,
-                        text: `I couldn't find any releases for ${owner}/${repo}.`
-                    });
-                    const ts = await thinkingMessagePromise;
-                    if (ts) {
-                        slack.chat.delete({ channel: channel, ts: ts }).catch(() => {});
-                    }
-                    return true; // Command handled (not found)
-                }
-            } else if (!appOctokitInstance) {
+        if (args.productName) {
+            if (!appOctokitInstance) {
                 console.warn("[Command Handler] Octokit instance not available for release check.");
-                await slack.chat.postMessage({
-                    channel,
-                    thread_ts: replyTarget,
-                    text: `Sorry, I can't check GitHub releases right now (missing configuration).`
-                });
-                const ts = await thinkingMessagePromise;
-                if (ts) slack.chat.delete({ channel: channel, ts: ts }).catch(() => {});
-                return true; // Command handled (config error)
+                return await reply(`Sorry, I can't check GitHub releases right now (missing configuration).`);
+            }
+
+            const registry = await getRepoAliasRegistry();
+            const target = resolveRepository(args.productName, registry);
+            if (!target.owner) {
+                const hint = target.suggestions.length > 0
+                    ? `Did you mean ${target.suggestions.map(alias => `\`${alias}\``).join(', ')}?`
+                    : `Try \`latest owner/repo release\` or one of the known names:\n${formatKnownAliases(registry)}`;
+                return await reply(`I don't know a repository called "${args.productName}". ${hint}`);
+            }
+            const { owner, repo } = target;
+            console.log(`[Command Handler] Determined GitHub target: ${owner}/${repo} (${target.source})`);
+
+            const releaseInfo = await getLatestRelease(appOctokitInstance, owner, repo);
+            if (!releaseInfo) {
+                return await reply(`I couldn't find any releases for ${owner}/${repo}. Known repositories:\n${formatKnownAliases(registry)}`);
+            }
+
+            const publishedDate = new Date(releaseInfo.publishedAt).toLocaleDateString();
+            const messageText = `The latest release for ${owner}/${repo} is ${releaseInfo.tagName}. Published on ${publishedDate}.`;
+            const richTextBlock = markdownToRichTextBlock(messageText, `release_${owner}_${repo}`);
+            if (richTextBlock) {
+                console.log("[Command Handler] Responded directly with GitHub release info.");
+                return await reply(`The latest release for ${owner}/${repo} is ${releaseInfo.tagName} (Published on ${publishedDate})`, [richTextBlock]);
             }
         }
     } catch (githubError) {
         console.error(`[Command Handler] Error during GitHub release check:`, githubError);
         // Don't return true here, let the main handler proceed
-        // We could potentially post an error message, but the original logic fell through
     }
 
     // If the regex matched but something went wrong internally (like octokit error, but not config error)
-    // or if the initial if (releaseMatch && releaseMatch[1]) failed somehow.
-    // The original logic would fall through, so we return false to mimic that.
+    // or if no product name was parsed, fall through to the LLM.
     return false;
 }
 
 /**
- * Handles the 'review pr gravityforms/REPO#NUM #WORKSPACE' command.
- * Fetches PR details, constructs a prompt, queries LLM, and posts the review.
+ * Handles the 'changes in <product|owner/repo> [from X to Y]' command.
+ * Collects commits, merged PRs and release notes between two releases (default: previous vs latest)
+ * and asks the thread's workspace for a customer-facing summary.
  *
- * @param {string} cleanedQuery - The processed user query text.
- * @param {string} replyTarget - The timestamp of the message to reply to.
- * @param {string} channel - The channel ID.
- * @param {import('@slack/web-api').WebClient} slack - The Slack WebClient instance.
- * @param {object} appOctokitInstance - The initialized Octokit instance (or null).
- * @param {Promise<string | null>} thinkingMessagePromise - Promise resolving to the thinking message timestamp.
- * @returns {Promise<boolean>} - True if the command pattern matched and was handled, False otherwise.
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @param {{productName: string, from: string|null, to: string|null, isQuestion: boolean}} args - Parsed command arguments.
+ *   `isQuestion` is set for "what changed in ..." phrasing, which is often about something other than a repository.
+ * @returns {Promise<boolean>} - False when a question doesn't name a known repository (the LLM answers it instead).
  */
-async function handlePrReviewCommand(cleanedQuery, replyTarget, channel, slack, appOctokitInstance, thinkingMessagePromise) {
-    const prReviewRegex = /^review\s+pr\s+gravityforms\/([\w-]+)#(\d+)\s+#([\w-]+)/i;
-    const prMatch = cleanedQuery.match(prReviewRegex);
+async function handleReleaseChangesCommand(ctx, args) {
+    const { replyTarget, slack, octokit: appOctokitInstance, thinkingMessagePromise, channel, workspaceSlug, anythingLLMThreadSlug } = ctx;
+    console.log(`[Command Handler] Release changes requested for "${args.productName}" (${args.from || 'previous'} -> ${args.to || 'latest'})`);
 
-    if (!prMatch) {
-        return false; // Pattern didn't match
+    const clearThinking = async () => {
+        const ts = await thinkingMessagePromise;
+        if (ts) slack.chat.delete({ channel: channel, ts: ts }).catch(() => {});
+    };
+    const reply = async text => {
+        await slack.chat.postMessage({ channel, thread_ts: replyTarget, text });
+        await clearThinking();
+        return true;
+    };
+
+    if (!appOctokitInstance) {
+        console.warn("[Command Handler] Octokit instance not available for release changes.");
+        return await reply(`Sorry, I can't check GitHub releases right now (missing configuration).`);
     }
 
-    const subRepo = prMatch[1];
-    const prNumber = parseInt(prMatch[2], 10);
-    const workspaceSlug = prMatch[3];
-    console.log(`[Command Handler] PR review triggered for PR gravityforms/${subRepo}#${prNumber} in workspace ${workspaceSlug}`);
+    try {
+        const registry = await getRepoAliasRegistry();
+        const target = resolveRepository(args.productName, registry);
+        if (args.isQuestion && target.source !== 'alias' && target.source !== 'explicit') {
+            console.log(`[Command Handler] "${args.productName}" isn't a known repository, passing the question to the LLM.`);
+            return false;
+        }
+        if (!target.owner) {
+            const hint = target.suggestions.length > 0
+                ? `Did you mean ${target.suggestions.map(alias => `\`${alias}\``).join(', ')}?`
+                : `Try \`changes in owner/repo\` or one of the known names:\n${formatKnownAliases(registry)}`;
+            return await reply(`I don't know a repository called "${args.productName}". ${hint}`);
+        }
+        const { owner, repo } = target;
+
+        const changes = await getReleaseChanges(appOctokitInstance, owner, repo, { from: args.from, to: args.to });
+        if (!changes) {
+            const range = args.from ? `${args.from} and ${args.to}` : 'the last two releases';
+            return await reply(`I couldn't compare ${range} of ${owner}/${repo}. Please check the repository and release tags.`);
+        }
+        const rangeLabel = `${owner}/${repo} ${changes.from} → ${changes.to}`;
+
+        const thinkingTs = await thinkingMessagePromise;
+        if (thinkingTs) {
+            await slack.chat.update({
+                channel, ts: thinkingTs,
+                text: `:memo: Summarizing ${changes.totalCommits} commits and ${changes.pullRequests.length} pull requests (${rangeLabel})...`
+            }).catch(() => {});
+        }
+
+        let summary = null;
+        try {
+            summary = await queryLlm(workspaceSlug, anythingLLMThreadSlug, buildReleaseChangesPrompt(changes, { owner, repo }));
+        } catch (llmError) {
+            console.error(`[Command Handler] LLM summary failed for ${rangeLabel}:`, llmError.message);
+        }
+
+        const header = `**Changes in ${rangeLabel}** (${changes.totalCommits} commits, ${changes.pullRequests.length} merged pull requests) · [Compare on GitHub](${changes.compareUrl})`;
+        const body = summary?.trim() || `(I couldn't write a summary, here are the merged changes.)\n${formatReleaseChangesFallback(changes)}`;
+        const chunks = splitMessageIntoChunks(`${header}\n\n${body}`);
+        for (const chunk of chunks) {
+            const block = markdownToRichTextBlock(chunk, `release_changes_${Date.now()}`);
+            await slack.chat.postMessage({
+                channel,
+                thread_ts: replyTarget,
+                text: chunk.substring(0, 200),
+                unfurl_links: false,
+                ...(block ? { blocks: [block] } : {})
+            });
+        }
+        await clearThinking();
+    } catch (error) {
+        console.error(`[Command Handler] Error during release changes for "${args.productName}":`, error);
+        await reply('Sorry, I encountered an error while collecting the release changes.').catch(() => {});
+    }
+    return true;
+}
+
+/**
+ * Handles the 'review pr OWNER/REPO#NUM #WORKSPACE [--post]' command.
+ * Fetches PR details, reviews the files in batches (see prReview.js), posts the overall review
+ * and per-file findings, and keeps the thinking message updated with progress.
+ * With --post the review is also published on GitHub as a COMMENT review with inline comments, which
+ * requires the github_api_write permission (like other changes made on GitHub with the bot's token).
+ *
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @param {{owner: string, repo: string, prNumber: number, workspaceSlug: string, postToGithub: boolean}} args - Parsed command arguments.
+ * @returns {Promise<boolean>} - True if the command was handled, False otherwise.
+ */
+async function handlePrReviewCommand(ctx, args) {
+    const { replyTarget, channel, slack, octokit: appOctokitInstance, thinkingMessagePromise, userId } = ctx;
+    const { owner, repo, prNumber, workspaceSlug, postToGithub } = args;
+    console.log(`[Command Handler] PR review triggered for PR ${owner}/${repo}#${prNumber} in workspace ${workspaceSlug}${postToGithub ? ' (posting to GitHub)' : ''}`);
+
+    // Refuse before reviewing, so the user doesn't wait for a review that can't be published
+    if (postToGithub && !hasPermission(userId, GITHUB_API_WRITE_PERMISSION)) {
+        console.warn(`[Command Handler] User ${userId} lacks permission "${GITHUB_API_WRITE_PERMISSION}" to post a review to ${owner}/${repo}#${prNumber}`);
+        await slack.chat.postMessage({
+            channel,
+            thread_ts: replyTarget,
+            text: `Sorry, publishing reviews on GitHub (\`--post\`) requires the \`${GITHUB_API_WRITE_PERMISSION}\` permission. Run the command without \`--post\` to get the review here.`
+        }).catch(() => {});
+        const ts = await thinkingMessagePromise;
+        if (ts) {
+            slack.chat.delete({ channel: channel, ts: ts }).catch(() => {});
+        }
+        return true; // Command handled (permission denied)
+    }
 
     // Logic moved from messageHandler.js
     if (!githubToken || !appOctokitInstance) {
@@ -244,13 +308,13 @@ async function handlePrReviewCommand(cleanedQuery, replyTarget, channel, slack,
 
     try {
         await thinkingMessagePromise; // Ensure thinking message is posted
-        const prDetails = await getPrDetailsForReview(appOctokitInstance, 'gravityforms', subRepo, prNumber);
+        const prDetails = await getPrDetailsForReview(appOctokitInstance, owner, repo, prNumber);
 
         if (!prDetails) {
             await slack.chat.postMessage({
                 channel,
                 thread_ts: replyTarget,
-                text: `Sorry, I couldn't fetch details for PR gravityforms/${subRepo}#${prNumber}. It might not exist or there was an API issue.`
+                text: `Sorry, I couldn't fetch details for PR ${owner}/${repo}#${prNumber}. It might not exist or there was an API issue.`
             });
             const ts = await thinkingMessagePromise;
             if (ts) {
@@ -259,70 +323,23 @@ async function handlePrReviewCommand(cleanedQuery, replyTarget, channel, slack,
             return true; // Indicate command was handled (PR not found/error)
         }
 
-        // Construct PR context
-        let prContext = `**Pull Request:** gravityforms/${subRepo}#${prNumber}\n`;
-        prContext += `**Title:** ${prDetails.title}\n`;
-        prContext += `**Description:**\n${prDetails.body || '(No description)'}\n\n`;
-        prContext += `**Changes:**\n`;
-
-        const MAX_DIFF_SIZE = 5000; // Characters per file
-        (prDetails.files || []).forEach(file => {
-            prContext += `\n**File:** ${file.filename}\n`;
-            prContext += `**Status:** ${file.status} (${file.additions} additions, ${file.deletions} deletions)\n`;
-            if (file.patch) {
-                const truncatedDiff = file.patch.length > MAX_DIFF_SIZE
-                    ? file.patch.substring(0, MAX_DIFF_SIZE) + '\n... (diff truncated)'
-                    : file.patch;
-                prContext += `\`\`\`diff\n${truncatedDiff}\n\`\`\`\n`;
+        // Review the files in token-budgeted batches, then synthesize the overall review
+        console.log(`[Command Handler] Requesting LLM analysis for PR #${prNumber} in workspace ${workspaceSlug}`);
+        const thinkingTs = await thinkingMessagePromise;
+        const review = await runMapReduceReview({
+            owner, repo, prNumber, prDetails, workspaceSlug,
+            onProgress: async text => {
+                if (!thinkingTs) return;
+                await slack.chat.update({ channel, ts: thinkingTs, text }).catch(updateError => {
+                    console.warn("[Command Handler] Failed to update review progress:", updateError.data?.error || updateError.message);
+                });
             }
         });
-
-        if (prDetails.comments && prDetails.comments.length > 0) {
-            prContext += `\n**Comments:**\n`;
-            prDetails.comments.forEach(comment => {
-                prContext += `*${comment.user.login}:* ${comment.body.substring(0, 300)}${comment.body.length > 300 ? '...' : ''}\n---\n`;
-            });
-        }
-
-        // Create detailed review prompt
-        const reviewPrompt = `You are performing a code review of this Pull Request. Please provide a comprehensive review that includes:
-
-1. Overview:
-   - Brief summary of the changes
-   - The main purpose of this PR
-   - Impact and scope of changes
-
-2. Code Analysis:
-   - Code quality and best practices
-   - Potential bugs or issues
-   - Performance implications
-   - Security considerations
-   - Test coverage
-
-3. Specific Recommendations:
-   - Concrete suggestions for improvements
-   - Alternative approaches if applicable
-   - Any missing documentation
-
-4. Summary:
-   - Overall assessment
-   - Key points that need attention
-   - Whether the PR is ready to merge
-
-Please be specific and provide examples when pointing out issues or suggesting improvements. If you see something good, mention that as well.
-
-Here's the PR context:
-
-${prContext}`;
-
-        // Query LLM with the workspace from the command
-        console.log(`[Command Handler] Requesting LLM analysis for PR #${prNumber} in workspace ${workspaceSlug}`);
-        const analysisResponse = await queryLlm(workspaceSlug, null, reviewPrompt);
-
-        if (!analysisResponse) throw new Error('LLM failed to provide analysis.');
+        const { reviewText, structured } = review;
 
         // Process and send the response
-        const segments = extractTextAndCode(analysisResponse);
+        const verdictLine = structured.verdict ? `\n\n*Verdict:* ${structured.verdict}` : '';
+        const segments = extractTextAndCode(`${reviewText}${verdictLine}`);
         for (let i = 0; i < segments.length; i++) {
             const blocksToSend = [];
             const segment = segments[i];
@@ -344,6 +361,22 @@ ${prContext}`;
             }
         }
 
+        // Per-file findings from the batch passes
+        const findingsText = formatPerFileFindings(structured.findings, prDetails.files?.length || 0, review.notReviewed, review.partiallyReviewed);
+        for (const chunk of splitMessageIntoChunks(findingsText)) {
+            if (chunk.trim()) await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: chunk });
+        }
+
+        if (postToGithub) {
+            const posted = await postReviewToGithub(appOctokitInstance, {
+                owner, repo, prNumber, headSha: prDetails.headSha, structured, files: prDetails.files
+            });
+            const resultText = posted
+                ? `:white_check_mark: Posted the review to GitHub (${posted.inlineComments} inline comments, ${posted.otherFindings} other findings): ${posted.url}`
+                : `:x: Failed to post the review to ${owner}/${repo}#${prNumber}. Check that the GitHub token can write pull request reviews.`;
+            await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: resultText });
+        }
+
         // Cleanup thinking message
         const ts = await thinkingMessagePromise;
         if (ts) {
@@ -352,11 +385,11 @@ ${prContext}`;
         return true; // Command handled successfully
 
     } catch (error) {
-        console.error(`[Command Handler] Error during PR review for gravityforms/${subRepo}#${prNumber}:`, error);
+        console.error(`[Command Handler] Error during PR review for ${owner}/${repo}#${prNumber}:`, error);
         await slack.chat.postMessage({
             channel,
             thread_ts: replyTarget,
-            text: `Sorry, I encountered an error trying to review PR gravityforms/${subRepo}#${prNumber}. Details: ${error.message}`
+            text: `Sorry, I encountered an error trying to review PR ${owner}/${repo}#${prNumber}. Details: ${error.message}`
         }).catch(() => {});
         // Cleanup thinking message on error too
         const ts = await thinkingMessagePromise;
@@ -368,32 +401,22 @@ ${prContext}`;
 }
 
 /**
- * Handles the 'analyze|summarize|etc. issue|backlog #NUM' command.
- * Fetches issue details, constructs prompts, queries LLM for summary and analysis, and posts results.
+ * Handles the 'analyze|summarize|etc. OWNER/REPO#NUM | <issue URL> | issue #NUM' command.
+ * Fetches issue details (full comment history, labels, assignees, timeline, linked PRs), builds the
+ * context (see issueAnalysis.js), queries LLM for summary and analysis, and posts results.
  *
- * @param {string} cleanedQuery - The processed user query text.
- * @param {string} replyTarget - The timestamp of the message to reply to.
- * @param {string} channel - The channel ID.
- * @param {import('@slack/web-api').WebClient} slack - The Slack WebClient instance.
- * @param {object} appOctokitInstance - The initialized Octokit instance (or null).
- * @param {Promise<string | null>} thinkingMessagePromise - Promise resolving to the thinking message timestamp.
- * @param {string} workspaceSlugForThread - The AnythingLLM workspace slug for the current thread.
- * @param {string} anythingLLMThreadSlug - The AnythingLLM thread slug for the current thread.
- * @returns {Promise<boolean>} - True if the command pattern matched and was handled, False otherwise.
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @param {{owner: string, repo: string, issueNumber: number, userPrompt: string}} args - Parsed command arguments.
+ * @returns {Promise<boolean>} - True if the command was handled, False otherwise.
  */
-async function handleIssueAnalysisCommand(cleanedQuery, replyTarget, channel, slack, appOctokitInstance, thinkingMessagePromise, workspaceSlugForThread, anythingLLMThreadSlug) {
-    const issueTriggerRegex = /^(analyze|summarize|explain|check|look into)\s+(issue|backlog)\s+#(\d+)/i;
-    const issueTriggerMatch = cleanedQuery.match(issueTriggerRegex);
-
-    if (!issueTriggerMatch) {
-        return false; // Pattern didn't match
-    }
-
-    const issueNumber = parseInt(issueTriggerMatch[3], 10);
-    const userPrompt = cleanedQuery.substring(issueTriggerMatch[0].length).trim();
-    const ghOwner = 'gravityforms'; // Assuming constant owner
-    const ghRepo = 'backlog'; // Assuming constant repo
-    console.log(`[Command Handler] GitHub issue analysis triggered for ${ghRepo}#${issueNumber}. User prompt: "${userPrompt}"`);
+async function handleIssueAnalysisCommand(ctx, args) {
+    const {
+        replyTarget, channel, slack, octokit: appOctokitInstance, thinkingMessagePromise,
+        workspaceSlug: workspaceSlugForThread, anythingLLMThreadSlug
+    } = ctx;
+    const { owner, repo, issueNumber, userPrompt } = args;
+    const issueRef = `${owner}/${repo}#${issueNumber}`;
+    console.log(`[Command Handler] GitHub issue analysis triggered for ${issueRef}. User prompt: "${userPrompt}"`);
 
     // Logic moved from messageHandler.js
     if (!githubToken || !appOctokitInstance) {
@@ -411,44 +434,41 @@ async function handleIssueAnalysisCommand(cleanedQuery, replyTarget, channel, sl
     }
 
     try {
-        await thinkingMessagePromise; // Ensure thinking message is posted
-        const issueDetails = await getGithubIssueDetails(appOctokitInstance, issueNumber);
+        const thinkingTs = await thinkingMessagePromise; // Ensure thinking message is posted
+        const issueDetails = await getGithubIssueDetails(appOctokitInstance, issueNumber, owner, repo);
 
         if (issueDetails) {
-            // Construct context
-            let issueContext = `**GitHub Issue:** ${ghOwner}/${ghRepo}#${issueNumber}\n`;
-            issueContext += `**Title:** ${issueDetails.title}\n`;
-            issueContext += `**URL:** <${issueDetails.url}|View on GitHub>\n`;
-            issueContext += `**Body:**\n${issueDetails.body || '(No body)'}\n\n`;
-            if (issueDetails.comments && issueDetails.comments.length > 0) {
-                issueContext += `**Recent Comments:**\n`;
-                issueDetails.comments.forEach(comment => {
-                    issueContext += `*${comment.user}:* ${comment.body.substring(0, 300)}${comment.body.length > 300 ? '...' : ''}\n---\n`;
-                });
-            }
+            // Construct context (long discussions are summarized in stages first)
+            const { context: issueContext } = await buildIssueContext(issueDetails, { owner, repo, issueNumber }, {
+                workspaceSlug: workspaceSlugForThread,
+                onProgress: async text => {
+                    if (!thinkingTs) return;
+                    await slack.chat.update({ channel, ts: thinkingTs, text }).catch(() => {});
+                }
+            });
 
             // Get summary
-            console.log(`[Command Handler] Requesting LLM summary for issue #${issueNumber}`);
-            const summarizePrompt = `Summarize the core problem described in the following GitHub issue details from gravityforms/backlog#${issueNumber}:\n\n${issueContext}`;
+            console.log(`[Command Handler] Requesting LLM summary for issue ${issueRef}`);
+            const summarizePrompt = `Summarize the core problem described in the following GitHub issue details from ${issueRef}, including its current status:\n\n${issueContext}`;
             console.log(`[Command Handler DEBUG] Calling queryLlm (Summary). Workspace: ${workspaceSlugForThread}, Thread: ${anythingLLMThreadSlug}`);
             const summaryResponse = await queryLlm(workspaceSlugForThread, anythingLLMThreadSlug, summarizePrompt);
             if (!summaryResponse) throw new Error('LLM failed to provide a summary.');
 
             // Post summary
-            console.log(`[Command Handler] Posting LLM summary for issue #${issueNumber}`);
-            const summaryBlock = markdownToRichTextBlock(`*LLM Summary for issue #${issueNumber}:*\n${summaryResponse}`);
+            console.log(`[Command Handler] Posting LLM summary for issue ${issueRef}`);
+            const summaryBlock = markdownToRichTextBlock(`*LLM Summary for issue ${issueRef}:*\n${summaryResponse}`);
             if (summaryBlock) {
                 await slack.chat.postMessage({
                     channel,
                     thread_ts: replyTarget,
-                    text: `Summary for issue #${issueNumber}: ${summaryResponse}`,
+                    text: `Summary for issue ${issueRef}: ${summaryResponse}`,
                     blocks: [summaryBlock]
                 });
             }
 
             // Get analysis
-            console.log(`[Command Handler] Requesting LLM analysis for issue #${issueNumber}`);
-            let analyzePrompt = `Based on your summary ("${summaryResponse}") and the full context below, analyze issue gravityforms/backlog#${issueNumber}`;
+            console.log(`[Command Handler] Requesting LLM analysis for issue ${issueRef}`);
+            let analyzePrompt = `Based on your summary ("${summaryResponse}") and the full context below, analyze issue ${issueRef}`;
             if (userPrompt) {
                 analyzePrompt += ` specifically addressing the following: "${userPrompt}"`;
             } else {
@@ -460,7 +480,7 @@ async function handleIssueAnalysisCommand(cleanedQuery, replyTarget, channel, sl
             if (!analysisResponse) throw new Error('LLM failed to provide analysis.');
 
             // Post analysis
-            console.log(`[Command Handler] Processing and sending LLM analysis for issue #${issueNumber}`);
+            console.log(`[Command Handler] Processing and sending LLM analysis for issue ${issueRef}`);
             const segments = extractTextAndCode(analysisResponse);
             for (let i = 0; i < segments.length; i++) {
                 const blocksToSend = [];
@@ -495,7 +515,7 @@ async function handleIssueAnalysisCommand(cleanedQuery, replyTarget, channel, sl
             await slack.chat.postMessage({
                 channel,
                 thread_ts: replyTarget,
-                text: `I couldn't fetch details for backlog issue #${issueNumber}. Please check if the number is correct.`
+                text: `I couldn't fetch details for issue ${issueRef}. Please check that the repository and number are correct and that I have access.`
             });
             const ts = await thinkingMessagePromise;
             if (ts) {
@@ -504,11 +524,11 @@ async function handleIssueAnalysisCommand(cleanedQuery, replyTarget, channel, sl
             return true; // Command handled (issue not found)
         }
     } catch (error) {
-        console.error(`[Command Handler] Error during GitHub issue analysis for #${issueNumber}:`, error);
+        console.error(`[Command Handler] Error during GitHub issue analysis for ${issueRef}:`, error);
         await slack.chat.postMessage({
             channel,
             thread_ts: replyTarget,
-            text: `Sorry, I encountered an error trying to analyze issue #${issueNumber}.`
+            text: `Sorry, I encountered an error trying to analyze issue ${issueRef}.`
         }).catch(() => {});
         const ts = await thinkingMessagePromise;
         if (ts) {
@@ -518,29 +538,178 @@ async function handleIssueAnalysisCommand(cleanedQuery, replyTarget, channel, sl
     }
 }
 
+// --- GitHub API Calls ---
+
 /**
- * Handles the generic 'github' or '#github' command.
- * Queries the GitHub LLM workspace, parses the response as API details, executes the API call,
- * optionally formats the result, and posts it back.
- *
- * @param {string} cleanedQuery - The processed user query text.
- * @param {string} replyTarget - The timestamp of the message to reply to.
- * @param {string} channel - The channel ID.
- * @param {import('@slack/web-api').WebClient} slack - The Slack WebClient instance.
- * @param {Promise<string | null>} thinkingMessagePromise - Promise resolving to the thinking message timestamp.
- * @param {string|null} githubWorkspaceSlug - Slug for the GitHub LLM workspace.
- * @param {string|null} formatterWorkspaceSlug - Slug for the Formatter LLM workspace.
- * @returns {Promise<boolean>} - True if the command pattern matched and was handled, False otherwise.
+ * Formats a GitHub API response (via FORMATTER_WORKSPACE_SLUG when set, raw JSON otherwise) and posts it in chunks.
+ * @param {import('@slack/web-api').WebClient} slack
+ * @param {string} channel
+ * @param {string} replyTarget - Thread to reply in.
+ * @param {object} githubResponse - Result of callGithubApi().
+ * @returns {Promise<void>}
+ */
+async function postGithubApiResult(slack, channel, replyTarget, githubResponse) {
+    let finalResponseText = '';
+    const rawJsonString = JSON.stringify(githubResponse, null, 2);
+
+    if (formatterWorkspaceSlug) {
+        console.log(`[Command Handler] Formatting response using workspace: ${formatterWorkspaceSlug}`);
+        const formatPrompt = rawJsonString;
+        console.log(`[Command Handler] Sending stringified JSON to formatter (length: ${formatPrompt.length})`);
+        try {
+            const formattedLLMResponse = await queryLlm(formatterWorkspaceSlug, null, formatPrompt, 'chat', []);
+            const trimmedResponse = formattedLLMResponse ? formattedLLMResponse.trim() : '';
+            if (trimmedResponse.length > 0) {
+                let rawFormatted = trimmedResponse;
+                console.log("[Command Handler] Successfully received formatted response (before cleaning).");
+                let cleanedFormattedResponse = rawFormatted;
+                if (cleanedFormattedResponse.startsWith('```markdown')) {
+                    cleanedFormattedResponse = cleanedFormattedResponse.substring(11);
+                } else if (cleanedFormattedResponse.startsWith('```')) {
+                    cleanedFormattedResponse = cleanedFormattedResponse.substring(3);
+                }
+                if (cleanedFormattedResponse.endsWith('```')) {
+                    cleanedFormattedResponse = cleanedFormattedResponse.substring(0, cleanedFormattedResponse.length - 3);
+                }
+                finalResponseText = cleanedFormattedResponse.trim();
+                console.log("[Command Handler] Cleaned formatted response before sending to Slack.");
+            } else {
+                console.warn("[Command Handler] Formatter LLM returned empty. Falling back to raw JSON.");
+                finalResponseText = `(Formatter failed or returned empty, showing raw data):\n\`\`\`json\n${rawJsonString}\n\`\`\``;
+            }
+        } catch (formatError) {
+            console.error('[Command Handler] Error calling formatter LLM:', formatError);
+            finalResponseText = `(Error during formatting: ${formatError.message})\n\nRaw data:\n\`\`\`json\n${rawJsonString}\n\`\`\``;
+        }
+    } else {
+        console.log("[Command Handler] No formatter workspace configured. Sending raw JSON.");
+        finalResponseText = `Here is the raw response from the GitHub API:\n\`\`\`json\n${rawJsonString}\n\`\`\``;
+    }
+
+    console.log("[Command Handler] Splitting final response for Slack.");
+    const chunks = splitMessageIntoChunks( finalResponseText );
+    console.log(`[Command Handler] Split into ${chunks.length} chunk(s).`);
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        console.log(`[Command Handler] Processing chunk ${i + 1}/${chunks.length}`);
+        const responseBlock = markdownToRichTextBlock(chunk);
+        if (responseBlock) {
+            await slack.chat.postMessage({
+                channel: channel,
+                thread_ts: replyTarget,
+                text: chunk.substring(0, 200),
+                blocks: [responseBlock]
+            });
+        } else {
+            console.warn(`[Command Handler] Failed block generation for chunk ${i + 1}. Sending plain text.`);
+            await slack.chat.postMessage({
+                channel: channel,
+                thread_ts: replyTarget,
+                text: chunk
+            });
+        }
+        if (chunks.length > 1 && i < chunks.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    }
+    console.log("[Command Handler] Finished posting all chunks.");
+}
+
+/**
+ * Builds the approval card for a mutating GitHub API call.
+ * @param {{endpoint: string, method: string, parameters: object}} request - Sanitized request from evaluateGithubApiCall().
+ * @param {string} userId - The requester; only they can approve.
+ * @param {string} confirmationId - From savePendingGithubApiCall().
+ * @returns {object[]} Slack blocks.
  */
-async function handleGithubApiCommand(cleanedQuery, replyTarget, channel, slack, thinkingMessagePromise, githubWorkspaceSlug, formatterWorkspaceSlug) {
-    const isGithubCommand = cleanedQuery.toLowerCase().startsWith('github') || cleanedQuery.includes('#github');
+function buildGithubApiConfirmationBlocks(request, userId, confirmationId) {
+    return [
+        { type: 'section', text: { type: 'mrkdwn', text: `:warning: <@${userId}>, this will *change data on GitHub* using the bot's token:` } },
+        { type: 'section', text: { type: 'mrkdwn', text: describeGithubApiCall(request) } },
+        {
+            type: 'actions',
+            block_id: 'github_api_confirmation',
+            elements: [
+                { type: 'button', action_id: GITHUB_API_APPROVE_ACTION, style: 'primary', text: { type: 'plain_text', text: 'Approve' }, value: confirmationId },
+                { type: 'button', action_id: GITHUB_API_CANCEL_ACTION, text: { type: 'plain_text', text: 'Cancel' }, value: confirmationId }
+            ]
+        },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `Only <@${userId}> can approve. Expires in ${Math.round(GITHUB_API_CONFIRMATION_TTL / 60)} minutes.` }] }
+    ];
+}
 
-    if (!isGithubCommand || !githubWorkspaceSlug) {
-        return false; // Pattern didn't match or slug not configured
+/**
+ * Handles the Approve/Cancel buttons on a GitHub API confirmation card.
+ * The call runs only when the original requester approves, and is re-checked against the policy first.
+ * @param {object} payload - Slack block_actions payload.
+ * @param {import('@slack/web-api').WebClient} slack
+ * @returns {Promise<void>}
+ */
+async function handleGithubApiConfirmationAction(payload, slack) {
+    const action = payload.actions[0];
+    const userId = payload.user.id;
+    const channelId = payload.channel.id;
+    const messageTs = payload.message.ts;
+    const approved = action.action_id === GITHUB_API_APPROVE_ACTION;
+    const replaceActions = async text => {
+        const blocks = (payload.message.blocks || []).filter(block => block.type !== 'actions' && block.type !== 'context');
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text }] });
+        await slack.chat.update({ channel: channelId, ts: messageTs, text, blocks }).catch(error => {
+            console.warn('[Command Handler] Failed to update GitHub API confirmation card:', error.data?.error || error.message);
+        });
+    };
+
+    const stored = await getPendingGithubApiCall(action.value);
+    if (stored && stored.userId !== userId) {
+        await slack.chat.postEphemeral({ channel: channelId, user: userId, text: `Only <@${stored.userId}> can approve or cancel this request.` });
+        return;
+    }
+    // Taking the call removes it, so a double click can't run it twice
+    const pending = stored && await takePendingGithubApiCall(action.value);
+    if (!pending) {
+        await replaceActions(':hourglass: This request expired or was already handled.');
+        return;
+    }
+    if (!approved) {
+        console.log(`[Command Handler] GitHub API call ${action.value} cancelled by ${userId}`);
+        await replaceActions(`:no_entry_sign: Cancelled by <@${userId}>.`);
+        return;
     }
 
-    console.log(`[Command Handler] GitHub API command trigger detected for text: "${cleanedQuery}"`);
-    const githubQuery = cleanedQuery.replace(/^github/i, '').replace(/#github/g, '').trim();
+    // Permissions or policy may have changed since the card was posted
+    const evaluation = evaluateGithubApiCall(pending.request, userId);
+    if (!evaluation.allowed) {
+        await replaceActions(`🚫 Not run: ${evaluation.reason}`);
+        return;
+    }
+    console.log(`[Command Handler] GitHub API call ${action.value} approved by ${userId}: ${evaluation.request.method} ${evaluation.request.endpoint}`);
+    await replaceActions(`:white_check_mark: Approved by <@${userId}>. Running...`);
+    try {
+        const githubResponse = await callGithubApi(evaluation.request);
+        await postGithubApiResult(slack, pending.channel, pending.replyTarget, githubResponse);
+    } catch (apiError) {
+        console.error('[Command Handler] Error calling GitHub API after approval:', apiError);
+        await slack.chat.postMessage({
+            channel: pending.channel,
+            thread_ts: pending.replyTarget,
+            text: `Sorry, I encountered an error while calling the GitHub API: ${apiError.message}`
+        });
+    }
+}
+
+/**
+ * Handles the generic 'github' or '#github' command.
+ * Queries the GitHub LLM workspace (GITHUB_WORKSPACE_SLUG), parses the response as API details,
+ * executes the API call, optionally formats the result (FORMATTER_WORKSPACE_SLUG), and posts it back.
+ *
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @param {{githubQuery: string}} args - Parsed command arguments.
+ * @returns {Promise<boolean>} - True if the command was handled, False otherwise.
+ */
+async function handleGithubApiCommand(ctx, args) {
+    const { replyTarget, channel, slack, thinkingMessagePromise } = ctx;
+    const { githubQuery } = args;
+    console.log(`[Command Handler] GitHub API command trigger detected for text: "${ctx.query}"`);
     console.log(`[Command Handler] Querying GitHub workspace with: "${githubQuery}"`);
 
     // Logic moved from messageHandler.js
@@ -583,92 +752,46 @@ async function handleGithubApiCommand(cleanedQuery, replyTarget, channel, slack,
             return true; // Handled (parse error reported)
         }
 
-        // Call the GitHub API using the service
-        try {
-            console.log("[Command Handler] Calling GitHub API with details:", apiDetails);
-            const githubResponse = await callGithubApi(apiDetails);
-            console.log("[Command Handler] Received response from GitHub.");
-
-            let finalResponseText = '';
-            const rawJsonString = JSON.stringify(githubResponse, null, 2);
-
-            if (formatterWorkspaceSlug) {
-                console.log(`[Command Handler] Formatting response using workspace: ${formatterWorkspaceSlug}`);
-                const formatPrompt = rawJsonString;
-                console.log(`[Command Handler] Sending stringified JSON to formatter (length: ${formatPrompt.length})`);
+        // Check the generated call against the policy before anything runs with the bot's token
+        const evaluation = evaluateGithubApiCall(apiDetails, ctx.userId);
+        if (!evaluation.allowed) {
+            console.warn(`[Command Handler] Blocked GitHub API call for user ${ctx.userId}: ${evaluation.reason}`, apiDetails);
+            await slack.chat.postMessage({
+                channel: channel,
+                thread_ts: replyTarget,
+                text: `🚫 I can't run that GitHub API call. ${evaluation.reason}`
+            });
+        } else if (evaluation.mutating) {
+            // Mutating calls wait for the requester to approve the exact request
+            const confirmationId = await savePendingGithubApiCall({ request: evaluation.request, userId: ctx.userId, channel, replyTarget });
+            console.log(`[Command Handler] Awaiting approval ${confirmationId} for ${evaluation.request.method} ${evaluation.request.endpoint}`);
+            await slack.chat.postMessage({
+                channel: channel,
+                thread_ts: replyTarget,
+                text: `This will change data on GitHub. Approve or cancel: ${evaluation.request.method} ${evaluation.request.endpoint}`,
+                blocks: buildGithubApiConfirmationBlocks(evaluation.request, ctx.userId, confirmationId)
+            });
+        } else {
+            // Call the GitHub API using the service
+            try {
+                console.log("[Command Handler] Calling GitHub API with details:", evaluation.request);
+                const githubResponse = await callGithubApi(evaluation.request);
+                console.log("[Command Handler] Received response from GitHub.");
+                await postGithubApiResult(slack, channel, replyTarget, githubResponse);
+            } catch (apiError) {
+                console.error('[Command Handler] Error calling GitHub API:', apiError);
                 try {
-                    const formattedLLMResponse = await queryLlm(formatterWorkspaceSlug, null, formatPrompt, 'chat', []);
-                    const trimmedResponse = formattedLLMResponse ? formattedLLMResponse.trim() : '';
-                    if (trimmedResponse.length > 0) {
-                        let rawFormatted = trimmedResponse;
-                        console.log("[Command Handler] Successfully received formatted response (before cleaning).");
-                        let cleanedFormattedResponse = rawFormatted;
-                        if (cleanedFormattedResponse.startsWith('```markdown')) {
-                            cleanedFormattedResponse = cleanedFormattedResponse.substring(11);
-                        } else if (cleanedFormattedResponse.startsWith('```')) {
-                            cleanedFormattedResponse = cleanedFormattedResponse.substring(3);
-                        }
-                        if (cleanedFormattedResponse.endsWith('```')) {
-                            cleanedFormattedResponse = cleanedFormattedResponse.substring(0, cleanedFormattedResponse.length - 3);
-                        }
-                        finalResponseText = cleanedFormattedResponse.trim();
-                        console.log("[Command Handler] Cleaned formatted response before sending to Slack.");
-                    } else {
-                        console.warn("[Command Handler] Formatter LLM returned empty. Falling back to raw JSON.");
-                        finalResponseText = `(Formatter failed or returned empty, showing raw data):\n\`\`\`json\n${rawJsonString}\n\`\`\``;
-                    }
-                } catch (formatError) {
-                    console.error('[Command Handler] Error calling formatter LLM:', formatError);
-                    finalResponseText = `(Error during formatting: ${formatError.message})\n\nRaw data:\n\`\`\`json\n${rawJsonString}\n\`\`\``;
-                }
-            } else {
-                console.log("[Command Handler] No formatter workspace configured. Sending raw JSON.");
-                finalResponseText = `Here is the raw response from the GitHub API:\n\`\`\`json\n${rawJsonString}\n\`\`\``;
-            }
-
-            console.log("[Command Handler] Splitting final response for Slack.");
-            const chunks = splitMessageIntoChunks( finalResponseText );
-            console.log(`[Command Handler] Split into ${chunks.length} chunk(s).`);
-            for (let i = 0; i < chunks.length; i++) {
-                const chunk = chunks[i];
-                console.log(`[Command Handler] Processing chunk ${i + 1}/${chunks.length}`);
-                const responseBlock = markdownToRichTextBlock(chunk);
-                if (responseBlock) {
-                    await slack.chat.postMessage({
-                        channel: channel,
-                        thread_ts: replyTarget,
-                        text: chunk.substring(0, 200),
-                        blocks: [responseBlock]
-                    });
-                } else {
-                    console.warn(`[Command Handler] Failed block generation for chunk ${i + 1}. Sending plain text.`);
                     await slack.chat.postMessage({
                         channel: channel,
                         thread_ts: replyTarget,
-                        text: chunk
+                        text: `Sorry, I encountered an error while calling the GitHub API: ${apiError.message}`
                     });
+                } catch (slackErrorWhileReportingApiError) {
+                    console.error('[Command Handler] CRITICAL: Failed API call AND failed report to Slack:', slackErrorWhileReportingApiError);
+                    console.error('[Command Handler] Original API Error:', apiError);
                 }
-                if (chunks.length > 1 && i < chunks.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                }
-            }
-            console.log("[Command Handler] Finished posting all chunks.");
-
-            // Cleanup handled below
-
-        } catch (apiError) {
-            console.error('[Command Handler] Error calling GitHub API:', apiError);
-            try {
-                await slack.chat.postMessage({
-                    channel: channel,
-                    thread_ts: replyTarget,
-                    text: `Sorry, I encountered an error while calling the GitHub API: ${apiError.message}`
-                });
-            } catch (slackErrorWhileReportingApiError) {
-                console.error('[Command Handler] CRITICAL: Failed API call AND failed report to Slack:', slackErrorWhileReportingApiError);
-                console.error('[Command Handler] Original API Error:', apiError);
+                // Cleanup handled below, still return true as we handled the command trigger
             }
-            // Cleanup handled below, still return true as we handled the command trigger
         }
 
     } catch (llmError) {
@@ -695,13 +818,117 @@ async function handleGithubApiCommand(cleanedQuery, replyTarget, channel, slack,
     return true; // Command was handled (success or error reported)
 }
 
-// TODO: Add handlers for GitHub API calls
+/**
+ * Handles the 'help' command by listing every registered command available to the user.
+ *
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @returns {Promise<boolean>} - Always true.
+ */
+async function handleHelpCommand(ctx) {
+    const { channel, replyTarget, slack, userId } = ctx;
+    const helpText = buildHelpText(userId);
+    const helpBlock = markdownToRichTextBlock(helpText, `help_${Date.now()}`);
+    await slack.chat.postMessage({
+        channel,
+        thread_ts: replyTarget,
+        text: helpText,
+        ...(helpBlock ? { blocks: [helpBlock] } : {})
+    }).catch(error => console.error('[Command Handler] Failed to post help:', error.data?.error || error.message));
+    return true;
+}
 
+// --- Command Registration ---
+// Order matters: the first matching pattern wins.
+
+registerCommand({
+    name: 'help',
+    pattern: /^(help|commands)\s*$/i,
+    help: 'help',
+    description: 'Show this list of commands.',
+    requiresThread: false,
+    handler: handleHelpCommand
+});
+
+registerCommand({
+    name: 'delete last message',
+    pattern: /^#delete_last_message/i,
+    help: '#delete_last_message',
+    description: 'Delete my last message in this thread.',
+    requiresThread: false,
+    handler: handleDeleteLastMessageCommand
+});
+
+registerCommand({
+    name: 'latest release',
+    pattern: /latest\s+(\S+(?:\s+\S+){0,3}?)\s+release/i,
+    parseArgs: match => ({ productName: match[1] }),
+    requiredConfig: { GITHUB_TOKEN: githubToken },
+    help: 'latest <product|owner/repo> release',
+    description: 'Show the latest GitHub release of a product or repository.',
+    rateLimit: 'github',
+    handler: handleReleaseInfoCommand
+});
+
+registerCommand({
+    name: 'release changes',
+    pattern: /^(what(?:'s| has| have)?\s+)?chang(?:es|ed)\s+in\s+(.+?)(?:\s+(?:from|between)\s+(\S+)\s+(?:to|and)\s+([^\s?]+))?\s*\??$/i,
+    parseArgs: match => ({ productName: match[2].trim(), from: match[3] || null, to: match[4] || null, isQuestion: Boolean(match[1]) }),
+    requiredConfig: { GITHUB_TOKEN: githubToken },
+    help: 'changes in <product|owner/repo> [from <tag> to <tag>]',
+    description: 'Summarize what changed between two releases (default: previous and latest).',
+    rateLimit: 'github',
+    handler: handleReleaseChangesCommand
+});
+
+registerCommand({
+    name: 'review pr',
+    pattern: /^review\s+pr\s+([\w.-]+)\/([\w.-]+)#(\d+)\s+#([\w-]+)(.*)$/i,
+    parseArgs: match => ({
+        owner: match[1],
+        repo: match[2],
+        prNumber: parseInt(match[3], 10),
+        workspaceSlug: match[4],
+        postToGithub: /(^|\s)--post\b/i.test(match[5])
+    }),
+    requiredConfig: { GITHUB_TOKEN: githubToken },
+    help: 'review pr <owner>/<repo>#<number> #<workspace> [--post]',
+    description: 'LLM code review of a pull request (--post also publishes it on GitHub as review comments).',
+    rateLimit: 'pr_review',
+    handler: handlePrReviewCommand
+});
+
+registerCommand({
+    name: 'analyze issue',
+    pattern: /^(analyze|summarize|explain|check|look into)\s+(?:issue\s+)?(?:<?https?:\/\/github\.com\/[\w.-]+\/[\w.-]+\/(?:issues|pull)\/\d+|[\w.-]+\/[\w.-]+#\d+|(?:issue|backlog)\s+#\d+)/i,
+    parseArgs: (match, query) => {
+        const { owner, repo, issueNumber, rest } = parseIssueReference(query.substring(match[1].length));
+        return { owner, repo, issueNumber, userPrompt: rest };
+    },
+    requiredConfig: { GITHUB_TOKEN: githubToken },
+    help: 'analyze <owner/repo#number | issue URL | issue #number> [question]',
+    description: 'Summarize and analyze a GitHub issue, including its full discussion (issue #n = backlog).',
+    rateLimit: 'github',
+    handler: handleIssueAnalysisCommand
+});
+
+registerCommand({
+    name: 'github',
+    pattern: /^github|#github/i,
+    parseArgs: (match, query) => ({ githubQuery: query.replace(/^github/i, '').replace(/#github/g, '').trim() }),
+    requiredConfig: { GITHUB_TOKEN: githubToken, GITHUB_WORKSPACE_SLUG: githubWorkspaceSlug },
+    help: 'github <question>',
+    description: 'Ask anything answerable through the GitHub API.',
+    rateLimit: 'github',
+    handler: handleGithubApiCommand
+});
 export {
+    handleHelpCommand,
     handleDeleteLastMessageCommand,
     handleReleaseInfoCommand,
+    handleReleaseChangesCommand,
     handlePrReviewCommand,
     handleIssueAnalysisCommand,
-    handleGithubApiCommand // Export the new handler
+    handleGithubApiCommand, // Export the new handler
+    handleGithubApiConfirmationAction
     // Add other handlers here as they are created
 };
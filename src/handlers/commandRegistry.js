@@ -0,0 +1,152 @@
+// src/handlers/commandRegistry.js
+// Declarative registry for bot commands. Command modules call registerCommand() when they
+// are loaded; messageHandler.js only matches and runs whatever is registered.
+
+import { hasPermission } from '../permissions.js';
+
+/**
+ * @typedef {object} CommandContext
+ * @property {import('@slack/web-api').WebClient} slack - The Slack WebClient instance.
+ * @property {object|null} octokit - The initialized Octokit instance (or null).
+ * @property {object} event - The raw Slack event.
+ * @property {string} userId - The requesting Slack user ID.
+ * @property {string} channel - The channel ID.
+ * @property {string} replyTarget - The thread TS (or original message TS) to reply to.
+ * @property {string} originalTs - TS of the triggering message.
+ * @property {string|undefined} threadTs - Thread TS of the triggering message, if any.
+ * @property {boolean} isDM - Whether the message came from a DM.
+ * @property {string} query - The cleaned user query (bot mention removed).
+ * @property {Promise<string|null>|null} thinkingMessagePromise - Resolves to the thinking message TS (null for commands that run before it is posted).
+ * @property {string|null} workspaceSlug - AnythingLLM workspace for the thread (null when requiresThread is false).
+ * @property {string|null} anythingLLMThreadSlug - AnythingLLM thread for the Slack thread (null when requiresThread is false).
+ */
+
+/**
+ * @typedef {object} CommandDefinition
+ * @property {string} name - Unique command name, shown in help.
+ * @property {RegExp} pattern - Trigger pattern, tested against the cleaned query.
+ * @property {(match: RegExpMatchArray, query: string) => object} [parseArgs] - Turns the regex match into handler arguments.
+ * @property {Object<string, *>} [requiredConfig] - Config values the command needs, keyed by display name (e.g. { GITHUB_TOKEN: githubToken }).
+ * @property {string} [permission] - Permission name required to run the command (see permissions.js).
+ * @property {string} help - Usage string shown in help.
+ * @property {string} [description] - One-line description shown in help.
+ * @property {boolean} [requiresThread=true] - Whether the AnythingLLM thread must be resolved before running.
+ * @property {string} [rateLimit='chat'] - Rate limit category (see RATE_LIMITS in config.js).
+ * @property {(ctx: CommandContext, args: object) => Promise<boolean>} handler - Returns true if the command was handled.
+ */
+
+/** @type {CommandDefinition[]} */
+const commands = [];
+
+/**
+ * Registers a command. Commands are matched in registration order.
+ * @param {CommandDefinition} definition
+ */
+export function registerCommand(definition) {
+    const { name, pattern, handler, help } = definition || {};
+    if (!name || !(pattern instanceof RegExp) || typeof handler !== 'function' || !help) {
+        throw new Error(`[Command Registry] Invalid command definition: ${name || '(unnamed)'}`);
+    }
+    if (commands.some(command => command.name === name)) {
+        throw new Error(`[Command Registry] Command "${name}" is already registered.`);
+    }
+    commands.push({ requiresThread: true, requiredConfig: {}, parseArgs: () => ({}), rateLimit: 'chat', ...definition });
+    console.log(`[Command Registry] Registered command: ${name}`);
+}
+
+/**
+ * Returns all registered commands (in match order).
+ * @returns {CommandDefinition[]}
+ */
+export function getCommands() {
+    return [...commands];
+}
+
+/**
+ * Finds the first registered command whose pattern matches the query.
+ * @param {string} query - The cleaned user query.
+ * @returns {{command: CommandDefinition, args: object} | null}
+ */
+export function matchCommand(query) {
+    for (const command of commands) {
+        const match = query.match(command.pattern);
+        if (match) {
+            return { command, args: command.parseArgs(match, query) || {} };
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the required config keys that are not set for a command.
+ * @param {CommandDefinition} command
+ * @returns {string[]}
+ */
+export function getMissingConfig(command) {
+    return Object.entries(command.requiredConfig || {})
+        .filter(([, value]) => !value)
+        .map(([key]) => key);
+}
+
+// Removes the thinking message, if one was posted for this context
+async function clearThinkingMessage(ctx) {
+    const ts = await ctx.thinkingMessagePromise;
+    if (ts) {
+        ctx.slack.chat.delete({ channel: ctx.channel, ts: ts }).catch(() => {});
+    }
+}
+
+/**
+ * Runs a matched command after checking its required config and permissions.
+ * @param {{command: CommandDefinition, args: object}} matched - Result of matchCommand().
+ * @param {CommandContext} ctx - Shared command context.
+ * @returns {Promise<boolean>} True if the command handled the message.
+ */
+export async function runCommand(matched, ctx) {
+    const { command, args } = matched;
+
+    const missingConfig = getMissingConfig(command);
+    if (missingConfig.length > 0) {
+        console.warn(`[Command Registry] Command "${command.name}" unavailable, missing config: ${missingConfig.join(', ')}`);
+        await ctx.slack.chat.postMessage({
+            channel: ctx.channel,
+            thread_ts: ctx.replyTarget,
+            text: `Sorry, \`${command.name}\` isn't available right now (missing configuration: ${missingConfig.join(', ')}).`
+        }).catch(() => {});
+        await clearThinkingMessage(ctx);
+        return true;
+    }
+
+    if (!hasPermission(ctx.userId, command.permission)) {
+        console.warn(`[Command Registry] User ${ctx.userId} lacks permission "${command.permission}" for command "${command.name}"`);
+        await ctx.slack.chat.postMessage({
+            channel: ctx.channel,
+            thread_ts: ctx.replyTarget,
+            text: `Sorry, you don't have permission to use \`${command.name}\`.`
+        }).catch(() => {});
+        await clearThinkingMessage(ctx);
+        return true;
+    }
+
+    console.log(`[Command Registry] Running command "${command.name}" for user ${ctx.userId}`);
+    return command.handler(ctx, args);
+}
+
+/**
+ * Builds the help text listing every command available to a user.
+ * @param {string} userId - The requesting Slack user ID.
+ * @returns {string} Markdown help text.
+ */
+export function buildHelpText(userId) {
+    const lines = ['*Available commands:*'];
+    for (const command of commands) {
+        if (!hasPermission(userId, command.permission)) continue;
+        const missingConfig = getMissingConfig(command);
+        let line = `• \`${command.help}\``;
+        if (command.description) line += ` – ${command.description}`;
+        if (missingConfig.length > 0) line += ` _(unavailable: missing ${missingConfig.join(', ')})_`;
+        lines.push(line);
+    }
+    lines.push('', 'Anything else is sent to the knowledge base. Add `#workspace` to pick a specific workspace.');
+    return lines.join('\n');
+}
@@ -0,0 +1,300 @@
+// src/handlers/feedbackHandler.js
+// Feedback buttons (👎 👌 👍) under answers, and the "What went wrong?" modal shown after a 👎.
+// The rating is stored first; its row ID travels in the modal's private_metadata so the details link back to it.
+// The modal opens before the rating is stored, so a quick submission may not carry the ID yet: it's then looked up
+// by message and user, or filled in once the rating is stored.
+
+import { databaseUrl } from '../config.js';
+import { dbPool } from '../services.js';
+
+export const FEEDBACK_REASON_MODAL_CALLBACK_ID = 'feedback_reason_modal';
+const FEEDBACK_REASON_CATEGORIES = [
+    { value: 'wrong', label: 'The answer is wrong' },
+    { value: 'outdated', label: 'The answer is outdated' },
+    { value: 'incomplete', label: 'The answer is incomplete' },
+    { value: 'wrong_workspace', label: 'Wrong knowledge workspace' }
+];
+
+const defaultPool = () => (databaseUrl ? dbPool : null);
+
+// --- Storage ---
+
+/**
+ * Stores a feedback rating.
+ * @param {object} feedbackData - Column values for the feedback table.
+ * @param {import('pg').Pool|null} [pool] - Defaults to the shared pool when DATABASE_URL is set.
+ * @returns {Promise<number|null>} The new feedback row ID, or null if it could not be stored.
+ */
+export async function storeFeedback(feedbackData, pool = defaultPool()) {
+    if (!pool) {
+        console.warn("DATABASE_URL not configured, logging feedback to console only.");
+        console.log("--- FEEDBACK (Console Log) ---", JSON.stringify(feedbackData, null, 2));
+        return null;
+    }
+    const insertQuery = `
+        INSERT INTO feedback (feedback_value, user_id, channel_id, bot_message_ts, original_user_message_ts, action_id, sphere_slug, bot_message_text, original_user_message_text)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id;`;
+    const values = [
+        feedbackData.feedback_value || null, feedbackData.user_id || null,
+        feedbackData.channel_id || null, feedbackData.bot_message_ts || null,
+        feedbackData.original_user_message_ts || null, feedbackData.action_id || null,
+        feedbackData.sphere_slug || null, feedbackData.bot_message_text || null,
+        feedbackData.original_user_message_text || null
+    ];
+    let client;
+    try {
+        client = await pool.connect();
+        console.log(`[Slack Service/Feedback] Inserting: User=${values[1]}, Val=${values[0]}, Sphere=${values[6]}`);
+        const result = await client.query(insertQuery, values);
+        if (result.rows?.[0]?.id) {
+             console.log(`[Slack Service/Feedback] Saved ID: ${result.rows[0].id}`);
+             return result.rows[0].id;
+        }
+        console.warn('[Slack Service/Feedback] Insert OK, no ID.');
+    } catch (err) {
+        console.error('[Slack Service/Feedback DB Error]', err);
+    } finally {
+        if (client) client.release();
+    }
+    return null;
+}
+
+/**
+ * Stores the 👎 modal submission. Without a feedback ID, the user's latest rating of the message is used.
+ * @param {{feedbackId: number|null, userId: string, channelId: string, messageTs: string, category: string, correction: string|null}} details
+ * @param {import('pg').Pool|null} [pool] - Defaults to the shared pool when DATABASE_URL is set.
+ */
+export async function storeFeedbackDetails({ feedbackId, userId, channelId, messageTs, category, correction }, pool = defaultPool()) {
+    if (!pool) {
+        console.log("--- FEEDBACK DETAILS (Console Log) ---", JSON.stringify({ feedbackId, userId, channelId, messageTs, category, correction }, null, 2));
+        return;
+    }
+    const insertQuery = `
+        INSERT INTO feedback_details (feedback_id, category, correction, user_id, channel_id, bot_message_ts)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING id;`;
+    const lookupQuery = `
+        SELECT id FROM feedback
+        WHERE channel_id = $1 AND bot_message_ts = $2 AND user_id = $3
+        ORDER BY id DESC LIMIT 1;`;
+    let client;
+    try {
+        client = await pool.connect();
+        if (feedbackId == null) {
+            feedbackId = (await client.query(lookupQuery, [channelId, messageTs, userId])).rows?.[0]?.id ?? null;
+        }
+        const result = await client.query(insertQuery, [feedbackId, category, correction || null, userId, channelId, messageTs]);
+        console.log(`[Slack Service/Feedback] Saved details ID: ${result.rows?.[0]?.id} (feedback ID: ${feedbackId ?? 'unknown'})`);
+    } catch (err) {
+        console.error('[Slack Service/Feedback Details DB Error]', err);
+    } finally {
+        if (client) client.release();
+    }
+}
+
+/**
+ * Links 👎 details that were submitted before their rating was stored.
+ * @param {number} feedbackId
+ * @param {{userId: string, channelId: string, messageTs: string}} message
+ * @param {import('pg').Pool|null} [pool] - Defaults to the shared pool when DATABASE_URL is set.
+ */
+export async function linkFeedbackDetails(feedbackId, { userId, channelId, messageTs }, pool = defaultPool()) {
+    if (!pool) return;
+    const updateQuery = `
+        UPDATE feedback_details SET feedback_id = $1
+        WHERE feedback_id IS NULL AND user_id = $2 AND channel_id = $3 AND bot_message_ts = $4;`;
+    let client;
+    try {
+        client = await pool.connect();
+        const result = await client.query(updateQuery, [feedbackId, userId, channelId, messageTs]);
+        if (result.rowCount > 0) console.log(`[Slack Service/Feedback] Linked ${result.rowCount} earlier details row(s) to feedback ID ${feedbackId}`);
+    } catch (err) {
+        console.error('[Slack Service/Feedback Details DB Error]', err);
+    } finally {
+        if (client) client.release();
+    }
+}
+
+// --- 👎 Reason Modal ---
+
+// Builds the modal asking why an answer was rated 👎. Metadata links the submission back to the rating.
+function buildFeedbackReasonModal(metadata) {
+    return {
+        type: 'modal',
+        callback_id: FEEDBACK_REASON_MODAL_CALLBACK_ID,
+        private_metadata: JSON.stringify(metadata),
+        title: { type: 'plain_text', text: 'What went wrong?' },
+        submit: { type: 'plain_text', text: 'Send' },
+        close: { type: 'plain_text', text: 'Skip' },
+        blocks: [
+            {
+                type: 'input',
+                block_id: 'category_block',
+                label: { type: 'plain_text', text: 'Problem' },
+                element: {
+                    type: 'static_select',
+                    action_id: 'category',
+                    placeholder: { type: 'plain_text', text: 'Choose a reason' },
+                    options: FEEDBACK_REASON_CATEGORIES.map(category => ({
+                        text: { type: 'plain_text', text: category.label },
+                        value: category.value
+                    }))
+                }
+            },
+            {
+                type: 'input',
+                block_id: 'correction_block',
+                optional: true,
+                label: { type: 'plain_text', text: 'Correction (what should the answer have said?)' },
+                element: { type: 'plain_text_input', action_id: 'correction', multiline: true, max_length: 3000 }
+            }
+        ]
+    };
+}
+
+/**
+ * Handles the feedback modal submission.
+ * @param {object} payload - view_submission payload.
+ * @param {{pool?: import('pg').Pool|null}} [options] - Injectable for tests.
+ */
+export async function handleFeedbackReasonSubmission(payload, { pool = defaultPool() } = {}) {
+    const metadata = JSON.parse(payload.view.private_metadata || '{}');
+    const values = payload.view.state?.values || {};
+    await storeFeedbackDetails({
+        feedbackId: metadata.feedbackId ?? null,
+        userId: payload.user.id,
+        channelId: metadata.channelId,
+        messageTs: metadata.messageTs,
+        category: values.category_block?.category?.selected_option?.value || 'unspecified',
+        correction: values.correction_block?.correction?.value || null
+    }, pool);
+}
+
+// --- Feedback Buttons ---
+
+/**
+ * Handles a click on a feedback button: stores the rating, asks why for 👎 and thanks the user.
+ * @param {object} payload - block_actions payload.
+ * @param {import('@slack/web-api').WebClient} slack
+ * @param {{pool?: import('pg').Pool|null}} [options] - Injectable for tests.
+ */
+export async function handleFeedbackAction(payload, slack, { pool = defaultPool() } = {}) {
+    const action = payload.actions[0];
+    const { action_id: actionId, block_id: blockId } = action;
+    const { id: userId } = payload.user;
+    const { id: channelId } = payload.channel;
+    const { ts: messageTs } = payload.message; // TS of the message containing the button
+    const feedbackValue = action.value;
+    let originalQuestionTs = null;
+    let responseSphere = null;
+    let encodedFallbackText = null;
+
+    if (blockId?.startsWith('feedback_')) {
+        const parts = blockId.substring(9).split('_'); // Format: origTS_sphere_encodedText
+        originalQuestionTs = parts[0];
+        if (parts.length > 1) { responseSphere = parts[1]; }
+        // The rest is the encoded text (might contain underscores)
+        if (parts.length > 2) { encodedFallbackText = parts.slice(2).join('_'); }
+    }
+    console.log(`[Interaction Handler] Feedback: User ${userId}, Val ${feedbackValue}, OrigTS ${originalQuestionTs}, Sphere ${responseSphere}, EncodedText? ${!!encodedFallbackText}`);
+
+    // For 👎, ask why. trigger_id expires after 3 seconds, so the modal opens before anything slow;
+    // it gets the feedback ID once the rating is stored.
+    const modalMetadata = { channelId, messageTs, sphere: responseSphere };
+    let modalPromise = null;
+    if (feedbackValue === 'bad' && payload.trigger_id) {
+        modalPromise = slack.views.open({
+            trigger_id: payload.trigger_id,
+            view: buildFeedbackReasonModal(modalMetadata)
+        }).catch(modalError => {
+            console.warn('[Interaction Handler] Failed to open feedback reason modal:', modalError.data?.error || modalError.message);
+            return null;
+        });
+    }
+
+    // Fetch original *user* question text
+    let originalQuestionText = null;
+    if (originalQuestionTs && channelId) {
+        try {
+            const historyResult = await slack.conversations.history({ channel: channelId, latest: originalQuestionTs, oldest: originalQuestionTs, inclusive: true, limit: 1 });
+            if (historyResult.ok && historyResult.messages?.[0]?.text) {
+                originalQuestionText = historyResult.messages[0].text;
+            } else { console.warn("[Interaction] Failed to fetch original message text or msg not found."); }
+        } catch (historyError) {
+            console.error('[Interaction] Error fetching original message text:', historyError.data?.error || historyError.message);
+        }
+    }
+
+    // The answer text is encoded in the block_id
+    let actualBotMessageText = null;
+    if (encodedFallbackText) {
+        try {
+            actualBotMessageText = decodeURIComponent(encodedFallbackText);
+            console.log(`[Interaction Handler] Decoded bot message text from block_id: "${actualBotMessageText.substring(0, 50)}..."`);
+        } catch (decodeError) {
+            console.error("[Interaction Handler] Error decoding fallback text from block_id:", decodeError);
+        }
+    }
+    if (!actualBotMessageText) {
+        console.warn("[Interaction Handler] Could not get bot message text from block_id. Falling back.");
+        actualBotMessageText = payload.message.text; // Fallback to "Feedback:"
+    }
+
+    const feedbackId = await storeFeedback({
+        feedback_value: feedbackValue,
+        user_id: userId,
+        channel_id: channelId,
+        bot_message_ts: messageTs,
+        original_user_message_ts: originalQuestionTs || null,
+        action_id: actionId,
+        sphere_slug: responseSphere || null,
+        bot_message_text: actualBotMessageText || null,
+        original_user_message_text: originalQuestionText || null
+    }, pool);
+    console.log(`[Interaction Handler] Feedback stored: ${feedbackValue} from ${userId} (ID: ${feedbackId ?? 'none'})`);
+
+    // The reason may already have been submitted, before the rating existed
+    if (modalPromise && feedbackId) {
+        await linkFeedbackDetails(feedbackId, { userId, channelId, messageTs }, pool);
+    }
+
+    // Link the open modal to the stored rating (inputs keep their values, the block IDs don't change)
+    const openedModal = await modalPromise;
+    if (openedModal?.view?.id && feedbackId) {
+        await slack.views.update({
+            view_id: openedModal.view.id,
+            hash: openedModal.view.hash,
+            view: buildFeedbackReasonModal({ ...modalMetadata, feedbackId })
+        }).catch(updateError => {
+            console.warn('[Interaction Handler] Failed to link feedback reason modal to the rating:', updateError.data?.error || updateError.message);
+        });
+    }
+
+    // Replace the buttons with a thank-you note (the workspace picker next to them stays)
+    try {
+        const originalBlocks = payload.message.blocks;
+        if (originalBlocks && originalBlocks.length > 0) {
+            const thanksBlock = { "type": "context", "elements": [ { "type": "mrkdwn", "text": `🙏 Thanks for the feedback! (_${feedbackValue === 'bad' ? '👎' : feedbackValue === 'ok' ? '👌' : '👍'}_)` } ] };
+            const actionBlockIndex = originalBlocks.findIndex(block => block.type === 'actions' && block.block_id?.startsWith('feedback_'));
+            let updatedBlocks;
+            if (actionBlockIndex !== -1) {
+                updatedBlocks = [...originalBlocks.slice(0, actionBlockIndex), thanksBlock, ...originalBlocks.slice(actionBlockIndex + 1)];
+            } else {
+                // If no actions block found (unexpected), just append context
+                console.warn("[Interaction Handler] Could not find actions block to replace in feedback message.");
+                updatedBlocks = [...originalBlocks, thanksBlock];
+            }
+
+            await slack.chat.update({
+                channel: channelId,
+                ts: messageTs,
+                text: payload.message.text + "\n\n🙏 Thanks!",
+                blocks: updatedBlocks
+            });
+            console.log(`[Interaction Handler] Updated message ${messageTs} to reflect feedback.`);
+        } else {
+            console.warn("[Interaction Handler] Could not update feedback message - no blocks found.");
+        }
+    } catch (updateError) {
+        console.warn("Failed to update feedback message:", updateError.data?.error || updateError.message);
+    }
+}
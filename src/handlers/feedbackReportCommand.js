@@ -0,0 +1,58 @@
+// src/handlers/feedbackReportCommand.js
+// `feedback report [#workspace] [last 7d]` – aggregate feedback ratings per knowledge sphere.
+
+import { databaseUrl } from '../config.js';
+import { registerCommand } from './commandRegistry.js';
+import { getFeedbackReport, formatFeedbackReport, parseReportPeriod, DEFAULT_REPORT_DAYS } from '../feedbackReport.js';
+import { splitMessageIntoChunks, markdownToRichTextBlock } from '../formattingService.js';
+
+/**
+ * Handles the 'feedback report' command.
+ *
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @param {{workspaceSlug: string|null, days: number}} args - Parsed command arguments.
+ * @returns {Promise<boolean>} - Always true (errors are reported in Slack).
+ */
+async function handleFeedbackReportCommand(ctx, args) {
+    const { slack, channel, replyTarget } = ctx;
+    console.log(`[Feedback Report] Report requested by ${ctx.userId}: workspace=${args.workspaceSlug || 'all'}, days=${args.days}`);
+    try {
+        const report = await getFeedbackReport(args);
+        const chunks = splitMessageIntoChunks(formatFeedbackReport(report));
+        for (const chunk of chunks) {
+            const block = markdownToRichTextBlock(chunk, `feedback_report_${Date.now()}`);
+            await slack.chat.postMessage({
+                channel,
+                thread_ts: replyTarget,
+                text: chunk.substring(0, 200),
+                ...(block ? { blocks: [block] } : {})
+            });
+        }
+    } catch (error) {
+        console.error('[Feedback Report] Failed to build report:', error);
+        await slack.chat.postMessage({
+            channel,
+            thread_ts: replyTarget,
+            text: '⚠️ Sorry, I could not build the feedback report.'
+        }).catch(() => {});
+    }
+    return true;
+}
+
+registerCommand({
+    name: 'feedback report',
+    pattern: /^feedback\s+report\b(.*)$/i,
+    parseArgs: match => {
+        const rest = match[1] || '';
+        return {
+            workspaceSlug: rest.match(/#([\w-]+)/)?.[1] || null,
+            days: parseReportPeriod(rest) || DEFAULT_REPORT_DAYS
+        };
+    },
+    requiredConfig: { DATABASE_URL: databaseUrl },
+    permission: 'feedback_report',
+    help: 'feedback report [#workspace] [last 7d]',
+    description: 'Feedback ratios, trends and worst-rated questions per workspace.',
+    requiresThread: false,
+    handler: handleFeedbackReportCommand
+});
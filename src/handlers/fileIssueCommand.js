@@ -0,0 +1,191 @@
+// src/handlers/fileIssueCommand.js
+// `file issue in owner/repo [notes]` – drafts a GitHub issue from the current Slack thread.
+// The draft is posted as a card; the requester edits it in a modal and the issue is created on submit.
+
+import { githubToken } from '../config.js';
+import { registerCommand } from './commandRegistry.js';
+import { queryLlm } from '../llm.js';
+import { exportConversationToMarkdown } from '../conversation-export.js';
+import { getRepoLabels, createGithubIssue } from '../githubService.js';
+import { hasPermission } from '../permissions.js';
+import { GITHUB_API_WRITE_PERMISSION } from '../githubApiPolicy.js';
+import {
+    buildIssueDraftPrompt, parseIssueDraft, buildIssueDraftBlocks, buildIssueDraftModal, readIssueDraftSubmission,
+    splitDraftBody, saveIssueDraft, getIssueDraft, takeIssueDraft, ISSUE_DRAFT_OPEN_ACTION
+} from '../issueDrafts.js';
+
+/**
+ * Handles the 'file issue' command: exports the thread, has the LLM draft the issue and posts the draft card.
+ *
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @param {{owner: string, repo: string, notes: string}} args - Parsed command arguments.
+ * @returns {Promise<boolean>} - Always true (errors are reported in Slack).
+ */
+async function handleFileIssueCommand(ctx, args) {
+    const { slack, channel, replyTarget, octokit, userId, workspaceSlug, thinkingMessagePromise } = ctx;
+    const { owner, repo, notes } = args;
+    console.log(`[File Issue] Drafting issue for ${owner}/${repo} from thread ${channel}/${replyTarget} (requested by ${userId})`);
+
+    const clearThinking = async () => {
+        const ts = await thinkingMessagePromise;
+        if (ts) slack.chat.delete({ channel, ts }).catch(() => {});
+    };
+
+    if (!octokit) {
+        await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: `Sorry, I can't file GitHub issues right now (missing configuration).` });
+        await clearThinking();
+        return true;
+    }
+
+    try {
+        const [{ content: transcript }, availableLabels] = await Promise.all([
+            exportConversationToMarkdown(channel, replyTarget, false),
+            getRepoLabels(octokit, owner, repo)
+        ]);
+        const response = await queryLlm(workspaceSlug, null, buildIssueDraftPrompt(transcript, { owner, repo, availableLabels, notes }));
+        if (!response) throw new Error('LLM returned no draft.');
+
+        const draft = parseIssueDraft(response, availableLabels);
+        const draftId = await saveIssueDraft({ owner, repo, draft, userId, channel, replyTarget });
+        await slack.chat.postMessage({
+            channel,
+            thread_ts: replyTarget,
+            text: `Draft issue for ${owner}/${repo}: ${draft.title}`,
+            blocks: buildIssueDraftBlocks(draft, { owner, repo, userId, draftId })
+        });
+    } catch (error) {
+        console.error(`[File Issue] Failed to draft issue for ${owner}/${repo}:`, error);
+        await slack.chat.postMessage({
+            channel,
+            thread_ts: replyTarget,
+            text: 'Sorry, I could not draft an issue from this conversation.'
+        }).catch(() => {});
+    }
+    await clearThinking();
+    return true;
+}
+
+// Heading of a draft card, for updating the card when its original blocks aren't at hand
+function draftCardSummary({ owner, repo, draft }) {
+    return [{ type: 'section', text: { type: 'mrkdwn', text: `:memo: *Draft issue for ${owner}/${repo}:* ${draft.title}` } }];
+}
+
+// Replaces the draft card's buttons with a status line
+async function closeDraftCard(slack, channel, ts, blocks, text) {
+    const remaining = (blocks || []).filter(block => block.type !== 'actions');
+    remaining.push({ type: 'context', elements: [{ type: 'mrkdwn', text }] });
+    await slack.chat.update({ channel, ts, text, blocks: remaining }).catch(error => {
+        console.warn('[File Issue] Failed to update draft card:', error.data?.error || error.message);
+    });
+}
+
+/**
+ * Handles the 'Edit & file issue' and 'Discard' buttons on a draft card.
+ * @param {object} payload - Slack block_actions payload.
+ * @param {import('@slack/web-api').WebClient} slack
+ * @returns {Promise<void>}
+ */
+export async function handleIssueDraftAction(payload, slack) {
+    const action = payload.actions[0];
+    const userId = payload.user.id;
+    const channelId = payload.channel.id;
+    const cardTs = payload.message.ts;
+
+    const stored = await getIssueDraft(action.value);
+    if (!stored) {
+        await closeDraftCard(slack, channelId, cardTs, payload.message.blocks, ':hourglass: This draft expired or was already handled.');
+        return;
+    }
+    if (stored.userId !== userId) {
+        await slack.chat.postEphemeral({ channel: channelId, user: userId, text: `Only <@${stored.userId}> can file or discard this draft.` });
+        return;
+    }
+
+    if (action.action_id === ISSUE_DRAFT_OPEN_ACTION) {
+        // trigger_id expires after 3 seconds, so open the modal right away
+        await slack.views.open({
+            trigger_id: payload.trigger_id,
+            view: buildIssueDraftModal(stored, { draftId: action.value, cardTs })
+        });
+        return;
+    }
+
+    await takeIssueDraft(action.value);
+    console.log(`[File Issue] Draft ${action.value} discarded by ${userId}`);
+    await closeDraftCard(slack, channelId, cardTs, payload.message.blocks, `:wastebasket: Draft discarded by <@${userId}>.`);
+}
+
+/**
+ * Handles the edit modal's submission: creates the issue and posts the link in the thread.
+ * The write permission is checked again, since it may have been revoked while the draft waited.
+ * @param {object} payload - Slack view_submission payload.
+ * @param {import('@slack/web-api').WebClient} slack
+ * @param {import('@octokit/rest').Octokit|null} octokit
+ * @param {object} [options]
+ * @param {Object<string, string[]>} [options.permissionMap] - Injectable for tests (see hasPermission).
+ * @returns {Promise<void>}
+ */
+export async function handleIssueDraftSubmission(payload, slack, octokit, { permissionMap } = {}) {
+    const { draftId, cardTs } = JSON.parse(payload.view.private_metadata || '{}');
+    const userId = payload.user.id;
+
+    const stored = await getIssueDraft(draftId);
+    if (!stored || stored.userId !== userId) {
+        console.warn(`[File Issue] Ignoring submission for draft ${draftId} by ${userId} (missing or not the requester)`);
+        return;
+    }
+    if (!hasPermission(userId, GITHUB_API_WRITE_PERMISSION, permissionMap)) {
+        console.warn(`[File Issue] User ${userId} lacks permission "${GITHUB_API_WRITE_PERMISSION}" to file draft ${draftId}`);
+        await slack.chat.postEphemeral({ channel: stored.channel, user: userId, text: `Sorry, you don't have permission to file GitHub issues.` })
+            .catch(() => {});
+        return;
+    }
+    // Taking the draft removes it, so a double submit can't file the issue twice
+    if (!await takeIssueDraft(draftId)) return;
+
+    const { owner, repo, channel, replyTarget } = stored;
+    const edited = readIssueDraftSubmission(payload.view);
+    // The part of a long draft that didn't fit the modal
+    const fullBody = edited.body + splitDraftBody(stored.draft.body).rest;
+    let body = fullBody;
+    try {
+        const { permalink } = await slack.chat.getPermalink({ channel, message_ts: replyTarget });
+        body += `\n\n---\n_Filed from [a Slack conversation](${permalink}) by ${payload.user.name || payload.user.username || userId}._`;
+    } catch (error) {
+        console.warn('[File Issue] Could not get thread permalink:', error.data?.error || error.message);
+    }
+
+    const issue = await createGithubIssue(octokit, owner, repo, { title: edited.title, body, labels: edited.labels });
+    if (!issue) {
+        // Post the edited draft so the requester's changes aren't lost
+        await slack.chat.postMessage({
+            channel,
+            thread_ts: replyTarget,
+            text: `⚠️ I couldn't create the issue in ${owner}/${repo}. Please check that I have access to the repository. Your edited draft:\n*${edited.title}*\n\`\`\`${fullBody}\`\`\``
+        });
+        if (cardTs) await closeDraftCard(slack, channel, cardTs, draftCardSummary(stored), ':warning: Filing failed, see below.');
+        return;
+    }
+
+    console.log(`[File Issue] Created ${owner}/${repo}#${issue.number} from draft ${draftId}`);
+    await slack.chat.postMessage({
+        channel,
+        thread_ts: replyTarget,
+        text: `:white_check_mark: <@${userId}> filed <${issue.url}|${owner}/${repo}#${issue.number}>: ${edited.title}`
+    });
+    if (cardTs) {
+        await closeDraftCard(slack, channel, cardTs, draftCardSummary(stored), `:white_check_mark: Filed as <${issue.url}|${owner}/${repo}#${issue.number}>.`);
+    }
+}
+
+registerCommand({
+    name: 'file issue',
+    pattern: /^file\s+(?:an?\s+)?(?:issue|bug)\s+(?:in|on|for|to)\s+([\w.-]+)\/([\w.-]+)(.*)$/i,
+    parseArgs: match => ({ owner: match[1], repo: match[2], notes: (match[3] || '').trim() }),
+    requiredConfig: { GITHUB_TOKEN: githubToken },
+    permission: GITHUB_API_WRITE_PERMISSION,
+    help: 'file issue in <owner/repo> [notes]',
+    description: 'Draft a GitHub issue from this thread, edit it, then file it.',
+    rateLimit: 'github',
+    handler: handleFileIssueCommand
+});
@@ -0,0 +1,92 @@
+// src/handlers/githubSubscriptionCommand.js
+// `subscribe owner/repo [events]`, `unsubscribe owner/repo`, `subscriptions` – manage which GitHub
+// webhook events are posted to the current channel (see githubWebhooks.js).
+
+import { databaseUrl, GITHUB_WEBHOOK_SECRET } from '../config.js';
+import { registerCommand } from './commandRegistry.js';
+import {
+    SUPPORTED_GITHUB_EVENTS, normalizeRepository, parseEventList,
+    addGithubSubscription, removeGithubSubscription, listGithubSubscriptions
+} from '../githubSubscriptions.js';
+
+// Posts a plain reply in the command's thread
+async function reply(ctx, text) {
+    await ctx.slack.chat.postMessage({ channel: ctx.channel, thread_ts: ctx.replyTarget, text });
+}
+
+/**
+ * Handles the 'subscribe' and 'unsubscribe' commands.
+ *
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @param {{subscribe: boolean, repository: string|null, events: string[]}} args - Parsed command arguments.
+ * @returns {Promise<boolean>} - Always true (errors are reported in Slack).
+ */
+async function handleSubscriptionCommand(ctx, args) {
+    const { repository, subscribe } = args;
+    if (!repository) {
+        await reply(ctx, 'Please name a repository as `owner/repo` (or `owner/*` for all of an owner\'s repositories).');
+        return true;
+    }
+    try {
+        if (subscribe) {
+            const events = args.events.length > 0 ? args.events : SUPPORTED_GITHUB_EVENTS;
+            await addGithubSubscription({ channelId: ctx.channel, repository, events, userId: ctx.userId });
+            await reply(ctx, `✅ This channel will get \`${events.join('`, `')}\` events from *${repository}*.`);
+        } else {
+            const removed = await removeGithubSubscription({ channelId: ctx.channel, repository });
+            await reply(ctx, removed ? `🔕 Unsubscribed this channel from *${repository}*.` : `This channel isn't subscribed to *${repository}*.`);
+        }
+    } catch (error) {
+        console.error('[GitHub Subscriptions] Failed to update subscription:', error);
+        await reply(ctx, '⚠️ Sorry, I could not update the subscription.').catch(() => {});
+    }
+    return true;
+}
+
+/**
+ * Handles the 'subscriptions' command by listing the channel's subscriptions.
+ *
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @returns {Promise<boolean>} - Always true (errors are reported in Slack).
+ */
+async function handleListSubscriptionsCommand(ctx) {
+    try {
+        const subscriptions = await listGithubSubscriptions(ctx.channel);
+        await reply(ctx, subscriptions.length === 0
+            ? 'This channel has no GitHub subscriptions. Add one with `subscribe owner/repo [releases prs issues workflows]`.'
+            : `*GitHub subscriptions for this channel:*\n${subscriptions.map(s => `• *${s.repository}*: ${s.events.join(', ')}`).join('\n')}`);
+    } catch (error) {
+        console.error('[GitHub Subscriptions] Failed to list subscriptions:', error);
+        await reply(ctx, '⚠️ Sorry, I could not load the subscriptions.').catch(() => {});
+    }
+    return true;
+}
+
+const requiredConfig = { DATABASE_URL: databaseUrl, GITHUB_WEBHOOK_SECRET };
+
+registerCommand({
+    name: 'github subscribe',
+    // Only with an owner/repo or owner/* argument, so chat like "subscribe me to the newsletter" isn't captured
+    pattern: /^(subscribe|unsubscribe)\s+([\w.-]+\/(?:[\w.-]+|\*))(?=\s|$)(.*)$/i,
+    parseArgs: match => ({
+        subscribe: match[1].toLowerCase() === 'subscribe',
+        repository: normalizeRepository(match[2]),
+        events: parseEventList(match[3])
+    }),
+    requiredConfig,
+    permission: 'github_subscriptions',
+    help: 'subscribe|unsubscribe <owner/repo|owner/*> [releases prs issues workflows]',
+    description: 'Post GitHub releases, pull requests, issues and workflow runs to this channel.',
+    requiresThread: false,
+    handler: handleSubscriptionCommand
+});
+
+registerCommand({
+    name: 'github subscriptions',
+    pattern: /^subscriptions\s*$/i,
+    requiredConfig,
+    help: 'subscriptions',
+    description: 'List the GitHub subscriptions for this channel.',
+    requiresThread: false,
+    handler: handleListSubscriptionsCommand
+});
@@ -3,31 +3,31 @@
 
 import {
     botUserId,
-    githubWorkspaceSlug,
-    formatterWorkspaceSlug,
     MIN_SUBSTANTIVE_RESPONSE_LENGTH,
+    MAX_SLACK_BLOCK_TEXT_LENGTH,
+    LLM_STREAMING_ENABLED,
+    STREAM_UPDATE_INTERVAL_MS,
 } from '../config.js';
 import {
     getAnythingLLMThreadMapping,
     storeAnythingLLMThreadMapping
 } from '../services.js'; // Corrected path if services.js is in src/ root
 import {
-    getWorkspaces,
     createNewAnythingLLMThread,
-    queryLlm
+    queryLlm,
+    streamLlm,
+    getWorkspaces
 } from '../llm.js'; // Corrected path if llm.js is in src/ root
+import { routeWorkspace } from '../workspaceRouter.js';
+import { buildWorkspaceSwitchBlock } from '../workspaceSwitch.js';
+import { getResetMarker } from '../conversationReset.js';
 import {
     markdownToRichTextBlock,
     extractTextAndCode,
 } from '../formattingService.js'; // Corrected path if formattingService.js is in src/ root
-// Import ALL command handlers
-import {
-    handleDeleteLastMessageCommand, // Now correctly used
-    handleReleaseInfoCommand,
-    handlePrReviewCommand,
-    handleIssueAnalysisCommand,
-    handleGithubApiCommand
-} from './commandHandler.js';
+// Command registry; importing commandHandler.js registers the built-in commands
+import { matchCommand, runCommand } from './commandRegistry.js';
+import './commandHandler.js';
 
 /**
  * Handles the core logic for processing an incoming Slack message event.
@@ -36,9 +36,17 @@ import {
  * @param {object} event - The Slack message event object.
  * @param {import('@slack/web-api').WebClient} slack - The initialized Slack WebClient.
  * @param {object} appOctokitInstance - The initialized Octokit instance (or null).
+ * @param {{attempt: number, maxAttempts: number, disableRetry?: () => Promise<void>}} [jobInfo] - Job queue attempt info.
+ *   Failures are rethrown so the queue can retry them; the user only sees an error message on the final attempt.
+ *   Retries are disabled once a command runs or the answer is posted, since running those again would repeat them.
  */
-async function handleSlackMessageEventInternal(event, slack, appOctokitInstance) {
+async function handleSlackMessageEventInternal(event, slack, appOctokitInstance, jobInfo = { attempt: 1, maxAttempts: 1 }) {
 	const handlerStartTime = Date.now();
+	let isFinalAttempt = jobInfo.attempt >= jobInfo.maxAttempts;
+	const disableRetry = async () => {
+		isFinalAttempt = true;
+		await jobInfo.disableRetry?.();
+	};
 	const {
 		user: userId,
 		text: originalText = '',
@@ -58,20 +66,29 @@ async function handleSlackMessageEventInternal(event, slack, appOctokitInstance)
 	const replyTarget = threadTs || originalTs;
 	console.log( `[Message Handler] Start. User: ${ userId }, Chan: ${ channel }, OrigTS: ${ originalTs }, ThreadTS: ${ threadTs }, ReplyTargetTS: ${ replyTarget }, Query: "${ cleanedQuery }"` );
 
-	// 2. Handle #delete_last_message command USING the imported handler
-	if ( cleanedQuery.toLowerCase().startsWith( '#delete_last_message' ) ) {
-		console.log("[Message Handler] Delete command detected, calling command handler...");
-		// Call the imported handler function
-		const deleteHandled = await handleDeleteLastMessageCommand(channel, replyTarget, botUserId, slack);
-		if (deleteHandled) {
-		    console.log("[Message Handler] Delete command handled by commandHandler.");
-		    return; // Exit after handling delete command
-		} else {
-		    // Should not happen if the handler always returns true, but good practice
-		    console.warn("[Message Handler] handleDeleteLastMessageCommand returned false unexpectedly.");
-		    // Fall through might be desired in some error cases within the handler,
-		    // but based on commandHandler.js, it returns true even on error.
-		    return;
+	// 2. Match registered commands. Commands that don't need an AnythingLLM thread run right away.
+	const matchedCommand = matchCommand( cleanedQuery );
+	const commandContext = {
+		slack,
+		octokit: appOctokitInstance,
+		event,
+		userId,
+		channel,
+		replyTarget,
+		originalTs,
+		threadTs,
+		isDM,
+		query: cleanedQuery,
+		thinkingMessagePromise: null,
+		workspaceSlug: null,
+		anythingLLMThreadSlug: null
+	};
+	if ( matchedCommand && ! matchedCommand.command.requiresThread ) {
+		await disableRetry();
+		const handledEarly = await runCommand( matchedCommand, commandContext );
+		if ( handledEarly ) {
+			console.log( `[Message Handler] '${ matchedCommand.command.name }' command handled before thread setup.` );
+			return;
 		}
 	}
 
@@ -100,21 +117,10 @@ async function handleSlackMessageEventInternal(event, slack, appOctokitInstance)
 			workspaceSlugForThread = existingMapping.anythingllm_workspace_slug;
 			console.log( `[Message Handler] Found existing AnythingLLM thread: ${ workspaceSlugForThread }:${ anythingLLMThreadSlug }` );
 		} else {
-			console.log( `[Message Handler] No existing AnythingLLM thread found for Slack thread ${ replyTarget }. Determining initial sphere...` );
-			let initialSphere = 'all'; // Default sphere
-			const overrideRegex = /#(\S+)/;
-			const match = cleanedQuery.match( overrideRegex );
-			if ( match && match[ 1 ] ) {
-				const potentialWorkspace = match[ 1 ];
-				const availableWorkspaces = await getWorkspaces(); // Fetch available slugs
-				if ( availableWorkspaces.includes( potentialWorkspace ) ) {
-					initialSphere = potentialWorkspace;
-					console.log( `[Message Handler] Manual workspace override confirmed for NEW thread: "${ initialSphere }".` );
-				} else {
-					console.warn( `[Message Handler] Potential override "${ potentialWorkspace }" is not available. Defaulting new thread to 'all'.` );
-				}
-			}
-			workspaceSlugForThread = initialSphere;
+			console.log( `[Message Handler] No existing AnythingLLM thread found for Slack thread ${ replyTarget }. Routing to a workspace...` );
+			const route = await routeWorkspace( { text: cleanedQuery, channelId: channel, userId } );
+			console.log( `[Message Handler] Routed new thread to "${ route.slug }" (source: ${ route.source }, confidence: ${ route.confidence.toFixed( 2 ) }${ route.reason ? `, ${ route.reason }` : '' }).` );
+			workspaceSlugForThread = route.slug;
 			anythingLLMThreadSlug = await createNewAnythingLLMThread( workspaceSlugForThread );
 			if ( ! anythingLLMThreadSlug ) {
 				throw new Error( `Failed to create a new AnythingLLM thread in workspace ${ workspaceSlugForThread }.` );
@@ -124,57 +130,43 @@ async function handleSlackMessageEventInternal(event, slack, appOctokitInstance)
 		}
 	} catch ( threadError ) {
 		console.error( "[Message Handler] Error determining/creating AnythingLLM thread:", threadError );
-		await slack.chat.postMessage( {
-			channel,
-			thread_ts: replyTarget,
-			text: `⚠️ Oops! I had trouble connecting to the knowledge base thread.`
-		} ).catch( () => {} );
+		if ( isFinalAttempt ) {
+			await slack.chat.postMessage( {
+				channel,
+				thread_ts: replyTarget,
+				text: `⚠️ Oops! I had trouble connecting to the knowledge base thread.`
+			} ).catch( () => {} );
+		}
 		const ts = await thinkingMessagePromise;
 		if ( ts ) {
 			slack.chat.delete( { channel: channel, ts: ts } ).catch( () => {} );
 		}
-		return; // Critical error, cannot proceed
+		throw threadError; // Critical error, cannot proceed (the job queue retries if attempts are left)
 	}
 	// --- End Determine Thread Early ---
 
 
-	// 4. --- Call Specific Command Handlers Sequentially ---
-
-	// Check 4a: "latest release" command
-	let handled = await handleReleaseInfoCommand(cleanedQuery, replyTarget, slack, appOctokitInstance, thinkingMessagePromise, channel);
-	if (handled) {
-		 console.log("[Message Handler] 'Latest Release' command handled by commandHandler.");
-		 return; // Command was handled, exit
-	}
-
-	// Check 4b: "review pr" command
-	handled = await handlePrReviewCommand(cleanedQuery, replyTarget, channel, slack, appOctokitInstance, thinkingMessagePromise);
-	if (handled) {
-		console.log("[Message Handler] 'Review PR' command handled by commandHandler.");
-		return; // Command was handled, exit
-	}
-
-	// Check 4c: "analyze issue" command
-	handled = await handleIssueAnalysisCommand(cleanedQuery, replyTarget, channel, slack, appOctokitInstance, thinkingMessagePromise, workspaceSlugForThread, anythingLLMThreadSlug);
-	if (handled) {
-		console.log("[Message Handler] 'Analyze Issue' command handled by commandHandler.");
-		return; // Command was handled, exit
-	}
-
-	// Check 4d: Generic "github" API command
-	const githubApiHandled = await handleGithubApiCommand(cleanedQuery, replyTarget, channel, slack, thinkingMessagePromise, githubWorkspaceSlug, formatterWorkspaceSlug);
-	if (githubApiHandled) {
-		console.log("[Message Handler] Generic GitHub API command handled by commandHandler.");
-		return; // Command was handled, exit
-	} else {
-		console.log( "[Message Handler] No specific command handled by command handlers, proceeding to main LLM." );
+	// 4. --- Run Matched Command (if any) ---
+	if ( matchedCommand && matchedCommand.command.requiresThread ) {
+		await disableRetry();
+		const handled = await runCommand( matchedCommand, {
+			...commandContext,
+			thinkingMessagePromise,
+			workspaceSlug: workspaceSlugForThread,
+			anythingLLMThreadSlug
+		} );
+		if ( handled ) {
+			console.log( `[Message Handler] '${ matchedCommand.command.name }' command handled by command registry.` );
+			return; // Command was handled, exit
+		}
 	}
+	console.log( "[Message Handler] No command handled the message, proceeding to main LLM." );
 
 
 	// 5. --- Main Processing Logic (Fallback if no command handled) ---
 
 	if ( wasMentioned && threadTs) {
-		const threadHistory = await fetchConversationHistory(channel, threadTs, originalTs, isDM );
+		const threadHistory = await fetchConversationHistory(slack, channel, threadTs, originalTs, isDM );
 		console.log('[Slack Handler] Thread history fetched:', threadHistory ? 'Yes' : 'No');
 		if (threadHistory) {
 			cleanedQuery = `${threadHistory}\n\nLatest question: ${cleanedQuery}`;
@@ -208,14 +200,25 @@ async function handleSlackMessageEventInternal(event, slack, appOctokitInstance)
 
 		console.log( `[Message Handler] Sending query to AnythingLLM Thread ${ workspaceSlugForThread }:${ anythingLLMThreadSlug }...` );
 
-		// Query LLM using thread endpoint
+		// Query LLM using thread endpoint (streamed into the thinking message when enabled)
 		const llmStartTime = Date.now();
-		const rawReply = await queryLlm( workspaceSlugForThread, anythingLLMThreadSlug, llmInputText );
+		let rawReply;
+		if ( LLM_STREAMING_ENABLED && thinkingMessageTs ) {
+			const streamUpdater = createThrottledStreamUpdater( slack, channel, thinkingMessageTs, STREAM_UPDATE_INTERVAL_MS );
+			try {
+				rawReply = await streamLlm( workspaceSlugForThread, anythingLLMThreadSlug, llmInputText, streamUpdater.update );
+			} finally {
+				await streamUpdater.stop();
+			}
+		} else {
+			rawReply = await queryLlm( workspaceSlugForThread, anythingLLMThreadSlug, llmInputText );
+		}
 		console.log( `[Message Handler] LLM call duration: ${ Date.now() - llmStartTime }ms` );
 		if ( ! rawReply ) throw new Error( 'LLM returned empty response.' );
 		console.log( "[Message Handler Debug] Raw LLM Reply:\n", rawReply );
 
 		// Process and Send Response
+		await disableRetry();
 
 		// Check for Substantive Response
 		let isSubstantiveResponse = true;
@@ -225,14 +228,6 @@ async function handleSlackMessageEventInternal(event, slack, appOctokitInstance)
 			isSubstantiveResponse = false;
 		} // Add other checks as before...
 
-		// Define feedback blocks structure (elements only)
-		const feedbackButtonElements = [
-            // ... feedback button definitions ...
-			{ "type": "button", "text": { "type": "plain_text", "text": "👎", "emoji": true }, "style": "danger", "value": "bad", "action_id": "feedback_bad" },
-			{ "type": "button", "text": { "type": "plain_text", "text": "👌", "emoji": true }, "value": "ok", "action_id": "feedback_ok" },
-			{ "type": "button", "text": { "type": "plain_text", "text": "👍", "emoji": true }, "style": "primary", "value": "great", "action_id": "feedback_great" }
-		];
-
 		// Extract Segments
 		const segments = extractTextAndCode( rawReply );
 		console.log( `[Message Handler] Extracted ${ segments.length } segments (text/code). Substantive: ${ isSubstantiveResponse }` );
@@ -285,16 +280,7 @@ async function handleSlackMessageEventInternal(event, slack, appOctokitInstance)
 					try {
                         // ... [Feedback button posting logic as before] ...
 						console.log( `[Message Handler DEBUG] Posting feedback buttons separately after final segment ${ mainMessageTs }.` );
-						const safeFallbackText = fallbackText.substring( 0, 150 );
-						const encodedFallback = encodeURIComponent( safeFallbackText );
-						const finalFeedbackBlock = [
-							{ "type": "divider" },
-							{
-								"type": "actions",
-								"block_id": `feedback_${ originalTs }_${ workspaceSlugForThread }_${ encodedFallback }`,
-								"elements": feedbackButtonElements
-							}
-						];
+						const finalFeedbackBlock = await buildFeedbackBlocks( { originalTs, workspaceSlug: workspaceSlugForThread, fallbackText } );
 						const feedbackPostResult = await slack.chat.postMessage( {
 							channel,
 							thread_ts: replyTarget,
@@ -312,13 +298,16 @@ async function handleSlackMessageEventInternal(event, slack, appOctokitInstance)
 		// Handle Errors
         // ... [Error handling as before] ...
 		console.error( '[Message Handler Error]', error );
-		try {
-			await slack.chat.postMessage( {
-				channel,
-				thread_ts: replyTarget,
-				text: `⚠️ Oops! I encountered an error processing your request. (Workspace: ${ workspaceSlugForThread || 'unknown' })`
-			} );
-		} catch ( slackError ) { /* ... handle error posting error ... */ }
+		if ( isFinalAttempt ) {
+			try {
+				await slack.chat.postMessage( {
+					channel,
+					thread_ts: replyTarget,
+					text: `⚠️ Oops! I encountered an error processing your request. (Workspace: ${ workspaceSlugForThread || 'unknown' })`
+				} );
+			} catch ( slackError ) { /* ... handle error posting error ... */ }
+		}
+		throw error; // Let the job queue retry or dead-letter the message
 
 	} finally {
 		// Cleanup Thinking Message
@@ -334,31 +323,136 @@ async function handleSlackMessageEventInternal(event, slack, appOctokitInstance)
 	}
 }
 
+// --- Feedback Buttons ---
+const FEEDBACK_BUTTON_ELEMENTS = [
+    { "type": "button", "text": { "type": "plain_text", "text": "👎", "emoji": true }, "style": "danger", "value": "bad", "action_id": "feedback_bad" },
+    { "type": "button", "text": { "type": "plain_text", "text": "👌", "emoji": true }, "value": "ok", "action_id": "feedback_ok" },
+    { "type": "button", "text": { "type": "plain_text", "text": "👍", "emoji": true }, "style": "primary", "value": "great", "action_id": "feedback_great" }
+];
+
+/**
+ * Builds the blocks posted under an answer: feedback buttons, and the workspace picker so the thread can
+ * move elsewhere when this workspace can't help. The picker is left out when the workspace list can't be loaded.
+ * The feedback block_id carries the question TS, workspace and start of the answer for handleFeedbackAction().
+ *
+ * @param {object} answer
+ * @param {string} answer.originalTs - TS of the user's question.
+ * @param {string} answer.workspaceSlug - Workspace that answered.
+ * @param {string} answer.fallbackText - Plain text of the answer's last segment.
+ * @param {() => Promise<string[]>} [listWorkspaces=getWorkspaces] - Injectable for tests.
+ * @returns {Promise<object[]>} Slack blocks.
+ */
+async function buildFeedbackBlocks({ originalTs, workspaceSlug, fallbackText }, listWorkspaces = getWorkspaces) {
+    const encodedFallback = encodeURIComponent(fallbackText.substring(0, 150));
+    const blocks = [
+        { "type": "divider" },
+        {
+            "type": "actions",
+            "block_id": `feedback_${originalTs}_${workspaceSlug}_${encodedFallback}`,
+            "elements": FEEDBACK_BUTTON_ELEMENTS
+        }
+    ];
+    const workspaces = await listWorkspaces().catch(error => {
+        console.warn('[Message Handler] Could not list workspaces for the switch picker:', error.message);
+        return [];
+    });
+    const switchBlock = buildWorkspaceSwitchBlock(workspaceSlug, workspaces);
+    if (switchBlock) blocks.push(switchBlock);
+    return blocks;
+}
+
+// --- Streaming Progress Updates ---
+/**
+ * Creates a throttled updater that mirrors partial LLM output into an existing Slack message.
+ * At most one chat.update is in flight, and updates are spaced by `intervalMs` to stay under
+ * Slack's rate limits. Only the latest text is kept; intermediate chunks are simply skipped.
+ *
+ * @param {import('@slack/web-api').WebClient} slack - The Slack WebClient instance.
+ * @param {string} channel - The channel ID.
+ * @param {string} messageTs - TS of the message to update (the thinking message).
+ * @param {number} intervalMs - Minimum delay between updates.
+ * @returns {{update: (fullText: string) => void, stop: () => Promise<void>}}
+ */
+function createThrottledStreamUpdater(slack, channel, messageTs, intervalMs) {
+    let latestText = null;
+    let lastSentText = null;
+    let lastUpdateAt = 0;
+    let inFlight = null;
+    let timer = null;
+    let stopped = false;
+
+    const flush = async () => {
+        timer = null;
+        if (stopped || inFlight || latestText === null || latestText === lastSentText) return;
+        const textToSend = latestText;
+        // Show the tail of the answer so the newest text stays visible within Slack's length limit
+        const displayText = textToSend.length > MAX_SLACK_BLOCK_TEXT_LENGTH
+            ? '…' + textToSend.slice(-(MAX_SLACK_BLOCK_TEXT_LENGTH - 1))
+            : textToSend;
+        lastUpdateAt = Date.now();
+        inFlight = slack.chat.update({ channel, ts: messageTs, text: `${displayText} :writing_hand:` })
+            .then(() => { lastSentText = textToSend; })
+            .catch(updateError => {
+                console.warn('[Message Handler] Failed streaming update:', updateError.data?.error || updateError.message);
+            })
+            .finally(() => {
+                inFlight = null;
+                if (latestText !== lastSentText) schedule();
+            });
+    };
+
+    const schedule = () => {
+        if (stopped || timer || inFlight) return;
+        const wait = Math.max(0, intervalMs - (Date.now() - lastUpdateAt));
+        timer = setTimeout(flush, wait);
+    };
+
+    return {
+        update(fullText) {
+            latestText = fullText;
+            schedule();
+        },
+        async stop() {
+            stopped = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+            if (inFlight) await inFlight;
+        }
+    };
+}
+
 // --- History Fetching --- (Adapted from original handler)
-async function fetchConversationHistory(channel, threadTs, originalTs, isDM) {
+// Messages up to the last `reset conversation` (see conversationReset.js) are left out
+async function fetchConversationHistory(slack, channel, threadTs, originalTs, isDM) {
     const HISTORY_LIMIT = 10;
     let historyResult;
     try {
-        if (!isDM && threadTs) {
-            console.log(`[Slack Service/History] Fetching thread replies: Channel=${channel}, ThreadTS=${threadTs}`);
+        const readsThread = !isDM && threadTs;
+        const resetTs = await getResetMarker(channel, readsThread ? threadTs : null);
+        if (readsThread) {
+            console.log(`[Slack Service/History] Fetching thread replies: Channel=${channel}, ThreadTS=${threadTs}${resetTs ? `, since reset ${resetTs}` : ''}`);
             historyResult = await slack.conversations.replies({
                 channel: channel,
                 ts: threadTs,
                 limit: HISTORY_LIMIT + 1,
+                ...(resetTs && { oldest: resetTs, inclusive: false })
             });
         } else {
-            console.log(`[Slack Service/History] Fetching channel/DM history: Channel=${channel}, Latest=${originalTs}, isDM=${isDM}`);
+            console.log(`[Slack Service/History] Fetching channel/DM history: Channel=${channel}, Latest=${originalTs}, isDM=${isDM}${resetTs ? `, since reset ${resetTs}` : ''}`);
             historyResult = await slack.conversations.history({
                 channel: channel,
                 latest: originalTs,
                 limit: HISTORY_LIMIT,
-                inclusive: false
+                inclusive: false,
+                ...(resetTs && { oldest: resetTs })
             });
         }
 
         if (historyResult.ok && historyResult.messages) {
+            // Thread replies always include the parent message, so the reset cut-off is applied here too
             const relevantMessages = historyResult.messages
                 .filter(msg => msg.user && msg.text && msg.user !== botUserId)
+                .filter(msg => !resetTs || Number(msg.ts) > Number(resetTs))
                 .reverse();
 
             if (relevantMessages.length > 0) {
@@ -379,4 +473,4 @@ async function fetchConversationHistory(channel, threadTs, originalTs, isDM) {
     }
     return ""; // Return empty string if no history or error
 }
-export { handleSlackMessageEventInternal };
+export { handleSlackMessageEventInternal, createThrottledStreamUpdater, buildFeedbackBlocks };
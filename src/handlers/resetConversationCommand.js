@@ -0,0 +1,35 @@
+// src/handlers/resetConversationCommand.js
+// `reset conversation` – starts over with a fresh AnythingLLM thread (see conversationReset.js).
+
+import { RESET_CONVERSATION_COMMAND } from '../config.js';
+import { registerCommand } from './commandRegistry.js';
+import { resetConversation, formatResetResult } from '../conversationReset.js';
+
+/**
+ * Handles `reset conversation` in a thread or DM.
+ *
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @returns {Promise<boolean>} - Always true (errors are reported in Slack).
+ */
+async function handleResetConversationCommand(ctx) {
+    const { slack, channel, replyTarget, originalTs, userId, isDM } = ctx;
+    let result;
+    try {
+        result = await resetConversation({ channel, threadTs: replyTarget, resetTs: originalTs, userId, isDM });
+    } catch (error) {
+        console.error(`[Conversation Reset] Failed to reset ${channel}:${replyTarget}:`, error);
+        result = { status: 'failed', previousThreadSlug: null };
+    }
+    await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: formatResetResult(result) });
+    return true;
+}
+
+registerCommand({
+    name: 'reset conversation',
+    pattern: new RegExp(`^${RESET_CONVERSATION_COMMAND.replace(/\s+/g, '\\s+')}[.!]?$`, 'i'),
+    help: RESET_CONVERSATION_COMMAND,
+    description: 'Start over with a fresh context; earlier messages in the thread are no longer used.',
+    // Runs before thread setup so a mapping isn't created just to be replaced
+    requiresThread: false,
+    handler: handleResetConversationCommand
+});
@@ -0,0 +1,214 @@
+// src/handlers/slashCommandHandler.js
+// Handles Slack slash commands (/ask, /workspace, /export) posted to /slack/commands.
+// Slack expects an acknowledgement within 3 seconds, so the real answer is delivered via response_url.
+
+import axios from 'axios';
+import { getWorkspaces, queryLlm } from '../llm.js';
+import { extractTextAndCode, markdownToRichTextBlock } from '../formattingService.js';
+import { routeWorkspace } from '../workspaceRouter.js';
+import { slack, handleExportCommand } from '../slack.js';
+
+const MAX_RESPONSE_BLOCKS = 50; // Slack's per-message block limit
+const MEMBERS_PAGE_SIZE = 1000;
+const SHARE_FLAG_REGEX = /(^|\s)--(public|share)(?=\s|$)/i;
+
+/**
+ * Posts a message to a slash command response_url.
+ * @param {string} responseUrl - The response_url from the slash command payload.
+ * @param {object} message - Message body (text, blocks, response_type, ...).
+ */
+async function respond(responseUrl, message) {
+    try {
+        await axios.post(responseUrl, message, { timeout: 10000 });
+    } catch (error) {
+        console.error('[Slash Command] Failed to post to response_url:', error.response?.status || error.message);
+    }
+}
+
+/**
+ * Checks whether a user is a member of a conversation (channel, private channel, DM or group DM).
+ * Conversations the bot can't see count as not a member.
+ * @param {string} channelId
+ * @param {string} userId
+ * @param {import('@slack/web-api').WebClient} [client=slack]
+ * @returns {Promise<boolean>}
+ */
+async function isConversationMember(channelId, userId, client = slack) {
+    let cursor;
+    try {
+        do {
+            const result = await client.conversations.members({ channel: channelId, limit: MEMBERS_PAGE_SIZE, cursor });
+            if (result.members?.includes(userId)) return true;
+            cursor = result.response_metadata?.next_cursor;
+        } while (cursor);
+    } catch (error) {
+        console.warn(`[Slash Command] Could not list members of ${channelId}:`, error.data?.error || error.message);
+    }
+    return false;
+}
+
+// Injectable for tests
+const defaultDeps = {
+    respond,
+    getWorkspaces,
+    queryLlm,
+    routeWorkspace,
+    exportThread: handleExportCommand,
+    slackClient: slack
+};
+
+/**
+ * Extracts a channel ID and thread TS from a Slack message permalink.
+ * Supports links like https://team.slack.com/archives/C0123/p1712345678123456?thread_ts=1712345678.123456
+ * @param {string} text - Text that may contain a permalink.
+ * @returns {{channelId: string, threadTs: string} | null}
+ */
+export function parseSlackPermalink(text) {
+    const match = text?.match(/archives\/([A-Z0-9]+)\/p(\d{10})(\d{6})(?:\?[^\s>|]*?thread_ts=(\d{10}\.\d{6}))?/);
+    if (!match) return null;
+    const [, channelId, seconds, micros, threadTs] = match;
+    return { channelId, threadTs: threadTs || `${seconds}.${micros}` };
+}
+
+/**
+ * Turns an answer into blocks for one message. Answers with more blocks than fit keep their start, with a note
+ * that the rest was cut; the workspace line always comes last.
+ * @param {string} reply - Markdown answer.
+ * @param {string} workspaceSlug
+ * @returns {object[]} Slack blocks.
+ */
+export function buildAskResponseBlocks(reply, workspaceSlug) {
+    let blocks = [];
+    extractTextAndCode(reply).forEach((segment, i) => {
+        const markdown = segment.type === 'code'
+            ? `\`\`\`${segment.language || ''}\n${segment.content}\`\`\``
+            : segment.content;
+        const block = markdownToRichTextBlock(markdown, `ask_${Date.now()}_${i}`);
+        if (block) blocks.push(block);
+    });
+    if (blocks.length > MAX_RESPONSE_BLOCKS - 1) {
+        blocks = blocks.slice(0, MAX_RESPONSE_BLOCKS - 2);
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: ':scissors: _The answer was too long for one message, so its end was cut off._' }] });
+    }
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `_Workspace: ${workspaceSlug}_` }] });
+    return blocks;
+}
+
+// --- /ask [#workspace] question [--public] ---
+async function handleAskSlashCommand({ text, response_url: responseUrl, channel_id: channelId, user_id: userId }, { respond, getWorkspaces, queryLlm, routeWorkspace }) {
+    const responseType = SHARE_FLAG_REGEX.test(text) ? 'in_channel' : 'ephemeral';
+    let question = text.replace(SHARE_FLAG_REGEX, ' ').trim();
+
+    let workspaceSlug = null;
+    const workspaceMatch = question.match(/^#([\w-]+)\s*/);
+    if (workspaceMatch) {
+        const availableWorkspaces = await getWorkspaces();
+        if (!availableWorkspaces.includes(workspaceMatch[1])) {
+            await respond(responseUrl, {
+                response_type: 'ephemeral',
+                text: `Workspace \`${workspaceMatch[1]}\` doesn't exist. Use \`/workspace\` to see the available ones.`
+            });
+            return;
+        }
+        workspaceSlug = workspaceMatch[1];
+        question = question.substring(workspaceMatch[0].length).trim();
+    }
+
+    if (!question) {
+        await respond(responseUrl, { response_type: 'ephemeral', text: 'Usage: `/ask [#workspace] your question [--public]`' });
+        return;
+    }
+    if (!workspaceSlug) {
+        const route = await routeWorkspace({ text: question, channelId, userId });
+        workspaceSlug = route.slug;
+    }
+
+    console.log(`[Slash Command] /ask in workspace ${workspaceSlug} (${responseType}): "${question.substring(0, 100)}"`);
+    const reply = await queryLlm(workspaceSlug, null, question);
+    if (!reply) {
+        await respond(responseUrl, { response_type: 'ephemeral', text: `⚠️ The knowledge base returned an empty answer (workspace: ${workspaceSlug}).` });
+        return;
+    }
+
+    await respond(responseUrl, {
+        response_type: responseType,
+        text: reply.substring(0, 3000),
+        blocks: buildAskResponseBlocks(reply, workspaceSlug)
+    });
+}
+
+// --- /workspace ---
+async function handleWorkspaceSlashCommand({ response_url: responseUrl }, { respond, getWorkspaces }) {
+    const workspaces = await getWorkspaces();
+    const list = workspaces.map(slug => `• \`#${slug}\``).join('\n');
+    await respond(responseUrl, {
+        response_type: 'ephemeral',
+        text: `*Available workspaces:*\n${list}\n\nUse \`/ask #workspace your question\` or add the tag to a message mentioning me.`
+    });
+}
+
+// --- /export <thread permalink> ---
+// The bot can read more conversations than the user, so the user must be a member of the linked one
+async function handleExportSlashCommand({ text, user_id: userId, channel_id: channelId, response_url: responseUrl }, { respond, exportThread, slackClient }) {
+    const target = parseSlackPermalink(text);
+    if (!target) {
+        await respond(responseUrl, {
+            response_type: 'ephemeral',
+            text: 'Usage: `/export <link to a thread message>` (use "Copy link" on any message in the thread).'
+        });
+        return;
+    }
+    if (target.channelId !== channelId && !await isConversationMember(target.channelId, userId, slackClient)) {
+        console.warn(`[Slash Command] /export of ${target.channelId}/${target.threadTs} refused: ${userId} is not a member`);
+        await respond(responseUrl, { response_type: 'ephemeral', text: 'Sorry, you can only export threads from conversations you\'re a member of.' });
+        return;
+    }
+    await respond(responseUrl, { response_type: 'ephemeral', text: ':hourglass: Exporting the thread, the file will be posted there.' });
+    await exportThread(target.channelId, target.threadTs, userId);
+}
+
+const SLASH_COMMAND_HANDLERS = {
+    '/ask': handleAskSlashCommand,
+    '/workspace': handleWorkspaceSlashCommand,
+    '/workspaces': handleWorkspaceSlashCommand,
+    '/export': handleExportSlashCommand
+};
+
+/**
+ * Processes a parsed slash command payload. Transport-independent (used by the HTTP route).
+ * @param {object} payload - Slash command payload (command, text, user_id, channel_id, response_url, ...).
+ * @param {Partial<typeof defaultDeps>} [overrides] - Injectable for tests.
+ */
+export async function processSlashCommand(payload, overrides = {}) {
+    const deps = { ...defaultDeps, ...overrides };
+    const { respond } = deps;
+    const { command, user_id: userId, channel_id: channelId, response_url: responseUrl } = payload;
+    const handler = SLASH_COMMAND_HANDLERS[command?.toLowerCase()];
+    console.log(`[Slash Command] ${command} from ${userId} in ${channelId}`);
+
+    if (!handler) {
+        await respond(responseUrl, { response_type: 'ephemeral', text: `Sorry, I don't know the command \`${command}\`.` });
+        return;
+    }
+    try {
+        await handler({ ...payload, text: payload.text || '' }, deps);
+    } catch (error) {
+        console.error(`[Slash Command] Error handling ${command}:`, error);
+        await respond(responseUrl, { response_type: 'ephemeral', text: `⚠️ Oops! Something went wrong running \`${command}\`.` });
+    }
+}
+
+/**
+ * Express handler for /slack/commands. Acknowledges immediately and processes asynchronously.
+ * Signature verification is done by the verifySlackSignature middleware mounted in app.js.
+ */
+export async function handleSlashCommand(req, res) {
+    if (!req.body?.command || !req.body?.response_url) {
+        return res.status(400).send('Invalid slash command payload');
+    }
+    res.json({ response_type: 'ephemeral', text: ':hourglass_flowing_sand: Working on it...' });
+
+    processSlashCommand(req.body).catch(error => {
+        console.error('[Slash Command] Unhandled error:', error);
+    });
+}
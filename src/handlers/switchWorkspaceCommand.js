@@ -0,0 +1,68 @@
+// src/handlers/switchWorkspaceCommand.js
+// `#switch <workspace>` and the "Switch workspace" picker under answers – move the current Slack thread to
+// another AnythingLLM workspace (see workspaceSwitch.js). `#switch` alone lists the workspaces the thread has used.
+
+import { registerCommand } from './commandRegistry.js';
+import { exportConversationToMarkdown } from '../conversation-export.js';
+import { getAnythingLLMThreadMappingHistory } from '../services.js';
+import { switchThreadWorkspace, formatSwitchResult, formatMappingHistory } from '../workspaceSwitch.js';
+
+// Runs the switch and reports the outcome in the thread. `switchDeps` overrides switchThreadWorkspace() deps (tests).
+async function switchAndReport(slack, { channel, threadTs, targetSlug, userId }, switchDeps = {}) {
+    let result;
+    try {
+        result = await switchThreadWorkspace({ channel, threadTs, targetSlug, userId }, {
+            getTranscript: async () => (await exportConversationToMarkdown(channel, threadTs, false)).content,
+            ...switchDeps
+        });
+    } catch (error) {
+        console.error(`[Workspace Switch] Failed to switch ${channel}:${threadTs} to ${targetSlug}:`, error);
+        result = { status: 'failed', from: null, to: targetSlug };
+    }
+    await slack.chat.postMessage({ channel, thread_ts: threadTs, text: formatSwitchResult(result, userId) });
+    return result;
+}
+
+/**
+ * Handles `#switch <workspace>`, and `#switch` alone (workspace history of the thread).
+ *
+ * @param {import('./commandRegistry.js').CommandContext} ctx - Shared command context.
+ * @param {{targetSlug: string|null}} args - Parsed command arguments.
+ * @returns {Promise<boolean>} - Always true (errors are reported in Slack).
+ */
+async function handleSwitchWorkspaceCommand(ctx, args) {
+    const { slack, channel, replyTarget, userId } = ctx;
+    if (!args.targetSlug) {
+        const history = await getAnythingLLMThreadMappingHistory(channel, replyTarget);
+        await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: formatMappingHistory(history) });
+        return true;
+    }
+    console.log(`[Workspace Switch] ${userId} asked to switch ${channel}:${replyTarget} to ${args.targetSlug}`);
+    await switchAndReport(slack, { channel, threadTs: replyTarget, targetSlug: args.targetSlug, userId });
+    return true;
+}
+
+/**
+ * Handles a selection in the "Switch workspace" picker posted under answers.
+ * @param {object} payload - Slack block_actions payload.
+ * @param {import('@slack/web-api').WebClient} slack
+ * @param {object} [switchDeps] - Overrides for switchThreadWorkspace() dependencies (tests).
+ * @returns {Promise<void>}
+ */
+export async function handleWorkspaceSwitchAction(payload, slack, switchDeps = {}) {
+    const targetSlug = payload.actions[0].selected_option?.value;
+    const threadTs = payload.message.thread_ts || payload.message.ts;
+    if (!targetSlug) return;
+    console.log(`[Workspace Switch] ${payload.user.id} picked ${targetSlug} for ${payload.channel.id}:${threadTs}`);
+    await switchAndReport(slack, { channel: payload.channel.id, threadTs, targetSlug, userId: payload.user.id }, switchDeps);
+}
+
+registerCommand({
+    name: 'switch workspace',
+    pattern: /^#switch(?:\s+#?([\w-]+))?\s*$/i,
+    parseArgs: match => ({ targetSlug: match[1]?.toLowerCase() || null }),
+    help: '#switch [workspace]',
+    description: 'Move this thread to another workspace, carrying over a summary of the conversation (without a workspace: show the workspaces it has used).',
+    requiresThread: false,
+    handler: handleSwitchWorkspaceCommand
+});
@@ -0,0 +1,163 @@
+// src/issueAnalysis.js
+// Builds the LLM context for issue analysis. Long discussions are summarized in stages
+// (chunks of comments first, then the analysis works from those summaries) so the whole
+// conversation is covered instead of only the latest comments. The number of stages is capped
+// (the opening comments and the latest ones are kept), and summaries that still don't fit the
+// context budget are condensed once more.
+
+import { queryLlm } from './llm.js';
+import { ISSUE_CONTEXT_MAX_CHARS, ISSUE_HISTORY_CHUNK_CHARS, ISSUE_HISTORY_MAX_STAGES } from './config.js';
+
+const MAX_TIMELINE_EVENTS = 50;
+const MIN_DISCUSSION_CHARS = 2000; // Summaries get at least this much room, even next to a very long issue body
+const MIN_STAGE_SUMMARY_CHARS = 500;
+
+const formatDate = value => (value ? new Date(value).toISOString().split('T')[0] : '?');
+
+// One comment as "user (date): body"
+function formatComment(comment) {
+    return `*${comment.user}* (${formatDate(comment.createdAt)}): ${comment.body}`;
+}
+
+/**
+ * Formats issue metadata (labels, assignees, linked PRs, timeline) for a prompt.
+ * @param {object} details - From getGithubIssueDetails().
+ * @param {{owner: string, repo: string, issueNumber: number}} ref
+ * @returns {string}
+ */
+export function formatIssueHeader(details, { owner, repo, issueNumber }) {
+    const lines = [
+        `**GitHub Issue:** ${owner}/${repo}#${issueNumber} (${details.state})`,
+        `**Title:** ${details.title}`,
+        `**URL:** <${details.url}|View on GitHub>`,
+        `**Opened by:** ${details.author} on ${formatDate(details.createdAt)}`,
+        `**Labels:** ${details.labels?.length ? details.labels.join(', ') : '(none)'}`,
+        `**Assignees:** ${details.assignees?.length ? details.assignees.join(', ') : '(none)'}`
+    ];
+    if (details.linkedPullRequests?.length) {
+        lines.push('**Linked pull requests:**');
+        details.linkedPullRequests.forEach(pr => lines.push(`- #${pr.number} ${pr.title} (${pr.state}) ${pr.url}`));
+    }
+    if (details.timeline?.length) {
+        lines.push('**Timeline:**');
+        details.timeline.slice(-MAX_TIMELINE_EVENTS).forEach(event => {
+            lines.push(`- ${formatDate(event.createdAt)} ${event.actor} ${event.event}${event.detail ? `: ${event.detail}` : ''}`);
+        });
+    }
+    lines.push('', `**Body:**\n${details.body || '(No body)'}`);
+    return lines.join('\n');
+}
+
+/**
+ * Splits comments into consecutive chunks of at most maxChars formatted characters.
+ * A single comment longer than maxChars is cut to fit.
+ * @param {{user: string, body: string, createdAt: string|null}[]} comments
+ * @param {number} [maxChars=ISSUE_HISTORY_CHUNK_CHARS]
+ * @returns {{from: number, to: number, text: string}[]} 1-based comment ranges with their text.
+ */
+export function chunkComments(comments, maxChars = ISSUE_HISTORY_CHUNK_CHARS) {
+    const chunks = [];
+    let current = null;
+    comments.forEach((comment, i) => {
+        let text = formatComment(comment);
+        if (text.length > maxChars) text = `${text.substring(0, maxChars - 20)}... (cut)`;
+        if (current && current.text.length + text.length + 5 <= maxChars) {
+            current.text += `\n---\n${text}`;
+            current.to = i + 1;
+        } else {
+            current = { from: i + 1, to: i + 1, text };
+            chunks.push(current);
+        }
+    });
+    return chunks;
+}
+
+/**
+ * Keeps at most maxStages chunks: the first one (the report and first replies) and the most recent ones.
+ * @param {{from: number, to: number, text: string}[]} chunks - From chunkComments().
+ * @param {number} maxStages
+ * @returns {{chunks: {from: number, to: number, text: string}[], skipped: {from: number, to: number}|null}}
+ */
+export function selectStageChunks(chunks, maxStages) {
+    if (chunks.length <= maxStages) return { chunks, skipped: null };
+    const dropped = chunks.slice(1, chunks.length - maxStages + 1);
+    return {
+        chunks: [chunks[0], ...chunks.slice(-(maxStages - 1))],
+        skipped: { from: dropped[0].from, to: dropped[dropped.length - 1].to }
+    };
+}
+
+/**
+ * Builds the analysis context. Short histories are included verbatim; longer ones are replaced by
+ * stage summaries of consecutive comment chunks (at most maxStages of them), condensed once more
+ * when they still don't fit in maxChars.
+ * @param {object} details - From getGithubIssueDetails().
+ * @param {{owner: string, repo: string, issueNumber: number}} ref
+ * @param {object} options
+ * @param {string} options.workspaceSlug - AnythingLLM workspace for the stage summaries.
+ * @param {(message: string) => Promise<void>} [options.onProgress]
+ * @param {Function} [options.llm=queryLlm] - Injectable for tests.
+ * @param {number} [options.maxChars=ISSUE_CONTEXT_MAX_CHARS] - Above this, comments are summarized.
+ * @param {number} [options.maxStages=ISSUE_HISTORY_MAX_STAGES]
+ * @param {number} [options.chunkChars=ISSUE_HISTORY_CHUNK_CHARS]
+ * @returns {Promise<{context: string, staged: boolean}>}
+ */
+export async function buildIssueContext(details, ref, {
+    workspaceSlug,
+    onProgress = async () => {},
+    llm = queryLlm,
+    maxChars = ISSUE_CONTEXT_MAX_CHARS,
+    maxStages = ISSUE_HISTORY_MAX_STAGES,
+    chunkChars = ISSUE_HISTORY_CHUNK_CHARS
+} = {}) {
+    const header = formatIssueHeader(details, ref);
+    const comments = details.comments || [];
+    const fullHistory = comments.map(formatComment).join('\n---\n');
+    if (comments.length === 0) return { context: header, staged: false };
+    if (header.length + fullHistory.length <= maxChars) {
+        return { context: `${header}\n\n**Comments (${comments.length}):**\n${fullHistory}`, staged: false };
+    }
+
+    const { chunks, skipped } = selectStageChunks(chunkComments(comments, chunkChars), maxStages);
+    const budget = Math.max(maxChars - header.length, MIN_DISCUSSION_CHARS);
+    const stageChars = Math.max(Math.floor(budget / chunks.length), MIN_STAGE_SUMMARY_CHARS);
+    console.log(`[Issue Analysis] ${ref.owner}/${ref.repo}#${ref.issueNumber}: summarizing ${comments.length} comments in ${chunks.length} stages${skipped ? ` (skipping comments ${skipped.from}-${skipped.to})` : ''}`);
+    const summaries = [];
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        await onProgress(`:books: Reading the discussion (part ${i + 1} of ${chunks.length})...`);
+        const prompt = `Summarize comments ${chunk.from}-${chunk.to} of ${comments.length} on GitHub issue ${ref.owner}/${ref.repo}#${ref.issueNumber} ("${details.title}").
+Keep reproduction steps, findings, decisions, disagreements, open questions and who said what. Be concise: at most ${stageChars} characters.
+
+${chunk.text}`;
+        let summary = null;
+        try {
+            summary = await llm(workspaceSlug, null, prompt);
+        } catch (error) {
+            console.error(`[Issue Analysis] Stage ${i + 1} failed:`, error.message);
+        }
+        // Fall back to the start of the raw text so the stage isn't silently dropped
+        summaries.push(`**Comments ${chunk.from}-${chunk.to}:**\n${summary || `${chunk.text.substring(0, Math.min(stageChars, 1000))}... (summary unavailable)`}`);
+        if (i === 0 && skipped) summaries.push(`**Comments ${skipped.from}-${skipped.to}:** (skipped, the discussion is too long to read in full)`);
+    }
+
+    let discussion = summaries.join('\n\n');
+    if (discussion.length > budget) {
+        await onProgress(':books: Condensing the discussion...');
+        const prompt = `Condense these summaries of the discussion on GitHub issue ${ref.owner}/${ref.repo}#${ref.issueNumber} ("${details.title}") into at most ${budget} characters.
+Keep the order, reproduction steps, findings, decisions, open questions and who said what.
+
+${discussion}`;
+        try {
+            const condensed = await llm(workspaceSlug, null, prompt);
+            if (condensed) discussion = condensed;
+        } catch (error) {
+            console.error('[Issue Analysis] Condensing the stage summaries failed:', error.message);
+        }
+        if (discussion.length > budget) discussion = `${discussion.substring(0, budget - 10)}... (cut)`;
+    }
+    return {
+        context: `${header}\n\n**Discussion (${comments.length} comments, summarized in ${chunks.length} parts):**\n${discussion}`,
+        staged: true
+    };
+}
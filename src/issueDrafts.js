@@ -0,0 +1,213 @@
+// src/issueDrafts.js
+// Drafting GitHub issues from Slack threads: the drafting prompt, parsing the LLM's draft,
+// the draft card and edit modal, and storage for drafts waiting to be filed.
+
+import { findJson } from './utils.js';
+import { createPendingStore } from './pendingStore.js';
+import { ISSUE_DRAFT_TTL, ISSUE_DRAFT_REDIS_PREFIX, ISSUE_DRAFT_TRANSCRIPT_MAX_CHARS } from './config.js';
+
+export const ISSUE_DRAFT_OPEN_ACTION = 'issue_draft_open';
+export const ISSUE_DRAFT_DISCARD_ACTION = 'issue_draft_discard';
+export const ISSUE_DRAFT_MODAL_CALLBACK_ID = 'issue_draft_modal';
+
+const MAX_TITLE_LENGTH = 250;
+const MAX_BODY_INPUT_LENGTH = 3000; // Slack's limit for plain_text_input
+const MAX_LABELS = 5;
+
+/**
+ * Cuts a long transcript in the middle, keeping the start (the problem) and the end (the conclusion).
+ * @param {string} transcript
+ * @param {number} [maxChars=ISSUE_DRAFT_TRANSCRIPT_MAX_CHARS]
+ * @returns {string}
+ */
+export function trimTranscript(transcript, maxChars = ISSUE_DRAFT_TRANSCRIPT_MAX_CHARS) {
+    if (transcript.length <= maxChars) return transcript;
+    const marker = '\n\n[... middle of the conversation omitted ...]\n\n';
+    const head = Math.floor((maxChars - marker.length) / 3);
+    return transcript.substring(0, head) + marker + transcript.substring(transcript.length - (maxChars - marker.length - head));
+}
+
+/**
+ * Builds the prompt asking the LLM to draft an issue from a thread transcript.
+ * @param {string} transcript - Markdown from exportConversationToMarkdown().
+ * @param {object} options
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {string[]} [options.availableLabels] - The repository's labels; suggestions are limited to these.
+ * @param {string} [options.notes] - Extra instructions from the command.
+ * @returns {string}
+ */
+export function buildIssueDraftPrompt(transcript, { owner, repo, availableLabels = [], notes = '' }) {
+    const labelHint = availableLabels.length > 0
+        ? `Pick up to ${MAX_LABELS} labels from this list only: ${availableLabels.join(', ')}.`
+        : 'Suggest up to 3 short labels such as bug or enhancement.';
+    return `Draft a GitHub issue for ${owner}/${repo} from the Slack conversation below.
+Only use facts from the conversation; write "Unknown" where something wasn't said. Leave out names of customers and personal data.${notes ? `\nAlso consider: ${notes}` : ''}
+${labelHint}
+Respond with only this JSON:
+\`\`\`json
+{"title": "short, specific title", "summary": "what is wrong and who is affected", "steps_to_reproduce": ["step 1", "step 2"], "expected": "expected behavior", "actual": "actual behavior", "labels": ["bug"]}
+\`\`\`
+
+${trimTranscript(transcript)}`;
+}
+
+/**
+ * Turns the LLM response into an issue draft. Falls back to the raw response as the body when there is no JSON.
+ * @param {string} response - Raw LLM response.
+ * @param {string[]} [availableLabels] - When given, labels not in this list are dropped.
+ * @returns {{title: string, body: string, labels: string[]}}
+ */
+export function parseIssueDraft(response, availableLabels = []) {
+    const { json } = findJson(response || '');
+    if (!json) {
+        return { title: 'Issue reported in Slack', body: (response || '').trim(), labels: [] };
+    }
+    const steps = Array.isArray(json.steps_to_reproduce) ? json.steps_to_reproduce.filter(Boolean) : [];
+    const sections = [
+        json.summary && `## Summary\n${json.summary}`,
+        steps.length > 0 && `## Steps to reproduce\n${steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}`,
+        json.expected && `## Expected behavior\n${json.expected}`,
+        json.actual && `## Actual behavior\n${json.actual}`
+    ].filter(Boolean);
+    const known = new Map(availableLabels.map(label => [label.toLowerCase(), label]));
+    const labels = (Array.isArray(json.labels) ? json.labels : [])
+        .map(label => (availableLabels.length > 0 ? known.get(String(label).toLowerCase()) : String(label).trim()))
+        .filter(Boolean);
+    return {
+        title: String(json.title || 'Issue reported in Slack').substring(0, MAX_TITLE_LENGTH),
+        body: sections.join('\n\n'),
+        labels: [...new Set(labels)].slice(0, MAX_LABELS)
+    };
+}
+
+/**
+ * Builds the draft card posted in the thread.
+ * @param {{title: string, body: string, labels: string[]}} draft
+ * @param {{owner: string, repo: string, userId: string, draftId: string}} info
+ * @returns {object[]} Slack blocks.
+ */
+export function buildIssueDraftBlocks(draft, { owner, repo, userId, draftId }) {
+    const preview = draft.body.length > 2500 ? `${draft.body.substring(0, 2500)}\n…` : draft.body;
+    return [
+        { type: 'section', text: { type: 'mrkdwn', text: `:memo: *Draft issue for ${owner}/${repo}:* ${draft.title}` } },
+        { type: 'section', text: { type: 'mrkdwn', text: preview || '_(empty)_' } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `Labels: ${draft.labels.length > 0 ? draft.labels.join(', ') : 'none'} · Only <@${userId}> can file or discard this draft.` }] },
+        {
+            type: 'actions',
+            block_id: 'issue_draft_actions',
+            elements: [
+                { type: 'button', action_id: ISSUE_DRAFT_OPEN_ACTION, style: 'primary', text: { type: 'plain_text', text: 'Edit & file issue' }, value: draftId },
+                { type: 'button', action_id: ISSUE_DRAFT_DISCARD_ACTION, text: { type: 'plain_text', text: 'Discard' }, value: draftId }
+            ]
+        }
+    ];
+}
+
+/**
+ * Splits a draft body into the part that fits the modal's text input and the rest, which can't be edited
+ * there and is appended as drafted when the issue is filed. Cuts at a line break where there is one.
+ * @param {string} body
+ * @returns {{editable: string, rest: string}}
+ */
+export function splitDraftBody(body) {
+    if (body.length <= MAX_BODY_INPUT_LENGTH) return { editable: body, rest: '' };
+    const lineBreak = body.lastIndexOf('\n', MAX_BODY_INPUT_LENGTH);
+    const cut = lineBreak > MAX_BODY_INPUT_LENGTH / 2 ? lineBreak : MAX_BODY_INPUT_LENGTH;
+    return { editable: body.substring(0, cut), rest: body.substring(cut) };
+}
+
+/**
+ * Builds the modal for editing a draft before it is filed.
+ * @param {{owner: string, repo: string, draft: {title: string, body: string, labels: string[]}}} stored - Stored draft.
+ * @param {{draftId: string, cardTs: string}} metadata - Passed back on submission.
+ * @returns {object} Slack view.
+ */
+export function buildIssueDraftModal({ owner, repo, draft }, metadata) {
+    const { editable, rest } = splitDraftBody(draft.body);
+    return {
+        type: 'modal',
+        callback_id: ISSUE_DRAFT_MODAL_CALLBACK_ID,
+        private_metadata: JSON.stringify(metadata),
+        title: { type: 'plain_text', text: 'File GitHub issue' },
+        submit: { type: 'plain_text', text: 'Create issue' },
+        close: { type: 'plain_text', text: 'Cancel' },
+        blocks: [
+            { type: 'context', elements: [{ type: 'mrkdwn', text: `Repository: *${owner}/${repo}*` }] },
+            {
+                type: 'input',
+                block_id: 'title_block',
+                label: { type: 'plain_text', text: 'Title' },
+                element: { type: 'plain_text_input', action_id: 'title', initial_value: draft.title, max_length: MAX_TITLE_LENGTH }
+            },
+            {
+                type: 'input',
+                block_id: 'body_block',
+                label: { type: 'plain_text', text: 'Description (Markdown)' },
+                element: {
+                    type: 'plain_text_input', action_id: 'body', multiline: true, max_length: MAX_BODY_INPUT_LENGTH,
+                    initial_value: editable
+                }
+            },
+            ...(rest ? [{
+                type: 'context',
+                elements: [{
+                    type: 'mrkdwn',
+                    text: `:scissors: The draft is too long to edit here in full. Its last ${rest.length} characters aren't shown and will be added to the end of the description as drafted.`
+                }]
+            }] : []),
+            {
+                type: 'input',
+                block_id: 'labels_block',
+                optional: true,
+                label: { type: 'plain_text', text: 'Labels (comma-separated)' },
+                element: { type: 'plain_text_input', action_id: 'labels', initial_value: draft.labels.join(', ') }
+            }
+        ]
+    };
+}
+
+/**
+ * Reads the edited draft from a modal submission.
+ * @param {object} view - payload.view of the view_submission.
+ * @returns {{title: string, body: string, labels: string[]}}
+ */
+export function readIssueDraftSubmission(view) {
+    const values = view.state?.values || {};
+    return {
+        title: (values.title_block?.title?.value || '').trim(),
+        body: values.body_block?.body?.value || '',
+        labels: (values.labels_block?.labels?.value || '').split(',').map(label => label.trim()).filter(Boolean)
+    };
+}
+
+// --- Draft Storage ---
+
+const drafts = createPendingStore({ prefix: ISSUE_DRAFT_REDIS_PREFIX, ttlSeconds: ISSUE_DRAFT_TTL });
+
+/**
+ * Stores a draft until it is filed, discarded or expires (ISSUE_DRAFT_TTL).
+ * @param {{owner: string, repo: string, draft: object, userId: string, channel: string, replyTarget: string}} stored
+ * @returns {Promise<string>} Draft ID (used as the button value).
+ */
+export function saveIssueDraft(stored) {
+    return drafts.save(stored);
+}
+
+/**
+ * Reads a draft without consuming it.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export function getIssueDraft(id) {
+    return drafts.get(id);
+}
+
+/**
+ * Removes and returns a draft, so it can only be filed once.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export function takeIssueDraft(id) {
+    return drafts.take(id);
+}
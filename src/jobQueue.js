@@ -0,0 +1,306 @@
+// src/jobQueue.js
+// Durable Redis-backed work queue for incoming message processing.
+//
+// Keys (prefix JOB_QUEUE_REDIS_PREFIX):
+//   pending    - LIST of jobs waiting to run
+//   processing - ZSET of claimed jobs, scored by lease expiry (workers extend the lease while running)
+//   delayed    - ZSET of jobs waiting for a retry, scored by the time they may run again
+//   dead       - LIST of jobs that exhausted their attempts (dead-letter list, capped)
+//
+// Jobs whose lease expires (e.g. the instance crashed or was redeployed mid-job) are moved back
+// to `pending` as their next attempt, so in-flight work resumes after a restart. A job that keeps
+// crashing its worker ends up in `dead` like any other job that exhausted its attempts.
+//
+// A retry runs the whole job again, so processors call disableRetry() before doing anything a retry
+// would repeat (posting to Slack or GitHub). Failures after that go straight to the dead-letter list.
+// The processing entry is rewritten with `retryable: false`, so a job whose worker dies after that
+// point is dead-lettered on recovery instead of being run (and posted) again.
+
+import crypto from 'crypto';
+import { redisClient, isRedisReady } from './services.js';
+import {
+    redisUrl,
+    JOB_QUEUE_REDIS_PREFIX,
+    JOB_QUEUE_CONCURRENCY,
+    JOB_MAX_ATTEMPTS,
+    JOB_RETRY_BASE_DELAY_MS,
+    JOB_LEASE_MS,
+    JOB_DEAD_LETTER_MAX
+} from './config.js';
+
+const KEYS = {
+    pending: `${JOB_QUEUE_REDIS_PREFIX}pending`,
+    processing: `${JOB_QUEUE_REDIS_PREFIX}processing`,
+    delayed: `${JOB_QUEUE_REDIS_PREFIX}delayed`,
+    dead: `${JOB_QUEUE_REDIS_PREFIX}dead`
+};
+const IDLE_POLL_MS = 1000;
+
+// Atomically pops the oldest pending job and records its lease.
+const CLAIM_SCRIPT = `
+    local job = redis.call('RPOP', KEYS[1])
+    if job then redis.call('ZADD', KEYS[2], ARGV[1], job) end
+    return job`;
+
+// Moves due retries (score <= now) from the delayed ZSET onto the pending list.
+const PROMOTE_SCRIPT = `
+    local jobs = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 100)
+    for _, job in ipairs(jobs) do
+        redis.call('ZREM', KEYS[1], job)
+        redis.call('LPUSH', KEYS[2], job)
+    end
+    return #jobs`;
+
+// Replaces a processing entry (ARGV[1]) with ARGV[2], keeping its lease. Returns 0 if it's gone.
+const REPLACE_LEASE_SCRIPT = `
+    local lease = redis.call('ZSCORE', KEYS[1], ARGV[1])
+    if not lease then return 0 end
+    redis.call('ZREM', KEYS[1], ARGV[1])
+    redis.call('ZADD', KEYS[1], lease, ARGV[2])
+    return 1`;
+
+// Moves a processing entry (ARGV[1]) whose lease is still expired (<= ARGV[3]) to the list KEYS[2] as ARGV[2],
+// trimming the list to ARGV[4] entries when given. Returns 0 if the entry is gone or its lease was extended.
+const RECOVER_SCRIPT = `
+    local lease = redis.call('ZSCORE', KEYS[1], ARGV[1])
+    if not lease or tonumber(lease) > tonumber(ARGV[3]) then return 0 end
+    redis.call('ZREM', KEYS[1], ARGV[1])
+    redis.call('LPUSH', KEYS[2], ARGV[2])
+    if ARGV[4] then redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[4]) - 1) end
+    return 1`;
+
+/**
+ * @typedef {(job: object, control: {disableRetry: () => Promise<void>}) => Promise<void>} JobProcess
+ */
+
+/** @type {Map<string, {process: JobProcess, onRetry?: (job: object, error: Error, delayMs: number) => Promise<void>}>} */
+const processors = new Map();
+let running = false;
+let activeWorkers = [];
+let maintenanceTimer = null;
+let queueClient = null; // Set by setJobQueueClient(), e.g. a fake Redis in tests
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const client = () => queueClient || redisClient;
+const queueAvailable = () => Boolean(queueClient || (redisUrl && isRedisReady));
+
+/**
+ * Replaces the Redis client used by the queue, e.g. with a fake in tests.
+ * @param {object|null} redis - Null to go back to the shared Redis client.
+ * @returns {object|null} The previous client.
+ */
+export function setJobQueueClient(redis) {
+    const previous = queueClient;
+    queueClient = redis;
+    return previous;
+}
+
+/**
+ * Registers the processor for a job type.
+ * @param {string} type - Job type, e.g. 'slack_message'.
+ * @param {JobProcess} process - Runs the job. Throw to trigger a retry; await `control.disableRetry()` before
+ *   doing something that running the job again would repeat.
+ * @param {(job: object, error: Error, delayMs: number) => Promise<void>} [onRetry] - Called before a failed job is retried.
+ */
+export function registerJobProcessor(type, process, onRetry) {
+    processors.set(type, { process, onRetry });
+}
+
+/**
+ * Computes the retry delay for a failed attempt: exponential backoff with up to 20% jitter.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {number} [baseDelayMs=JOB_RETRY_BASE_DELAY_MS]
+ * @returns {number} Delay in milliseconds.
+ */
+export function computeRetryDelay(attempt, baseDelayMs = JOB_RETRY_BASE_DELAY_MS) {
+    const exponential = baseDelayMs * Math.pow(2, Math.max(attempt - 1, 0));
+    return Math.round(exponential + Math.random() * exponential * 0.2);
+}
+
+/**
+ * Adds a job to the queue. If Redis isn't available the job runs immediately in-process
+ * (single attempt, no durability), which matches the behaviour without a queue.
+ * @param {string} type - Registered job type.
+ * @param {object} payload - JSON-serializable job data.
+ * @returns {Promise<string>} The job ID.
+ */
+export async function enqueueJob(type, payload) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        payload,
+        attempt: 1,
+        maxAttempts: JOB_MAX_ATTEMPTS,
+        enqueuedAt: new Date().toISOString()
+    };
+
+    if (queueAvailable()) {
+        try {
+            await client().lPush(KEYS.pending, JSON.stringify(job));
+            console.log(`[Job Queue] Enqueued ${type} job ${job.id}`);
+            return job.id;
+        } catch (error) {
+            console.error(`[Job Queue] Failed to enqueue ${type} job, running it directly:`, error.message);
+        }
+    }
+
+    const processor = processors.get(type);
+    if (!processor) throw new Error(`No processor registered for job type "${type}".`);
+    processor.process({ ...job, maxAttempts: 1 }, { disableRetry: async () => {} }).catch(error => {
+        console.error(`[Job Queue] Direct ${type} job ${job.id} failed:`, error);
+    });
+    return job.id;
+}
+
+// Runs one claimed job, extending its lease while it runs, then acks, retries or dead-letters it.
+async function runJob(rawJob) {
+    const job = JSON.parse(rawJob);
+    const processor = processors.get(job.type);
+    let retryable = true;
+    let leased = rawJob; // The processing entry, rewritten once retries are disabled
+    const heartbeat = setInterval(() => {
+        client().zAdd(KEYS.processing, { score: Date.now() + JOB_LEASE_MS, value: leased }, { XX: true })
+            .catch(error => console.warn(`[Job Queue] Failed to extend lease for job ${job.id}:`, error.message));
+    }, Math.max(Math.floor(JOB_LEASE_MS / 3), 1000));
+
+    // Persisted so lease recovery doesn't run the job again either
+    const disableRetry = async () => {
+        if (!retryable) return;
+        retryable = false;
+        const marked = JSON.stringify({ ...job, retryable: false });
+        try {
+            if (await client().eval(REPLACE_LEASE_SCRIPT, { keys: [KEYS.processing], arguments: [leased, marked] })) leased = marked;
+        } catch (error) {
+            console.warn(`[Job Queue] Failed to mark job ${job.id} as not retryable:`, error.message);
+        }
+    };
+
+    try {
+        if (!processor) throw new Error(`No processor registered for job type "${job.type}".`);
+        console.log(`[Job Queue] Running ${job.type} job ${job.id} (attempt ${job.attempt}/${job.maxAttempts})`);
+        await processor.process(job, { disableRetry });
+        await client().zRem(KEYS.processing, leased);
+    } catch (error) {
+        const failedJob = { ...job, lastError: error.message };
+        if (processor && retryable && job.attempt < job.maxAttempts) {
+            const delayMs = computeRetryDelay(job.attempt);
+            const retryJob = { ...failedJob, attempt: job.attempt + 1 };
+            console.warn(`[Job Queue] ${job.type} job ${job.id} failed (attempt ${job.attempt}/${job.maxAttempts}), retrying in ${delayMs}ms:`, error.message);
+            if (processor.onRetry) {
+                await processor.onRetry(retryJob, error, delayMs).catch(notifyError => {
+                    console.warn(`[Job Queue] onRetry callback failed for job ${job.id}:`, notifyError.message);
+                });
+            }
+            await client().multi()
+                .zRem(KEYS.processing, leased)
+                .zAdd(KEYS.delayed, { score: Date.now() + delayMs, value: JSON.stringify(retryJob) })
+                .exec();
+        } else {
+            const reason = retryable ? 'failed permanently' : 'failed after its retries were disabled';
+            console.error(`[Job Queue] ${job.type} job ${job.id} ${reason}, moving to dead-letter list:`, error.message);
+            await client().multi()
+                .zRem(KEYS.processing, leased)
+                .lPush(KEYS.dead, JSON.stringify({ ...failedJob, failedAt: new Date().toISOString() }))
+                .lTrim(KEYS.dead, 0, JOB_DEAD_LETTER_MAX - 1)
+                .exec();
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+// Requeues jobs with expired leases as their next attempt, or dead-letters them when they have no attempts
+// left or had disabled their retries. Returns how many went each way.
+async function recoverExpiredLeases(now) {
+    const expired = await client().zRangeByScore(KEYS.processing, '-inf', now, { LIMIT: { offset: 0, count: 100 } });
+    const counts = { requeued: 0, deadLettered: 0 };
+    for (const rawJob of expired) {
+        const job = JSON.parse(rawJob);
+        const lastError = 'Lease expired (interrupted by a restart or crash)';
+        const requeue = job.retryable !== false && job.attempt < job.maxAttempts;
+        const args = requeue
+            ? [rawJob, JSON.stringify({ ...job, attempt: job.attempt + 1, lastError }), now]
+            : [rawJob, JSON.stringify({ ...job, lastError, failedAt: new Date().toISOString() }), now, String(JOB_DEAD_LETTER_MAX)];
+        if (!await client().eval(RECOVER_SCRIPT, { keys: [KEYS.processing, requeue ? KEYS.pending : KEYS.dead], arguments: args })) continue;
+        if (requeue) {
+            counts.requeued++;
+        } else {
+            counts.deadLettered++;
+            const reason = job.retryable === false ? 'its retries were disabled' : `attempt ${job.attempt}/${job.maxAttempts}`;
+            console.error(`[Job Queue] ${job.type} job ${job.id} lease expired (${reason}), moving to dead-letter list.`);
+        }
+    }
+    return counts;
+}
+
+/**
+ * Moves due retries and expired leases back to the pending list. Runs on a timer while workers are started.
+ */
+export async function promoteDueJobs() {
+    if (!queueAvailable()) return;
+    const now = String(Date.now());
+    try {
+        const retried = await client().eval(PROMOTE_SCRIPT, { keys: [KEYS.delayed, KEYS.pending], arguments: [now] });
+        const { requeued } = await recoverExpiredLeases(now);
+        if (retried > 0) console.log(`[Job Queue] ${retried} job(s) ready for retry.`);
+        if (requeued > 0) console.warn(`[Job Queue] Recovered ${requeued} job(s) with expired leases (interrupted by a restart or crash).`);
+    } catch (error) {
+        console.error('[Job Queue] Failed to promote due jobs:', error.message);
+    }
+}
+
+/**
+ * Claims the oldest pending job, if any, and runs it.
+ * @param {number} [workerId=0] - For log messages.
+ * @returns {Promise<boolean>} Whether a job was claimed.
+ */
+export async function processNextJob(workerId = 0) {
+    if (!queueAvailable()) return false;
+    let rawJob = null;
+    try {
+        rawJob = await client().eval(CLAIM_SCRIPT, {
+            keys: [KEYS.pending, KEYS.processing],
+            arguments: [String(Date.now() + JOB_LEASE_MS)]
+        });
+    } catch (error) {
+        console.error(`[Job Queue] Worker ${workerId} failed to claim a job:`, error.message);
+    }
+    if (!rawJob) return false;
+    await runJob(rawJob).catch(error => console.error(`[Job Queue] Worker ${workerId} error:`, error));
+    return true;
+}
+
+async function workerLoop(workerId) {
+    while (running) {
+        if (!await processNextJob(workerId)) await sleep(IDLE_POLL_MS);
+    }
+}
+
+/**
+ * Starts the worker loops (JOB_QUEUE_CONCURRENCY of them) and the retry/lease maintenance timer.
+ */
+export function startJobWorkers() {
+    if (running) return;
+    if (!redisUrl) {
+        console.warn('[Job Queue] REDIS_URL not set. Messages are processed directly without retries.');
+        return;
+    }
+    running = true;
+    activeWorkers = Array.from({ length: JOB_QUEUE_CONCURRENCY }, (_, i) => workerLoop(i + 1));
+    maintenanceTimer = setInterval(promoteDueJobs, IDLE_POLL_MS);
+    console.log(`[Job Queue] Started ${JOB_QUEUE_CONCURRENCY} worker(s).`);
+}
+
+/**
+ * Stops claiming new jobs and waits for running jobs to finish.
+ * Jobs that don't finish are recovered by another instance once their lease expires.
+ */
+export async function stopJobWorkers() {
+    if (!running) return;
+    running = false;
+    clearInterval(maintenanceTimer);
+    maintenanceTimer = null;
+    await Promise.allSettled(activeWorkers);
+    activeWorkers = [];
+    console.log('[Job Queue] Workers stopped.');
+}
@@ -1,19 +1,33 @@
-import axios from 'axios';
+import { StringDecoder } from 'string_decoder';
 import {
-    anythingLLMBaseUrl,
-    anythingLLMApiKey,
     WORKSPACE_LIST_CACHE_KEY,
     WORKSPACE_LIST_CACHE_TTL,
+    WORKSPACE_DESCRIPTIONS,
     redisUrl
 } from './config.js';
 import { redisClient, isRedisReady } from './services.js';
+import { getAnythingLLMClient, toAnythingLLMError, AnythingLLMError } from './anythingLLMClient.js';
 
-// Cache for available workspace slugs
+// Cache for available workspaces ({slug, name, description})
 let availableWorkspacesCache = null;
 let cacheTimestamp = 0;
 
-// --- Helper: Get Available Sphere Slugs (with In-Memory + Redis Cache) ---
-async function getAvailableSphereSlugs() {
+const MAX_WORKSPACE_DESCRIPTION_LENGTH = 300;
+
+// WORKSPACE_DESCRIPTIONS wins; otherwise the start of the workspace's system prompt usually says what it's for.
+// Entries cached by older versions are plain slug strings.
+function toWorkspaceInfo(workspace) {
+    if (typeof workspace === 'string') workspace = { slug: workspace };
+    const description = WORKSPACE_DESCRIPTIONS[workspace.slug] || workspace.description || workspace.openAiPrompt || '';
+    return {
+        slug: workspace.slug,
+        name: workspace.name || workspace.slug,
+        description: description.substring(0, MAX_WORKSPACE_DESCRIPTION_LENGTH)
+    };
+}
+
+// --- Helper: Get Available Workspaces (with In-Memory + Redis Cache) ---
+async function getAvailableWorkspaceInfo() {
     const now = Date.now();
 
     // 1. Check in-memory cache
@@ -27,11 +41,11 @@ async function getAvailableSphereSlugs() {
         try {
             const cachedData = await redisClient.get(WORKSPACE_LIST_CACHE_KEY);
             if (cachedData) {
-                const slugs = JSON.parse(cachedData);
-                console.log(`[LLM Service/getSlugs] Redis cache HIT. Found ${slugs.length} slugs.`);
-                availableWorkspacesCache = slugs;
+                const workspaces = JSON.parse(cachedData).map(toWorkspaceInfo);
+                console.log(`[LLM Service/getSlugs] Redis cache HIT. Found ${workspaces.length} slugs.`);
+                availableWorkspacesCache = workspaces;
                 cacheTimestamp = now; // Update in-memory cache timestamp
-                return slugs;
+                return workspaces;
             }
             console.log(`[LLM Service/getSlugs] Redis cache MISS.`);
         } catch (err) {
@@ -42,37 +56,33 @@ async function getAvailableSphereSlugs() {
     // 3. Fetch from API
     console.log(`[LLM Service/getSlugs] Fetching available workspaces from API...`);
     try {
-        const response = await axios.get(`${anythingLLMBaseUrl}/api/v1/workspaces`, {
-            headers: { 'Accept': 'application/json', Authorization: `Bearer ${anythingLLMApiKey}` },
-            timeout: 10000,
-        });
-
-        if (response.data && Array.isArray(response.data.workspaces)) {
-            const slugs = response.data.workspaces
-                .map(ws => ws.slug)
-                .filter(slug => slug && typeof slug === 'string');
-            console.log(`[LLM Service/getSlugs] API returned ${slugs.length} slugs.`);
-
-            availableWorkspacesCache = slugs; // Update in-memory cache
-            cacheTimestamp = now;
-
-            // Update Redis cache asynchronously (don't block return)
-            if (redisUrl && isRedisReady && slugs.length > 0) {
-                redisClient.set(WORKSPACE_LIST_CACHE_KEY, JSON.stringify(slugs), { EX: WORKSPACE_LIST_CACHE_TTL })
-                    .then(() => console.log(`[LLM Service/getSlugs] Updated Redis cache key ${WORKSPACE_LIST_CACHE_KEY}.`))
-                    .catch(cacheSetError => console.error(`[Redis Error] Failed to set workspace cache key ${WORKSPACE_LIST_CACHE_KEY}:`, cacheSetError));
-            }
-            return slugs;
-        } else {
-            console.error('[LLM Service/getSlugs] Unexpected API response structure:', response.data);
+        const workspaces = (await getAnythingLLMClient().listWorkspaces())
+            .filter(ws => ws.slug && typeof ws.slug === 'string')
+            .map(toWorkspaceInfo);
+        console.log(`[LLM Service/getSlugs] API returned ${workspaces.length} slugs.`);
+
+        availableWorkspacesCache = workspaces; // Update in-memory cache
+        cacheTimestamp = now;
+
+        // Update Redis cache asynchronously (don't block return)
+        if (redisUrl && isRedisReady && workspaces.length > 0) {
+            redisClient.set(WORKSPACE_LIST_CACHE_KEY, JSON.stringify(workspaces), { EX: WORKSPACE_LIST_CACHE_TTL })
+                .then(() => console.log(`[LLM Service/getSlugs] Updated Redis cache key ${WORKSPACE_LIST_CACHE_KEY}.`))
+                .catch(cacheSetError => console.error(`[Redis Error] Failed to set workspace cache key ${WORKSPACE_LIST_CACHE_KEY}:`, cacheSetError));
         }
+        return workspaces;
     } catch (error) {
-        console.error('[LLM Service/getSlugs] API Fetch failed:', error.response?.data || error.message);
+        console.error('[LLM Service/getSlugs] API Fetch failed:', error.message);
     }
 
     // Fallback if all attempts fail
     console.warn("[LLM Service/getSlugs] Failed to get slugs from all sources. Falling back to ['all'].");
-    return ['all']; // Default to 'all' if API fails
+    return [toWorkspaceInfo('all')]; // Default to 'all' if API fails
+}
+
+// --- Helper: Get Available Sphere Slugs ---
+async function getAvailableSphereSlugs() {
+    return (await getAvailableWorkspaceInfo()).map(workspace => workspace.slug);
 }
 
 // --- Sphere Decision Logic (REMOVED - Sphere decision now happens in slack.js before creating/fetching thread) ---
@@ -87,23 +97,11 @@ async function getAvailableSphereSlugs() {
 export async function createNewAnythingLLMThread(sphere) {
     console.log(`[LLM Service/createThread] Creating new thread in sphere: ${sphere}...`);
     try {
-        const response = await axios.post(`${anythingLLMBaseUrl}/api/v1/workspace/${sphere}/thread/new`,
-            {}, // No body needed for thread creation
-            {
-                headers: { Authorization: `Bearer ${anythingLLMApiKey}` },
-                timeout: 15000, // 15s timeout for thread creation
-            });
-
-        if (response.data && response.data.thread && response.data.thread.slug) {
-            const newThreadSlug = response.data.thread.slug;
-            console.log(`[LLM Service/createThread] Successfully created thread with slug: ${newThreadSlug}`);
-            return newThreadSlug;
-        } else {
-            console.error('[LLM Service/createThread] Unexpected API response structure:', response.data);
-            return null;
-        }
+        const newThreadSlug = await getAnythingLLMClient().createThread(sphere);
+        console.log(`[LLM Service/createThread] Successfully created thread with slug: ${newThreadSlug}`);
+        return newThreadSlug;
     } catch (error) {
-        console.error(`[LLM Error - Create Thread - Sphere: ${sphere}]`, error.response?.data || error.message);
+        console.error(`[LLM Error - Create Thread - Sphere: ${sphere}]`, error.message);
         return null;
     }
 }
@@ -117,70 +115,130 @@ export async function queryLlm(sphere, anythingLLMThreadSlug, inputText, mode =
         throw new Error('Internal error: Missing workspace slug.');
     }
 
-    // Construct the endpoint URL based on whether a thread slug is provided
-    const endpointUrl = anythingLLMThreadSlug
-        ? `${anythingLLMBaseUrl}/api/v1/workspace/${sphere}/thread/${anythingLLMThreadSlug}/chat`
-        : `${anythingLLMBaseUrl}/api/v1/workspace/${sphere}/chat`;
-
-    console.log(`[LLM Service/queryLlm] Using endpoint: ${endpointUrl}`);
-
-    const requestBody = {
-        message: inputText, // Use original inputText
-        mode: mode, // Use the provided mode ('chat' or 'query')
-        // attachments: attachments // Add attachments if needed later
-    };
-
-    // Log body carefully, remove attachments if sensitive
-   // console.log("[LLM Service/queryLlm] Request Body:", JSON.stringify({ ...requestBody, attachments: attachments.length > 0 ? `[${attachments.length} attachment(s)]` : '[]' }, null, 2));
-
     try {
-        const llmResponse = await axios.post(
-            endpointUrl,
-            requestBody,
-            {
-                headers: { Authorization: `Bearer ${anythingLLMApiKey}` },
-                timeout: 90000, // 90s timeout
-            }
-        );
+        const data = await getAnythingLLMClient().chat(sphere, anythingLLMThreadSlug, inputText, mode);
 
         // Check the response structure
-        if (!llmResponse || !llmResponse.data) {
-            console.error('[LLM Service/queryLlm] Error: Empty or invalid response from LLM API');
-            throw new Error('LLM API returned an empty or invalid response.');
+        if (!data) {
+            throw new AnythingLLMError('LLM API returned an empty or invalid response.');
         }
 
         // Log the raw response for debugging
-        console.log("[LLM Service/queryLlm] Raw API Response:", JSON.stringify(llmResponse.data, null, 2));
+        console.log("[LLM Service/queryLlm] Raw API Response:", JSON.stringify(data, null, 2));
 
-        if (!llmResponse.data.textResponse) {
-            console.warn('[LLM Service/queryLlm] Warning: No textResponse field found in response', llmResponse.data);
+        if (!data.textResponse) {
+            console.warn('[LLM Service/queryLlm] Warning: No textResponse field found in response', data);
             return null;
         }
-        return llmResponse.data.textResponse;
+        return data.textResponse;
 
     } catch (error) {
-        // Enhanced Error Logging
-        let errorDetails = error.message;
-        if (error.response) {
-            // The request was made and the server responded with a status code
-            // that falls out of the range of 2xx
-            console.error(`[LLM Error Data - ${error.response.status}]:`, error.response.data);
-            errorDetails = `Status ${error.response.status}: ${JSON.stringify(error.response.data)}`;
-        } else if (error.request) {
-            // The request was made but no response was received
-            console.error('[LLM Error Request]:', error.request);
-            errorDetails = 'No response received from LLM server.';
-        } else {
-            // Something happened in setting up the request that triggered an Error
-            console.error('[LLM Error Message]:', error.message);
+        // Typed AnythingLLMError (NotFoundError, TimeoutError, ...), so callers can react to the cause
+        console.error(`[LLM Error Full Context]`, error.message, error.details || '');
+        throw error;
+    }
+}
+
+// --- Streaming Chat ---
+
+/**
+ * Parses a buffer of Server-Sent Events text into JSON payloads.
+ * Incomplete trailing events are returned as `rest` so they can be prepended to the next chunk.
+ * @param {string} buffer - Raw SSE text accumulated so far.
+ * @returns {{events: object[], rest: string}} Parsed `data:` payloads and the unparsed remainder.
+ */
+export function parseSseEvents(buffer) {
+    const events = [];
+    const normalized = buffer.replace(/\r\n/g, '\n');
+    const rawEvents = normalized.split('\n\n');
+    const rest = rawEvents.pop(); // Last element is either '' or an incomplete event
+
+    for (const rawEvent of rawEvents) {
+        const dataLines = rawEvent
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.substring(5).trimStart());
+        if (dataLines.length === 0) continue;
+        const data = dataLines.join('\n');
+        try {
+            events.push(JSON.parse(data));
+        } catch (parseError) {
+            console.warn('[LLM Service/streamLlm] Skipping non-JSON SSE data:', data.substring(0, 200));
+        }
+    }
+    return { events, rest };
+}
+
+/**
+ * Streams a chat response from AnythingLLM using the stream-chat endpoints.
+ * Calls `onChunk` with the accumulated text each time new text arrives.
+ * @param {string} sphere - The workspace slug.
+ * @param {string|null} anythingLLMThreadSlug - Optional thread slug (uses the thread stream endpoint when set).
+ * @param {string} inputText - The message to send.
+ * @param {(fullText: string, delta: string) => void} [onChunk] - Progress callback.
+ * @param {string} [mode='chat'] - 'chat' or 'query'.
+ * @returns {Promise<string|null>} The complete response text, or null if nothing was returned.
+ */
+export async function streamLlm(sphere, anythingLLMThreadSlug, inputText, onChunk = () => {}, mode = 'chat') {
+    console.log(`[LLM Service/streamLlm] Streaming sphere: ${sphere}, thread: ${anythingLLMThreadSlug}, mode: ${mode}`);
+
+    if (!sphere) {
+        console.error('[LLM Service/streamLlm] Error: sphere (workspace slug) is required but was not provided.');
+        throw new Error('Internal error: Missing workspace slug.');
+    }
+
+    let fullText = '';
+    try {
+        const stream = await getAnythingLLMClient().streamChat(sphere, anythingLLMThreadSlug, inputText, mode);
+
+        const handleEvents = events => {
+            for (const event of events) {
+                if (event.error) {
+                    throw new AnythingLLMError(`Stream error: ${event.error}`);
+                }
+                if (event.type === 'abort') {
+                    throw new AnythingLLMError(`Stream aborted by server${event.textResponse ? `: ${event.textResponse}` : ''}`);
+                }
+                if ((event.type === 'textResponseChunk' || event.type === 'textResponse') && event.textResponse) {
+                    fullText += event.textResponse;
+                    try {
+                        onChunk(fullText, event.textResponse);
+                    } catch (callbackError) {
+                        console.warn('[LLM Service/streamLlm] onChunk callback failed:', callbackError.message);
+                    }
+                }
+            }
+        };
+
+        // Network chunks can end in the middle of a multi-byte character; the decoder holds those bytes back
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+        for await (const chunk of stream) {
+            buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+            const { events, rest } = parseSseEvents(buffer);
+            buffer = rest;
+            handleEvents(events);
         }
-        console.error('[LLM Error Config]:', error.config); // Log request config
+        // A last event without the closing blank line still counts
+        buffer += decoder.end();
+        if (buffer.trim()) handleEvents(parseSseEvents(`${buffer}\n\n`).events);
 
-        const errorMsg = `LLM query failed for sphere ${sphere}${anythingLLMThreadSlug ? ", thread "+anythingLLMThreadSlug : ''}: ${errorDetails}`;
-        console.error(`[LLM Error Full Context]`, errorMsg); // Log the final constructed message
-        throw new Error(errorMsg); // Rethrow with more context
+        console.log(`[LLM Service/streamLlm] Stream finished. Received ${fullText.length} characters.`);
+        return fullText.length > 0 ? fullText : null;
+    } catch (error) {
+        // Errors while reading the stream (e.g. the connection dropping) aren't typed yet
+        const streamError = toAnythingLLMError(error, `stream chat in workspace "${sphere}"${anythingLLMThreadSlug ? `, thread "${anythingLLMThreadSlug}"` : ''}`);
+        console.error(`[LLM Error Full Context]`, streamError.message);
+        throw streamError;
     }
 }
 
 // --- Function to get available workspaces (exposed) ---
 export const getWorkspaces = getAvailableSphereSlugs;
+
+/**
+ * Available workspaces with a short description each (from WORKSPACE_DESCRIPTIONS or the workspace's system
+ * prompt), for routing questions to a workspace. Shares the workspace list cache with getWorkspaces().
+ * @returns {Promise<{slug: string, name: string, description: string}[]>}
+ */
+export const getWorkspaceDescriptions = getAvailableWorkspaceInfo;
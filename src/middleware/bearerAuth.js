@@ -0,0 +1,27 @@
+// src/middleware/bearerAuth.js
+// Express middleware protecting internal JSON endpoints with a static bearer token.
+
+import crypto from 'crypto';
+
+/**
+ * Creates a middleware that requires `Authorization: Bearer <token>`.
+ * If no token is configured the endpoint is disabled (404) rather than left open.
+ * @param {string|null} token - The expected token.
+ * @returns {import('express').RequestHandler}
+ */
+export function requireBearerToken(token) {
+    return function bearerAuthMiddleware(req, res, next) {
+        if (!token) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        const header = req.get('Authorization') || '';
+        const provided = header.startsWith('Bearer ') ? header.substring(7) : '';
+        const expectedBuffer = Buffer.from(token, 'utf8');
+        const providedBuffer = Buffer.from(provided, 'utf8');
+        if (expectedBuffer.length !== providedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+            console.warn(`[Bearer Auth] Rejected ${req.method} ${req.originalUrl}`);
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        next();
+    };
+}
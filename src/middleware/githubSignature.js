@@ -0,0 +1,50 @@
+// src/middleware/githubSignature.js
+// Express middleware for verifying that webhook deliveries were signed by GitHub.
+// See https://docs.github.com/webhooks/using-webhooks/validating-webhook-deliveries
+
+import crypto from 'crypto';
+import { GITHUB_WEBHOOK_SECRET } from '../config.js';
+
+/**
+ * Checks a GitHub webhook signature (X-Hub-Signature-256).
+ * @param {object} params
+ * @param {string} params.secret - The webhook secret.
+ * @param {string} params.signature - Value of the X-Hub-Signature-256 header ("sha256=<hex>").
+ * @param {string} params.rawBody - The raw (unparsed) request body.
+ * @returns {{valid: boolean, reason?: string}} Result with a reason when invalid.
+ */
+export function isValidGithubSignature({ secret, signature, rawBody }) {
+    if (!secret) return { valid: false, reason: 'Webhook secret not configured' };
+    if (!signature) return { valid: false, reason: 'Missing X-Hub-Signature-256 header' };
+    if (typeof rawBody !== 'string') return { valid: false, reason: 'Raw body not captured' };
+
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody, 'utf8').digest('hex');
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    const receivedBuffer = Buffer.from(String(signature), 'utf8');
+    // timingSafeEqual throws on length mismatch, so check length first
+    if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+        return { valid: false, reason: 'Signature mismatch' };
+    }
+    return { valid: true };
+}
+
+/**
+ * Creates an Express middleware that rejects webhook deliveries without a valid GitHub signature.
+ * If no secret is configured the endpoint is disabled (404) rather than left open.
+ * Must be mounted AFTER a body parser configured with `verify: captureRawBody`.
+ * @param {string|null} [secret=GITHUB_WEBHOOK_SECRET] - The webhook secret.
+ * @returns {import('express').RequestHandler}
+ */
+export function verifyGithubSignature(secret = GITHUB_WEBHOOK_SECRET) {
+    return function githubSignatureMiddleware(req, res, next) {
+        if (!secret) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        const result = isValidGithubSignature({ secret, signature: req.get('X-Hub-Signature-256'), rawBody: req.rawBody });
+        if (!result.valid) {
+            console.warn(`[GitHub Signature] Rejected ${req.method} ${req.originalUrl}: ${result.reason}`);
+            return res.status(401).send('Invalid request signature');
+        }
+        next();
+    };
+}
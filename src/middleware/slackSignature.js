@@ -0,0 +1,80 @@
+// src/middleware/slackSignature.js
+// Express middleware for verifying that incoming HTTP requests were signed by Slack.
+// See https://api.slack.com/authentication/verifying-requests-from-slack
+
+import crypto from 'crypto';
+import { signingSecret, SLACK_REQUEST_MAX_AGE_SECONDS } from '../config.js';
+
+const SIGNATURE_VERSION = 'v0';
+
+/**
+ * `verify` callback for express body parsers. Keeps a copy of the raw request body
+ * on `req.rawBody` so the signature can be computed over the exact bytes Slack sent.
+ * Usage: express.urlencoded({ extended: true, verify: captureRawBody })
+ */
+export function captureRawBody(req, res, buf) {
+    req.rawBody = buf ? buf.toString('utf8') : '';
+}
+
+/**
+ * Checks a Slack request signature.
+ * @param {object} params
+ * @param {string} params.secret - The Slack signing secret.
+ * @param {string} params.signature - Value of the X-Slack-Signature header.
+ * @param {string|number} params.timestamp - Value of the X-Slack-Request-Timestamp header.
+ * @param {string} params.rawBody - The raw (unparsed) request body.
+ * @param {number} [params.nowSeconds] - Current unix time in seconds (injectable for tests).
+ * @param {number} [params.maxAgeSeconds] - Maximum accepted request age.
+ * @returns {{valid: boolean, reason?: string}} Result with a reason when invalid.
+ */
+export function isValidSlackSignature({
+    secret,
+    signature,
+    timestamp,
+    rawBody,
+    nowSeconds = Math.floor(Date.now() / 1000),
+    maxAgeSeconds = SLACK_REQUEST_MAX_AGE_SECONDS
+}) {
+    if (!secret) return { valid: false, reason: 'Signing secret not configured' };
+    if (!signature || !timestamp) return { valid: false, reason: 'Missing signature headers' };
+    if (typeof rawBody !== 'string') return { valid: false, reason: 'Raw body not captured' };
+
+    const requestTime = parseInt(timestamp, 10);
+    if (Number.isNaN(requestTime)) return { valid: false, reason: 'Invalid timestamp header' };
+    if (Math.abs(nowSeconds - requestTime) > maxAgeSeconds) {
+        return { valid: false, reason: 'Request timestamp outside allowed window (possible replay)' };
+    }
+
+    const baseString = `${SIGNATURE_VERSION}:${requestTime}:${rawBody}`;
+    const expected = `${SIGNATURE_VERSION}=` + crypto.createHmac('sha256', secret).update(baseString, 'utf8').digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    const receivedBuffer = Buffer.from(String(signature), 'utf8');
+    // timingSafeEqual throws on length mismatch, so check length first
+    if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+        return { valid: false, reason: 'Signature mismatch' };
+    }
+    return { valid: true };
+}
+
+/**
+ * Creates an Express middleware that rejects requests without a valid Slack signature.
+ * Must be mounted AFTER a body parser configured with `verify: captureRawBody`.
+ * @param {string} [secret=signingSecret] - The Slack signing secret.
+ * @returns {import('express').RequestHandler}
+ */
+export function verifySlackSignature(secret = signingSecret) {
+    return function slackSignatureMiddleware(req, res, next) {
+        const result = isValidSlackSignature({
+            secret,
+            signature: req.get('X-Slack-Signature'),
+            timestamp: req.get('X-Slack-Request-Timestamp'),
+            rawBody: req.rawBody
+        });
+        if (!result.valid) {
+            console.warn(`[Slack Signature] Rejected ${req.method} ${req.originalUrl}: ${result.reason}`);
+            return res.status(401).send('Invalid request signature');
+        }
+        next();
+    };
+}
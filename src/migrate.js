@@ -0,0 +1,111 @@
+// src/migrate.js
+// Versioned database migrations. Runs at startup (see app.js) or manually via `npm run migrate`.
+
+import { pathToFileURL } from 'url';
+import { migrations as allMigrations } from './migrations/index.js';
+
+const MIGRATION_LOCK_ID = 724118; // Arbitrary key for pg_advisory_lock so only one instance migrates at a time
+
+const CREATE_MIGRATIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );`;
+
+/**
+ * Returns the versions already recorded in schema_migrations.
+ * @param {object} client - A pg client (or pool).
+ * @returns {Promise<Set<number>>}
+ */
+async function getAppliedVersions(client) {
+    await client.query(CREATE_MIGRATIONS_TABLE);
+    const result = await client.query('SELECT version FROM schema_migrations;');
+    return new Set(result.rows.map(row => Number(row.version)));
+}
+
+/**
+ * Lists migrations that have not been applied yet.
+ * @param {object} pool - A pg Pool.
+ * @param {Array<{version: number, name: string, up: string}>} [migrations=allMigrations]
+ * @returns {Promise<Array<{version: number, name: string, up: string}>>}
+ */
+export async function getPendingMigrations(pool, migrations = allMigrations) {
+    const client = await pool.connect();
+    try {
+        const applied = await getAppliedVersions(client);
+        return migrations.filter(migration => !applied.has(migration.version));
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Applies all pending migrations in version order, each in its own transaction.
+ * @param {object} pool - A pg Pool.
+ * @param {Array<{version: number, name: string, up: string}>} [migrations=allMigrations]
+ * @returns {Promise<number[]>} Versions that were applied.
+ */
+export async function runMigrations(pool, migrations = allMigrations) {
+    const ordered = [...migrations].sort((a, b) => a.version - b.version);
+    const client = await pool.connect();
+    const appliedNow = [];
+    try {
+        await client.query('SELECT pg_advisory_lock($1);', [MIGRATION_LOCK_ID]);
+        const applied = await getAppliedVersions(client);
+
+        for (const migration of ordered) {
+            if (applied.has(migration.version)) continue;
+            console.log(`[Migrations] Applying ${migration.version}_${migration.name}...`);
+            try {
+                await client.query('BEGIN;');
+                await client.query(migration.up);
+                await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2);', [migration.version, migration.name]);
+                await client.query('COMMIT;');
+                appliedNow.push(migration.version);
+            } catch (error) {
+                await client.query('ROLLBACK;').catch(() => {});
+                throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+            }
+        }
+        console.log(appliedNow.length > 0
+            ? `[Migrations] Applied ${appliedNow.length} migration(s): ${appliedNow.join(', ')}`
+            : '[Migrations] Database schema is up to date.');
+        return appliedNow;
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1);', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
+
+/**
+ * Throws if the database schema is behind the migrations shipped with this version of the bot.
+ * @param {object} pool - A pg Pool.
+ * @param {Array<{version: number, name: string, up: string}>} [migrations=allMigrations]
+ */
+export async function assertSchemaUpToDate(pool, migrations = allMigrations) {
+    const pending = await getPendingMigrations(pool, migrations);
+    if (pending.length > 0) {
+        const names = pending.map(migration => `${migration.version}_${migration.name}`).join(', ');
+        throw new Error(`Database schema is behind. Pending migrations: ${names}. Run \`npm run migrate\` or set AUTO_MIGRATE=true.`);
+    }
+}
+
+// --- CLI: `npm run migrate` ---
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { databaseUrl } = await import('./config.js');
+    const { dbPool, shutdownServices } = await import('./services.js');
+    if (!databaseUrl) {
+        console.error('[Migrations] DATABASE_URL is not set. Nothing to migrate.');
+        process.exit(1);
+    }
+    let exitCode = 0;
+    try {
+        await runMigrations(dbPool);
+    } catch (error) {
+        console.error('[Migrations] Failed:', error.message);
+        exitCode = 1;
+    }
+    await shutdownServices('migrate');
+    process.exit(exitCode);
+}
@@ -0,0 +1,34 @@
+// src/migrateThreadMappings.js
+// `npm run migrate-thread-mappings` – one-time copy of the thread mappings kept in Redis (THREAD_MAPPING_STORE=redis)
+// to Postgres, for moving to the Postgres store. Mappings already in Postgres are left alone, so it is safe to rerun.
+// Run the schema migrations (`npm run migrate`) first.
+
+import { redisUrl, databaseUrl, THREAD_MAPPING_REDIS_PREFIX, THREAD_MAPPING_REDIS_TTL } from './config.js';
+import { redisClient, dbPool, shutdownServices } from './services.js';
+import { createRedisMappingStore, createPostgresMappingStore, copyThreadMappings } from './threadMappingStore.js';
+
+const REDIS_CONNECT_TIMEOUT_MS = 10000;
+
+if (!redisUrl || !databaseUrl) {
+    console.error('[Thread Mapping] Both REDIS_URL and DATABASE_URL must be set to copy mappings from Redis to Postgres.');
+    process.exit(1);
+}
+
+let exitCode = 0;
+try {
+    if (!redisClient.isReady) {
+        await new Promise((resolve, reject) => {
+            redisClient.once('ready', resolve);
+            setTimeout(() => reject(new Error(`Redis did not connect within ${REDIS_CONNECT_TIMEOUT_MS / 1000} seconds.`)), REDIS_CONNECT_TIMEOUT_MS).unref();
+        });
+    }
+    const source = createRedisMappingStore(redisClient, { prefix: THREAD_MAPPING_REDIS_PREFIX, ttlSeconds: THREAD_MAPPING_REDIS_TTL });
+    const { copied, skipped, failed } = await copyThreadMappings(source, createPostgresMappingStore(dbPool));
+    console.log(`[Thread Mapping] Copied ${copied} mapping(s) from Redis to Postgres (${skipped} already there, ${failed} failed).`);
+    if (failed > 0) exitCode = 1;
+} catch (error) {
+    console.error('[Thread Mapping] Copy failed:', error.message);
+    exitCode = 1;
+}
+await shutdownServices('migrate-thread-mappings');
+process.exit(exitCode);
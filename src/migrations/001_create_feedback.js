@@ -0,0 +1,21 @@
+// Feedback rows recorded from the 👎 / 👌 / 👍 buttons under bot answers.
+export default {
+    version: 1,
+    name: 'create_feedback',
+    up: `
+        CREATE TABLE IF NOT EXISTS feedback (
+            id SERIAL PRIMARY KEY,
+            feedback_ts TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            feedback_value VARCHAR(10) NOT NULL,
+            user_id VARCHAR(50) NOT NULL,
+            channel_id VARCHAR(50) NOT NULL,
+            bot_message_ts VARCHAR(50) NOT NULL,
+            original_user_message_ts VARCHAR(50),
+            action_id VARCHAR(255) NOT NULL,
+            sphere_slug VARCHAR(255),
+            bot_message_text TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_feedback_ts ON feedback (feedback_ts);
+        CREATE INDEX IF NOT EXISTS idx_feedback_sphere ON feedback (sphere_slug);
+    `
+};
@@ -0,0 +1,8 @@
+// storeFeedback() also records the text of the user question that was answered.
+export default {
+    version: 2,
+    name: 'add_feedback_original_message_text',
+    up: `
+        ALTER TABLE feedback ADD COLUMN IF NOT EXISTS original_user_message_text TEXT;
+    `
+};
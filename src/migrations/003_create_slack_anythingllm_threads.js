@@ -0,0 +1,18 @@
+// Maps a Slack thread to the AnythingLLM workspace/thread that holds its conversation context.
+export default {
+    version: 3,
+    name: 'create_slack_anythingllm_threads',
+    up: `
+        CREATE TABLE IF NOT EXISTS slack_anythingllm_threads (
+            id SERIAL PRIMARY KEY,
+            slack_channel_id VARCHAR(50) NOT NULL,
+            slack_thread_ts VARCHAR(50) NOT NULL,
+            anythingllm_workspace_slug VARCHAR(255) NOT NULL,
+            anythingllm_thread_slug VARCHAR(255) NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            last_accessed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (slack_channel_id, slack_thread_ts)
+        );
+        CREATE INDEX IF NOT EXISTS idx_slack_anythingllm_threads_last_accessed ON slack_anythingllm_threads (last_accessed_at);
+    `
+};
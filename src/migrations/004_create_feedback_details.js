@@ -0,0 +1,19 @@
+// Reason and correction collected from the modal shown after a 👎 rating.
+export default {
+    version: 4,
+    name: 'create_feedback_details',
+    up: `
+        CREATE TABLE IF NOT EXISTS feedback_details (
+            id SERIAL PRIMARY KEY,
+            feedback_id INTEGER REFERENCES feedback (id) ON DELETE CASCADE,
+            category VARCHAR(50) NOT NULL,
+            correction TEXT,
+            user_id VARCHAR(50) NOT NULL,
+            channel_id VARCHAR(50) NOT NULL,
+            bot_message_ts VARCHAR(50) NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_feedback_details_feedback_id ON feedback_details (feedback_id);
+        CREATE INDEX IF NOT EXISTS idx_feedback_details_category ON feedback_details (category);
+    `
+};
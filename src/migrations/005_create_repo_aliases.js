@@ -0,0 +1,13 @@
+// Friendly names for GitHub repositories, used by repoAliases.js when REPO_ALIASES_FILE is not set.
+export default {
+    version: 5,
+    name: 'create_repo_aliases',
+    up: `
+        CREATE TABLE IF NOT EXISTS repo_aliases (
+            alias VARCHAR(255) PRIMARY KEY,
+            owner VARCHAR(255) NOT NULL,
+            repo VARCHAR(255) NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        );
+    `
+};
@@ -0,0 +1,18 @@
+// Which Slack channels receive which GitHub webhook events (see githubWebhooks.js).
+// `repository` is "owner/repo" or "owner/*" for every repository of an owner, stored lowercase.
+export default {
+    version: 6,
+    name: 'create_github_subscriptions',
+    up: `
+        CREATE TABLE IF NOT EXISTS github_subscriptions (
+            id SERIAL PRIMARY KEY,
+            channel_id VARCHAR(255) NOT NULL,
+            repository VARCHAR(255) NOT NULL,
+            events TEXT[] NOT NULL,
+            created_by VARCHAR(255),
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (channel_id, repository)
+        );
+        CREATE INDEX IF NOT EXISTS idx_github_subscriptions_repository ON github_subscriptions (repository);
+    `
+};
@@ -0,0 +1,21 @@
+// Earlier workspace/thread mappings of a Slack thread, kept when `#switch` (or a reset) replaces the mapping in
+// slack_anythingllm_threads. Each row covers [started_at, ended_at), so together with the current mapping it shows
+// which workspace answered each turn of the Slack thread.
+export default {
+    version: 7,
+    name: 'create_thread_mapping_history',
+    up: `
+        CREATE TABLE IF NOT EXISTS slack_anythingllm_thread_history (
+            id SERIAL PRIMARY KEY,
+            slack_channel_id VARCHAR(50) NOT NULL,
+            slack_thread_ts VARCHAR(50) NOT NULL,
+            anythingllm_workspace_slug VARCHAR(255) NOT NULL,
+            anythingllm_thread_slug VARCHAR(255) NOT NULL,
+            started_at TIMESTAMPTZ NOT NULL,
+            ended_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            reason VARCHAR(50) NOT NULL,
+            changed_by VARCHAR(50)
+        );
+        CREATE INDEX IF NOT EXISTS idx_slack_anythingllm_thread_history_thread ON slack_anythingllm_thread_history (slack_channel_id, slack_thread_ts);
+    `
+};
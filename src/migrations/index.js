@@ -0,0 +1,21 @@
+// src/migrations/index.js
+// Ordered list of schema migrations. Add new files here with the next version number.
+// Every `up` must be idempotent (IF NOT EXISTS etc.) so it is safe on databases created by hand.
+
+import createFeedback from './001_create_feedback.js';
+import addFeedbackOriginalMessageText from './002_add_feedback_original_message_text.js';
+import createSlackAnythingLLMThreads from './003_create_slack_anythingllm_threads.js';
+import createFeedbackDetails from './004_create_feedback_details.js';
+import createRepoAliases from './005_create_repo_aliases.js';
+import createGithubSubscriptions from './006_create_github_subscriptions.js';
+import createThreadMappingHistory from './007_create_thread_mapping_history.js';
+
+export const migrations = [
+    createFeedback,
+    addFeedbackOriginalMessageText,
+    createSlackAnythingLLMThreads,
+    createFeedbackDetails,
+    createRepoAliases,
+    createGithubSubscriptions,
+    createThreadMappingHistory
+];
@@ -0,0 +1,54 @@
+// src/pendingStore.js
+// Short-lived storage for things waiting on a user's button click or modal submission
+// (GitHub API approvals, issue drafts). Stored in Redis when available, so any instance can
+// handle the interaction, otherwise in memory.
+
+import crypto from 'crypto';
+import { redisClient, isRedisReady } from './services.js';
+import { redisUrl } from './config.js';
+
+/**
+ * Creates a store whose entries expire after ttlSeconds.
+ * @param {object} options
+ * @param {string} options.prefix - Redis key prefix (e.g. 'github_api_pending:').
+ * @param {number} options.ttlSeconds
+ * @returns {{
+ *   save: (value: object) => Promise<string>,
+ *   get: (id: string) => Promise<object|null>,
+ *   take: (id: string) => Promise<object|null>
+ * }} `save` returns the new entry's ID; `take` removes the entry so it can only be used once.
+ */
+export function createPendingStore({ prefix, ttlSeconds }) {
+    const memoryStore = new Map();
+    const useRedis = () => Boolean(redisUrl && isRedisReady);
+
+    return {
+        async save(value) {
+            const id = crypto.randomUUID();
+            const serialized = JSON.stringify({ ...value, createdAt: Date.now() });
+            if (useRedis()) {
+                await redisClient.set(`${prefix}${id}`, serialized, { EX: ttlSeconds });
+            } else {
+                memoryStore.set(id, serialized);
+                setTimeout(() => memoryStore.delete(id), ttlSeconds * 1000).unref();
+            }
+            return id;
+        },
+
+        async get(id) {
+            const serialized = useRedis() ? await redisClient.get(`${prefix}${id}`) : memoryStore.get(id) || null;
+            return serialized ? JSON.parse(serialized) : null;
+        },
+
+        async take(id) {
+            let serialized;
+            if (useRedis()) {
+                serialized = await redisClient.getDel(`${prefix}${id}`);
+            } else {
+                serialized = memoryStore.get(id) || null;
+                memoryStore.delete(id);
+            }
+            return serialized ? JSON.parse(serialized) : null;
+        }
+    };
+}
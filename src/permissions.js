@@ -0,0 +1,21 @@
+// src/permissions.js
+// Simple permission checks for restricted bot features.
+
+import { developerId, commandPermissions } from './config.js';
+
+/**
+ * Checks whether a Slack user holds a named permission.
+ * Permissions are configured via COMMAND_PERMISSIONS (permission -> user IDs, "*" for everyone).
+ * DEVELOPER_ID is treated as having every permission.
+ * @param {string} userId - The Slack user ID.
+ * @param {string} [permission] - Permission name. Falsy means no permission is required.
+ * @param {Object<string, string[]>} [permissionMap=commandPermissions] - Injectable for tests.
+ * @returns {boolean}
+ */
+export function hasPermission(userId, permission, permissionMap = commandPermissions) {
+    if (!permission) return true;
+    if (developerId && userId === developerId) return true;
+    const allowedUsers = permissionMap?.[permission];
+    if (!Array.isArray(allowedUsers)) return false;
+    return allowedUsers.includes('*') || allowedUsers.includes(userId);
+}
@@ -0,0 +1,396 @@
+// src/prReview.js
+// LLM pull request reviews. Large PRs are reviewed map-reduce style: the files are split into
+// token-budgeted batches that are reviewed separately, then a synthesis pass writes the overall
+// review. Also maps findings onto diff lines and publishes them as a GitHub review.
+
+import { createPrReview } from './githubService.js';
+import { queryLlm } from './llm.js';
+import { findJson } from './utils.js';
+import { PR_REVIEW_BATCH_TOKENS, PR_REVIEW_MAX_BATCHES } from './config.js';
+
+const CHARS_PER_TOKEN = 4; // Rough estimate; good enough for budgeting prompt sizes
+const BATCH_PROMPT_OVERHEAD_TOKENS = 600; // Instructions and PR header around each batch
+
+/**
+ * Splits an LLM review into the human-readable part and the trailing JSON block.
+ * @param {string} response - Raw LLM review.
+ * @returns {{reviewText: string, structured: {summary: string, verdict: string|null, findings: object[]}|null}}
+ */
+export function splitReviewResponse(response) {
+    const text = response || '';
+    if (!/```json/i.test(text)) return { reviewText: text.trim(), structured: null };
+
+    const { json, start, end } = findJson(text);
+    if (!json) return { reviewText: text.trim(), structured: null };
+    return {
+        reviewText: (text.slice(0, start) + text.slice(end)).trim(),
+        structured: {
+            summary: typeof json.summary === 'string' ? json.summary : '',
+            verdict: typeof json.verdict === 'string' ? json.verdict : null,
+            findings: Array.isArray(json.findings) ? json.findings.filter(finding => finding?.comment) : []
+        }
+    };
+}
+
+/**
+ * Lists the lines of the new file version that appear in a patch (added or context lines),
+ * i.e. the lines GitHub accepts inline review comments on (side RIGHT).
+ * @param {string} patch - Unified diff for one file (as returned by pulls.listFiles).
+ * @returns {Set<number>}
+ */
+export function getCommentableLines(patch) {
+    const lines = new Set();
+    let newLine = null;
+    for (const line of (patch || '').split('\n')) {
+        const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        if (hunk) {
+            newLine = parseInt(hunk[1], 10);
+            continue;
+        }
+        if (newLine === null || line.startsWith('\\')) continue; // Before the first hunk / "\ No newline at end of file"
+        if (line.startsWith('-')) continue; // Removed lines only exist in the old version
+        lines.add(newLine);
+        newLine++;
+    }
+    return lines;
+}
+
+/**
+ * Maps LLM findings to inline review comments. Findings whose file or line isn't part of the
+ * diff can't be commented inline and are returned as `unmapped`.
+ * @param {{path?: string, line?: number, severity?: string, comment: string}[]} findings
+ * @param {{filename: string, patch?: string}[]} files - PR files from pulls.listFiles.
+ * @returns {{comments: {path: string, line: number, side: 'RIGHT', body: string}[], unmapped: object[]}}
+ */
+export function mapFindingsToReviewComments(findings, files) {
+    const commentableByPath = new Map((files || []).map(file => [file.filename, getCommentableLines(file.patch)]));
+    const comments = [];
+    const unmapped = [];
+    for (const finding of findings || []) {
+        const line = Number(finding.line);
+        const commentable = commentableByPath.get(finding.path);
+        const body = finding.severity ? `**${finding.severity}:** ${finding.comment}` : finding.comment;
+        if (commentable && Number.isInteger(line) && commentable.has(line)) {
+            comments.push({ path: finding.path, line, side: 'RIGHT', body });
+        } else {
+            unmapped.push(finding);
+        }
+    }
+    return { comments, unmapped };
+}
+
+/**
+ * Builds the review body: the summary plus findings that couldn't be placed on a diff line.
+ * @param {string} summary
+ * @param {object[]} unmapped - Findings returned as unmapped by mapFindingsToReviewComments().
+ * @returns {string}
+ */
+export function buildReviewBody(summary, unmapped) {
+    const parts = [`### Automated review\n\n${summary || '_No summary provided._'}`];
+    if (unmapped.length > 0) {
+        parts.push('#### Other findings');
+        parts.push(unmapped.map(finding => {
+            const location = finding.path ? `\`${finding.path}${finding.line ? `:${finding.line}` : ''}\` ` : '';
+            const severity = finding.severity ? `**${finding.severity}:** ` : '';
+            return `- ${location}${severity}${finding.comment}`;
+        }).join('\n'));
+    }
+    parts.push('_Generated by the Slack review bot; please verify before acting on it._');
+    return parts.join('\n\n');
+}
+
+/**
+ * Publishes structured review findings to GitHub as a COMMENT review.
+ * @param {import('@octokit/rest').Octokit} octokitInstance
+ * @param {object} options
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {number} options.prNumber
+ * @param {string} options.headSha - Commit the line numbers refer to.
+ * @param {{summary: string, findings: object[]}} options.structured - From splitReviewResponse().
+ * @param {object[]} options.files - PR files from pulls.listFiles.
+ * @returns {Promise<{url: string, inlineComments: number, otherFindings: number}|null>}
+ */
+export async function postReviewToGithub(octokitInstance, { owner, repo, prNumber, headSha, structured, files }) {
+    const { comments, unmapped } = mapFindingsToReviewComments(structured.findings, files);
+    const review = await createPrReview(octokitInstance, owner, repo, prNumber, {
+        body: buildReviewBody(structured.summary, unmapped),
+        comments,
+        commitId: headSha
+    });
+    if (!review) return null;
+    return { url: review.url, inlineComments: comments.length, otherFindings: unmapped.length };
+}
+
+// --- Map-Reduce Review ---
+
+/**
+ * Rough token estimate for budgeting prompts.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// Splits a patch at hunk boundaries (and oversized hunks at line boundaries) into pieces of at most maxChars.
+// Pieces cut out of the middle of a hunk get a synthetic hunk header so line numbers stay correct.
+function splitPatch(patch, maxChars) {
+    const hunks = [];
+    for (const line of patch.split('\n')) {
+        if (line.startsWith('@@') || hunks.length === 0) hunks.push([]);
+        hunks[hunks.length - 1].push(line);
+    }
+
+    const pieces = [];
+    for (const hunk of hunks) {
+        const header = hunk[0].match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        if (hunk.join('\n').length <= maxChars || !header) {
+            pieces.push(hunk.join('\n'));
+            continue;
+        }
+        let oldLine = parseInt(header[1], 10);
+        let newLine = parseInt(header[2], 10);
+        let current = [hunk[0]];
+        let currentLength = hunk[0].length;
+        for (const line of hunk.slice(1)) {
+            if (currentLength + line.length + 1 > maxChars && current.length > 1) {
+                pieces.push(current.join('\n'));
+                current = [`@@ -${oldLine} +${newLine} @@ (continued)`];
+                currentLength = current[0].length;
+            }
+            current.push(line);
+            currentLength += line.length + 1;
+            if (!line.startsWith('+') && !line.startsWith('\\')) oldLine++;
+            if (!line.startsWith('-') && !line.startsWith('\\')) newLine++;
+        }
+        pieces.push(current.join('\n'));
+    }
+
+    // Re-merge small neighbouring pieces
+    const merged = [];
+    for (const piece of pieces) {
+        const last = merged[merged.length - 1];
+        if (last !== undefined && last.length + piece.length + 1 <= maxChars) merged[merged.length - 1] = `${last}\n${piece}`;
+        else merged.push(piece);
+    }
+    return merged;
+}
+
+// Formats one file (or one part of a large file) for a batch prompt
+function formatFileSection(file) {
+    const part = file.parts > 1 ? ` (part ${file.part} of ${file.parts})` : '';
+    const header = `**File:** ${file.filename}${part}\n**Status:** ${file.status} (${file.additions} additions, ${file.deletions} deletions)\n`;
+    return file.patch ? `${header}\`\`\`diff\n${file.patch}\n\`\`\`\n` : `${header}(No diff available, e.g. a binary or very large file)\n`;
+}
+
+/**
+ * Groups PR files into batches that fit the token budget. Files too large for one batch are split
+ * into parts at hunk boundaries, so nothing is truncated.
+ * @param {{filename: string, status: string, additions: number, deletions: number, patch?: string}[]} files
+ * @param {object} [options]
+ * @param {number} [options.maxTokens=PR_REVIEW_BATCH_TOKENS] - Budget for the diff content of one batch.
+ * @returns {{sections: object[], tokens: number}[]} Batches of file sections ({filename, patch, part, parts, ...}).
+ */
+export function buildReviewBatches(files, { maxTokens = PR_REVIEW_BATCH_TOKENS } = {}) {
+    const maxChars = Math.max(maxTokens - BATCH_PROMPT_OVERHEAD_TOKENS, 200) * CHARS_PER_TOKEN;
+    const sections = [];
+    for (const file of files || []) {
+        const patchPieces = file.patch ? splitPatch(file.patch, maxChars - 300) : [null];
+        patchPieces.forEach((patch, i) => sections.push({
+            filename: file.filename,
+            status: file.status,
+            additions: file.additions,
+            deletions: file.deletions,
+            patch,
+            part: i + 1,
+            parts: patchPieces.length
+        }));
+    }
+
+    const batches = [];
+    for (const section of sections) {
+        const tokens = estimateTokens(formatFileSection(section));
+        const current = batches[batches.length - 1];
+        if (current && current.tokens + tokens <= maxTokens - BATCH_PROMPT_OVERHEAD_TOKENS) {
+            current.sections.push(section);
+            current.tokens += tokens;
+        } else {
+            batches.push({ sections: [section], tokens });
+        }
+    }
+    return batches;
+}
+
+function buildBatchPrompt({ owner, repo, prNumber, prDetails }, batch, index, total) {
+    return `You are reviewing part ${index + 1} of ${total} of Pull Request ${owner}/${repo}#${prNumber}: "${prDetails.title}".
+Other files of the PR are reviewed separately, so focus on the changes below: bugs, security, performance, code quality and missing tests.
+
+**PR description:**
+${(prDetails.body || '(No description)').substring(0, 1500)}
+
+**Changes in this part:**
+${batch.sections.map(formatFileSection).join('\n')}
+
+Respond ONLY with a JSON object of this exact shape:
+{"files": [{"path": "<file path>", "summary": "<one sentence on what changed>", "findings": [{"line": <line number in the NEW version of the file, from the diff hunks>, "severity": "critical|major|minor|nit", "comment": "<the finding>"}]}]}
+Use an empty findings array for files without issues. Only report real problems.`;
+}
+
+// Normalizes a batch response into file summaries and path-qualified findings
+function parseBatchResponse(response, batch) {
+    const { json } = findJson(response || '');
+    const batchPaths = new Set(batch.sections.map(section => section.filename));
+    const fileSummaries = [];
+    const findings = [];
+    for (const file of Array.isArray(json?.files) ? json.files : []) {
+        if (!batchPaths.has(file?.path)) continue;
+        if (file.summary) fileSummaries.push({ path: file.path, summary: file.summary });
+        for (const finding of Array.isArray(file.findings) ? file.findings : []) {
+            if (finding?.comment) findings.push({ path: file.path, line: finding.line, severity: finding.severity, comment: finding.comment });
+        }
+    }
+    return json ? { fileSummaries, findings } : null;
+}
+
+// "parts 2, 3 of 4 not reviewed" for a file of which only some parts were reviewed
+function describeMissingParts({ parts, missingParts }) {
+    return `part${missingParts.length === 1 ? '' : 's'} ${missingParts.join(', ')} of ${parts} not reviewed`;
+}
+
+function buildSynthesisPrompt({ owner, repo, prNumber, prDetails }, fileSummaries, findings, notReviewed, partiallyReviewed) {
+    const summaries = fileSummaries.map(file => `- ${file.path}: ${file.summary}`).join('\n') || '(none)';
+    const findingLines = findings.map(finding => `- [${finding.severity || 'note'}] ${finding.path}:${finding.line ?? '?'} ${finding.comment}`).join('\n') || '(no findings)';
+    const comments = (prDetails.comments || [])
+        .map(comment => `*${comment.user?.login}:* ${comment.body.substring(0, 300)}${comment.body.length > 300 ? '...' : ''}`)
+        .join('\n---\n');
+    return `You reviewed Pull Request ${owner}/${repo}#${prNumber} file by file. Write the overall code review from the results below.
+
+**Title:** ${prDetails.title}
+**Description:**
+${prDetails.body || '(No description)'}
+${comments ? `\n**Discussion:**\n${comments}\n` : ''}
+**What changed, per file:**
+${summaries}
+
+**Findings:**
+${findingLines}
+${notReviewed.length > 0 ? `\n**Not reviewed (size limit or errors):** ${notReviewed.join(', ')}\n` : ''}${partiallyReviewed.length > 0 ? `\n**Partially reviewed (size limit or errors):** ${partiallyReviewed.map(file => `${file.filename} (${describeMissingParts(file)})`).join(', ')}\n` : ''}
+Write the review in Markdown with these sections: Overview (purpose, impact and scope), Key Issues (most important findings first), Recommendations, and Verdict (whether the PR is ready to merge).
+Do not repeat every finding; they are listed separately. After the review, append a JSON code block (\`\`\`json) with this exact shape:
+{"summary": "<overall assessment in 2-4 sentences>", "verdict": "ready to merge|needs changes|needs discussion"}
+Output nothing after the JSON block.`;
+}
+
+/**
+ * Reviews a PR in batches (map) and then writes the overall review (reduce).
+ * @param {object} options
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {number} options.prNumber
+ * @param {{title: string, body: string, comments: object[], files: object[]}} options.prDetails - From getPrDetailsForReview().
+ * @param {string} options.workspaceSlug - AnythingLLM workspace to run the review in.
+ * @param {(message: string) => Promise<void>} [options.onProgress] - Called before each pass.
+ * @param {Function} [options.llm=queryLlm] - LLM query function (injectable for tests).
+ * @returns {Promise<{reviewText: string, structured: {summary: string, verdict: string|null, findings: object[]}, fileSummaries: object[],
+ *   notReviewed: string[], partiallyReviewed: {filename: string, parts: number, missingParts: number[]}[], batchCount: number}>}
+ *   Files split into parts are only listed in notReviewed when none of their parts were reviewed.
+ */
+export async function runMapReduceReview({ owner, repo, prNumber, prDetails, workspaceSlug, onProgress = async () => {}, llm = queryLlm }) {
+    const pr = { owner, repo, prNumber, prDetails };
+    const allBatches = buildReviewBatches(prDetails.files);
+    const batches = allBatches.slice(0, PR_REVIEW_MAX_BATCHES);
+    const reviewedFiles = new Set();
+    const skippedSections = allBatches.slice(PR_REVIEW_MAX_BATCHES).flatMap(batch => batch.sections);
+    console.log(`[PR Review] Reviewing ${owner}/${repo}#${prNumber}: ${prDetails.files?.length || 0} files in ${batches.length} batches (${allBatches.length - batches.length} skipped)`);
+
+    const fileSummaries = [];
+    const findings = [];
+    for (let i = 0; i < batches.length; i++) {
+        const batch = batches[i];
+        const fileNames = [...new Set(batch.sections.map(section => section.filename))];
+        await onProgress(`:mag: Reviewing batch ${i + 1} of ${batches.length} (${fileNames.length} file${fileNames.length === 1 ? '' : 's'}: ${fileNames.slice(0, 3).join(', ')}${fileNames.length > 3 ? ', ...' : ''})`);
+        let result = null;
+        try {
+            result = parseBatchResponse(await llm(workspaceSlug, null, buildBatchPrompt(pr, batch, i, batches.length)), batch);
+        } catch (error) {
+            console.error(`[PR Review] Batch ${i + 1} failed:`, error.message);
+        }
+        if (!result) {
+            console.warn(`[PR Review] No usable result for batch ${i + 1}`);
+            skippedSections.push(...batch.sections);
+            continue;
+        }
+        fileNames.forEach(name => reviewedFiles.add(name));
+        fileSummaries.push(...result.fileSummaries);
+        findings.push(...result.findings);
+    }
+    if (batches.length > 0 && reviewedFiles.size === 0) {
+        throw new Error('None of the files could be reviewed.');
+    }
+
+    // Each file is either reviewed, partially reviewed (some of its parts) or not reviewed
+    const notReviewed = [];
+    const partiallyReviewed = [];
+    for (const filename of new Set(skippedSections.map(section => section.filename))) {
+        const sections = skippedSections.filter(section => section.filename === filename);
+        if (!reviewedFiles.has(filename)) notReviewed.push(filename);
+        else partiallyReviewed.push({ filename, parts: sections[0].parts, missingParts: sections.map(section => section.part).sort((a, b) => a - b) });
+    }
+
+    await onProgress(':memo: Writing the overall review...');
+    const synthesis = await llm(workspaceSlug, null, buildSynthesisPrompt(pr, fileSummaries, findings, notReviewed, partiallyReviewed));
+    if (!synthesis) throw new Error('LLM failed to provide the overall review.');
+    const { reviewText, structured } = splitReviewResponse(synthesis);
+
+    return {
+        reviewText,
+        structured: { summary: structured?.summary || '', verdict: structured?.verdict || null, findings },
+        fileSummaries,
+        notReviewed,
+        partiallyReviewed,
+        batchCount: batches.length
+    };
+}
+
+/**
+ * Formats per-file findings for Slack, most severe first within each file.
+ * @param {object[]} findings - Path-qualified findings from runMapReduceReview().
+ * @param {number} fileCount - Total number of files in the PR.
+ * @param {string[]} [notReviewed=[]] - Files that weren't reviewed.
+ * @param {{filename: string, parts: number, missingParts: number[]}[]} [partiallyReviewed=[]] - Files of which only
+ *   some parts were reviewed; they are listed once, with their findings or in the partially reviewed line.
+ * @returns {string}
+ */
+export function formatPerFileFindings(findings, fileCount, notReviewed = [], partiallyReviewed = []) {
+    const severityOrder = ['critical', 'major', 'minor', 'nit'];
+    const rank = finding => {
+        const index = severityOrder.indexOf(String(finding.severity).toLowerCase());
+        return index === -1 ? severityOrder.length : index;
+    };
+    const byPath = new Map();
+    for (const finding of findings) {
+        if (!byPath.has(finding.path)) byPath.set(finding.path, []);
+        byPath.get(finding.path).push(finding);
+    }
+
+    const partial = new Map(partiallyReviewed.map(file => [file.filename, file]));
+
+    const lines = ['*Findings per file*'];
+    if (byPath.size === 0) lines.push('No file-specific issues found.');
+    for (const [path, fileFindings] of byPath) {
+        lines.push(partial.has(path) ? `\`${path}\` _(${describeMissingParts(partial.get(path))})_` : `\`${path}\``);
+        [...fileFindings].sort((a, b) => rank(a) - rank(b)).forEach(finding => {
+            const line = finding.line ? `L${finding.line} ` : '';
+            lines.push(`• ${line}(${finding.severity || 'note'}) ${finding.comment}`);
+        });
+    }
+    const partialWithoutFindings = partiallyReviewed.filter(file => !byPath.has(file.filename));
+    const cleanFiles = fileCount - byPath.size - notReviewed.length - partialWithoutFindings.length;
+    if (byPath.size > 0 && cleanFiles > 0) lines.push(`_No issues found in ${cleanFiles} other file${cleanFiles === 1 ? '' : 's'}._`);
+    if (partialWithoutFindings.length > 0) {
+        lines.push(`:warning: Partially reviewed, no issues in the reviewed parts: ${partialWithoutFindings.map(file => `\`${file.filename}\` (${describeMissingParts(file)})`).join(', ')}`);
+    }
+    if (notReviewed.length > 0) lines.push(`:warning: Not reviewed: ${notReviewed.map(name => `\`${name}\``).join(', ')}`);
+    return lines.join('\n');
+}
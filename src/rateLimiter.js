@@ -0,0 +1,100 @@
+// src/rateLimiter.js
+// Redis token-bucket rate limiting per user and per channel, with separate budgets per
+// command category ('chat', 'github', 'pr_review', ... - see RATE_LIMITS in config.js).
+// Fails open: without Redis, or if Redis errors, requests are allowed.
+
+import { redisClient, isRedisReady } from './services.js';
+import { redisUrl, RATE_LIMITS, RATE_LIMIT_REDIS_PREFIX } from './config.js';
+
+export const DEFAULT_RATE_LIMIT_CATEGORY = 'chat';
+
+// Checks every bucket first and only takes a token from each if all of them have one,
+// so a request blocked by the channel budget doesn't also spend the user's budget.
+// KEYS: bucket keys. ARGV: now, then (capacity, refillPerMs) per key.
+// Returns { -1 } when allowed, or { index of the first empty bucket (0-based), ms until it has a token }.
+const TOKEN_BUCKET_SCRIPT = `
+    local now = tonumber(ARGV[1])
+    local levels = {}
+    for i, key in ipairs(KEYS) do
+        local capacity = tonumber(ARGV[i * 2])
+        local refillPerMs = tonumber(ARGV[i * 2 + 1])
+        local bucket = redis.call('HMGET', key, 'tokens', 'ts')
+        local tokens = tonumber(bucket[1]) or capacity
+        local ts = tonumber(bucket[2]) or now
+        tokens = math.min(capacity, tokens + math.max(0, now - ts) * refillPerMs)
+        if tokens < 1 then
+            return { i - 1, math.ceil((1 - tokens) / refillPerMs) }
+        end
+        levels[i] = tokens
+    end
+    for i, key in ipairs(KEYS) do
+        local capacity = tonumber(ARGV[i * 2])
+        local refillPerMs = tonumber(ARGV[i * 2 + 1])
+        redis.call('HSET', key, 'tokens', tostring(levels[i] - 1), 'ts', tostring(now))
+        redis.call('PEXPIRE', key, math.ceil(capacity / refillPerMs))
+    end
+    return { -1, 0 }`;
+
+/**
+ * Resolves the buckets that apply to a request.
+ * @param {{userId: string, channelId: string, category?: string}} request
+ * @param {object} [limits=RATE_LIMITS] - Limits per category: { user: {capacity, perMinute}, channel: {capacity, perMinute} }.
+ * @returns {{scope: string, key: string, capacity: number, refillPerMs: number}[]}
+ */
+export function getBuckets({ userId, channelId, category = DEFAULT_RATE_LIMIT_CATEGORY }, limits = RATE_LIMITS) {
+    const categoryLimits = limits[category] || limits[DEFAULT_RATE_LIMIT_CATEGORY] || {};
+    const resolvedCategory = limits[category] ? category : DEFAULT_RATE_LIMIT_CATEGORY;
+    const subjects = { user: userId, channel: channelId };
+
+    return Object.entries(subjects)
+        .filter(([scope, id]) => id && categoryLimits[scope]?.capacity > 0 && categoryLimits[scope]?.perMinute > 0)
+        .map(([scope, id]) => ({
+            scope,
+            key: `${RATE_LIMIT_REDIS_PREFIX}${resolvedCategory}:${scope}:${id}`,
+            capacity: categoryLimits[scope].capacity,
+            refillPerMs: categoryLimits[scope].perMinute / 60000
+        }));
+}
+
+/**
+ * Takes one token from the user's and the channel's bucket for the category.
+ * @param {{userId: string, channelId: string, category?: string}} request
+ * @param {object} [options]
+ * @param {object} [options.client=redisClient] - Redis client (injectable for tests).
+ * @param {object} [options.limits=RATE_LIMITS]
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<{allowed: boolean, scope?: string, retryAfterMs?: number}>}
+ */
+export async function checkRateLimit(request, { client = redisClient, limits = RATE_LIMITS, now = Date.now() } = {}) {
+    if (client === redisClient && !(redisUrl && isRedisReady)) return { allowed: true };
+
+    const buckets = getBuckets(request, limits);
+    if (buckets.length === 0) return { allowed: true };
+
+    try {
+        const [blockedIndex, retryAfterMs] = await client.eval(TOKEN_BUCKET_SCRIPT, {
+            keys: buckets.map(bucket => bucket.key),
+            arguments: [String(now), ...buckets.flatMap(bucket => [String(bucket.capacity), String(bucket.refillPerMs)])]
+        });
+        if (Number(blockedIndex) < 0) return { allowed: true };
+        return { allowed: false, scope: buckets[Number(blockedIndex)].scope, retryAfterMs: Number(retryAfterMs) };
+    } catch (error) {
+        console.error('[Rate Limiter] Redis error, allowing request:', error.message);
+        return { allowed: true };
+    }
+}
+
+/**
+ * Builds the ephemeral message shown when a limit is hit.
+ * @param {{scope: string, retryAfterMs: number}} result - A blocked checkRateLimit() result.
+ * @param {string} [category]
+ * @returns {string}
+ */
+export function formatRateLimitMessage({ scope, retryAfterMs }, category = DEFAULT_RATE_LIMIT_CATEGORY) {
+    const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    const wait = seconds < 90 ? `${seconds} second${seconds === 1 ? '' : 's'}` : `${Math.ceil(seconds / 60)} minutes`;
+    const retryAt = Math.floor(Date.now() / 1000) + seconds;
+    const who = scope === 'channel' ? 'This channel has' : 'You have';
+    const what = category === DEFAULT_RATE_LIMIT_CATEGORY ? 'requests' : `\`${category}\` requests`;
+    return `:snail: ${who} sent a lot of ${what} recently. Please try again in ${wait} (<!date^${retryAt}^{time_secs}|shortly>).`;
+}
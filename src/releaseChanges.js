@@ -0,0 +1,77 @@
+// src/releaseChanges.js
+// Builds the prompt for "what changed between releases" summaries from getReleaseChanges() output.
+// Sections are added in order of usefulness (release notes, merged PRs, other commits) until the budget is used.
+
+import { RELEASE_CHANGES_MAX_CHARS } from './config.js';
+
+const firstLine = message => (message || '').split('\n')[0].trim();
+
+/**
+ * Formats the collected changes as prompt context, cut to fit maxChars.
+ * @param {object} changes - From getReleaseChanges().
+ * @param {number} [maxChars=RELEASE_CHANGES_MAX_CHARS]
+ * @returns {{context: string, truncated: boolean}}
+ */
+export function formatReleaseChangesContext(changes, maxChars = RELEASE_CHANGES_MAX_CHARS) {
+    const prNumbers = new Set(changes.pullRequests.map(pr => pr.number));
+    const sections = [];
+    if (changes.releases.length > 0) {
+        sections.push(['**Release notes:**', changes.releases.map(release => `### ${release.name} (${release.tagName})\n${release.body.trim() || '(No notes)'}`)]);
+    }
+    if (changes.pullRequests.length > 0) {
+        sections.push(['**Merged pull requests:**', changes.pullRequests.map(pr => {
+            const labels = pr.labels.length > 0 ? ` [${pr.labels.join(', ')}]` : '';
+            return `- #${pr.number} ${pr.title}${labels}${pr.body ? `\n  ${pr.body.replace(/\s+/g, ' ').trim()}` : ''}`;
+        })]);
+    }
+    // Commits not already covered by a merged PR
+    const otherCommits = changes.commits
+        .filter(commit => !/^Merge (pull request|branch)/.test(commit.message))
+        .filter(commit => !prNumbers.has(parseInt(firstLine(commit.message).match(/\(#(\d+)\)$/)?.[1], 10)))
+        .map(commit => `- ${firstLine(commit.message)} (${commit.sha.substring(0, 7)})`);
+    if (otherCommits.length > 0) sections.push(['**Other commits:**', otherCommits]);
+
+    let context = '';
+    let truncated = false;
+    for (const [title, lines] of sections) {
+        if (context.length + title.length + 2 > maxChars) { truncated = true; break; }
+        context += `${context ? '\n\n' : ''}${title}`;
+        for (const line of lines) {
+            if (context.length + line.length + 1 > maxChars) { truncated = true; break; }
+            context += `\n${line}`;
+        }
+    }
+    if (changes.totalCommits > changes.commits.length) truncated = true;
+    return { context, truncated };
+}
+
+/**
+ * Builds the customer-facing summary prompt.
+ * @param {object} changes - From getReleaseChanges().
+ * @param {{owner: string, repo: string}} ref
+ * @param {number} [maxChars=RELEASE_CHANGES_MAX_CHARS]
+ * @returns {string}
+ */
+export function buildReleaseChangesPrompt(changes, { owner, repo }, maxChars = RELEASE_CHANGES_MAX_CHARS) {
+    const { context, truncated } = formatReleaseChangesContext(changes, maxChars);
+    return `Write a customer-facing summary of what changed in ${owner}/${repo} between ${changes.from} and ${changes.to} (${changes.totalCommits} commits).
+Group the changes under the headings **Features**, **Fixes** and **Breaking changes**; leave out a heading if nothing belongs there.
+Use short bullet points in plain language a support agent can pass on to customers. Skip internal changes (tests, CI, refactoring, dependency bumps) unless they affect users.
+Only use the information below${truncated ? ' (the list was cut to fit, so it may be incomplete)' : ''}.
+
+${context || '(No commit details available.)'}`;
+}
+
+/**
+ * Plain list of the merged PRs (or commits) for when the LLM summary is unavailable.
+ * @param {object} changes - From getReleaseChanges().
+ * @param {number} [limit=20]
+ * @returns {string}
+ */
+export function formatReleaseChangesFallback(changes, limit = 20) {
+    const items = changes.pullRequests.length > 0
+        ? changes.pullRequests.map(pr => `• [#${pr.number}](${pr.url}) ${pr.title}`)
+        : changes.commits.map(commit => `• ${firstLine(commit.message)}`);
+    const more = items.length > limit ? `\n…and ${items.length - limit} more` : '';
+    return items.length > 0 ? `${items.slice(0, limit).join('\n')}${more}` : '(No changes found.)';
+}
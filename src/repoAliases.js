@@ -0,0 +1,192 @@
+// src/repoAliases.js
+// Registry of GitHub repositories and the friendly names/aliases people use for them
+// (e.g. "stripe" -> gravityforms/gravityformsstripe). Loaded from REPO_ALIASES_FILE (JSON or YAML),
+// else from the repo_aliases table, else from the built-in defaults below.
+//
+// File format:
+//   defaultOwner: gravityforms          # optional, used for bare repo names and repoTemplate
+//   repoTemplate: gravityforms{name}    # optional, guess for unknown names ({name} = normalized input)
+//   repositories:
+//     - repo: gravityforms/gravityformsstripe
+//       aliases: [stripe, stripe addon]
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { dbPool } from './services.js';
+import { databaseUrl, GITHUB_OWNER, REPO_ALIASES_FILE } from './config.js';
+
+const MAX_SUGGESTION_DISTANCE = 2;
+const MAX_SUGGESTIONS = 3;
+
+export const DEFAULT_REPO_ALIASES = {
+    defaultOwner: GITHUB_OWNER,
+    repoTemplate: 'gravityforms{name}',
+    repositories: [
+        { repo: 'gravityforms/gravityforms', aliases: ['gravityforms', 'gravity forms', 'gf', 'core'] },
+        { repo: 'gravityforms/gravityformsppcp', aliases: ['ppcp', 'paypal', 'paypal checkout'] },
+        { repo: 'gravityforms/gravityformsstripe', aliases: ['stripe'] },
+        { repo: 'gravityforms/gravityformsauthorizenet', aliases: ['authorize.net', 'authorizenet'] },
+        { repo: 'gravityforms/gravityformsuserregistration', aliases: ['user registration'] },
+        { repo: 'gravityforms/gravityflow', aliases: ['gravityflow', 'gravity flow'] }
+    ]
+};
+
+let cachedRegistry = null;
+
+// Lowercases, collapses whitespace and drops trailing " addon"/" add-on"
+export function normalizeAlias(name) {
+    return String(name || '')
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ')
+        .replace(/\s+add-?on$/, '');
+}
+
+/**
+ * Builds a lookup registry from a raw definition (file contents, DB rows or defaults).
+ * @param {{defaultOwner?: string, repoTemplate?: string, repositories: {repo: string, aliases?: string[]}[]}} definition
+ * @returns {{defaultOwner: string|null, repoTemplate: string|null, aliases: Map<string, {owner: string, repo: string}>}}
+ */
+export function buildRegistry(definition) {
+    const defaultOwner = definition?.defaultOwner || null;
+    const aliases = new Map();
+    for (const entry of definition?.repositories || []) {
+        const [owner, repo] = String(entry.repo || '').includes('/') ? entry.repo.split('/') : [defaultOwner, entry.repo];
+        if (!owner || !repo) {
+            console.warn(`[Repo Aliases] Skipping invalid repository entry: ${JSON.stringify(entry)}`);
+            continue;
+        }
+        const target = { owner, repo };
+        // The repo name itself always resolves too
+        for (const alias of [repo, ...(entry.aliases || [])]) {
+            aliases.set(normalizeAlias(alias), target);
+        }
+    }
+    return { defaultOwner, repoTemplate: definition?.repoTemplate || null, aliases };
+}
+
+// Parses a JSON or YAML alias file (by extension; .yml/.yaml are YAML, everything else JSON)
+async function loadFromFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    return extension === '.yml' || extension === '.yaml' ? yaml.load(content) : JSON.parse(content);
+}
+
+// Reads aliases from the repo_aliases table; returns null when the table is empty
+async function loadFromDatabase(pool) {
+    const client = await pool.connect();
+    try {
+        const result = await client.query('SELECT alias, owner, repo FROM repo_aliases ORDER BY owner, repo, alias;');
+        if (result.rows.length === 0) return null;
+        const byRepo = new Map();
+        for (const row of result.rows) {
+            const key = `${row.owner}/${row.repo}`;
+            if (!byRepo.has(key)) byRepo.set(key, []);
+            byRepo.get(key).push(row.alias);
+        }
+        return {
+            defaultOwner: DEFAULT_REPO_ALIASES.defaultOwner,
+            repositories: [...byRepo].map(([repo, aliases]) => ({ repo, aliases }))
+        };
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Loads (and caches) the alias registry: REPO_ALIASES_FILE, else the repo_aliases table, else the defaults.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Reload instead of using the cached registry.
+ * @returns {Promise<ReturnType<typeof buildRegistry>>}
+ */
+export async function getRepoAliasRegistry({ refresh = false } = {}) {
+    if (cachedRegistry && !refresh) return cachedRegistry;
+
+    let definition = null;
+    try {
+        if (REPO_ALIASES_FILE) {
+            definition = await loadFromFile(REPO_ALIASES_FILE);
+            console.log(`[Repo Aliases] Loaded aliases from ${REPO_ALIASES_FILE}`);
+        } else if (databaseUrl) {
+            definition = await loadFromDatabase(dbPool);
+            if (definition) console.log('[Repo Aliases] Loaded aliases from the repo_aliases table');
+        }
+    } catch (error) {
+        console.error('[Repo Aliases] Failed to load aliases, using defaults:', error.message);
+        definition = null;
+    }
+
+    cachedRegistry = buildRegistry(definition || DEFAULT_REPO_ALIASES);
+    return cachedRegistry;
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Resolves a product name, alias or owner/repo to a repository.
+ * @param {string} input - e.g. "stripe", "user registration addon" or "octocat/hello-world".
+ * @param {ReturnType<typeof buildRegistry>} registry
+ * @returns {{owner: string, repo: string, source: 'explicit'|'alias'|'template'} | {owner: null, repo: null, suggestions: string[]}}
+ *   `template` means the repo was guessed from repoTemplate and may not exist.
+ */
+export function resolveRepository(input, registry) {
+    const explicit = String(input || '').trim().match(/^([\w.-]+)\/([\w.-]+)$/);
+    if (explicit) return { owner: explicit[1], repo: explicit[2], source: 'explicit' };
+
+    const name = normalizeAlias(input);
+    const known = registry.aliases.get(name);
+    if (known) return { ...known, source: 'alias' };
+
+    const maxDistance = name.length <= 4 ? 1 : MAX_SUGGESTION_DISTANCE; // Short names need a closer match
+    const suggestions = [...registry.aliases.keys()]
+        .map(alias => ({ alias, distance: editDistance(name, alias) }))
+        .filter(({ distance }) => distance > 0 && distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ alias }) => alias);
+    if (suggestions.length > 0) return { owner: null, repo: null, suggestions };
+
+    // Unknown and not a typo: guess from the naming template (e.g. "mailchimp" -> gravityforms/gravityformsmailchimp)
+    if (registry.repoTemplate && registry.defaultOwner && /^[\w.-]+$/.test(name)) {
+        const repo = name.startsWith(registry.repoTemplate.replace('{name}', ''))
+            ? name
+            : registry.repoTemplate.replace('{name}', name);
+        return { owner: registry.defaultOwner, repo, source: 'template' };
+    }
+    return { owner: null, repo: null, suggestions: [] };
+}
+
+/**
+ * Lists the known aliases grouped by repository, for "not found" replies.
+ * @param {ReturnType<typeof buildRegistry>} registry
+ * @returns {string} Slack markdown bullet list.
+ */
+export function formatKnownAliases(registry) {
+    const byRepo = new Map();
+    for (const [alias, { owner, repo }] of registry.aliases) {
+        const key = `${owner}/${repo}`;
+        if (!byRepo.has(key)) byRepo.set(key, []);
+        if (alias !== repo) byRepo.get(key).push(alias);
+    }
+    return [...byRepo]
+        .map(([repo, aliases]) => `• \`${repo}\`${aliases.length ? `: ${aliases.join(', ')}` : ''}`)
+        .join('\n');
+}
@@ -0,0 +1,294 @@
+// src/resilientHttp.js
+// Retries for GitHub and AnythingLLM requests: exponential backoff with jitter for 5xx responses and
+// network errors, waits for Retry-After / X-RateLimit-Reset on rate limits, and a cap on the total time
+// spent per request. Waits long enough to be noticed are reported to whoever is waiting on the answer
+// (see runWithDelayNotifier).
+// Only idempotent methods are retried after a failure the server may have acted on; POST/PATCH requests
+// are retried only when they were never processed (rate limits, refused connections) unless they opt in.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import axios from 'axios';
+import {
+    HTTP_RETRY_MAX_ATTEMPTS,
+    HTTP_RETRY_BASE_DELAY_MS,
+    HTTP_RETRY_MAX_DELAY_MS,
+    HTTP_RETRY_MAX_TOTAL_MS,
+    HTTP_RETRY_NOTICE_MS
+} from './config.js';
+
+// Network errors worth another attempt. Client-side timeouts (ECONNABORTED) are not retried: the server
+// may still be working on the request, and the caller's timeout already used up most of the time budget.
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+// Of those, the ones where no connection was made, so the request never reached the server
+const NOT_SENT_ERROR_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+// Repeating these has the same effect as sending them once
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+const delayNotifierStorage = new AsyncLocalStorage();
+
+// --- Failure Classification ---
+
+/**
+ * @param {string} [method='GET']
+ * @returns {boolean} Whether the method can safely be repeated after the server may have processed it.
+ */
+export function isIdempotentMethod(method = 'GET') {
+    return IDEMPOTENT_METHODS.has(method.toUpperCase());
+}
+
+// Reads a header from fetch Headers, AxiosHeaders or a plain (lower-cased) object
+function getHeader(headers, name) {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+    return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Extracts the HTTP status and headers from an axios error, an Octokit RequestError or a RetryableResponseError.
+ * @param {Error} error
+ * @returns {{status: number|null, headers: object|null, code: string|null}}
+ */
+export function describeFailure(error) {
+    const status = error?.response?.status ?? (typeof error?.status === 'number' ? error.status : null);
+    return {
+        status: status || null,
+        headers: error?.response?.headers || null,
+        code: error?.code || error?.cause?.code || null
+    };
+}
+
+/**
+ * Decides whether a failed request should be retried and how long to wait first.
+ * Rate limits (429, or GitHub's 403 with X-RateLimit-Remaining: 0 or Retry-After) wait for the server's
+ * reset time; 5xx responses and network errors back off exponentially with jitter.
+ *
+ * @param {{status: number|null, headers: object|null, code: string|null}} failure - From describeFailure().
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {object} [options]
+ * @param {number} [options.baseDelayMs=HTTP_RETRY_BASE_DELAY_MS]
+ * @param {number} [options.maxDelayMs=HTTP_RETRY_MAX_DELAY_MS] - Cap for backoff waits (not for rate limit waits).
+ * @param {() => number} [options.now=Date.now]
+ * @param {() => number} [options.random=Math.random]
+ * @returns {{delayMs: number, rateLimited: boolean}|null} null when the failure is not retryable.
+ */
+export function computeRetryDelay(failure, attempt, {
+    baseDelayMs = HTTP_RETRY_BASE_DELAY_MS,
+    maxDelayMs = HTTP_RETRY_MAX_DELAY_MS,
+    now = Date.now,
+    random = Math.random
+} = {}) {
+    const { status, headers, code } = failure;
+    const retryAfter = getHeader(headers, 'retry-after');
+    const remaining = getHeader(headers, 'x-ratelimit-remaining');
+    const reset = getHeader(headers, 'x-ratelimit-reset');
+
+    const rateLimited = status === 429 || (status === 403 && (String(remaining) === '0' || retryAfter !== undefined));
+    if (rateLimited) {
+        if (retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now();
+            if (Number.isFinite(delayMs)) return { delayMs: Math.max(0, Math.ceil(delayMs)), rateLimited };
+        }
+        if (String(remaining) === '0' && reset !== undefined && Number.isFinite(Number(reset))) {
+            // Reset is in epoch seconds; wait a second past it for clock skew
+            return { delayMs: Math.max(0, Number(reset) * 1000 - now() + 1000), rateLimited };
+        }
+    } else if (status ? status < 500 || status === 501 : !RETRYABLE_ERROR_CODES.has(code)) {
+        return null;
+    }
+
+    // Equal jitter: half the exponential delay plus a random share of the other half
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return { delayMs: Math.round(exponential / 2 + random() * (exponential / 2)), rateLimited };
+}
+
+// --- Delay Notifications ---
+
+/**
+ * Runs `fn` with a notifier that is told about retry waits of at least HTTP_RETRY_NOTICE_MS made by any
+ * request inside it (including nested async calls), so the user can be told why the answer is late.
+ * @template T
+ * @param {(notice: {service: string, delayMs: number, rateLimited: boolean, retrying: boolean}) => (void|Promise<void>)} notify
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export function runWithDelayNotifier(notify, fn) {
+    return delayNotifierStorage.run(notify, fn);
+}
+
+async function notifyDelay(notice) {
+    const notify = delayNotifierStorage.getStore();
+    if (!notify) return;
+    try {
+        await notify(notice);
+    } catch (error) {
+        console.warn('[Resilient HTTP] Delay notifier failed:', error.message);
+    }
+}
+
+/**
+ * Builds the user-facing message for a retry wait.
+ * @param {{service: string, delayMs: number, rateLimited: boolean, retrying: boolean}} notice
+ * @param {() => number} [now=Date.now]
+ * @returns {string}
+ */
+export function formatDelayNotice({ service, delayMs, rateLimited, retrying }, now = Date.now) {
+    const seconds = Math.ceil(delayMs / 1000);
+    const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds}s`;
+    if (!retrying) {
+        const resumeAt = new Date(now() + delayMs).toISOString().substring(11, 16);
+        return `:no_entry: ${service} is rate limiting me for another ${wait}, so I can't finish this now. Please try again after ${resumeAt} UTC.`;
+    }
+    return rateLimited
+        ? `:hourglass: ${service} is rate limiting me, so your answer will be delayed by about ${wait}.`
+        : `:hourglass: ${service} is having trouble, retrying in ${wait}...`;
+}
+
+// --- Retry Loop ---
+
+/**
+ * Calls `operation` until it succeeds, the failure isn't retryable, attempts run out, or the next wait
+ * would exceed the total time budget. The last error is rethrown.
+ * A non-idempotent operation is only retried when the failed attempt was never processed by the server
+ * (a rate limit, or no connection made); other failures are rethrown so it doesn't run twice.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} operation
+ * @param {object} [options]
+ * @param {string} [options.name='request'] - Used in logs.
+ * @param {string} [options.service='The service'] - Used in user-facing delay notices.
+ * @param {boolean} [options.idempotent=true] - Whether repeating the operation is harmless.
+ * @param {number} [options.maxAttempts=HTTP_RETRY_MAX_ATTEMPTS]
+ * @param {number} [options.maxTotalMs=HTTP_RETRY_MAX_TOTAL_MS] - Cap on time spent, including the attempts themselves.
+ * @param {number} [options.noticeMs=HTTP_RETRY_NOTICE_MS] - Waits at least this long are passed to the delay notifier.
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @param {() => number} [options.now=Date.now]
+ * @param {() => number} [options.random=Math.random]
+ * @returns {Promise<T>}
+ */
+export async function withRetry(operation, {
+    name = 'request',
+    service = 'The service',
+    idempotent = true,
+    maxAttempts = HTTP_RETRY_MAX_ATTEMPTS,
+    maxTotalMs = HTTP_RETRY_MAX_TOTAL_MS,
+    noticeMs = HTTP_RETRY_NOTICE_MS,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    now = Date.now,
+    random = Math.random,
+    ...delayOptions
+} = {}) {
+    const startedAt = now();
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            const failure = describeFailure(error);
+            const retry = computeRetryDelay(failure, attempt, { ...delayOptions, now, random });
+            if (!retry || attempt >= maxAttempts) throw error;
+            if (!idempotent && !retry.rateLimited && !NOT_SENT_ERROR_CODES.has(failure.code)) {
+                console.warn(`[Resilient HTTP] ${name} failed (${failure.status || failure.code || error.message}); not retrying a request that may have been processed.`);
+                throw error;
+            }
+
+            if (now() - startedAt + retry.delayMs > maxTotalMs) {
+                console.warn(`[Resilient HTTP] ${name}: next retry in ${retry.delayMs}ms would exceed the ${maxTotalMs}ms budget, giving up.`);
+                if (retry.rateLimited) await notifyDelay({ service, delayMs: retry.delayMs, rateLimited: true, retrying: false });
+                throw error;
+            }
+
+            console.warn(`[Resilient HTTP] ${name} failed (${failure.status || failure.code || error.message}), attempt ${attempt}/${maxAttempts}. Retrying in ${retry.delayMs}ms${retry.rateLimited ? ' (rate limited)' : ''}.`);
+            if (retry.delayMs >= noticeMs) {
+                await notifyDelay({ service, delayMs: retry.delayMs, rateLimited: retry.rateLimited, retrying: true });
+            }
+            await sleep(retry.delayMs);
+        }
+    }
+}
+
+// --- Client Wrappers ---
+
+/**
+ * Thrown inside fetchWithRetry for retryable responses, so withRetry can read their status and headers.
+ */
+class RetryableResponseError extends Error {
+    constructor(response) {
+        super(`HTTP ${response.status}`);
+        this.name = 'RetryableResponseError';
+        this.response = response;
+    }
+}
+
+/**
+ * fetch() with retries. Resolves with the final Response (which may still be an error response) like fetch does.
+ * @param {string} url
+ * @param {RequestInit} init - The body must be re-sendable (a string, not a stream).
+ * @param {object} [retryOptions] - See withRetry(), plus `fetchImpl` (defaults to the global fetch).
+ *   `idempotent` defaults to whether init.method is; pass true to retry a POST/PATCH that is safe to repeat.
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, init, { fetchImpl = globalThis.fetch, ...retryOptions } = {}) {
+    try {
+        return await withRetry(async () => {
+            const response = await fetchImpl(url, init);
+            if (!response.ok && computeRetryDelay(describeFailure({ response }), 1)) {
+                throw new RetryableResponseError(response);
+            }
+            return response;
+        }, { name: `${init?.method || 'GET'} ${new URL(url).pathname}`, idempotent: isIdempotentMethod(init?.method), ...retryOptions });
+    } catch (error) {
+        if (error instanceof RetryableResponseError) return error.response;
+        throw error;
+    }
+}
+
+function axiosRequestName(config) {
+    try {
+        return `${(config.method || 'get').toUpperCase()} ${new URL(config.url).pathname}`;
+    } catch {
+        return `${(config.method || 'get').toUpperCase()} ${config.url}`;
+    }
+}
+
+/**
+ * Axios with retries, for AnythingLLM. Mirrors axios.get/axios.post; the request body must be re-sendable
+ * (plain objects, not streams such as FormData). As with fetchWithRetry, `retryOptions.idempotent` defaults
+ * to whether the method is.
+ */
+export const resilientAxios = {
+    request(config, retryOptions = {}) {
+        return withRetry(() => axios.request(config), {
+            name: axiosRequestName(config),
+            service: 'AnythingLLM',
+            idempotent: isIdempotentMethod(config.method),
+            ...retryOptions
+        });
+    },
+    get(url, config = {}, retryOptions) {
+        return this.request({ ...config, method: 'get', url }, retryOptions);
+    },
+    post(url, data, config = {}, retryOptions) {
+        return this.request({ ...config, method: 'post', url, data }, retryOptions);
+    }
+};
+
+/**
+ * Adds retries to every request made through an Octokit instance (REST calls and paginate()).
+ * POST/PATCH calls (creating issues, reviews, ...) are only retried when they were never processed, unless
+ * the call opts in with `request: { idempotent: true }`.
+ * @param {import('@octokit/rest').Octokit} octokit
+ * @param {object} [retryOptions] - See withRetry().
+ * @returns {import('@octokit/rest').Octokit} The same instance.
+ */
+export function installOctokitRetry(octokit, retryOptions = {}) {
+    octokit.hook.wrap('request', (request, options) => withRetry(
+        () => request(options),
+        {
+            name: `${options.method} ${options.url}`,
+            service: 'GitHub',
+            idempotent: options.request?.idempotent ?? isIdempotentMethod(options.method),
+            ...retryOptions
+        }
+    ));
+    return octokit;
+}
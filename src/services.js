@@ -1,6 +1,7 @@
 import { createClient } from 'redis';
 import pg from 'pg';
-import { redisUrl, databaseUrl } from './config.js';
+import { redisUrl, databaseUrl, THREAD_MAPPING_STORE, THREAD_MAPPING_REDIS_PREFIX, THREAD_MAPPING_REDIS_TTL } from './config.js';
+import { createPostgresMappingStore, createRedisMappingStore, createMemoryMappingStore } from './threadMappingStore.js';
 
 // --- Redis Client Setup ---
 export let redisClient;
@@ -80,50 +81,71 @@ export async function shutdownServices(signal) {
     }
 }
 
-// --- Slack/AnythingLLM Thread Mapping --- 
+// --- Slack/AnythingLLM Thread Mapping ---
+// Stored in the THREAD_MAPPING_STORE (see threadMappingStore.js); the functions below keep the store's errors
+// from reaching callers.
+
+let threadMappingStore = null;
+
+/**
+ * The configured mapping store, created on first use. Falls back to memory when the configured backend isn't set up.
+ * @returns {import('./threadMappingStore.js').ThreadMappingStore}
+ */
+export function getThreadMappingStore() {
+    if (threadMappingStore) return threadMappingStore;
+    if (THREAD_MAPPING_STORE === 'postgres' && databaseUrl) {
+        threadMappingStore = createPostgresMappingStore(dbPool);
+    } else if (THREAD_MAPPING_STORE === 'redis' && redisUrl) {
+        threadMappingStore = createRedisMappingStore(redisClient, { prefix: THREAD_MAPPING_REDIS_PREFIX, ttlSeconds: THREAD_MAPPING_REDIS_TTL });
+    } else {
+        if (THREAD_MAPPING_STORE !== 'memory') {
+            console.warn(`[Service/ThreadMap] THREAD_MAPPING_STORE is '${THREAD_MAPPING_STORE}' but it isn't configured; keeping mappings in memory.`);
+        }
+        threadMappingStore = createMemoryMappingStore();
+    }
+    console.log(`[Service/ThreadMap] Using the ${threadMappingStore.name} mapping store.`);
+    return threadMappingStore;
+}
+
+/**
+ * Replaces the mapping store, e.g. with a memory store in tests.
+ * @param {import('./threadMappingStore.js').ThreadMappingStore|null} store - Null to go back to the configured store.
+ * @returns {import('./threadMappingStore.js').ThreadMappingStore|null} The previous store.
+ */
+export function setThreadMappingStore(store) {
+    const previous = threadMappingStore;
+    threadMappingStore = store;
+    return previous;
+}
+
+// The Redis store can only be used once the client is connected
+function mappingStoreUnavailable() {
+    return getThreadMappingStore().name === 'redis' && !isRedisReady;
+}
 
 /**
  * Retrieves the AnythingLLM thread mapping for a given Slack thread.
- * Updates the last_accessed_at timestamp.
+ * Updates the last access time (and, in Redis, the expiry).
  * @param {string} channelId - The Slack channel ID.
  * @param {string} slackThreadTs - The starting timestamp of the Slack thread.
  * @returns {Promise<{anythingllm_thread_slug: string, anythingllm_workspace_slug: string} | null>} Mapping object or null if not found.
  */
 export async function getAnythingLLMThreadMapping(channelId, slackThreadTs) {
-    if (!dbPool || !databaseUrl) {
-        console.warn("[Service/ThreadMap] DB unavailable, cannot get mapping.");
+    if (mappingStoreUnavailable()) {
+        console.warn("[Service/ThreadMap] Redis unavailable, cannot get mapping.");
         return null;
     }
-    const selectQuery = `
-        SELECT anythingllm_thread_slug, anythingllm_workspace_slug
-        FROM slack_anythingllm_threads
-        WHERE slack_channel_id = $1 AND slack_thread_ts = $2;`;
-    const updateAccessTimeQuery = `
-        UPDATE slack_anythingllm_threads
-        SET last_accessed_at = CURRENT_TIMESTAMP
-        WHERE slack_channel_id = $1 AND slack_thread_ts = $2;`;
-
-    let client;
     try {
-        client = await dbPool.connect();
-        // Select first
-        const result = await client.query(selectQuery, [channelId, slackThreadTs]);
-        if (result.rows.length > 0) {
-            const mapping = result.rows[0];
+        const mapping = await getThreadMappingStore().get(channelId, slackThreadTs);
+        if (mapping) {
             console.log(`[Service/ThreadMap] Found mapping: Slack ${channelId}:${slackThreadTs} -> AnythingLLM ${mapping.anythingllm_workspace_slug}:${mapping.anythingllm_thread_slug}`);
-            // Update access time asynchronously (don't wait for it)
-            client.query(updateAccessTimeQuery, [channelId, slackThreadTs])
-                .catch(err => console.error("[Service/ThreadMap] Failed update access time:", err));
-            return mapping;
         } else {
             console.log(`[Service/ThreadMap] No mapping found for Slack ${channelId}:${slackThreadTs}`);
-            return null;
         }
+        return mapping;
     } catch (err) {
-        console.error("[Service/ThreadMap DB Error] Failed getting mapping:", err);
+        console.error("[Service/ThreadMap Error] Failed getting mapping:", err);
         return null;
-    } finally {
-        if (client) client.release();
     }
 }
 
@@ -136,26 +158,101 @@ export async function getAnythingLLMThreadMapping(channelId, slackThreadTs) {
  * @returns {Promise<boolean>} True if successful, false otherwise.
  */
 export async function storeAnythingLLMThreadMapping(channelId, slackThreadTs, workspaceSlug, anythingLLMThreadSlug) {
-    if (!dbPool || !databaseUrl) {
-        console.warn("[Service/ThreadMap] DB unavailable, cannot store mapping.");
+    if (mappingStoreUnavailable()) {
+        console.warn("[Service/ThreadMap] Redis unavailable, cannot store mapping.");
+        return false;
+    }
+    try {
+        const stored = await getThreadMappingStore().store(channelId, slackThreadTs, workspaceSlug, anythingLLMThreadSlug);
+        console.log(`[Service/ThreadMap] Stored mapping: Slack ${channelId}:${slackThreadTs} -> AnythingLLM ${workspaceSlug}:${anythingLLMThreadSlug}. Stored: ${stored}`);
+        return stored;
+    } catch (err) {
+        console.error("[Service/ThreadMap Error] Failed storing mapping:", err);
+        return false;
+    }
+}
+
+/**
+ * Points a Slack thread at a different AnythingLLM workspace/thread (e.g. after `#switch`).
+ * The previous mapping, if any, is kept in the mapping history.
+ * @param {string} channelId - The Slack channel ID.
+ * @param {string} slackThreadTs - The starting timestamp of the Slack thread.
+ * @param {string} workspaceSlug - The new AnythingLLM workspace slug.
+ * @param {string} anythingLLMThreadSlug - The new AnythingLLM thread slug.
+ * @param {{reason: string, changedBy?: string}} change - Why the mapping changed ('switch', 'reset') and who changed it.
+ * @returns {Promise<boolean>} True if successful, false otherwise.
+ */
+export async function replaceAnythingLLMThreadMapping(channelId, slackThreadTs, workspaceSlug, anythingLLMThreadSlug, { reason, changedBy = null }) {
+    if (mappingStoreUnavailable()) {
+        console.warn("[Service/ThreadMap] Redis unavailable, cannot replace mapping.");
         return false;
     }
-    const insertQuery = `
-        INSERT INTO slack_anythingllm_threads 
-            (slack_channel_id, slack_thread_ts, anythingllm_workspace_slug, anythingllm_thread_slug)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (slack_channel_id, slack_thread_ts) DO NOTHING; -- Avoid errors if mapping somehow already exists
-    `;
-    let client;
     try {
-        client = await dbPool.connect();
-        const result = await client.query(insertQuery, [channelId, slackThreadTs, workspaceSlug, anythingLLMThreadSlug]);
-        console.log(`[Service/ThreadMap] Stored mapping: Slack ${channelId}:${slackThreadTs} -> AnythingLLM ${workspaceSlug}:${anythingLLMThreadSlug}. Result rows: ${result.rowCount}`);
-        return result.rowCount > 0;
+        const replaced = await getThreadMappingStore().replace(channelId, slackThreadTs, workspaceSlug, anythingLLMThreadSlug, { reason, changedBy });
+        console.log(`[Service/ThreadMap] Replaced mapping (${reason}): Slack ${channelId}:${slackThreadTs} -> AnythingLLM ${workspaceSlug}:${anythingLLMThreadSlug}. Replaced: ${replaced}`);
+        return replaced;
     } catch (err) {
-        console.error("[Service/ThreadMap DB Error] Failed storing mapping:", err);
+        console.error("[Service/ThreadMap Error] Failed replacing mapping:", err);
         return false;
-    } finally {
-        if (client) client.release();
     }
-} 
\ No newline at end of file
+}
+
+/**
+ * Lists the workspaces that have answered in a Slack thread, oldest first. The last entry is the current mapping
+ * (`ended_at` null).
+ * @param {string} channelId - The Slack channel ID.
+ * @param {string} slackThreadTs - The starting timestamp of the Slack thread.
+ * @returns {Promise<Array<{anythingllm_workspace_slug: string, anythingllm_thread_slug: string, started_at: Date, ended_at: Date|null, reason: string|null}>>}
+ */
+export async function getAnythingLLMThreadMappingHistory(channelId, slackThreadTs) {
+    if (mappingStoreUnavailable()) {
+        console.warn("[Service/ThreadMap] Redis unavailable, cannot get mapping history.");
+        return [];
+    }
+    try {
+        return await getThreadMappingStore().history(channelId, slackThreadTs);
+    } catch (err) {
+        console.error("[Service/ThreadMap Error] Failed getting mapping history:", err);
+        return [];
+    }
+}
+
+/**
+ * Lists mappings not used since idleBefore, least recently used first (for threadCleanup.js).
+ * @param {Date} idleBefore - Mappings last accessed before this are idle.
+ * @param {number} limit - Maximum number of rows.
+ * @returns {Promise<Array<{slack_channel_id: string, slack_thread_ts: string, anythingllm_workspace_slug: string, anythingllm_thread_slug: string, last_accessed_at: Date}>>}
+ */
+export async function listIdleThreadMappings(idleBefore, limit) {
+    if (mappingStoreUnavailable()) {
+        console.warn("[Service/ThreadMap] Redis unavailable, cannot list idle mappings.");
+        return [];
+    }
+    try {
+        return await getThreadMappingStore().listIdle(idleBefore, limit);
+    } catch (err) {
+        console.error("[Service/ThreadMap Error] Failed listing idle mappings:", err);
+        return [];
+    }
+}
+
+/**
+ * Removes an idle mapping, unless it was used (or replaced) since it was listed.
+ * @param {{slack_channel_id: string, slack_thread_ts: string, anythingllm_thread_slug: string}} mapping
+ * @param {Date} idleBefore - Same cut-off as listIdleThreadMappings().
+ * @param {{archive: boolean}} options - Archive moves the Postgres row to slack_anythingllm_thread_history (reason
+ *   'cleanup'). Redis and memory entries hold their own history and are always deleted.
+ * @returns {Promise<boolean>} True if the mapping was removed.
+ */
+export async function removeIdleThreadMapping(mapping, idleBefore, { archive }) {
+    if (mappingStoreUnavailable()) {
+        console.warn("[Service/ThreadMap] Redis unavailable, cannot remove mapping.");
+        return false;
+    }
+    try {
+        return await getThreadMappingStore().removeIdle(mapping, idleBefore, { archive });
+    } catch (err) {
+        console.error("[Service/ThreadMap Error] Failed removing idle mapping:", err);
+        return false;
+    }
+}
@@ -8,52 +8,43 @@ import {
     appToken,
     botUserId,
     developerId,
-    workspaceMapping,
-    fallbackWorkspace,
-    enableUserWorkspaces,
-    userWorkspaceMapping,
     redisUrl,
     githubWorkspaceSlug,
     formatterWorkspaceSlug,
     MIN_SUBSTANTIVE_RESPONSE_LENGTH,
     MAX_SLACK_BLOCK_TEXT_LENGTH,
+    SLACK_TRANSPORT,
 	githubToken
 } from './config.js';
 import { isDuplicateRedis } from './utils.js';
 import { splitMessageIntoChunks, extractTextAndCode, getSlackFiletype, markdownToRichTextBlock } from './formattingService.js';
-import { redisClient, isRedisReady, dbPool, getAnythingLLMThreadMapping, storeAnythingLLMThreadMapping } from './services.js';
+import { redisClient, isRedisReady, getAnythingLLMThreadMapping, storeAnythingLLMThreadMapping } from './services.js';
 import { queryLlm, getWorkspaces, createNewAnythingLLMThread } from './llm.js';
 import { getLatestRelease, getPrDetailsForReview, getGithubIssueDetails, callGithubApi } from './githubService.js';
 import { handleSlackMessageEventInternal } from './handlers/messageHandler.js';
-
-// --- Channel → Workspace mapping ---
-// Prefer the mapping from config.js if present, but also allow an env override (WORKSPACE_MAPPING)
-// Format for env: "C0123ABCD:it-operations,C0456XYZ:hr-helpdesk"
-function parseEnvWorkspaceMapping(raw) {
-  const map = {};
-  if (!raw) return map;
-  for (const pair of raw.split(",")) {
-    const [chan, ws] = pair.split(":").map(s => s?.trim()).filter(Boolean);
-    if (chan && ws) map[chan] = ws;
-  }
-  return map;
-}
-
-// workspaceMapping is imported from config.js.
-// Merge it with the env-based one so either works.
-const ENV_WORKSPACE_MAP = parseEnvWorkspaceMapping(process.env.WORKSPACE_MAPPING);
-const CHANNEL_WORKSPACE_MAP = { ...(workspaceMapping || {}), ...ENV_WORKSPACE_MAP };
-console.log("[Slack] WORKSPACE_MAPPING merged:", CHANNEL_WORKSPACE_MAP);
+import { enqueueJob, registerJobProcessor } from './jobQueue.js';
+import { installOctokitRetry, runWithDelayNotifier, formatDelayNotice } from './resilientHttp.js';
+import { checkRateLimit, formatRateLimitMessage, DEFAULT_RATE_LIMIT_CATEGORY } from './rateLimiter.js';
+import { matchCommand } from './handlers/commandRegistry.js';
+import { handleGithubApiConfirmationAction } from './handlers/commandHandler.js';
+import { GITHUB_API_APPROVE_ACTION, GITHUB_API_CANCEL_ACTION } from './githubApiPolicy.js';
+import { GITHUB_WEBHOOK_JOB, processGithubWebhook } from './githubWebhooks.js';
+import { handleIssueDraftAction, handleIssueDraftSubmission } from './handlers/fileIssueCommand.js';
+import { ISSUE_DRAFT_OPEN_ACTION, ISSUE_DRAFT_DISCARD_ACTION, ISSUE_DRAFT_MODAL_CALLBACK_ID } from './issueDrafts.js';
+import { handleWorkspaceSwitchAction } from './handlers/switchWorkspaceCommand.js';
+import { WORKSPACE_SWITCH_ACTION } from './workspaceSwitch.js';
+import { handleFeedbackAction, handleFeedbackReasonSubmission, FEEDBACK_REASON_MODAL_CALLBACK_ID } from './handlers/feedbackHandler.js';
 
 // Initialize Slack clients
 export const slack = new WebClient(botToken);
-const slackEvents = createEventAdapter(signingSecret, { includeBody: true });
+// The Events API adapter is only needed for the HTTP transport (Socket Mode doesn't use a signing secret)
+const slackEvents = SLACK_TRANSPORT === 'http' ? createEventAdapter(signingSecret, { includeBody: true }) : null;
 
 // --- Initialize Octokit ONCE ---
 let appOctokitInstance = null;
 if (githubToken) {
     try {
-        appOctokitInstance = new Octokit({ auth: githubToken });
+        appOctokitInstance = installOctokitRetry(new Octokit({ auth: githubToken }));
         console.log("[App] Octokit initialized successfully.");
     } catch (error) {
         console.error("[App] Failed to initialize Octokit:", error);
@@ -63,40 +54,52 @@ if (githubToken) {
     console.warn("[App] GITHUB_TOKEN not set. GitHub dependent features may fail.");
 }
 
-// --- Feedback Storage --- (Adapted from original handler)
-async function storeFeedback(feedbackData) {
-    if (!databaseUrl || !dbPool) {
-        console.warn("DATABASE_URL not configured, logging feedback to console only.");
-        console.log("--- FEEDBACK (Console Log) ---", JSON.stringify(feedbackData, null, 2));
-        return;
-    }
-    const insertQuery = `
-        INSERT INTO feedback (feedback_value, user_id, channel_id, bot_message_ts, original_user_message_ts, action_id, sphere_slug, bot_message_text, original_user_message_text)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id;`;
-    const values = [
-        feedbackData.feedback_value || null, feedbackData.user_id || null,
-        feedbackData.channel_id || null, feedbackData.bot_message_ts || null,
-        feedbackData.original_user_message_ts || null, feedbackData.action_id || null,
-        feedbackData.sphere_slug || null, feedbackData.bot_message_text || null,
-        feedbackData.original_user_message_text || null
-    ];
-    let client;
-    try {
-        client = await dbPool.connect();
-        console.log(`[Slack Service/Feedback] Inserting: User=${values[1]}, Val=${values[0]}, Sphere=${values[6]}`);
-        const result = await client.query(insertQuery, values);
-        if (result.rows?.[0]?.id) {
-             console.log(`[Slack Service/Feedback] Saved ID: ${result.rows[0].id}`);
-        } else {
-             console.warn('[Slack Service/Feedback] Insert OK, no ID.');
-        }
-    } catch (err) {
-        console.error('[Slack Service/Feedback DB Error]', err);
-    } finally {
-        if (client) client.release();
-    }
+// --- Message Job Processing ---
+
+// Tells the user in the thread when a GitHub/AnythingLLM retry will delay their answer.
+// Only the first wait is announced, so a slow request doesn't fill the thread; giving up is always announced.
+function createDelayNotifier(event) {
+    let announced = false;
+    return async notice => {
+        if (announced && notice.retrying) return;
+        announced = true;
+        await slack.chat.postMessage({
+            channel: event.channel,
+            thread_ts: event.thread_ts || event.ts,
+            text: formatDelayNotice(notice)
+        });
+    };
 }
 
+const SLACK_MESSAGE_JOB = 'slack_message';
+
+registerJobProcessor(
+    SLACK_MESSAGE_JOB,
+    (job, { disableRetry }) => runWithDelayNotifier(
+        createDelayNotifier(job.payload.event),
+        () => handleSlackMessageEventInternal(job.payload.event, slack, appOctokitInstance, {
+            attempt: job.attempt,
+            maxAttempts: job.maxAttempts,
+            disableRetry
+        })
+    ),
+    // Let the user know we haven't given up on their message
+    async (job, error, delayMs) => {
+        const { channel, ts, thread_ts: threadTs } = job.payload.event;
+        await slack.chat.postMessage({
+            channel,
+            thread_ts: threadTs || ts,
+            text: `:repeat: I ran into a problem answering that, retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${job.attempt} of ${job.maxAttempts})...`
+        });
+    }
+);
+
+// GitHub webhook deliveries queued by githubWebhooks.js
+registerJobProcessor(
+    GITHUB_WEBHOOK_JOB,
+    (job, { disableRetry }) => processGithubWebhook(job.payload.eventName, job.payload.payload, { slack, beforePosting: disableRetry })
+);
+
 // --- Public Event Handler Wrapper --- (Handles deduplication and filtering)
 async function handleSlackEvent(event, body) {
 
@@ -115,16 +118,6 @@ async function handleSlackEvent(event, body) {
 
         const { subtype, user: messageUserId, channel: channelId, text = '' } = event;
 
-	// --- Force workspace by channel (if mapped) by injecting a #workspace tag into event.text ---
-	// This keeps the rest of the pipeline unchanged (handlers already understand #workspace tags).
-	const forcedWorkspace = CHANNEL_WORKSPACE_MAP[channelId];
-	if (forcedWorkspace) {
-  	const withoutLeadingTag = text.replace(/^#[a-z0-9\-_]+\s+/i, ""); // strip any existing leading #tag
-  	event.text = `#${forcedWorkspace} ${withoutLeadingTag}`.trim();
-  	console.log(`[Routing] Forcing workspace "${forcedWorkspace}" for channel ${channelId}`);
-	}
-
-
         // Filter out unwanted events
         if ( subtype === 'bot_message' || subtype === 'message_deleted' || subtype === 'message_changed' ||
             subtype === 'channel_join' || subtype === 'channel_leave' || subtype === 'thread_broadcast' ||
@@ -144,9 +137,25 @@ async function handleSlackEvent(event, body) {
         // Check if it's a relevant event (DM or Mention)
         if (isDM || wasMentioned) {
             console.log(`[Slack Event Wrapper] Processing relevant event ID: ${eventId}`);
-            // Run the IMPORTED internal handler asynchronously, PASSING slack and appOctokitInstance
-            handleSlackMessageEventInternal(event, slack, appOctokitInstance).catch(err => {
-                console.error("[Slack Event Wrapper] Unhandled Handler Error, Event ID:", eventId, err);
+
+            // Rate limit per user and channel; commands like PR review have their own, stricter budgets
+            const matchedCommand = matchCommand(text.replace(mentionString, '').trim());
+            const rateLimitCategory = matchedCommand?.command.rateLimit || DEFAULT_RATE_LIMIT_CATEGORY;
+            const rateLimit = await checkRateLimit({ userId: messageUserId, channelId, category: rateLimitCategory });
+            if (!rateLimit.allowed) {
+                console.log(`[Slack Event Wrapper] Rate limited event ID: ${eventId} (${rateLimitCategory}/${rateLimit.scope}, retry in ${rateLimit.retryAfterMs}ms)`);
+                await slack.chat.postEphemeral({
+                    channel: channelId,
+                    user: messageUserId,
+                    thread_ts: event.thread_ts,
+                    text: formatRateLimitMessage(rateLimit, rateLimitCategory)
+                }).catch(err => console.error('[Slack Event Wrapper] Failed to post rate limit message:', err.data?.error || err.message));
+                return;
+            }
+
+            // Hand the event to the job queue; processSlackMessageJob runs it (with retries when Redis is available)
+            enqueueJob(SLACK_MESSAGE_JOB, { eventId, event }).catch(err => {
+                console.error("[Slack Event Wrapper] Failed to queue event, Event ID:", eventId, err);
             });
         } else {
              console.log(`[Slack Event Wrapper] Ignoring event ID: ${eventId} (Not DM or Mention)`); // Added log for ignored events
@@ -202,10 +211,9 @@ async function handleExportCommand(channel, thread_ts, user) {
         }
     }
 
-// --- Interaction Handler --- (Handles button clicks etc.)
+// --- Interaction Handler --- (HTTP route for button clicks, modal submissions etc.)
+// Signature verification is done by the verifySlackSignature middleware mounted in app.js.
 async function handleInteraction(req, res) {
-    console.warn("!!! Interaction signature verification is NOT IMPLEMENTED !!!");
-
     let payload;
     try {
         if (!req.body || !req.body.payload) {
@@ -220,121 +228,50 @@ async function handleInteraction(req, res) {
     res.send(); // Acknowledge immediately
 
     // Process the interaction asynchronously
+    await processInteractionPayload(payload);
+}
+
+// --- Interaction Processing --- (Transport-independent; used by HTTP and Socket Mode)
+async function processInteractionPayload(payload) {
     try {
         console.log("[Interaction Handler] Received type:", payload.type);
+        if (payload.type === 'view_submission' && payload.view?.callback_id === FEEDBACK_REASON_MODAL_CALLBACK_ID) {
+            await handleFeedbackReasonSubmission(payload);
+            return;
+        }
+        if (payload.type === 'view_submission' && payload.view?.callback_id === ISSUE_DRAFT_MODAL_CALLBACK_ID) {
+            await handleIssueDraftSubmission(payload, slack, appOctokitInstance);
+            return;
+        }
         if (payload.type === 'block_actions' && payload.actions?.[0]) {
-            const action = payload.actions[0];
-            const { action_id: actionId, block_id: blockId } = action;
-            const { id: userId } = payload.user;
-            const { id: channelId } = payload.channel;
-            const { ts: messageTs } = payload.message; // TS of the message containing the button
-
-            // Handle Feedback Buttons
+            const { action_id: actionId } = payload.actions[0];
+
+            // Edit/Discard on a GitHub issue draft card
+            if (actionId === ISSUE_DRAFT_OPEN_ACTION || actionId === ISSUE_DRAFT_DISCARD_ACTION) {
+                await handleIssueDraftAction(payload, slack);
+                return;
+            }
+
+            // "Switch workspace" picker under an answer
+            if (actionId === WORKSPACE_SWITCH_ACTION) {
+                await handleWorkspaceSwitchAction(payload, slack);
+                return;
+            }
+
+            // Approve/Cancel on a GitHub API confirmation card
+            if (actionId === GITHUB_API_APPROVE_ACTION || actionId === GITHUB_API_CANCEL_ACTION) {
+                await handleGithubApiConfirmationAction(payload, slack);
+                return;
+            }
+
+            // Feedback buttons under an answer
             if (actionId.startsWith('feedback_')) {
-                const feedbackValue = action.value;
-                let originalQuestionTs = null;
-                let responseSphere = null;
-                let encodedFallbackText = null; // <-- New variable
-
-                if (blockId?.startsWith('feedback_')) {
-                    const parts = blockId.substring(9).split('_'); // Format: origTS_sphere_encodedText
-                    originalQuestionTs = parts[0];
-                    if (parts.length > 1) { responseSphere = parts[1]; }
-                    // The rest is the encoded text (might contain underscores)
-                    if (parts.length > 2) { encodedFallbackText = parts.slice(2).join('_'); }
-                }
-                console.log(`[Interaction Handler] Feedback: User ${userId}, Val ${feedbackValue}, OrigTS ${originalQuestionTs}, Sphere ${responseSphere}, EncodedText? ${!!encodedFallbackText}`);
-
-                // Fetch original *user* question text
-                let originalQuestionText = null;
-                if (originalQuestionTs && channelId) {
-                    try {
-                        const historyResult = await slack.conversations.history({ channel: channelId, latest: originalQuestionTs, oldest: originalQuestionTs, inclusive: true, limit: 1 });
-                        if (historyResult.ok && historyResult.messages?.[0]?.text) {
-                            originalQuestionText = historyResult.messages[0].text;
-                        } else { console.warn("[Interaction] Failed to fetch original message text or msg not found."); }
-                    } catch (historyError) {
-                        console.error('[Interaction] Error fetching original message text:', historyError.data?.error || historyError.message);
-                    }
-                }
-
-				// --- Start NEW logic: Decode text from block_id ---
-				let actualBotMessageText = null;
-				if (encodedFallbackText) {
-					try {
-						actualBotMessageText = decodeURIComponent(encodedFallbackText);
-						console.log(`[Interaction Handler] Decoded bot message text from block_id: "${actualBotMessageText.substring(0, 50)}..."`);
-					} catch (decodeError) {
-						console.error("[Interaction Handler] Error decoding fallback text from block_id:", decodeError);
-					}
-				}
-
-				// Fallback if decoding failed or text wasn't in block_id
-				if (!actualBotMessageText) {
-					console.warn("[Interaction Handler] Could not get bot message text from block_id. Falling back.");
-					actualBotMessageText = payload.message.text; // Fallback to "Feedback:"
-				}
-				// --- End NEW logic ---
-
-				// Store feedback data
-				try {
-					await storeFeedback({
-						feedback_value: feedbackValue,
-						user_id: userId,
-						channel_id: channelId,
-						bot_message_ts: messageTs, // Use button message TS again
-						original_user_message_ts: originalQuestionTs || null,
-						action_id: actionId,
-						sphere_slug: responseSphere || null,
-						bot_message_text: actualBotMessageText || null, // Use the decoded/fallback text
-						original_user_message_text: originalQuestionText || null
-					});
-					console.log(`[Interaction Handler] Feedback stored: ${feedbackValue} from ${userId}`);
-				} catch (storeFeedbackError) {
-					console.error(`[Interaction Handler] Error storing feedback:`, storeFeedbackError);
-				}
-
-				// Update UI (No change)
-				try {
-					const originalBlocks = payload.message.blocks;
-					if (originalBlocks && originalBlocks.length > 0) { // Check if blocks exist
-						// Find the actions block to replace (safer than assuming index)
-						const actionBlockIndex = originalBlocks.findIndex(block => block.type === 'actions');
-						let updatedBlocks;
-
-						if (actionBlockIndex !== -1) {
-							// Replace the actions block with a context block
-							updatedBlocks = [
-								...originalBlocks.slice(0, actionBlockIndex),
-								{ "type": "context", "elements": [ { "type": "mrkdwn", "text": `🙏 Thanks for the feedback! (_${feedbackValue === 'bad' ? '👎' : feedbackValue === 'ok' ? '👌' : '👍'}_)` } ] }
-							];
-						} else {
-							// If no actions block found (unexpected), just append context
-							console.warn("[Interaction Handler] Could not find actions block to replace in feedback message.");
-							updatedBlocks = [
-								...originalBlocks,
-								{ "type": "context", "elements": [ { "type": "mrkdwn", "text": `🙏 Thanks for the feedback! (_${feedbackValue === 'bad' ? '👎' : feedbackValue === 'ok' ? '👌' : '👍'}_)` } ] }
-							];
-						}
-
-						await slack.chat.update({
-							channel: channelId,
-							ts: messageTs,
-							text: payload.message.text + "\n\n🙏 Thanks!",
-							blocks: updatedBlocks
-						});
-						console.log(`[Interaction Handler] Updated message ${messageTs} to reflect feedback.`);
-					} else {
-						console.warn("[Interaction Handler] Could not update feedback message - no blocks found.");
-					}
-				} catch (updateError) {
-					console.warn("Failed to update feedback message:", updateError.data?.error || updateError.message);
-				}
-			}
-		}
+                await handleFeedbackAction(payload, slack);
+            }
+        }
 	} catch (error) {
 		console.error("[Interaction Handling Error] An error occurred:", error);
 	}
 }
 
-export { slackEvents, handleSlackEvent, handleInteraction };
+export { slackEvents, handleSlackEvent, handleInteraction, processInteractionPayload, handleExportCommand };
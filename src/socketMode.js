@@ -0,0 +1,87 @@
+// src/socketMode.js
+// Socket Mode transport: receives events, interactions and slash commands over a WebSocket
+// opened with the app-level token (SLACK_APP_TOKEN), so no public URL is needed.
+// Everything is dispatched to the same handlers the HTTP routes use.
+
+import { SocketModeClient } from '@slack/socket-mode';
+import { appToken } from './config.js';
+import { handleSlackEvent, processInteractionPayload } from './slack.js';
+import { processSlashCommand } from './handlers/slashCommandHandler.js';
+
+const HANDLED_EVENT_TYPES = new Set(['message', 'app_mention']);
+
+let socketModeClient = null;
+
+// Injectable for tests
+const defaultDeps = {
+    appToken,
+    createClient: options => new SocketModeClient(options),
+    handleSlackEvent,
+    processInteractionPayload,
+    processSlashCommand
+};
+
+/**
+ * Connects to Slack over Socket Mode and wires up event dispatching.
+ * Reconnection is handled by the SocketModeClient (autoReconnectEnabled).
+ * @param {Partial<typeof defaultDeps>} [overrides] - Injectable for tests.
+ * @returns {Promise<SocketModeClient>}
+ */
+export async function startSocketMode(overrides = {}) {
+    const { appToken, createClient, handleSlackEvent, processInteractionPayload, processSlashCommand } = { ...defaultDeps, ...overrides };
+    if (!appToken) {
+        throw new Error('SLACK_APP_TOKEN is required for Socket Mode.');
+    }
+
+    socketModeClient = createClient({ appToken, autoReconnectEnabled: true });
+
+    // Events API envelopes (message, app_mention, ...)
+    socketModeClient.on('events_api', async ({ ack, body, retry_num: retryNum }) => {
+        await ack();
+        const event = body?.event;
+        if (!event || !HANDLED_EVENT_TYPES.has(event.type)) return;
+        if (retryNum) console.log(`[Socket Mode] Redelivered event ${body.event_id} (retry ${retryNum})`);
+        handleSlackEvent(event, body).catch(error => {
+            console.error('[Socket Mode] Error handling event:', body.event_id, error);
+        });
+    });
+
+    // Block actions, modal submissions, ...
+    socketModeClient.on('interactive', async ({ ack, body }) => {
+        await ack();
+        processInteractionPayload(body).catch(error => {
+            console.error('[Socket Mode] Error handling interaction:', error);
+        });
+    });
+
+    // Slash commands: the ack payload is shown to the user right away, the answer goes to response_url
+    socketModeClient.on('slash_commands', async ({ ack, body }) => {
+        await ack({ response_type: 'ephemeral', text: ':hourglass_flowing_sand: Working on it...' });
+        processSlashCommand(body).catch(error => {
+            console.error('[Socket Mode] Error handling slash command:', error);
+        });
+    });
+
+    socketModeClient.on('connecting', () => console.log('[Socket Mode] Connecting...'));
+    socketModeClient.on('connected', () => console.log('[Socket Mode] Connected.'));
+    socketModeClient.on('reconnecting', () => console.warn('[Socket Mode] Connection lost, reconnecting...'));
+    socketModeClient.on('disconnected', () => console.warn('[Socket Mode] Disconnected.'));
+    socketModeClient.on('error', error => console.error('[Socket Mode] Error:', error.message));
+
+    await socketModeClient.start();
+    return socketModeClient;
+}
+
+/**
+ * Closes the Socket Mode connection (used during graceful shutdown).
+ */
+export async function stopSocketMode() {
+    if (!socketModeClient) return;
+    try {
+        await socketModeClient.disconnect();
+        console.log('[Socket Mode] Connection closed gracefully.');
+    } catch (error) {
+        console.error('[Socket Mode] Error closing connection:', error);
+    }
+    socketModeClient = null;
+}
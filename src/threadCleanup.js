@@ -0,0 +1,212 @@
+// src/threadCleanup.js
+// Garbage collection of AnythingLLM threads whose Slack thread hasn't been used for THREAD_CLEANUP_IDLE_DAYS
+// (by last_accessed_at of the mapping). The mapping row is removed first (archived to the mapping history or
+// deleted), then the AnythingLLM thread. Runs on a schedule when THREAD_CLEANUP_ENABLED (see app.js), or
+// manually via `npm run cleanup-threads -- [--dry-run] [--idle-days N] [--delete]`.
+// A Redis lock makes sure only one instance runs at a time.
+
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import {
+    redisUrl,
+    THREAD_CLEANUP_ENABLED,
+    THREAD_CLEANUP_IDLE_DAYS,
+    THREAD_CLEANUP_DRY_RUN,
+    THREAD_CLEANUP_MODE,
+    THREAD_CLEANUP_INTERVAL_MS,
+    THREAD_CLEANUP_BATCH_SIZE,
+    THREAD_CLEANUP_LOCK_KEY,
+    THREAD_CLEANUP_LOCK_TTL
+} from './config.js';
+import { redisClient, isRedisReady, listIdleThreadMappings, removeIdleThreadMapping } from './services.js';
+import { getAnythingLLMClient, NotFoundError } from './anythingLLMClient.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIRST_RUN_DELAY_MS = 60000; // After startup, so restarts don't postpone the cleanup indefinitely
+
+// Deletes the lock only if this run still holds it (it may have expired and been taken by another instance)
+const RELEASE_LOCK_SCRIPT = `
+    if redis.call('get', KEYS[1]) == ARGV[1] then
+        return redis.call('del', KEYS[1])
+    end
+    return 0`;
+
+/**
+ * @typedef {object} CleanupReport
+ * @property {boolean} dryRun
+ * @property {Date} idleBefore - Threads last used before this were candidates.
+ * @property {number} candidates - Idle mappings found (at most THREAD_CLEANUP_BATCH_SIZE).
+ * @property {object[]} removed - Mappings removed (or, in a dry run, that would be).
+ * @property {number} skipped - Candidates used or replaced while the cleanup ran.
+ * @property {object[]} failed - Mappings removed whose AnythingLLM thread couldn't be deleted (`error` says why).
+ */
+
+// --- Cleanup ---
+
+/**
+ * Removes idle threads.
+ * @param {object} [options]
+ * @param {number} [options.idleDays=THREAD_CLEANUP_IDLE_DAYS]
+ * @param {boolean} [options.dryRun=THREAD_CLEANUP_DRY_RUN]
+ * @param {'archive'|'delete'} [options.mode=THREAD_CLEANUP_MODE] - What happens to the mapping rows.
+ * @param {number} [options.limit=THREAD_CLEANUP_BATCH_SIZE]
+ * @param {number} [options.now=Date.now()]
+ * @param {object} [deps] - Injectable for tests.
+ * @param {Function} [deps.listIdle=listIdleThreadMappings]
+ * @param {Function} [deps.removeMapping=removeIdleThreadMapping]
+ * @param {(workspaceSlug: string, threadSlug: string) => Promise<void>} [deps.deleteThread] - Defaults to the AnythingLLM client.
+ * @returns {Promise<CleanupReport>}
+ * @throws {Error} When idleDays isn't a positive number.
+ */
+export async function runThreadCleanup({
+    idleDays = THREAD_CLEANUP_IDLE_DAYS,
+    dryRun = THREAD_CLEANUP_DRY_RUN,
+    mode = THREAD_CLEANUP_MODE,
+    limit = THREAD_CLEANUP_BATCH_SIZE,
+    now = Date.now()
+} = {}, {
+    listIdle = listIdleThreadMappings,
+    removeMapping = removeIdleThreadMapping,
+    deleteThread = (workspaceSlug, threadSlug) => getAnythingLLMClient().deleteThread(workspaceSlug, threadSlug)
+} = {}) {
+    // A bad value here would remove threads in active use
+    if (!(idleDays > 0)) throw new Error(`Idle age must be a positive number of days (got ${idleDays}).`);
+    const idleBefore = new Date(now - idleDays * DAY_MS);
+    const idle = await listIdle(idleBefore, limit);
+    const report = { dryRun, idleBefore, candidates: idle.length, removed: [], skipped: 0, failed: [] };
+    if (dryRun) {
+        report.removed = idle;
+        return report;
+    }
+
+    for (const mapping of idle) {
+        // The row goes first, so a thread used again in the meantime is never deleted under it
+        if (!await removeMapping(mapping, idleBefore, { archive: mode === 'archive' })) {
+            report.skipped++;
+            continue;
+        }
+        try {
+            await deleteThread(mapping.anythingllm_workspace_slug, mapping.anythingllm_thread_slug);
+            report.removed.push(mapping);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                report.removed.push(mapping); // Already gone
+            } else {
+                report.failed.push({ ...mapping, error: error.message });
+            }
+        }
+    }
+    return report;
+}
+
+/**
+ * Summarizes a cleanup report for logs and the CLI.
+ * @param {CleanupReport} report
+ * @param {{verbose?: boolean}} [options] - List every thread, not just the counts.
+ * @returns {string}
+ */
+export function formatCleanupReport(report, { verbose = false } = {}) {
+    const describe = mapping => `${mapping.slack_channel_id}:${mapping.slack_thread_ts} -> ${mapping.anythingllm_workspace_slug}:${mapping.anythingllm_thread_slug}`;
+    const lines = [report.dryRun
+        ? `Dry run: ${report.removed.length} thread(s) idle since before ${report.idleBefore.toISOString()} would be removed.`
+        : `Removed ${report.removed.length} of ${report.candidates} thread(s) idle since before ${report.idleBefore.toISOString()}`
+            + ` (${report.skipped} used again in the meantime, ${report.failed.length} failed).`];
+    if (verbose) {
+        lines.push(...report.removed.map(mapping => `  - ${describe(mapping)} (last used ${new Date(mapping.last_accessed_at).toISOString()})`));
+    }
+    lines.push(...report.failed.map(mapping => `  ! ${describe(mapping)}: ${mapping.error}`));
+    return lines.join('\n');
+}
+
+// --- Locking ---
+
+/**
+ * Runs fn while holding the cleanup lock. Without REDIS_URL the bot is assumed to run as a single instance.
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {object} [options]
+ * @param {object} [options.client=redisClient]
+ * @param {boolean} [options.useRedis] - Defaults to whether REDIS_URL is set.
+ * @returns {Promise<{ran: boolean, result?: T}>} `ran` is false when another instance holds the lock (or Redis is down).
+ */
+export async function withThreadCleanupLock(fn, { client = redisClient, useRedis = Boolean(redisUrl) } = {}) {
+    if (!useRedis) return { ran: true, result: await fn() };
+    if (client === redisClient && !isRedisReady) {
+        console.warn('[Thread Cleanup] Redis is not ready; skipping this run.');
+        return { ran: false };
+    }
+
+    const token = crypto.randomUUID();
+    if (await client.set(THREAD_CLEANUP_LOCK_KEY, token, { NX: true, EX: THREAD_CLEANUP_LOCK_TTL }) !== 'OK') {
+        console.log('[Thread Cleanup] Another instance is running the cleanup; skipping.');
+        return { ran: false };
+    }
+    try {
+        return { ran: true, result: await fn() };
+    } finally {
+        await client.eval(RELEASE_LOCK_SCRIPT, { keys: [THREAD_CLEANUP_LOCK_KEY], arguments: [token] })
+            .catch(error => console.warn('[Thread Cleanup] Failed to release the lock:', error.message));
+    }
+}
+
+// --- Schedule ---
+
+let firstRunTimer = null;
+let intervalTimer = null;
+
+async function runScheduledCleanup() {
+    try {
+        const { ran, result } = await withThreadCleanupLock(() => runThreadCleanup());
+        if (ran) console.log(`[Thread Cleanup] ${formatCleanupReport(result)}`);
+    } catch (error) {
+        console.error('[Thread Cleanup] Run failed:', error);
+    }
+}
+
+/**
+ * Schedules the cleanup every THREAD_CLEANUP_INTERVAL_MS (first run shortly after startup). No-op unless
+ * THREAD_CLEANUP_ENABLED.
+ */
+export function startThreadCleanupSchedule() {
+    if (!THREAD_CLEANUP_ENABLED || intervalTimer) return;
+    firstRunTimer = setTimeout(runScheduledCleanup, FIRST_RUN_DELAY_MS);
+    intervalTimer = setInterval(runScheduledCleanup, THREAD_CLEANUP_INTERVAL_MS);
+    firstRunTimer.unref();
+    intervalTimer.unref();
+    console.log(`[Thread Cleanup] Scheduled every ${THREAD_CLEANUP_INTERVAL_MS / 3600000}h (idle after ${THREAD_CLEANUP_IDLE_DAYS} days, mode: ${THREAD_CLEANUP_MODE}${THREAD_CLEANUP_DRY_RUN ? ', dry run' : ''}).`);
+}
+
+/**
+ * Cancels scheduled runs (a run in progress finishes on its own).
+ */
+export function stopThreadCleanupSchedule() {
+    clearTimeout(firstRunTimer);
+    clearInterval(intervalTimer);
+    firstRunTimer = null;
+    intervalTimer = null;
+}
+
+// --- CLI: `npm run cleanup-threads` ---
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { shutdownServices } = await import('./services.js');
+    const args = process.argv.slice(2);
+    const idleDaysIndex = args.indexOf('--idle-days');
+    const options = {
+        dryRun: args.includes('--dry-run') || THREAD_CLEANUP_DRY_RUN,
+        mode: args.includes('--delete') ? 'delete' : THREAD_CLEANUP_MODE,
+        ...(idleDaysIndex !== -1 && { idleDays: parseFloat(args[idleDaysIndex + 1]) })
+    };
+    let exitCode = 0;
+    try {
+        // Give the Redis client a moment to connect so the lock is honored
+        if (redisUrl && !isRedisReady) await new Promise(resolve => setTimeout(resolve, 1000));
+        const { ran, result } = await withThreadCleanupLock(() => runThreadCleanup(options));
+        console.log(ran ? formatCleanupReport(result, { verbose: true }) : 'Cleanup not run (lock held or Redis unavailable).');
+        if (ran && result.failed.length > 0) exitCode = 1;
+    } catch (error) {
+        console.error('[Thread Cleanup] Failed:', error.message);
+        exitCode = 1;
+    }
+    await shutdownServices('cleanup-threads');
+    process.exit(exitCode);
+}
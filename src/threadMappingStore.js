@@ -0,0 +1,445 @@
+// src/threadMappingStore.js
+// Where Slack thread -> AnythingLLM workspace/thread mappings live. THREAD_MAPPING_STORE picks the store (see
+// getThreadMappingStore() in services.js, which also exposes the store through the existing mapping functions):
+// - postgres: slack_anythingllm_threads plus slack_anythingllm_thread_history (DATABASE_URL)
+// - redis:    one JSON value per thread, history included, expiring THREAD_MAPPING_REDIS_TTL_DAYS after last use
+// - memory:   for single-instance setups without either; mappings are lost on restart
+// `npm run migrate-thread-mappings` (migrateThreadMappings.js) copies mappings from Redis to Postgres.
+
+/**
+ * @typedef {object} ThreadMapping
+ * @property {string} anythingllm_workspace_slug
+ * @property {string} anythingllm_thread_slug
+ */
+
+/**
+ * @typedef {object} StoredThreadMapping - A mapping with its Slack thread and timestamps (listing and copying).
+ * @property {string} slack_channel_id
+ * @property {string} slack_thread_ts
+ * @property {string} anythingllm_workspace_slug
+ * @property {string} anythingllm_thread_slug
+ * @property {Date} created_at
+ * @property {Date} last_accessed_at
+ * @property {object[]} [history] - Earlier mappings (see ThreadMappingStore.history), for entries()/importMapping().
+ */
+
+/**
+ * @typedef {object} ThreadMappingStore
+ * @property {string} name
+ * @property {(channelId: string, threadTs: string) => Promise<ThreadMapping|null>} get - Also marks the mapping as used.
+ * @property {(channelId: string, threadTs: string, workspaceSlug: string, threadSlug: string) => Promise<boolean>} store
+ *   Adds a mapping; false if the thread already has one.
+ * @property {(channelId: string, threadTs: string, workspaceSlug: string, threadSlug: string, change: {reason: string, changedBy?: string}) => Promise<boolean>} replace
+ *   Replaces the mapping, keeping the previous one in the history.
+ * @property {(channelId: string, threadTs: string) => Promise<object[]>} history - Oldest first; the last entry is the current mapping (`ended_at` null).
+ * @property {(idleBefore: Date, limit: number) => Promise<StoredThreadMapping[]>} listIdle - Least recently used first.
+ * @property {(mapping: StoredThreadMapping, idleBefore: Date, options: {archive: boolean}) => Promise<boolean>} removeIdle
+ *   Removes the mapping unless it was used or replaced since it was listed.
+ * @property {() => AsyncIterable<StoredThreadMapping>} [entries] - Every mapping, with its history (redis, memory).
+ * @property {(mapping: StoredThreadMapping) => Promise<boolean>} [importMapping] - Adds a copied mapping unless the thread has one (postgres, memory).
+ */
+
+// Current mapping as a history entry; it started when the previous one ended (or when the thread was first mapped)
+function currentAsHistoryEntry(entry) {
+    const lastEnded = entry.history.length > 0 ? entry.history[entry.history.length - 1].ended_at : null;
+    return {
+        anythingllm_workspace_slug: entry.anythingllm_workspace_slug,
+        anythingllm_thread_slug: entry.anythingllm_thread_slug,
+        started_at: lastEnded || entry.created_at
+    };
+}
+
+// JSON (Redis) and copies (memory) hold dates as ISO strings
+function reviveEntry(entry) {
+    return {
+        ...entry,
+        created_at: new Date(entry.created_at),
+        last_accessed_at: new Date(entry.last_accessed_at),
+        history: (entry.history || []).map(item => ({
+            ...item,
+            started_at: new Date(item.started_at),
+            ended_at: item.ended_at ? new Date(item.ended_at) : null
+        }))
+    };
+}
+
+// Entry operations shared by the key-value (Redis and memory) stores
+const entryOps = {
+    create: (channelId, threadTs, workspaceSlug, threadSlug, now) => ({
+        slack_channel_id: channelId,
+        slack_thread_ts: threadTs,
+        anythingllm_workspace_slug: workspaceSlug,
+        anythingllm_thread_slug: threadSlug,
+        created_at: now,
+        last_accessed_at: now,
+        history: []
+    }),
+    replace: (entry, workspaceSlug, threadSlug, { reason, changedBy = null }, now) => ({
+        ...entry,
+        anythingllm_workspace_slug: workspaceSlug,
+        anythingllm_thread_slug: threadSlug,
+        last_accessed_at: now,
+        history: [...entry.history, { ...currentAsHistoryEntry(entry), ended_at: now, reason, changed_by: changedBy }]
+    }),
+    history: entry => [
+        ...entry.history.map(({ changed_by: _changedBy, ...item }) => item),
+        { ...currentAsHistoryEntry(entry), ended_at: null, reason: null }
+    ],
+    toMapping: entry => ({
+        anythingllm_workspace_slug: entry.anythingllm_workspace_slug,
+        anythingllm_thread_slug: entry.anythingllm_thread_slug
+    }),
+    toListed: ({ history: _history, ...mapping }) => mapping,
+    isRemovable: (entry, mapping, idleBefore) => entry.anythingllm_thread_slug === mapping.anythingllm_thread_slug && entry.last_accessed_at < idleBefore
+};
+
+// --- Postgres ---
+
+/**
+ * @param {object} pool - A pg Pool.
+ * @returns {ThreadMappingStore}
+ */
+export function createPostgresMappingStore(pool) {
+    // Start of the current mapping of thread `t`: when the previous one ended, or when the thread was first mapped
+    const currentStartedAt = `
+        COALESCE((SELECT MAX(h.ended_at) FROM slack_anythingllm_thread_history h
+                  WHERE h.slack_channel_id = t.slack_channel_id AND h.slack_thread_ts = t.slack_thread_ts), t.created_at)`;
+
+    return {
+        name: 'postgres',
+
+        async get(channelId, threadTs) {
+            const selectQuery = `
+                SELECT anythingllm_thread_slug, anythingllm_workspace_slug
+                FROM slack_anythingllm_threads
+                WHERE slack_channel_id = $1 AND slack_thread_ts = $2;`;
+            const updateAccessTimeQuery = `
+                UPDATE slack_anythingllm_threads
+                SET last_accessed_at = CURRENT_TIMESTAMP
+                WHERE slack_channel_id = $1 AND slack_thread_ts = $2;`;
+            const result = await pool.query(selectQuery, [channelId, threadTs]);
+            if (result.rows.length === 0) return null;
+            // Update access time asynchronously (don't wait for it)
+            pool.query(updateAccessTimeQuery, [channelId, threadTs])
+                .catch(err => console.error("[Service/ThreadMap] Failed update access time:", err));
+            return result.rows[0];
+        },
+
+        async store(channelId, threadTs, workspaceSlug, threadSlug) {
+            const insertQuery = `
+                INSERT INTO slack_anythingllm_threads
+                    (slack_channel_id, slack_thread_ts, anythingllm_workspace_slug, anythingllm_thread_slug)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (slack_channel_id, slack_thread_ts) DO NOTHING; -- Avoid errors if mapping somehow already exists`;
+            const result = await pool.query(insertQuery, [channelId, threadTs, workspaceSlug, threadSlug]);
+            return result.rowCount > 0;
+        },
+
+        async replace(channelId, threadTs, workspaceSlug, threadSlug, { reason, changedBy = null }) {
+            const archiveQuery = `
+                INSERT INTO slack_anythingllm_thread_history
+                    (slack_channel_id, slack_thread_ts, anythingllm_workspace_slug, anythingllm_thread_slug, started_at, reason, changed_by)
+                SELECT t.slack_channel_id, t.slack_thread_ts, t.anythingllm_workspace_slug, t.anythingllm_thread_slug,
+                    ${currentStartedAt}, $3, $4
+                FROM slack_anythingllm_threads t
+                WHERE t.slack_channel_id = $1 AND t.slack_thread_ts = $2;`;
+            const upsertQuery = `
+                INSERT INTO slack_anythingllm_threads
+                    (slack_channel_id, slack_thread_ts, anythingllm_workspace_slug, anythingllm_thread_slug)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (slack_channel_id, slack_thread_ts) DO UPDATE
+                SET anythingllm_workspace_slug = EXCLUDED.anythingllm_workspace_slug,
+                    anythingllm_thread_slug = EXCLUDED.anythingllm_thread_slug,
+                    last_accessed_at = CURRENT_TIMESTAMP;`;
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                await client.query(archiveQuery, [channelId, threadTs, reason, changedBy]);
+                await client.query(upsertQuery, [channelId, threadTs, workspaceSlug, threadSlug]);
+                await client.query('COMMIT');
+                return true;
+            } catch (err) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw err;
+            } finally {
+                client.release();
+            }
+        },
+
+        async history(channelId, threadTs) {
+            const historyQuery = `
+                SELECT anythingllm_workspace_slug, anythingllm_thread_slug, started_at, ended_at, reason
+                FROM slack_anythingllm_thread_history
+                WHERE slack_channel_id = $1 AND slack_thread_ts = $2
+                UNION ALL
+                SELECT t.anythingllm_workspace_slug, t.anythingllm_thread_slug, ${currentStartedAt}, NULL, NULL
+                FROM slack_anythingllm_threads t
+                WHERE t.slack_channel_id = $1 AND t.slack_thread_ts = $2
+                ORDER BY started_at, ended_at NULLS LAST;`;
+            return (await pool.query(historyQuery, [channelId, threadTs])).rows;
+        },
+
+        async listIdle(idleBefore, limit) {
+            const idleQuery = `
+                SELECT slack_channel_id, slack_thread_ts, anythingllm_workspace_slug, anythingllm_thread_slug, created_at, last_accessed_at
+                FROM slack_anythingllm_threads
+                WHERE last_accessed_at < $1
+                ORDER BY last_accessed_at
+                LIMIT $2;`;
+            return (await pool.query(idleQuery, [idleBefore, limit])).rows;
+        },
+
+        async removeIdle(mapping, idleBefore, { archive }) {
+            const deleteQuery = `
+                DELETE FROM slack_anythingllm_threads
+                WHERE slack_channel_id = $1 AND slack_thread_ts = $2 AND anythingllm_thread_slug = $3 AND last_accessed_at < $4
+                RETURNING *`;
+            const archiveQuery = `
+                WITH removed AS (${deleteQuery})
+                INSERT INTO slack_anythingllm_thread_history
+                    (slack_channel_id, slack_thread_ts, anythingllm_workspace_slug, anythingllm_thread_slug, started_at, reason)
+                SELECT t.slack_channel_id, t.slack_thread_ts, t.anythingllm_workspace_slug, t.anythingllm_thread_slug,
+                    ${currentStartedAt}, 'cleanup'
+                FROM removed t;`;
+            const result = await pool.query(archive ? archiveQuery : `${deleteQuery};`, [
+                mapping.slack_channel_id, mapping.slack_thread_ts, mapping.anythingllm_thread_slug, idleBefore
+            ]);
+            return result.rowCount > 0;
+        },
+
+        async importMapping(mapping) {
+            const insertQuery = `
+                INSERT INTO slack_anythingllm_threads
+                    (slack_channel_id, slack_thread_ts, anythingllm_workspace_slug, anythingllm_thread_slug, created_at, last_accessed_at)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (slack_channel_id, slack_thread_ts) DO NOTHING;`;
+            const historyQuery = `
+                INSERT INTO slack_anythingllm_thread_history
+                    (slack_channel_id, slack_thread_ts, anythingllm_workspace_slug, anythingllm_thread_slug, started_at, ended_at, reason, changed_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8);`;
+            const { slack_channel_id: channelId, slack_thread_ts: threadTs } = mapping;
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const inserted = await client.query(insertQuery, [
+                    channelId, threadTs, mapping.anythingllm_workspace_slug, mapping.anythingllm_thread_slug, mapping.created_at, mapping.last_accessed_at
+                ]);
+                // A thread already mapped in Postgres keeps its own history
+                if (inserted.rowCount > 0) {
+                    for (const item of mapping.history || []) {
+                        await client.query(historyQuery, [
+                            channelId, threadTs, item.anythingllm_workspace_slug, item.anythingllm_thread_slug,
+                            item.started_at, item.ended_at, item.reason, item.changed_by || null
+                        ]);
+                    }
+                }
+                await client.query('COMMIT');
+                return inserted.rowCount > 0;
+            } catch (err) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw err;
+            } finally {
+                client.release();
+            }
+        }
+    };
+}
+
+// --- Redis ---
+
+// Writes (or with an empty value, deletes) the key only if it still holds the expected value ('' = missing)
+const COMPARE_AND_SET_SCRIPT = `
+    if (redis.call('get', KEYS[1]) or '') ~= ARGV[1] then
+        return 0
+    end
+    if ARGV[2] == '' then
+        redis.call('del', KEYS[1])
+    else
+        redis.call('set', KEYS[1], ARGV[2], 'EX', ARGV[3])
+    end
+    return 1`;
+
+const MAX_WRITE_ATTEMPTS = 3; // Compare-and-set attempts when another instance changes the same mapping
+
+/**
+ * @param {object} client - A connected node-redis v4 client.
+ * @param {object} options
+ * @param {string} options.prefix - Key prefix; keys are `${prefix}${channelId}:${threadTs}`.
+ * @param {number} options.ttlSeconds - Mappings expire this long after they were last used.
+ * @param {() => number} [options.now=Date.now]
+ * @returns {ThreadMappingStore}
+ */
+export function createRedisMappingStore(client, { prefix, ttlSeconds, now = Date.now }) {
+    const keyFor = (channelId, threadTs) => `${prefix}${channelId}:${threadTs}`;
+
+    async function read(key) {
+        const raw = await client.get(key);
+        return raw ? { raw, entry: reviveEntry(JSON.parse(raw)) } : { raw: '', entry: null };
+    }
+
+    function compareAndSet(key, expectedRaw, entry) {
+        return client.eval(COMPARE_AND_SET_SCRIPT, {
+            keys: [key],
+            arguments: [expectedRaw, entry ? JSON.stringify(entry) : '', String(ttlSeconds)]
+        }).then(result => Number(result) === 1);
+    }
+
+    // Re-reads and retries when another instance wrote the key in between
+    async function update(key, change) {
+        for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+            const { raw, entry } = await read(key);
+            const next = change(entry);
+            if (next === undefined) return false;
+            if (await compareAndSet(key, raw, next)) return true;
+        }
+        console.warn(`[Thread Mapping/Redis] Gave up updating ${key}: it kept changing.`);
+        return false;
+    }
+
+    return {
+        name: 'redis',
+
+        async get(channelId, threadTs) {
+            const key = keyFor(channelId, threadTs);
+            const { raw, entry } = await read(key);
+            if (!entry) return null;
+            // Refreshes the expiry; a lost race only means the other write's timestamp wins
+            compareAndSet(key, raw, { ...entry, last_accessed_at: new Date(now()) })
+                .catch(err => console.error("[Thread Mapping/Redis] Failed update access time:", err));
+            return entryOps.toMapping(entry);
+        },
+
+        async store(channelId, threadTs, workspaceSlug, threadSlug) {
+            const entry = entryOps.create(channelId, threadTs, workspaceSlug, threadSlug, new Date(now()));
+            return await client.set(keyFor(channelId, threadTs), JSON.stringify(entry), { NX: true, EX: ttlSeconds }) === 'OK';
+        },
+
+        replace(channelId, threadTs, workspaceSlug, threadSlug, change) {
+            const timestamp = new Date(now());
+            return update(keyFor(channelId, threadTs), entry => entry
+                ? entryOps.replace(entry, workspaceSlug, threadSlug, change, timestamp)
+                : entryOps.create(channelId, threadTs, workspaceSlug, threadSlug, timestamp));
+        },
+
+        async history(channelId, threadTs) {
+            const { entry } = await read(keyFor(channelId, threadTs));
+            return entry ? entryOps.history(entry) : [];
+        },
+
+        async listIdle(idleBefore, limit) {
+            const idle = [];
+            for await (const entry of this.entries()) {
+                if (entry.last_accessed_at < idleBefore) idle.push(entryOps.toListed(entry));
+            }
+            return idle.sort((a, b) => a.last_accessed_at - b.last_accessed_at).slice(0, limit);
+        },
+
+        // The history is part of the value, so it goes too; `archive` has nothing to keep it in
+        removeIdle(mapping, idleBefore) {
+            return update(keyFor(mapping.slack_channel_id, mapping.slack_thread_ts), entry => (
+                entry && entryOps.isRemovable(entry, mapping, idleBefore) ? null : undefined
+            ));
+        },
+
+        async *entries() {
+            for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 500 })) {
+                const { entry } = await read(key);
+                if (entry) yield entry;
+            }
+        }
+    };
+}
+
+// --- Memory ---
+
+/**
+ * @param {object} [options]
+ * @param {() => number} [options.now=Date.now]
+ * @returns {ThreadMappingStore}
+ */
+export function createMemoryMappingStore({ now = Date.now } = {}) {
+    const entries = new Map();
+    const keyFor = (channelId, threadTs) => `${channelId}:${threadTs}`;
+
+    return {
+        name: 'memory',
+
+        async get(channelId, threadTs) {
+            const entry = entries.get(keyFor(channelId, threadTs));
+            if (!entry) return null;
+            entry.last_accessed_at = new Date(now());
+            return entryOps.toMapping(entry);
+        },
+
+        async store(channelId, threadTs, workspaceSlug, threadSlug) {
+            const key = keyFor(channelId, threadTs);
+            if (entries.has(key)) return false;
+            entries.set(key, entryOps.create(channelId, threadTs, workspaceSlug, threadSlug, new Date(now())));
+            return true;
+        },
+
+        async replace(channelId, threadTs, workspaceSlug, threadSlug, change) {
+            const key = keyFor(channelId, threadTs);
+            const entry = entries.get(key);
+            const timestamp = new Date(now());
+            entries.set(key, entry
+                ? entryOps.replace(entry, workspaceSlug, threadSlug, change, timestamp)
+                : entryOps.create(channelId, threadTs, workspaceSlug, threadSlug, timestamp));
+            return true;
+        },
+
+        async history(channelId, threadTs) {
+            const entry = entries.get(keyFor(channelId, threadTs));
+            return entry ? entryOps.history(entry) : [];
+        },
+
+        async listIdle(idleBefore, limit) {
+            return [...entries.values()]
+                .filter(entry => entry.last_accessed_at < idleBefore)
+                .sort((a, b) => a.last_accessed_at - b.last_accessed_at)
+                .slice(0, limit)
+                .map(entryOps.toListed);
+        },
+
+        async removeIdle(mapping, idleBefore) {
+            const key = keyFor(mapping.slack_channel_id, mapping.slack_thread_ts);
+            const entry = entries.get(key);
+            if (!entry || !entryOps.isRemovable(entry, mapping, idleBefore)) return false;
+            return entries.delete(key);
+        },
+
+        async *entries() {
+            for (const entry of entries.values()) yield reviveEntry(entry);
+        },
+
+        async importMapping(mapping) {
+            const key = keyFor(mapping.slack_channel_id, mapping.slack_thread_ts);
+            if (entries.has(key)) return false;
+            entries.set(key, reviveEntry(mapping));
+            return true;
+        }
+    };
+}
+
+// --- Copying ---
+
+/**
+ * Copies every mapping (with its history) from one store to another, e.g. Redis to Postgres.
+ * Threads the target already has a mapping for are left alone.
+ * @param {ThreadMappingStore} source - Needs entries().
+ * @param {ThreadMappingStore} target - Needs importMapping().
+ * @returns {Promise<{copied: number, skipped: number, failed: number}>}
+ */
+export async function copyThreadMappings(source, target) {
+    const counts = { copied: 0, skipped: 0, failed: 0 };
+    for await (const mapping of source.entries()) {
+        try {
+            if (await target.importMapping(mapping)) counts.copied++;
+            else counts.skipped++;
+        } catch (error) {
+            counts.failed++;
+            console.error(`[Thread Mapping] Failed to copy ${mapping.slack_channel_id}:${mapping.slack_thread_ts}:`, error.message);
+        }
+    }
+    return counts;
+}
@@ -26,6 +26,46 @@ export async function isDuplicateRedis(eventId) {
     }
 }
 
+/**
+ * Forgets an event ID recorded by isDuplicateRedis, so a redelivery of it is processed again
+ * (e.g. when the event couldn't be handled after all).
+ * @param {string} eventId
+ * @returns {Promise<void>}
+ */
+export async function forgetEventId(eventId) {
+    if (!redisUrl || !isRedisReady) return;
+    const key = `${DUPLICATE_EVENT_REDIS_PREFIX}${eventId}`;
+    try {
+        await redisClient.del(key);
+    } catch (error) {
+        console.error(`[Redis Deduplication Error] Failed to forget key ${key}:`, error);
+    }
+}
+
+// --- LLM Responses ---
+
+/**
+ * Finds the JSON object in an LLM response: the last ```json block, else the outermost braces.
+ * @param {string} text
+ * @returns {{json: object|null, start: number, end: number}} Position of the JSON in the text (-1 if not found).
+ */
+export function findJson(text) {
+    const jsonBlocks = [...text.matchAll(/```json\s*([\s\S]*?)```/gi)];
+    const lastBlock = jsonBlocks[jsonBlocks.length - 1];
+    const candidates = lastBlock
+        ? [{ raw: lastBlock[1], start: lastBlock.index, end: lastBlock.index + lastBlock[0].length }]
+        : [{ raw: text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1), start: text.indexOf('{'), end: text.lastIndexOf('}') + 1 }];
+    for (const { raw, start, end } of candidates) {
+        if (start < 0 || !raw) continue;
+        try {
+            return { json: JSON.parse(raw), start, end };
+        } catch (error) {
+            console.warn('[Utils] Could not parse JSON in LLM response:', error.message);
+        }
+    }
+    return { json: null, start: -1, end: -1 };
+}
+
 // --- Formatting functions moved to src/formattingService.js ---
 // - splitByCharCount
 // - splitMessageIntoChunks
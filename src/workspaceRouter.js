@@ -0,0 +1,170 @@
+// src/workspaceRouter.js
+// Chooses the AnythingLLM workspace for a new Slack thread. Sources are tried in priority order:
+// channel mapping (WORKSPACE_MAPPING), user mapping (SLACK_USER_WORKSPACE_MAPPING, when ENABLE_USER_WORKSPACES),
+// an explicit #tag in the message, then a classifier over the workspace descriptions. A classifier result
+// below WORKSPACE_ROUTING_MIN_CONFIDENCE goes to FALLBACK_WORKSPACE_SLUG instead, as does a mapping naming a
+// workspace that doesn't exist (e.g. a typo or a deleted workspace).
+
+import {
+    workspaceMapping,
+    enableUserWorkspaces,
+    userWorkspaceMapping,
+    fallbackWorkspace,
+    WORKSPACE_CLASSIFIER_SLUG,
+    WORKSPACE_ROUTING_MIN_CONFIDENCE
+} from './config.js';
+import { getWorkspaceDescriptions, queryLlm } from './llm.js';
+import { findJson } from './utils.js';
+
+/**
+ * @typedef {object} WorkspaceRoute
+ * @property {string} slug - The chosen workspace.
+ * @property {number} confidence - 0..1; mappings and tags are 1.
+ * @property {'channel'|'user'|'tag'|'classifier'|'fallback'} source - What decided it.
+ * @property {string} [reason] - Why, for logs (e.g. the classifier's best guess when falling back).
+ */
+
+const WORKSPACE_TAG_REGEX = /(?:^|\s)#([\w-]+)/g;
+
+// Too common to say anything about a question's topic
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'what', 'how', 'why', 'when', 'where', 'who', 'can', 'does', 'are',
+    'you', 'your', 'our', 'from', 'have', 'has', 'not', 'but', 'about', 'into', 'there', 'their', 'them', 'will',
+    'would', 'should', 'could', 'please', 'help', 'need', 'want', 'get', 'use', 'using', 'any', 'all', 'some', 'is'
+]);
+
+function tokenize(text) {
+    return new Set((text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 3 && !STOP_WORDS.has(word)));
+}
+
+// --- Classifiers ---
+
+/**
+ * Scores workspaces by the question's words found in their slug/name (2 points) or description (1 point).
+ * Confidence is best / (best + runner-up + 1), so a clear winner scores high and a tie or a weak match low.
+ * @param {string} question
+ * @param {{slug: string, name: string, description: string}[]} workspaces
+ * @returns {{slug: string|null, confidence: number}}
+ */
+export function classifyByKeywords(question, workspaces) {
+    const questionWords = tokenize(question);
+    const scores = workspaces.map(workspace => {
+        const titleWords = tokenize(`${workspace.slug} ${workspace.name}`);
+        const descriptionWords = tokenize(workspace.description);
+        let score = 0;
+        for (const word of questionWords) {
+            if (titleWords.has(word)) score += 2;
+            else if (descriptionWords.has(word)) score += 1;
+        }
+        return { slug: workspace.slug, score };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scores;
+    if (!best || best.score === 0) return { slug: null, confidence: 0 };
+    return { slug: best.slug, confidence: best.score / (best.score + (runnerUp?.score || 0) + 1) };
+}
+
+/**
+ * Builds the prompt asking the classifier workspace to pick a workspace for a question.
+ * @param {string} question
+ * @param {{slug: string, name: string, description: string}[]} workspaces
+ * @returns {string}
+ */
+export function buildClassifierPrompt(question, workspaces) {
+    const list = workspaces.map(ws => `- ${ws.slug}: ${ws.name}${ws.description ? ` – ${ws.description.replace(/\s+/g, ' ')}` : ''}`).join('\n');
+    return `Pick the knowledge base best suited to answer the question below.
+Knowledge bases:
+${list}
+
+Respond with only this JSON, with a confidence between 0 and 1 (use a low confidence when none fits well):
+\`\`\`json
+{"workspace": "slug", "confidence": 0.8}
+\`\`\`
+
+Question: ${question}`;
+}
+
+/**
+ * Asks WORKSPACE_CLASSIFIER_SLUG to pick a workspace. Answers naming an unknown workspace count as no answer.
+ * @param {string} question
+ * @param {{slug: string, name: string, description: string}[]} workspaces
+ * @param {object} [options]
+ * @param {string} [options.classifierSlug=WORKSPACE_CLASSIFIER_SLUG]
+ * @param {Function} [options.llm=queryLlm] - Injectable for tests.
+ * @returns {Promise<{slug: string|null, confidence: number}>}
+ */
+export async function classifyWithLlm(question, workspaces, { classifierSlug = WORKSPACE_CLASSIFIER_SLUG, llm = queryLlm } = {}) {
+    const response = await llm(classifierSlug, null, buildClassifierPrompt(question, workspaces));
+    const { json } = findJson(response || '');
+    const slug = typeof json?.workspace === 'string' ? json.workspace.replace(/^#/, '').trim() : null;
+    if (!slug || !workspaces.some(ws => ws.slug === slug)) return { slug: null, confidence: 0 };
+    const confidence = Number(json.confidence);
+    return { slug, confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5 };
+}
+
+// --- Routing ---
+
+/**
+ * Chooses the workspace for a new thread. Channel and user mappings must name an existing workspace, otherwise
+ * the fallback is used.
+ * @param {{text: string, channelId: string, userId: string}} message
+ * @param {object} [options] - Defaults come from config; injectable for tests.
+ * @param {Object<string, string>} [options.channelMap=workspaceMapping]
+ * @param {Object<string, string>} [options.userMap] - SLACK_USER_WORKSPACE_MAPPING when ENABLE_USER_WORKSPACES, else none.
+ * @param {string} [options.fallback=FALLBACK_WORKSPACE_SLUG || 'all']
+ * @param {string|null} [options.classifierSlug=WORKSPACE_CLASSIFIER_SLUG] - Without one, keywords are used.
+ * @param {number} [options.minConfidence=WORKSPACE_ROUTING_MIN_CONFIDENCE]
+ * @param {() => Promise<{slug: string, name: string, description: string}[]>} [options.listWorkspaces=getWorkspaceDescriptions]
+ * @param {Function} [options.llm=queryLlm]
+ * @returns {Promise<WorkspaceRoute>}
+ */
+export async function routeWorkspace({ text, channelId, userId }, {
+    channelMap = workspaceMapping,
+    userMap = enableUserWorkspaces ? userWorkspaceMapping : {},
+    fallback = fallbackWorkspace || 'all',
+    classifierSlug = WORKSPACE_CLASSIFIER_SLUG,
+    minConfidence = WORKSPACE_ROUTING_MIN_CONFIDENCE,
+    listWorkspaces = getWorkspaceDescriptions,
+    llm = queryLlm
+} = {}) {
+    const workspaces = await listWorkspaces();
+    const available = new Set(workspaces.map(ws => ws.slug));
+
+    for (const [source, mapped] of [['channel', channelMap[channelId]], ['user', userMap[userId]]]) {
+        if (!mapped) continue;
+        if (available.has(mapped)) return { slug: mapped, confidence: 1, source };
+        console.warn(`[Workspace Router] The ${source} mapping for ${source === 'channel' ? channelId : userId} names unknown workspace "${mapped}", using ${fallback}`);
+        return { slug: fallback, confidence: 0, source: 'fallback', reason: `${source} mapping names unknown workspace ${mapped}` };
+    }
+
+    // The first #tag naming an existing workspace (other #words, e.g. #saveToConversations, are ignored)
+    const tag = [...(text || '').matchAll(WORKSPACE_TAG_REGEX)].map(match => match[1]).find(slug => available.has(slug));
+    if (tag) return { slug: tag, confidence: 1, source: 'tag' };
+
+    // Workspaces that only exist as routing targets aren't candidates
+    const candidates = workspaces.filter(ws => ws.slug !== classifierSlug && ws.slug !== 'all');
+    const question = (text || '').replace(WORKSPACE_TAG_REGEX, ' ').trim();
+    if (candidates.length === 0 || !question) {
+        return { slug: fallback, confidence: 0, source: 'fallback', reason: 'nothing to classify' };
+    }
+
+    let guess = null;
+    if (classifierSlug) {
+        try {
+            guess = await classifyWithLlm(question, candidates, { classifierSlug, llm });
+        } catch (error) {
+            console.warn(`[Workspace Router] Classifier workspace ${classifierSlug} failed, using keywords:`, error.message);
+        }
+    }
+    if (!guess?.slug) guess = classifyByKeywords(question, candidates);
+
+    if (guess.slug && guess.confidence >= minConfidence) {
+        return { slug: guess.slug, confidence: guess.confidence, source: 'classifier' };
+    }
+    return {
+        slug: fallback,
+        confidence: guess.confidence,
+        source: 'fallback',
+        reason: guess.slug ? `best guess ${guess.slug} (${guess.confidence.toFixed(2)}) is below ${minConfidence}` : 'no workspace matched'
+    };
+}
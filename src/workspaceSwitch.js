@@ -0,0 +1,185 @@
+// src/workspaceSwitch.js
+// Moving a Slack thread to another AnythingLLM workspace mid-conversation (`#switch <slug>` or the workspace
+// picker under answers): a new AnythingLLM thread is created in the target workspace, seeded with a summary of
+// the conversation so far, and the thread mapping is replaced (the old one goes to the mapping history).
+
+import { WORKSPACE_SWITCH_TRANSCRIPT_MAX_CHARS } from './config.js';
+import { getAnythingLLMThreadMapping, replaceAnythingLLMThreadMapping } from './services.js';
+import { getWorkspaces, createNewAnythingLLMThread, queryLlm } from './llm.js';
+import { getAnythingLLMClient } from './anythingLLMClient.js';
+
+export const WORKSPACE_SWITCH_ACTION = 'workspace_switch';
+
+const MAX_SELECT_OPTIONS = 100; // Slack's limit for static_select
+
+/**
+ * Builds the prompt asking the previous workspace to summarize the thread for the new one.
+ * Only the most recent part of long transcripts is kept.
+ * @param {string} transcript - Markdown from exportConversationToMarkdown().
+ * @param {number} [maxChars=WORKSPACE_SWITCH_TRANSCRIPT_MAX_CHARS]
+ * @returns {string}
+ */
+export function buildSwitchSummaryPrompt(transcript, maxChars = WORKSPACE_SWITCH_TRANSCRIPT_MAX_CHARS) {
+    const recent = transcript.length > maxChars ? `[... earlier messages omitted ...]\n${transcript.slice(-maxChars)}` : transcript;
+    return `Summarize this Slack conversation so another assistant can continue it. Keep the user's goal, the facts and
+versions mentioned, what was already suggested or tried, and any open questions. Use at most 10 short bullet points.
+
+${recent}`;
+}
+
+/**
+ * The first message of the new AnythingLLM thread, so follow-up questions have the earlier context.
+ * @param {{fromSlug: string, summary: string}} seed
+ * @returns {string}
+ */
+export function buildSwitchSeedMessage({ fromSlug, summary }) {
+    return `This conversation started in the "${fromSlug}" knowledge base and has moved here. Summary of the conversation so far:
+
+${summary}
+
+Use this as background for the follow-up questions. Reply only with "OK".`;
+}
+
+// Asks for the summary in a thread of its own (deleted afterwards), so the request doesn't end up in the old
+// conversation or in the workspace's default chat
+async function summarizeInThrowawayThread(workspaceSlug, prompt, { createThread, deleteThread, llm }) {
+    const threadSlug = await createThread(workspaceSlug);
+    if (!threadSlug) {
+        console.warn(`[Workspace Switch] Could not create a thread in ${workspaceSlug} for the summary.`);
+        return null;
+    }
+    try {
+        return await llm(workspaceSlug, threadSlug, prompt);
+    } finally {
+        await deleteThread(workspaceSlug, threadSlug).catch(error => {
+            console.warn(`[Workspace Switch] Could not delete summary thread ${workspaceSlug}:${threadSlug}:`, error.message);
+        });
+    }
+}
+
+/**
+ * Moves a Slack thread to another workspace.
+ * @param {{channel: string, threadTs: string, targetSlug: string, userId: string}} request
+ * @param {object} deps
+ * @param {() => Promise<string>} deps.getTranscript - The Slack thread as Markdown (for the summary).
+ * @param {Function} [deps.getMapping=getAnythingLLMThreadMapping]
+ * @param {Function} [deps.replaceMapping=replaceAnythingLLMThreadMapping]
+ * @param {Function} [deps.listWorkspaces=getWorkspaces]
+ * @param {Function} [deps.createThread=createNewAnythingLLMThread]
+ * @param {(workspaceSlug: string, threadSlug: string) => Promise<void>} [deps.deleteThread] - Defaults to the AnythingLLM client.
+ * @param {Function} [deps.llm=queryLlm]
+ * @returns {Promise<{status: 'switched'|'unchanged'|'unknown_workspace'|'failed', from: string|null, to: string,
+ *   threadSlug?: string, seeded?: boolean, available?: string[]}>}
+ */
+export async function switchThreadWorkspace({ channel, threadTs, targetSlug, userId }, {
+    getTranscript,
+    getMapping = getAnythingLLMThreadMapping,
+    replaceMapping = replaceAnythingLLMThreadMapping,
+    listWorkspaces = getWorkspaces,
+    createThread = createNewAnythingLLMThread,
+    deleteThread = (workspaceSlug, slug) => getAnythingLLMClient().deleteThread(workspaceSlug, slug),
+    llm = queryLlm
+}) {
+    const available = await listWorkspaces();
+    if (!available.includes(targetSlug)) {
+        return { status: 'unknown_workspace', from: null, to: targetSlug, available };
+    }
+
+    const current = await getMapping(channel, threadTs);
+    const fromSlug = current?.anythingllm_workspace_slug || null;
+    if (fromSlug === targetSlug) return { status: 'unchanged', from: fromSlug, to: targetSlug };
+
+    const threadSlug = await createThread(targetSlug);
+    if (!threadSlug) return { status: 'failed', from: fromSlug, to: targetSlug };
+
+    // Seed the new thread; the switch still happens without a summary
+    let seeded = false;
+    if (current) {
+        try {
+            const transcript = await getTranscript();
+            if (transcript?.trim()) {
+                const summary = await summarizeInThrowawayThread(fromSlug, buildSwitchSummaryPrompt(transcript), { createThread, deleteThread, llm });
+                if (summary) {
+                    await llm(targetSlug, threadSlug, buildSwitchSeedMessage({ fromSlug, summary }));
+                    seeded = true;
+                }
+            }
+        } catch (error) {
+            console.warn(`[Workspace Switch] Could not seed ${targetSlug}:${threadSlug} with a summary:`, error.message);
+        }
+    }
+
+    let stored = false;
+    try {
+        stored = await replaceMapping(channel, threadTs, targetSlug, threadSlug, { reason: 'switch', changedBy: userId });
+    } finally {
+        // Nothing points to the new thread, so it would be left behind in the target workspace
+        if (!stored) {
+            await deleteThread(targetSlug, threadSlug).catch(error => {
+                console.warn(`[Workspace Switch] Could not delete unused thread ${targetSlug}:${threadSlug}:`, error.message);
+            });
+        }
+    }
+    if (!stored) return { status: 'failed', from: fromSlug, to: targetSlug };
+
+    console.log(`[Workspace Switch] ${channel}:${threadTs} moved from ${fromSlug || '(none)'} to ${targetSlug}:${threadSlug} by ${userId} (seeded: ${seeded})`);
+    return { status: 'switched', from: fromSlug, to: targetSlug, threadSlug, seeded };
+}
+
+/**
+ * The Slack message describing the outcome of switchThreadWorkspace().
+ * @param {Awaited<ReturnType<typeof switchThreadWorkspace>>} result
+ * @param {string} userId - Who switched.
+ * @returns {string}
+ */
+export function formatSwitchResult(result, userId) {
+    switch (result.status) {
+        case 'switched':
+            return `:twisted_rightwards_arrows: <@${userId}> switched this thread ${result.from ? `from *${result.from}* ` : ''}to *${result.to}*. `
+                + `Follow-up questions will be answered there${result.seeded ? ', with a summary of the conversation so far' : ''}.`;
+        case 'unchanged':
+            return `This thread already uses *${result.to}*.`;
+        case 'unknown_workspace':
+            return `Workspace \`${result.to}\` doesn't exist. Available: ${result.available.map(slug => `\`${slug}\``).join(', ')}`;
+        default:
+            return `⚠️ I couldn't switch this thread to *${result.to}*. It still uses ${result.from ? `*${result.from}*` : 'its current workspace'}.`;
+    }
+}
+
+/**
+ * Lists the workspaces a thread has used, from getAnythingLLMThreadMappingHistory().
+ * @param {Array<{anythingllm_workspace_slug: string, started_at: Date, ended_at: Date|null, reason: string|null}>} history
+ * @returns {string}
+ */
+export function formatMappingHistory(history) {
+    if (history.length === 0) return "This thread isn't linked to a workspace yet.";
+    const formatTime = date => new Date(date).toISOString().replace('T', ' ').substring(0, 16);
+    const lines = history.map(entry => entry.ended_at
+        ? `• *${entry.anythingllm_workspace_slug}*: ${formatTime(entry.started_at)} – ${formatTime(entry.ended_at)} UTC${entry.reason ? ` (ended by ${entry.reason})` : ''}`
+        : `• *${entry.anythingllm_workspace_slug}*: since ${formatTime(entry.started_at)} UTC (current)`);
+    return `Workspaces used in this thread:\n${lines.join('\n')}`;
+}
+
+/**
+ * The "Switch workspace" picker shown under answers.
+ * @param {string} currentSlug - Left out of the options.
+ * @param {string[]} workspaces - Available workspace slugs.
+ * @returns {object|null} An actions block, or null when there is nothing to switch to.
+ */
+export function buildWorkspaceSwitchBlock(currentSlug, workspaces) {
+    const options = workspaces
+        .filter(slug => slug !== currentSlug)
+        .slice(0, MAX_SELECT_OPTIONS)
+        .map(slug => ({ text: { type: 'plain_text', text: slug.substring(0, 75) }, value: slug }));
+    if (options.length === 0) return null;
+    return {
+        type: 'actions',
+        block_id: 'workspace_switch',
+        elements: [{
+            type: 'static_select',
+            action_id: WORKSPACE_SWITCH_ACTION,
+            placeholder: { type: 'plain_text', text: 'Switch workspace' },
+            options
+        }]
+    };
+}
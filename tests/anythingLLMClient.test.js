@@ -0,0 +1,128 @@
+// tests/anythingLLMClient.test.js
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { Readable } from 'stream';
+import {
+    AnythingLLMClient, AnythingLLMError, NotFoundError, UnauthorizedError, TimeoutError, ServerError,
+    toAnythingLLMError, setAnythingLLMClient
+} from '../src/anythingLLMClient.js';
+import { queryLlm, streamLlm, createNewAnythingLLMThread } from '../src/llm.js';
+
+const axiosError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+
+function createClient(response = { data: {} }) {
+    const http = { request: jest.fn().mockResolvedValue(response) };
+    const client = new AnythingLLMClient({ baseUrl: 'http://llm.local/', apiKey: 'key', http, timeouts: { request: 1000, chat: 5000 } });
+    return { client, http };
+}
+
+describe('AnythingLLM Client', () => {
+    afterEach(() => setAnythingLLMClient(null));
+
+    test('should send the API key, JSON accept header and per-call timeouts', async () => {
+        const { client, http } = createClient({ data: { workspaces: [{ slug: 'docs' }] } });
+        expect(await client.listWorkspaces()).toEqual([{ slug: 'docs' }]);
+        expect(http.request.mock.calls[0][0]).toMatchObject({
+            method: 'get',
+            url: 'http://llm.local/api/v1/workspaces',
+            headers: { Accept: 'application/json', Authorization: 'Bearer key' },
+            timeout: 1000
+        });
+
+        await client.chat('docs', 'thread-1', 'Hi');
+        expect(http.request.mock.calls[1][0]).toMatchObject({
+            method: 'post',
+            url: 'http://llm.local/api/v1/workspace/docs/thread/thread-1/chat',
+            data: { message: 'Hi', mode: 'chat' },
+            timeout: 5000
+        });
+
+        await client.streamChat('docs', null, 'Hi', 'query');
+        expect(http.request.mock.calls[2][0]).toMatchObject({
+            url: 'http://llm.local/api/v1/workspace/docs/stream-chat',
+            headers: { Accept: 'text/event-stream' },
+            responseType: 'stream'
+        });
+    });
+
+    test('should cover threads, documents and embeddings', async () => {
+        const { client, http } = createClient({ data: { thread: { slug: 'new-thread' } } });
+        expect(await client.createThread('docs')).toBe('new-thread');
+        expect(http.request.mock.calls[0][0].url).toBe('http://llm.local/api/v1/workspace/docs/thread/new');
+
+        await client.deleteThread('docs', 'old thread');
+        expect(http.request.mock.calls[1][0]).toMatchObject({ method: 'delete', url: 'http://llm.local/api/v1/workspace/docs/thread/old%20thread' });
+
+        await client.moveFiles([{ from: 'custom/a.json', to: 'conversations/a.json' }]);
+        expect(http.request.mock.calls[2][0]).toMatchObject({ url: 'http://llm.local/api/v1/document/move-files', data: { files: [{ from: 'custom/a.json', to: 'conversations/a.json' }] } });
+
+        await client.updateEmbeddings('conversations', { adds: ['conversations/a.json'] });
+        expect(http.request.mock.calls[3][0]).toMatchObject({ url: 'http://llm.local/api/v1/workspace/conversations/update-embeddings', data: { adds: ['conversations/a.json'], deletes: [] } });
+
+        await client.uploadDocument('notes.md', '# Notes');
+        const [uploadConfig, retryOptions] = http.request.mock.calls[4];
+        expect(uploadConfig.url).toBe('http://llm.local/api/v1/document/upload');
+        expect(uploadConfig.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+        expect(retryOptions).toEqual({ maxAttempts: 1 });
+    });
+
+    test('should reject unexpected response shapes', async () => {
+        await expect(createClient({ data: { error: 'nope' } }).client.listWorkspaces()).rejects.toBeInstanceOf(AnythingLLMError);
+        await expect(createClient({ data: {} }).client.createThread('docs')).rejects.toThrow('returned no thread');
+    });
+
+    describe('toAnythingLLMError', () => {
+        test('should map statuses and timeouts to typed errors', () => {
+            expect(toAnythingLLMError(axiosError(404, { error: 'No workspace' }), 'chat')).toBeInstanceOf(NotFoundError);
+            expect(toAnythingLLMError(axiosError(401), 'chat')).toBeInstanceOf(UnauthorizedError);
+            expect(toAnythingLLMError(axiosError(403), 'chat')).toBeInstanceOf(UnauthorizedError);
+            expect(toAnythingLLMError(axiosError(502), 'chat')).toBeInstanceOf(ServerError);
+            expect(toAnythingLLMError(Object.assign(new Error('timeout of 90000ms exceeded'), { code: 'ECONNABORTED' }), 'chat')).toBeInstanceOf(TimeoutError);
+
+            const other = toAnythingLLMError(axiosError(400), 'chat');
+            expect(other.constructor).toBe(AnythingLLMError);
+        });
+
+        test('should keep the status, body and cause', () => {
+            const cause = axiosError(404, { error: 'No workspace' });
+            const error = toAnythingLLMError(cause, 'chat in workspace "docs"');
+            expect(error.message).toBe('AnythingLLM chat in workspace "docs" failed (status 404: {"error":"No workspace"})');
+            expect(error).toMatchObject({ name: 'NotFoundError', status: 404, details: { error: 'No workspace' }, cause });
+            expect(toAnythingLLMError(error, 'other')).toBe(error);
+        });
+
+        test('should surface the typed error from client calls', async () => {
+            const http = { request: jest.fn().mockRejectedValue(axiosError(404)) };
+            const client = new AnythingLLMClient({ baseUrl: 'http://llm.local', apiKey: 'key', http });
+            await expect(client.chat('missing', null, 'Hi')).rejects.toMatchObject({ name: 'NotFoundError', status: 404 });
+        });
+    });
+
+    describe('llm.js with an injected client', () => {
+        test('queryLlm should return the text response and pass typed errors through', async () => {
+            const fake = { chat: jest.fn().mockResolvedValueOnce({ textResponse: 'Hello' }).mockRejectedValueOnce(new TimeoutError('slow')) };
+            setAnythingLLMClient(fake);
+
+            expect(await queryLlm('docs', 't1', 'Hi')).toBe('Hello');
+            expect(fake.chat).toHaveBeenCalledWith('docs', 't1', 'Hi', 'chat');
+            await expect(queryLlm('docs', 't1', 'Hi')).rejects.toBeInstanceOf(TimeoutError);
+        });
+
+        test('streamLlm should read the stream and type stream errors', async () => {
+            const onChunk = jest.fn();
+            setAnythingLLMClient({
+                streamChat: jest.fn()
+                    .mockResolvedValueOnce(Readable.from([Buffer.from('data: {"type":"textResponseChunk","textResponse":"Hel"}\n\n'), Buffer.from('data: {"type":"textResponseChunk","textResponse":"lo"}\n\n')]))
+                    .mockResolvedValueOnce(Readable.from([Buffer.from('data: {"error":"model overloaded"}\n\n')]))
+            });
+
+            expect(await streamLlm('docs', null, 'Hi', onChunk)).toBe('Hello');
+            expect(onChunk).toHaveBeenLastCalledWith('Hello', 'lo');
+            await expect(streamLlm('docs', null, 'Hi')).rejects.toThrow('Stream error: model overloaded');
+        });
+
+        test('createNewAnythingLLMThread should return null when the client fails', async () => {
+            setAnythingLLMClient({ createThread: jest.fn().mockRejectedValue(new ServerError('down')) });
+            expect(await createNewAnythingLLMThread('docs')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,77 @@
+// tests/commandHandler.test.js
+import { describe, test, expect, jest } from '@jest/globals';
+import { handlePrReviewCommand, handleReleaseChangesCommand } from '../src/handlers/commandHandler.js';
+import { matchCommand } from '../src/handlers/commandRegistry.js';
+
+function createContext(overrides = {}) {
+    return {
+        slack: { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }), delete: jest.fn().mockResolvedValue({ ok: true }), update: jest.fn().mockResolvedValue({ ok: true }) } },
+        userId: 'U_NO_PERMISSIONS',
+        channel: 'C1',
+        replyTarget: '1.1',
+        thinkingMessagePromise: Promise.resolve('9.9'),
+        ...overrides
+    };
+}
+
+function createOctokit() {
+    return {
+        pulls: { get: jest.fn().mockRejectedValue(new Error('Not Found')), listFiles: jest.fn(), createReview: jest.fn() },
+        issues: { listComments: jest.fn() },
+        paginate: jest.fn()
+    };
+}
+
+describe('Command Handler', () => {
+    describe('review pr', () => {
+        const args = { owner: 'gf', repo: 'core', prNumber: 7, workspaceSlug: 'dev', postToGithub: true };
+
+        test('should refuse --post without the github_api_write permission, before reviewing', async () => {
+            const octokit = createOctokit();
+            const ctx = createContext({ octokit });
+            expect(await handlePrReviewCommand(ctx, args)).toBe(true);
+
+            expect(ctx.slack.chat.postMessage.mock.calls[0][0].text).toContain('requires the `github_api_write` permission');
+            expect(octokit.pulls.get).not.toHaveBeenCalled();
+            expect(octokit.pulls.createReview).not.toHaveBeenCalled();
+            expect(ctx.slack.chat.delete).toHaveBeenCalledWith({ channel: 'C1', ts: '9.9' });
+        });
+
+        test('should not ask for the permission without --post', async () => {
+            const ctx = createContext({ octokit: createOctokit() });
+            await handlePrReviewCommand(ctx, { ...args, postToGithub: false });
+            expect(ctx.slack.chat.postMessage.mock.calls[0][0].text).not.toContain('permission');
+        });
+    });
+
+    describe('release changes', () => {
+        test('should tell questions apart from the command phrasing', () => {
+            expect(matchCommand('what changed in stripe from v1.0 to v1.2?').args).toEqual({ productName: 'stripe', from: 'v1.0', to: 'v1.2', isQuestion: true });
+            expect(matchCommand('changes in gravityforms/gravityforms').args).toEqual({ productName: 'gravityforms/gravityforms', from: null, to: null, isQuestion: false });
+        });
+
+        test('should pass questions about something other than a known repository to the LLM', async () => {
+            const octokit = { repos: { listReleases: jest.fn() }, paginate: jest.fn() };
+            for (const productName of ['the checkout flow', 'checkout']) {
+                const ctx = createContext({ octokit });
+                expect(await handleReleaseChangesCommand(ctx, { productName, from: null, to: null, isQuestion: true })).toBe(false);
+                expect(ctx.slack.chat.postMessage).not.toHaveBeenCalled();
+                expect(ctx.slack.chat.delete).not.toHaveBeenCalled();
+            }
+            expect(octokit.paginate).not.toHaveBeenCalled();
+        });
+
+        test('should still explain unknown names given with the command phrasing', async () => {
+            const ctx = createContext({ octokit: { paginate: jest.fn() } });
+            expect(await handleReleaseChangesCommand(ctx, { productName: 'the checkout flow', from: null, to: null, isQuestion: false })).toBe(true);
+            expect(ctx.slack.chat.postMessage.mock.calls[0][0].text).toContain('I don\'t know a repository called "the checkout flow"');
+        });
+
+        test('should compare releases for a known alias asked as a question', async () => {
+            const octokit = { repos: { listReleases: jest.fn() }, paginate: jest.fn().mockResolvedValue([]) };
+            const ctx = createContext({ octokit });
+            expect(await handleReleaseChangesCommand(ctx, { productName: 'stripe', from: null, to: null, isQuestion: true })).toBe(true);
+            expect(octokit.paginate).toHaveBeenCalledWith(octokit.repos.listReleases, expect.objectContaining({ owner: 'gravityforms', repo: 'gravityformsstripe' }), expect.any(Function));
+        });
+    });
+});
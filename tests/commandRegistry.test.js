@@ -0,0 +1,114 @@
+// tests/commandRegistry.test.js
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { registerCommand, matchCommand, runCommand, buildHelpText, getMissingConfig } from '../src/handlers/commandRegistry.js';
+import { hasPermission } from '../src/permissions.js';
+
+const echoHandler = jest.fn(async () => true);
+
+registerCommand({
+    name: 'test echo',
+    pattern: /^echo\s+(.+)$/i,
+    parseArgs: match => ({ text: match[1] }),
+    help: 'echo <text>',
+    description: 'Echo text back.',
+    handler: echoHandler
+});
+
+registerCommand({
+    name: 'test needs config',
+    pattern: /^needs config$/i,
+    requiredConfig: { SOME_TOKEN: null, OTHER_SETTING: 'set' },
+    help: 'needs config',
+    handler: echoHandler
+});
+
+registerCommand({
+    name: 'test restricted',
+    pattern: /^restricted$/i,
+    permission: 'test-admin',
+    help: 'restricted',
+    handler: echoHandler
+});
+
+function makeContext(overrides = {}) {
+    return {
+        slack: { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }), delete: jest.fn().mockResolvedValue({ ok: true }) } },
+        userId: 'U1',
+        channel: 'C1',
+        replyTarget: '123.456',
+        query: '',
+        thinkingMessagePromise: Promise.resolve('999.000'),
+        ...overrides
+    };
+}
+
+describe('Command Registry', () => {
+    beforeEach(() => {
+        echoHandler.mockClear();
+    });
+
+    test('should reject invalid or duplicate definitions', () => {
+        expect(() => registerCommand({ name: 'broken' })).toThrow(/Invalid command definition/);
+        expect(() => registerCommand({ name: 'test echo', pattern: /x/, help: 'x', handler: echoHandler })).toThrow(/already registered/);
+    });
+
+    test('should match a command and parse its arguments', () => {
+        const matched = matchCommand('echo hello world');
+        expect(matched.command.name).toBe('test echo');
+        expect(matched.args).toEqual({ text: 'hello world' });
+        expect(matched.command.requiresThread).toBe(true);
+    });
+
+    test('should return null when nothing matches', () => {
+        expect(matchCommand('what is the weather?')).toBeNull();
+    });
+
+    test('should run the handler with the shared context and args', async () => {
+        const ctx = makeContext({ query: 'echo hi' });
+        const handled = await runCommand(matchCommand('echo hi'), ctx);
+        expect(handled).toBe(true);
+        expect(echoHandler).toHaveBeenCalledWith(ctx, { text: 'hi' });
+    });
+
+    test('should report missing config instead of running the handler', async () => {
+        const matched = matchCommand('needs config');
+        expect(getMissingConfig(matched.command)).toEqual(['SOME_TOKEN']);
+
+        const ctx = makeContext();
+        const handled = await runCommand(matched, ctx);
+        expect(handled).toBe(true);
+        expect(echoHandler).not.toHaveBeenCalled();
+        expect(ctx.slack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ text: expect.stringContaining('SOME_TOKEN') }));
+        expect(ctx.slack.chat.delete).toHaveBeenCalledWith({ channel: 'C1', ts: '999.000' });
+    });
+
+    test('should refuse commands the user lacks permission for', async () => {
+        const ctx = makeContext();
+        const handled = await runCommand(matchCommand('restricted'), ctx);
+        expect(handled).toBe(true);
+        expect(echoHandler).not.toHaveBeenCalled();
+        expect(ctx.slack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ text: expect.stringContaining("don't have permission") }));
+    });
+
+    test('should build help text listing available commands only', () => {
+        const help = buildHelpText('U1');
+        expect(help).toContain('`echo <text>` – Echo text back.');
+        expect(help).toContain('unavailable: missing SOME_TOKEN');
+        expect(help).not.toContain('restricted');
+    });
+
+    describe('hasPermission', () => {
+        const permissionMap = { admin: ['U_ADMIN'], everyone: ['*'] };
+
+        test('should allow when no permission is required', () => {
+            expect(hasPermission('U1', undefined, permissionMap)).toBe(true);
+        });
+
+        test('should check configured user lists and wildcards', () => {
+            expect(hasPermission('U_ADMIN', 'admin', permissionMap)).toBe(true);
+            expect(hasPermission('U1', 'admin', permissionMap)).toBe(false);
+            expect(hasPermission('U1', 'everyone', permissionMap)).toBe(true);
+            expect(hasPermission('U1', 'unknown', permissionMap)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+// tests/conversationReset.test.js
+import { describe, test, expect, jest } from '@jest/globals';
+import { resetConversation, formatResetResult, saveResetMarker, getResetMarker } from '../src/conversationReset.js';
+import { RESET_HISTORY_TTL } from '../src/config.js';
+
+const request = { channel: 'D1', threadTs: '100.000', resetTs: '150.000', userId: 'U1', isDM: false };
+
+function createDeps(overrides = {}) {
+    return {
+        getMapping: jest.fn().mockResolvedValue({ anythingllm_workspace_slug: 'support', anythingllm_thread_slug: 'old-thread' }),
+        replaceMapping: jest.fn().mockResolvedValue(true),
+        createThread: jest.fn().mockResolvedValue('fresh-thread'),
+        route: jest.fn().mockResolvedValue({ slug: 'general', confidence: 1, source: 'channel' }),
+        saveMarker: jest.fn().mockResolvedValue(),
+        ...overrides
+    };
+}
+
+describe('Conversation Reset', () => {
+    test('should start a new thread in the same workspace and store the marker', async () => {
+        const deps = createDeps();
+        const result = await resetConversation(request, deps);
+
+        expect(result).toEqual({ status: 'reset', workspaceSlug: 'support', threadSlug: 'fresh-thread', previousThreadSlug: 'old-thread' });
+        expect(deps.createThread).toHaveBeenCalledWith('support');
+        expect(deps.route).not.toHaveBeenCalled();
+        expect(deps.replaceMapping).toHaveBeenCalledWith('D1', '100.000', 'support', 'fresh-thread', { reason: 'reset', changedBy: 'U1' });
+        expect(deps.saveMarker.mock.calls).toEqual([['D1', '100.000', '150.000']]);
+    });
+
+    test('should route unmapped threads and mark the whole DM channel', async () => {
+        const deps = createDeps({ getMapping: jest.fn().mockResolvedValue(null) });
+        const result = await resetConversation({ ...request, isDM: true }, deps);
+
+        expect(result).toMatchObject({ status: 'reset', workspaceSlug: 'general', previousThreadSlug: null });
+        expect(deps.route).toHaveBeenCalledWith({ text: '', channelId: 'D1', userId: 'U1' });
+        expect(deps.saveMarker.mock.calls).toEqual([['D1', '100.000', '150.000'], ['D1', null, '150.000']]);
+    });
+
+    test('should not store a marker when the new thread or mapping fails', async () => {
+        for (const overrides of [{ createThread: jest.fn().mockResolvedValue(null) }, { replaceMapping: jest.fn().mockResolvedValue(false) }]) {
+            const deps = createDeps(overrides);
+            expect(await resetConversation(request, deps)).toMatchObject({ status: 'failed', previousThreadSlug: 'old-thread' });
+            expect(deps.saveMarker).not.toHaveBeenCalled();
+        }
+    });
+
+    test('formatResetResult should name the new thread', () => {
+        expect(formatResetResult({ status: 'reset', workspaceSlug: 'support', threadSlug: 'fresh-thread' }))
+            .toBe(':broom: Conversation reset. New AnythingLLM thread `fresh-thread` in workspace *support*; earlier messages here won\'t be used as context.');
+        expect(formatResetResult({ status: 'failed', previousThreadSlug: 'old-thread' })).toContain('still in use');
+    });
+
+    test('markers should be kept per thread and per DM channel without Redis', async () => {
+        await saveResetMarker('C9', '1.0', '2.0');
+        await saveResetMarker('C9', null, '3.0');
+        expect(await getResetMarker('C9', '1.0')).toBe('2.0');
+        expect(await getResetMarker('C9', null)).toBe('3.0');
+        expect(await getResetMarker('C9', '4.0')).toBeNull();
+    });
+
+    test('markers without Redis should expire after RESET_HISTORY_TTL without scheduling a timer', async () => {
+        jest.useFakeTimers({ now: Date.parse('2024-06-01T00:00:00Z') });
+        try {
+            await saveResetMarker('C8', '1.0', '2.0');
+            expect(jest.getTimerCount()).toBe(0);
+
+            jest.setSystemTime(Date.now() + RESET_HISTORY_TTL * 1000 - 1);
+            expect(await getResetMarker('C8', '1.0')).toBe('2.0');
+            jest.setSystemTime(Date.now() + 1);
+            expect(await getResetMarker('C8', '1.0')).toBeNull();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,4 @@
+// tests/env.js
+// Runs before each test file is loaded. slack.js needs a signing secret at import time (for the Events API adapter),
+// so handler modules that import it can be tested without a .env.
+process.env.SLACK_SIGNING_SECRET ||= 'test-signing-secret';
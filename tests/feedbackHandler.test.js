@@ -0,0 +1,172 @@
+// tests/feedbackHandler.test.js
+import { jest, describe, test, expect } from '@jest/globals';
+import { handleFeedbackAction, handleFeedbackReasonSubmission, FEEDBACK_REASON_MODAL_CALLBACK_ID } from '../src/handlers/feedbackHandler.js';
+
+// Keeps the feedback and feedback_details rows, so lookups and late links can be checked
+function createFakePool(firstFeedbackId = 42) {
+    const db = { feedback: [], details: [] };
+    const client = {
+        query: jest.fn(async (sql, values) => {
+            if (sql.includes('INSERT INTO feedback_details')) {
+                const [feedbackId, category, correction, userId, channelId, messageTs] = values;
+                db.details.push({ id: db.details.length + 7, feedbackId, category, correction, userId, channelId, messageTs });
+                return { rows: [{ id: db.details.at(-1).id }] };
+            }
+            if (sql.includes('INSERT INTO feedback')) {
+                const [, userId, channelId, messageTs] = values;
+                db.feedback.push({ id: db.feedback.length + firstFeedbackId, userId, channelId, messageTs });
+                return { rows: [{ id: db.feedback.at(-1).id }] };
+            }
+            if (sql.includes('SELECT id FROM feedback')) {
+                const [channelId, messageTs, userId] = values;
+                const matches = db.feedback.filter(row => row.channelId === channelId && row.messageTs === messageTs && row.userId === userId);
+                return { rows: matches.slice(-1).map(({ id }) => ({ id })) };
+            }
+            if (sql.includes('UPDATE feedback_details')) {
+                const [feedbackId, userId, channelId, messageTs] = values;
+                const unlinked = db.details.filter(row => row.feedbackId === null && row.userId === userId && row.channelId === channelId && row.messageTs === messageTs);
+                unlinked.forEach(row => { row.feedbackId = feedbackId; });
+                return { rows: [], rowCount: unlinked.length };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }),
+        release: jest.fn()
+    };
+    return { pool: { connect: jest.fn(async () => client) }, client, db };
+}
+
+function createSlack() {
+    return {
+        views: {
+            open: jest.fn(async () => ({ ok: true, view: { id: 'V1', hash: 'h1' } })),
+            update: jest.fn(async () => ({ ok: true }))
+        },
+        conversations: { history: jest.fn(async () => ({ ok: true, messages: [{ text: 'How do I reset?' }] })) },
+        chat: { update: jest.fn(async () => ({ ok: true })) }
+    };
+}
+
+const feedbackBlockId = `feedback_1712345678.000100_docs_${encodeURIComponent('Try turning it off.')}`;
+const createActionPayload = value => ({
+    type: 'block_actions',
+    trigger_id: 'trigger-1',
+    user: { id: 'U1' },
+    channel: { id: 'C1' },
+    message: {
+        ts: '1712345679.000200',
+        text: 'Feedback:',
+        blocks: [{ type: 'actions', block_id: feedbackBlockId, elements: [] }]
+    },
+    actions: [{ action_id: `feedback_${value}`, block_id: feedbackBlockId, value }]
+});
+
+const createSubmission = metadata => ({
+    type: 'view_submission',
+    user: { id: 'U1' },
+    view: {
+        callback_id: FEEDBACK_REASON_MODAL_CALLBACK_ID,
+        private_metadata: JSON.stringify(metadata),
+        state: {
+            values: {
+                category_block: { category: { selected_option: { value: 'outdated' } } },
+                correction_block: { correction: { value: 'It moved to Settings.' } }
+            }
+        }
+    }
+});
+
+describe('Feedback Handler', () => {
+    describe('handleFeedbackAction', () => {
+        test('should open the reason modal for 👎 and link it to the stored rating', async () => {
+            const slack = createSlack();
+            const { pool, client } = createFakePool(42);
+
+            await handleFeedbackAction(createActionPayload('bad'), slack, { pool });
+
+            expect(slack.views.open).toHaveBeenCalledWith(expect.objectContaining({ trigger_id: 'trigger-1' }));
+            expect(JSON.parse(slack.views.open.mock.calls[0][0].view.private_metadata)).toEqual({ channelId: 'C1', messageTs: '1712345679.000200', sphere: 'docs' });
+
+            const insertValues = client.query.mock.calls[0][1];
+            expect(insertValues).toEqual(['bad', 'U1', 'C1', '1712345679.000200', '1712345678.000100', 'feedback_bad', 'docs', 'Try turning it off.', 'How do I reset?']);
+
+            expect(slack.views.update).toHaveBeenCalledWith(expect.objectContaining({ view_id: 'V1', hash: 'h1' }));
+            const updatedView = slack.views.update.mock.calls[0][0].view;
+            expect(updatedView.callback_id).toBe(FEEDBACK_REASON_MODAL_CALLBACK_ID);
+            expect(JSON.parse(updatedView.private_metadata)).toEqual(expect.objectContaining({ feedbackId: 42 }));
+            expect(client.query.mock.invocationCallOrder[0]).toBeLessThan(slack.views.update.mock.invocationCallOrder[0]);
+
+            const blocks = slack.chat.update.mock.calls[0][0].blocks;
+            expect(blocks).toEqual([expect.objectContaining({ type: 'context' })]);
+        });
+
+        test('should link a reason submitted after the rating was stored but before the modal was updated', async () => {
+            const slack = createSlack();
+            const { pool, db } = createFakePool(42);
+            const payload = createActionPayload('bad');
+            slack.views.update = jest.fn(async () => {
+                // The user was quicker than views.update: the submission still has the metadata without the ID
+                await handleFeedbackReasonSubmission(createSubmission({ channelId: 'C1', messageTs: payload.message.ts, sphere: 'docs' }), { pool });
+                return { ok: true };
+            });
+
+            await handleFeedbackAction(payload, slack, { pool });
+
+            expect(db.details).toEqual([expect.objectContaining({ feedbackId: 42, category: 'outdated', userId: 'U1' })]);
+        });
+
+        test('should link a reason submitted before the rating was stored', async () => {
+            const slack = createSlack();
+            const { pool, db } = createFakePool(42);
+            const payload = createActionPayload('bad');
+            slack.conversations.history = jest.fn(async () => {
+                await handleFeedbackReasonSubmission(createSubmission({ channelId: 'C1', messageTs: payload.message.ts, sphere: 'docs' }), { pool });
+                return { ok: true, messages: [{ text: 'How do I reset?' }] };
+            });
+
+            await handleFeedbackAction(payload, slack, { pool });
+
+            expect(db.details).toEqual([expect.objectContaining({ feedbackId: 42, category: 'outdated' })]);
+        });
+
+        test('should not open the modal for other ratings', async () => {
+            const slack = createSlack();
+            const { pool } = createFakePool();
+
+            await handleFeedbackAction(createActionPayload('great'), slack, { pool });
+
+            expect(slack.views.open).not.toHaveBeenCalled();
+            expect(slack.views.update).not.toHaveBeenCalled();
+            expect(slack.chat.update).toHaveBeenCalled();
+        });
+
+        test('should leave the modal unlinked when the rating could not be stored', async () => {
+            const slack = createSlack();
+
+            await handleFeedbackAction(createActionPayload('bad'), slack, { pool: null });
+
+            expect(slack.views.open).toHaveBeenCalled();
+            expect(slack.views.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handleFeedbackReasonSubmission', () => {
+        test('should store the details against the feedback ID from the metadata', async () => {
+            const { pool, client } = createFakePool();
+
+            await handleFeedbackReasonSubmission(createSubmission({ channelId: 'C1', messageTs: '1.2', sphere: 'docs', feedbackId: 42 }), { pool });
+
+            const [sql, values] = client.query.mock.calls[0];
+            expect(sql).not.toMatch(/SELECT/i);
+            expect(values).toEqual([42, 'outdated', 'It moved to Settings.', 'U1', 'C1', '1.2']);
+            expect(client.release).toHaveBeenCalled();
+        });
+
+        test('should store the details without a feedback ID when there is no rating yet', async () => {
+            const { pool, db } = createFakePool();
+
+            await handleFeedbackReasonSubmission(createSubmission({ channelId: 'C1', messageTs: '1.2', sphere: 'docs' }), { pool });
+
+            expect(db.details).toEqual([expect.objectContaining({ feedbackId: null, category: 'outdated' })]);
+        });
+    });
+});
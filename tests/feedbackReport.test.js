@@ -0,0 +1,85 @@
+// tests/feedbackReport.test.js
+import { jest, describe, test, expect } from '@jest/globals';
+import { parseReportPeriod, getFeedbackReport, formatFeedbackReport } from '../src/feedbackReport.js';
+
+function createFakePool(resultsInOrder) {
+    const client = {
+        query: jest.fn(async () => ({ rows: resultsInOrder.shift() || [] })),
+        release: jest.fn()
+    };
+    return { pool: { connect: jest.fn(async () => client) }, client };
+}
+
+describe('Feedback Report', () => {
+    describe('parseReportPeriod', () => {
+        test('should parse days, weeks and months', () => {
+            expect(parseReportPeriod('last 7d')).toBe(7);
+            expect(parseReportPeriod('#docs last 30 days')).toBe(30);
+            expect(parseReportPeriod('2w')).toBe(14);
+            expect(parseReportPeriod('last 3 months')).toBe(90);
+        });
+
+        test('should return null when no period is given and clamp large values', () => {
+            expect(parseReportPeriod('#docs')).toBeNull();
+            expect(parseReportPeriod('')).toBeNull();
+            expect(parseReportPeriod('last 100 months')).toBe(365);
+        });
+    });
+
+    describe('getFeedbackReport', () => {
+        test('should aggregate ratios per sphere, trend and worst questions', async () => {
+            const { pool, client } = createFakePool([
+                [
+                    { sphere: 'docs', total: '4', good: '1', ok: '1', bad: '2' },
+                    { sphere: 'hr', total: '2', good: '2', ok: '0', bad: '0' }
+                ],
+                [{ period_start: '2026-10-01T00:00:00Z', total: '6', good: '3', ok: '1', bad: '2' }],
+                [{ question: 'How do I reset?', sphere: 'docs', total: '2', good: '0', ok: '0', bad: '2', answer: 'Try turning it off.' }]
+            ]);
+
+            const report = await getFeedbackReport({ workspaceSlug: null, days: 7, pool });
+
+            expect(report.overall).toEqual({ total: 6, good: 3, ok: 1, bad: 2, goodRatio: 0.5, okRatio: 0.167, badRatio: 0.333 });
+            expect(report.spheres[0]).toEqual({ sphere: 'docs', total: 4, good: 1, ok: 1, bad: 2, goodRatio: 0.25, okRatio: 0.25, badRatio: 0.5 });
+            expect(report.trend).toHaveLength(1);
+            expect(report.bucket).toBe('day');
+            expect(report.worstQuestions[0]).toEqual(expect.objectContaining({ question: 'How do I reset?', answer: 'Try turning it off.', bad: 2 }));
+            expect(client.query).toHaveBeenCalledTimes(3);
+            expect(client.query.mock.calls[0][1][1]).toBeNull(); // No workspace filter
+            expect(client.release).toHaveBeenCalled();
+        });
+
+        test('should pass the workspace filter and use weekly buckets for long periods', async () => {
+            const { pool, client } = createFakePool([[], [], []]);
+            const report = await getFeedbackReport({ workspaceSlug: 'docs', days: 90, pool });
+
+            expect(report.bucket).toBe('week');
+            expect(client.query.mock.calls[0][1][1]).toBe('docs');
+            expect(report.overall.total).toBe(0);
+        });
+    });
+
+    describe('formatFeedbackReport', () => {
+        test('should say so when there is no feedback', () => {
+            const text = formatFeedbackReport({ workspace: 'docs', days: 7, overall: { total: 0 }, spheres: [], trend: [], worstQuestions: [] });
+            expect(text).toContain('#docs');
+            expect(text).toContain('No feedback was recorded');
+        });
+
+        test('should include spheres and worst-rated questions', () => {
+            const text = formatFeedbackReport({
+                workspace: null,
+                days: 7,
+                bucket: 'day',
+                overall: { total: 2, goodRatio: 0.5, okRatio: 0, badRatio: 0.5 },
+                spheres: [{ sphere: 'docs', total: 2, goodRatio: 0.5, okRatio: 0, badRatio: 0.5 }],
+                trend: [],
+                worstQuestions: [{ question: 'Why?', sphere: 'docs', bad: 1, total: 1, answer: 'Because.' }]
+            });
+            expect(text).toContain('all workspaces');
+            expect(text).toContain('`docs`: 2 ratings');
+            expect(text).toContain('"Why?"');
+            expect(text).toContain('Answer: Because.');
+        });
+    });
+});
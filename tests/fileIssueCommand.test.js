@@ -0,0 +1,120 @@
+// tests/fileIssueCommand.test.js
+import { describe, test, expect, jest } from '@jest/globals';
+import { handleIssueDraftAction, handleIssueDraftSubmission } from '../src/handlers/fileIssueCommand.js';
+import { matchCommand } from '../src/handlers/commandRegistry.js';
+import { saveIssueDraft, getIssueDraft, ISSUE_DRAFT_OPEN_ACTION, ISSUE_DRAFT_DISCARD_ACTION } from '../src/issueDrafts.js';
+
+const canWrite = { github_api_write: ['U1', 'U2'] };
+
+function createSlack() {
+    return {
+        chat: {
+            postMessage: jest.fn().mockResolvedValue({ ok: true }),
+            postEphemeral: jest.fn().mockResolvedValue({ ok: true }),
+            update: jest.fn().mockResolvedValue({ ok: true }),
+            getPermalink: jest.fn().mockResolvedValue({ permalink: 'https://slack.example/p1' })
+        },
+        views: { open: jest.fn().mockResolvedValue({ ok: true }) }
+    };
+}
+
+function createOctokit() {
+    return { issues: { create: jest.fn().mockResolvedValue({ data: { number: 42, html_url: 'https://github.com/gf/core/issues/42' } }) } };
+}
+
+function saveDraft(body = '## Summary\nExport fails') {
+    return saveIssueDraft({ owner: 'gf', repo: 'core', draft: { title: 'Export fails', body, labels: ['bug'] }, userId: 'U1', channel: 'C1', replyTarget: '1.1' });
+}
+
+const actionPayload = (draftId, actionId, userId = 'U1') => ({
+    actions: [{ action_id: actionId, value: draftId }],
+    user: { id: userId },
+    channel: { id: 'C1' },
+    message: { ts: '2.2', blocks: [] },
+    trigger_id: 'trigger'
+});
+
+const submissionPayload = (draftId, { userId = 'U1', body = 'Edited body' } = {}) => ({
+    user: { id: userId, name: 'alice' },
+    view: {
+        private_metadata: JSON.stringify({ draftId, cardTs: '2.2' }),
+        state: { values: { title_block: { title: { value: 'Edited title' } }, body_block: { body: { value: body } }, labels_block: { labels: { value: 'bug' } } } }
+    }
+});
+
+describe('File Issue Command', () => {
+    test('should require the GitHub write permission', () => {
+        const matched = matchCommand('file issue in gf/core export is broken');
+        expect(matched.command.permission).toBe('github_api_write');
+        expect(matched.args).toEqual({ owner: 'gf', repo: 'core', notes: 'export is broken' });
+    });
+
+    describe('handleIssueDraftAction', () => {
+        test('should open the edit modal for the requester', async () => {
+            const draftId = await saveDraft();
+            const slack = createSlack();
+            await handleIssueDraftAction(actionPayload(draftId, ISSUE_DRAFT_OPEN_ACTION), slack);
+
+            const { trigger_id: triggerId, view } = slack.views.open.mock.calls[0][0];
+            expect(triggerId).toBe('trigger');
+            expect(JSON.parse(view.private_metadata)).toEqual({ draftId, cardTs: '2.2' });
+        });
+
+        test('should refuse anyone but the requester', async () => {
+            const draftId = await saveDraft();
+            const slack = createSlack();
+            await handleIssueDraftAction(actionPayload(draftId, ISSUE_DRAFT_DISCARD_ACTION, 'U2'), slack);
+
+            expect(slack.chat.postEphemeral).toHaveBeenCalledWith({ channel: 'C1', user: 'U2', text: 'Only <@U1> can file or discard this draft.' });
+            expect(slack.views.open).not.toHaveBeenCalled();
+            expect(await getIssueDraft(draftId)).not.toBeNull();
+        });
+
+        test('should discard the draft and close the card', async () => {
+            const draftId = await saveDraft();
+            const slack = createSlack();
+            await handleIssueDraftAction(actionPayload(draftId, ISSUE_DRAFT_DISCARD_ACTION), slack);
+
+            expect(await getIssueDraft(draftId)).toBeNull();
+            expect(slack.chat.update.mock.calls[0][0].text).toBe(':wastebasket: Draft discarded by <@U1>.');
+        });
+    });
+
+    describe('handleIssueDraftSubmission', () => {
+        test('should file the edited issue once and link it in the thread', async () => {
+            const draftId = await saveDraft();
+            const slack = createSlack();
+            const octokit = createOctokit();
+            await handleIssueDraftSubmission(submissionPayload(draftId), slack, octokit, { permissionMap: canWrite });
+            await handleIssueDraftSubmission(submissionPayload(draftId), slack, octokit, { permissionMap: canWrite });
+
+            expect(octokit.issues.create).toHaveBeenCalledTimes(1);
+            const issue = octokit.issues.create.mock.calls[0][0];
+            expect(issue).toMatchObject({ owner: 'gf', repo: 'core', title: 'Edited title', labels: ['bug'] });
+            expect(issue.body).toBe('Edited body\n\n---\n_Filed from [a Slack conversation](https://slack.example/p1) by alice._');
+            expect(slack.chat.postMessage.mock.calls[0][0].text).toContain('<https://github.com/gf/core/issues/42|gf/core#42>');
+        });
+
+        test('should not file for someone else or without the write permission', async () => {
+            const draftId = await saveDraft();
+            const slack = createSlack();
+            const octokit = createOctokit();
+
+            await handleIssueDraftSubmission(submissionPayload(draftId, { userId: 'U2' }), slack, octokit, { permissionMap: canWrite });
+            await handleIssueDraftSubmission(submissionPayload(draftId), slack, octokit, { permissionMap: {} });
+
+            expect(octokit.issues.create).not.toHaveBeenCalled();
+            expect(slack.chat.postEphemeral).toHaveBeenCalledWith({ channel: 'C1', user: 'U1', text: 'Sorry, you don\'t have permission to file GitHub issues.' });
+            // The draft is kept, e.g. for when the permission is granted
+            expect(await getIssueDraft(draftId)).not.toBeNull();
+        });
+
+        test('should append the part of a long draft that did not fit the modal', async () => {
+            const draftId = await saveDraft(`${'a'.repeat(2900)}\n${'b'.repeat(500)}`);
+            const octokit = createOctokit();
+            await handleIssueDraftSubmission(submissionPayload(draftId, { body: 'A' }), createSlack(), octokit, { permissionMap: canWrite });
+
+            expect(octokit.issues.create.mock.calls[0][0].body).toMatch(new RegExp(`^A\\n${'b'.repeat(500)}\\n\\n---`));
+        });
+    });
+});
@@ -8,22 +8,45 @@ const mockPullsGet = jest.fn();
 const mockIssuesListComments = jest.fn();
 const mockPullsListFiles = jest.fn();
 const mockIssuesGet = jest.fn(); // Added for refactored getGithubIssueDetails
+const mockPullsCreateReview = jest.fn();
+const mockIssuesListEventsForTimeline = jest.fn();
+const mockReposListReleases = jest.fn();
+const mockReposCompareCommits = jest.fn();
+const mockIssuesListLabelsForRepo = jest.fn();
+const mockIssuesCreate = jest.fn();
 
 // --- Create a Mock Octokit INSTANCE Object ---
 // This object simulates the structure of a real Octokit instance
 // and holds our mock methods. It gets passed to the service functions.
 const mockOctokitInstance = {
     repos: {
-        getLatestRelease: mockGetLatestRelease
+        getLatestRelease: mockGetLatestRelease,
+        listReleases: mockReposListReleases,
+        compareCommitsWithBasehead: mockReposCompareCommits
     },
     pulls: {
         get: mockPullsGet,
-        listFiles: mockPullsListFiles
+        listFiles: mockPullsListFiles,
+        createReview: mockPullsCreateReview
     },
     issues: {
         get: mockIssuesGet, // Added
-        listComments: mockIssuesListComments
-    }
+        listComments: mockIssuesListComments,
+        listEventsForTimeline: mockIssuesListEventsForTimeline,
+        listLabelsForRepo: mockIssuesListLabelsForRepo,
+        create: mockIssuesCreate
+    },
+    // Simplified paginate: requests pages until a short one (or until mapFn calls done) and returns the data
+    paginate: jest.fn(async (method, params, mapFn) => {
+        const results = [];
+        let finished = false;
+        for (let page = 1; !finished; page++) {
+            const response = await method(page === 1 ? params : { ...params, page });
+            results.push(...(mapFn ? mapFn(response, () => { finished = true; }) : response.data));
+            if (response.data.length < (params.per_page ?? 30)) finished = true;
+        }
+        return results;
+    })
     // Add other methods here if your service functions use them
 };
 
@@ -54,6 +77,12 @@ describe('GitHub Service (Dependency Injection)', () => {
         mockIssuesListComments.mockReset();
         mockPullsListFiles.mockReset();
         mockIssuesGet.mockReset(); // Added
+        mockPullsCreateReview.mockReset();
+        mockIssuesListEventsForTimeline.mockReset();
+        mockReposListReleases.mockReset();
+        mockReposCompareCommits.mockReset();
+        mockIssuesListLabelsForRepo.mockReset();
+        mockIssuesCreate.mockReset();
     });
 
     // --- Tests for getLatestRelease ---
@@ -119,7 +148,7 @@ describe('GitHub Service (Dependency Injection)', () => {
     // --- Tests for getPrDetailsForReview ---
     describe('getPrDetailsForReview', () => {
          test('should return PR details on success', async () => {
-            const prData = { number: 1, title: 'PR Title', body: 'PR Body' };
+            const prData = { number: 1, title: 'PR Title', body: 'PR Body', head: { sha: 'abc123' } };
             const commentsData = [{ id: 1, body: 'Comment' }];
             const filesData = [{ filename: 'file.js', patch: 'diff' }];
 
@@ -133,12 +162,14 @@ describe('GitHub Service (Dependency Injection)', () => {
             expect(result).toEqual({
                 title: 'PR Title',
                 body: 'PR Body',
+                headSha: 'abc123',
                 comments: commentsData,
                 files: filesData
             });
             expect(mockPullsGet).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', pull_number: 1 });
-            expect(mockIssuesListComments).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', issue_number: 1 });
-            expect(mockPullsListFiles).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', pull_number: 1 });
+            expect(mockIssuesListComments).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', issue_number: 1, per_page: 100 });
+            expect(mockPullsListFiles).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', pull_number: 1, per_page: 100 });
+            expect(mockOctokitInstance.paginate).toHaveBeenCalledWith(mockPullsListFiles, expect.any(Object));
             expect(mockPullsGet).toHaveBeenCalledTimes(1);
             // Add more checks if needed
         });
@@ -187,6 +218,7 @@ describe('GitHub Service (Dependency Injection)', () => {
         test('should return issue details and comments on success', async () => {
             mockIssuesGet.mockResolvedValueOnce({ data: issueData });
             mockIssuesListComments.mockResolvedValueOnce({ data: commentsData });
+            mockIssuesListEventsForTimeline.mockResolvedValueOnce({ data: [] });
 
             // Pass mock instance, only need issue number
             const result = await githubService.getGithubIssueDetails(mockOctokitInstance, 123);
@@ -195,30 +227,68 @@ describe('GitHub Service (Dependency Injection)', () => {
                 title: 'Issue Title',
                 body: 'Issue Body',
                 url: 'http://issue.com',
-                comments: [{ user: 'user1', body: 'Comment 1' }]
+                state: 'unknown',
+                author: 'unknown',
+                createdAt: null,
+                labels: [],
+                assignees: [],
+                comments: [{ user: 'user1', body: 'Comment 1', createdAt: null }],
+                linkedPullRequests: [],
+                timeline: []
             });
             expect(mockIssuesGet).toHaveBeenCalledWith({ owner, repo, issue_number: 123 });
-            expect(mockIssuesListComments).toHaveBeenCalledWith({ owner, repo, issue_number: 123 });
+            expect(mockIssuesListComments).toHaveBeenCalledWith({ owner, repo, issue_number: 123, per_page: 100 });
             expect(mockIssuesGet).toHaveBeenCalledTimes(1);
             expect(mockIssuesListComments).toHaveBeenCalledTimes(1);
         });
 
+        test('should include labels, assignees, linked PRs and timeline events for any repository', async () => {
+            mockIssuesGet.mockResolvedValueOnce({ data: {
+                ...issueData,
+                state: 'open',
+                user: { login: 'reporter' },
+                labels: [{ name: 'bug' }, 'p1'],
+                assignees: [{ login: 'dev1' }]
+            } });
+            mockIssuesListComments.mockResolvedValueOnce({ data: commentsData });
+            mockIssuesListEventsForTimeline.mockResolvedValueOnce({ data: [
+                { event: 'commented', actor: { login: 'user1' } },
+                { event: 'labeled', actor: { login: 'triager' }, created_at: '2026-01-02T00:00:00Z', label: { name: 'bug' } },
+                { event: 'cross-referenced', actor: { login: 'dev1' }, source: { issue: {
+                    number: 5, title: 'Fix it', html_url: 'http://pr/5', state: 'closed', pull_request: { merged_at: '2026-01-03T00:00:00Z' }
+                } } }
+            ] });
+
+            const result = await githubService.getGithubIssueDetails(mockOctokitInstance, 7, 'octo', 'hello');
+
+            expect(mockIssuesGet).toHaveBeenCalledWith({ owner: 'octo', repo: 'hello', issue_number: 7 });
+            expect(result.labels).toEqual(['bug', 'p1']);
+            expect(result.assignees).toEqual(['dev1']);
+            expect(result.author).toBe('reporter');
+            expect(result.linkedPullRequests).toEqual([{ number: 5, title: 'Fix it', url: 'http://pr/5', state: 'merged' }]);
+            expect(result.timeline).toEqual([
+                { event: 'labeled', actor: 'triager', createdAt: '2026-01-02T00:00:00Z', detail: 'bug' },
+                { event: 'cross-referenced', actor: 'dev1', createdAt: null, detail: 'PR http://pr/5' }
+            ]);
+        });
+
         test('should return details even if comments fetch fails', async () => {
             const commentsError = new Error('Failed to get comments');
             commentsError.status = 500;
             mockIssuesGet.mockResolvedValueOnce({ data: issueData });
             mockIssuesListComments.mockRejectedValueOnce(commentsError);
+            mockIssuesListEventsForTimeline.mockResolvedValueOnce({ data: [] });
 
             const result = await githubService.getGithubIssueDetails(mockOctokitInstance, 123);
 
-            expect(result).toEqual({
+            expect(result).toEqual(expect.objectContaining({
                 title: 'Issue Title',
                 body: 'Issue Body',
                 url: 'http://issue.com',
                 comments: [] // Expect empty comments array
-            });
+            }));
             expect(mockIssuesGet).toHaveBeenCalledWith({ owner, repo, issue_number: 123 });
-            expect(mockIssuesListComments).toHaveBeenCalledWith({ owner, repo, issue_number: 123 });
+            expect(mockIssuesListComments).toHaveBeenCalledWith({ owner, repo, issue_number: 123, per_page: 100 });
             expect(mockIssuesGet).toHaveBeenCalledTimes(1);
             expect(mockIssuesListComments).toHaveBeenCalledTimes(1);
         });
@@ -240,4 +310,167 @@ describe('GitHub Service (Dependency Injection)', () => {
     });
 
 
+    // --- Tests for parseIssueReference ---
+    describe('parseIssueReference', () => {
+        test('should parse owner/repo#number, issue URLs and the backlog shorthand', () => {
+            expect(githubService.parseIssueReference('octo/hello#4 why?')).toEqual({ owner: 'octo', repo: 'hello', issueNumber: 4, rest: 'why?' });
+            expect(githubService.parseIssueReference('<https://github.com/a/b/issues/9|link> what')).toEqual({ owner: 'a', repo: 'b', issueNumber: 9, rest: 'what' });
+            expect(githubService.parseIssueReference('issue https://github.com/a/b/pull/10/files')).toEqual({ owner: 'a', repo: 'b', issueNumber: 10, rest: '' });
+            expect(githubService.parseIssueReference('backlog #3', { owner: 'gf', repo: 'backlog' })).toEqual({ owner: 'gf', repo: 'backlog', issueNumber: 3, rest: '' });
+            expect(githubService.parseIssueReference('something else')).toBeNull();
+        });
+    });
+
+    // --- Tests for createPrReview ---
+    describe('createPrReview', () => {
+        test('should always submit a COMMENT review with inline comments', async () => {
+            mockPullsCreateReview.mockResolvedValueOnce({ data: { id: 7, html_url: 'http://pr/review' } });
+            const comments = [{ path: 'a.js', line: 3, side: 'RIGHT', body: 'Hmm' }];
+
+            const result = await githubService.createPrReview(mockOctokitInstance, 'owner', 'repo', 1, { body: 'Summary', comments, commitId: 'abc123' });
+
+            expect(result).toEqual({ id: 7, url: 'http://pr/review' });
+            expect(mockPullsCreateReview).toHaveBeenCalledWith({
+                owner: 'owner', repo: 'repo', pull_number: 1, commit_id: 'abc123', body: 'Summary', event: 'COMMENT', comments
+            });
+        });
+
+        test('should return null if the API call fails or input is missing', async () => {
+            mockPullsCreateReview.mockRejectedValueOnce(Object.assign(new Error('Unprocessable'), { status: 422 }));
+            expect(await githubService.createPrReview(mockOctokitInstance, 'owner', 'repo', 1, { body: 'Summary' })).toBeNull();
+            expect(await githubService.createPrReview(mockOctokitInstance, 'owner', 'repo', 1, {})).toBeNull();
+            expect(mockPullsCreateReview).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    // --- Tests for getReleaseChanges ---
+    describe('getReleaseChanges', () => {
+        const releases = [
+            { tag_name: 'v2.9.0-beta', prerelease: true, body: 'beta' },
+            { tag_name: 'v2.8.3', name: '2.8.3', body: 'Fixes', published_at: '2024-03-01' },
+            { tag_name: 'v2.8.2', name: '2.8.2', body: 'More fixes', published_at: '2024-02-01' },
+            { tag_name: 'v2.8.1', name: '2.8.1', body: 'Old', published_at: '2024-01-01' },
+            { tag_name: 'v2.8.0-draft', draft: true }
+        ];
+        const comparison = {
+            html_url: 'http://compare',
+            total_commits: 3,
+            commits: [
+                { sha: 'aaa1111', commit: { message: 'Merge pull request #10 from x/y\n\nAdd export' }, author: { login: 'dev' } },
+                { sha: 'bbb2222', commit: { message: 'Fix typo (#11)' }, author: null },
+                { sha: 'ccc3333', commit: { message: 'Bump version', author: { name: 'Bot' } }, author: null }
+            ]
+        };
+
+        test('should default to the previous and latest stable releases', async () => {
+            mockReposListReleases.mockResolvedValueOnce({ data: releases });
+            mockReposCompareCommits.mockResolvedValueOnce({ data: comparison });
+            mockPullsGet
+                .mockResolvedValueOnce({ data: { title: 'Add export', merged_at: '2024-02-10', labels: [{ name: 'feature' }], user: { login: 'dev' }, html_url: 'http://pr/10', body: 'Body' } })
+                .mockResolvedValueOnce({ data: { title: 'Fix typo', merged_at: null } });
+
+            const changes = await githubService.getReleaseChanges(mockOctokitInstance, 'owner', 'repo');
+
+            expect(mockReposCompareCommits).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', basehead: 'v2.8.2...v2.8.3', per_page: 100, page: 1 });
+            expect(changes).toMatchObject({ from: 'v2.8.2', to: 'v2.8.3', compareUrl: 'http://compare', totalCommits: 3 });
+            expect(changes.commits.map(c => c.author)).toEqual(['dev', 'unknown', 'Bot']);
+            expect(changes.pullRequests).toEqual([{ number: 10, title: 'Add export', labels: ['feature'], author: 'dev', url: 'http://pr/10', body: 'Body' }]);
+            expect(changes.releases.map(r => r.tagName)).toEqual(['v2.8.3']);
+        });
+
+        test('should match tags without the "v" prefix and include every release in the range', async () => {
+            mockReposListReleases.mockResolvedValueOnce({ data: releases });
+            mockReposCompareCommits.mockResolvedValueOnce({ data: { ...comparison, commits: [] } });
+
+            const changes = await githubService.getReleaseChanges(mockOctokitInstance, 'owner', 'repo', { from: '2.8.1', to: '2.8.3' });
+
+            expect(mockReposCompareCommits.mock.calls[0][0].basehead).toBe('v2.8.1...v2.8.3');
+            expect(changes.releases.map(r => r.tagName)).toEqual(['v2.8.3', 'v2.8.2']);
+        });
+
+        test('should page through releases until both ends of the range are found', async () => {
+            const page = (start, count) => Array.from({ length: count }, (_, i) => ({ tag_name: `v1.${start + i}`, name: `1.${start + i}`, body: '' }));
+            mockReposListReleases
+                .mockResolvedValueOnce({ data: page(300, 100).reverse() })
+                .mockResolvedValueOnce({ data: page(200, 100).reverse() })
+                .mockResolvedValueOnce({ data: page(100, 100).reverse() });
+            mockReposCompareCommits.mockResolvedValueOnce({ data: { ...comparison, commits: [] } });
+
+            const changes = await githubService.getReleaseChanges(mockOctokitInstance, 'owner', 'repo', { from: '1.250', to: 'v1.399' });
+
+            expect(mockReposListReleases).toHaveBeenCalledTimes(2);
+            expect(mockReposListReleases).toHaveBeenLastCalledWith(expect.objectContaining({ page: 2 }));
+            expect(mockReposCompareCommits.mock.calls[0][0].basehead).toBe('v1.250...v1.399');
+            expect(changes.releases).toHaveLength(149);
+            mockReposListReleases.mockReset();
+        });
+
+        test('should page through long comparisons and keep the most recent commits', async () => {
+            const commitPage = (page, count = 100) => ({
+                data: {
+                    html_url: 'http://compare',
+                    total_commits: 650,
+                    commits: Array.from({ length: count }, (_, i) => ({ sha: `p${page}c${i}`, commit: { message: `Commit ${page}.${i}` }, author: { login: 'dev' } }))
+                }
+            });
+            mockReposListReleases.mockResolvedValueOnce({ data: releases });
+            mockReposCompareCommits.mockImplementation(async ({ page }) => commitPage(page, page === 7 ? 50 : 100));
+
+            const changes = await githubService.getReleaseChanges(mockOctokitInstance, 'owner', 'repo');
+
+            expect(mockReposCompareCommits.mock.calls.map(([params]) => params.page)).toEqual([1, 3, 4, 5, 6, 7]);
+            expect(changes.totalCommits).toBe(650);
+            expect(changes.commits).toHaveLength(450);
+            expect(changes.commits[0].sha).toBe('p3c0');
+            expect(changes.commits.at(-1).sha).toBe('p7c49');
+            mockReposCompareCommits.mockReset();
+        });
+
+        test('should fetch every page of a comparison that fits the cap', async () => {
+            mockReposListReleases.mockResolvedValueOnce({ data: releases });
+            mockReposCompareCommits
+                .mockResolvedValueOnce({ data: { ...comparison, total_commits: 101, commits: comparison.commits } })
+                .mockResolvedValueOnce({ data: { ...comparison, total_commits: 101, commits: [{ sha: 'ddd4444', commit: { message: 'Latest' }, author: null }] } });
+
+            const changes = await githubService.getReleaseChanges(mockOctokitInstance, 'owner', 'repo');
+
+            expect(mockReposCompareCommits).toHaveBeenLastCalledWith(expect.objectContaining({ page: 2 }));
+            expect(changes.commits.map(commit => commit.sha)).toEqual(['aaa1111', 'bbb2222', 'ccc3333', 'ddd4444']);
+        });
+
+        test('should return null without enough releases or when the compare fails', async () => {
+            mockReposListReleases.mockResolvedValueOnce({ data: [releases[1]] });
+            expect(await githubService.getReleaseChanges(mockOctokitInstance, 'owner', 'repo')).toBeNull();
+
+            mockReposListReleases.mockResolvedValueOnce({ data: releases });
+            mockReposCompareCommits.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }));
+            expect(await githubService.getReleaseChanges(mockOctokitInstance, 'owner', 'repo', { from: 'nope', to: 'v2.8.3' })).toBeNull();
+        });
+    });
+
+    // --- Tests for getRepoLabels / createGithubIssue ---
+    describe('getRepoLabels and createGithubIssue', () => {
+        test('should list label names and return an empty list on error', async () => {
+            mockIssuesListLabelsForRepo.mockResolvedValueOnce({ data: [{ name: 'bug' }, { name: 'ui' }] });
+            expect(await githubService.getRepoLabels(mockOctokitInstance, 'owner', 'repo')).toEqual(['bug', 'ui']);
+
+            mockIssuesListLabelsForRepo.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }));
+            expect(await githubService.getRepoLabels(mockOctokitInstance, 'owner', 'repo')).toEqual([]);
+        });
+
+        test('should create an issue and return its number and URL', async () => {
+            mockIssuesCreate.mockResolvedValueOnce({ data: { number: 42, html_url: 'http://issue/42' } });
+            const result = await githubService.createGithubIssue(mockOctokitInstance, 'owner', 'repo', { title: 'T', body: 'B', labels: ['bug'] });
+
+            expect(result).toEqual({ number: 42, url: 'http://issue/42' });
+            expect(mockIssuesCreate).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', title: 'T', body: 'B', labels: ['bug'] });
+        });
+
+        test('should return null without a title or when creation fails', async () => {
+            expect(await githubService.createGithubIssue(mockOctokitInstance, 'owner', 'repo', { body: 'B' })).toBeNull();
+            mockIssuesCreate.mockRejectedValueOnce(Object.assign(new Error('Gone'), { status: 410 }));
+            expect(await githubService.createGithubIssue(mockOctokitInstance, 'owner', 'repo', { title: 'T' })).toBeNull();
+        });
+    });
+
 });
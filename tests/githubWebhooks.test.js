@@ -0,0 +1,208 @@
+// tests/githubWebhooks.test.js
+import { jest, describe, test, expect } from '@jest/globals';
+import crypto from 'crypto';
+import { isValidGithubSignature, verifyGithubSignature } from '../src/middleware/githubSignature.js';
+import { buildGithubEventMessage, summarizeDetails, processGithubWebhook, createGithubWebhookHandler, GITHUB_WEBHOOK_JOB } from '../src/githubWebhooks.js';
+import { normalizeRepository, parseEventList, getSubscribedChannels } from '../src/githubSubscriptions.js';
+import { matchCommand } from '../src/handlers/commandRegistry.js';
+import '../src/handlers/githubSubscriptionCommand.js';
+
+const SECRET = 'webhook-secret';
+const sign = (body, secret = SECRET) => 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const repository = { full_name: 'gravityforms/gravityforms' };
+const releasePayload = {
+    action: 'published',
+    repository,
+    sender: { login: 'dev' },
+    release: { tag_name: '2.9.1', name: 'Gravity Forms 2.9.1', html_url: 'https://github.com/gravityforms/gravityforms/releases/2.9.1', body: 'Fixed a bug.' }
+};
+
+describe('GitHub Webhooks', () => {
+    describe('isValidGithubSignature', () => {
+        const rawBody = JSON.stringify({ zen: 'Keep it simple.' });
+
+        test('should accept a correctly signed body', () => {
+            expect(isValidGithubSignature({ secret: SECRET, signature: sign(rawBody), rawBody })).toEqual({ valid: true });
+        });
+
+        test('should reject tampered bodies, other secrets and missing headers', () => {
+            expect(isValidGithubSignature({ secret: SECRET, signature: sign(rawBody), rawBody: rawBody + ' ' }).reason).toBe('Signature mismatch');
+            expect(isValidGithubSignature({ secret: SECRET, signature: sign(rawBody, 'other'), rawBody }).valid).toBe(false);
+            expect(isValidGithubSignature({ secret: SECRET, signature: undefined, rawBody }).valid).toBe(false);
+        });
+
+        test('middleware should 404 without a secret and 401 on a bad signature', () => {
+            const res = { status: jest.fn(() => res), json: jest.fn(), send: jest.fn() };
+            const next = jest.fn();
+            const req = { get: () => 'sha256=nope', rawBody: '{}', method: 'POST', originalUrl: '/github/webhook' };
+
+            verifyGithubSignature(null)(req, res, next);
+            expect(res.status).toHaveBeenCalledWith(404);
+            verifyGithubSignature(SECRET)(req, res, next);
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('buildGithubEventMessage', () => {
+        test('should announce published releases with their notes', () => {
+            const message = buildGithubEventMessage('release', releasePayload);
+            expect(message.repository).toBe('gravityforms/gravityforms');
+            expect(message.markdown).toContain('published release `2.9.1` – Gravity Forms 2.9.1');
+            expect(message.details).toEqual({ kind: 'release notes', text: 'Fixed a bug.' });
+        });
+
+        test('should describe merged pull requests without their description', () => {
+            const message = buildGithubEventMessage('pull_request', {
+                action: 'closed', repository, sender: { login: 'dev' },
+                pull_request: { number: 7, title: 'Add thing', merged: true, body: 'Long text', html_url: 'u', head: { ref: 'feature' }, base: { ref: 'main' } }
+            });
+            expect(message.markdown).toContain('**gravityforms/gravityforms#7** Add thing\nmerged by dev');
+            expect(message.details).toBeNull();
+        });
+
+        test('should skip actions that are not announced', () => {
+            expect(buildGithubEventMessage('release', { ...releasePayload, action: 'edited' })).toBeNull();
+            expect(buildGithubEventMessage('issues', { action: 'labeled', repository, issue: { number: 1 } })).toBeNull();
+            expect(buildGithubEventMessage('workflow_run', { action: 'requested', repository, workflow_run: {} })).toBeNull();
+            expect(buildGithubEventMessage('push', { repository })).toBeNull();
+        });
+    });
+
+    describe('summarizeDetails', () => {
+        test('should post short text as-is and summarize long text', async () => {
+            const llm = jest.fn(async () => '- One\n- Two');
+            expect(await summarizeDetails({ kind: 'release notes', text: 'Short.' }, { workspaceSlug: 'ws', llm })).toBe('Short.');
+            expect(llm).not.toHaveBeenCalled();
+
+            const summary = await summarizeDetails({ kind: 'release notes', text: 'x'.repeat(700) }, { workspaceSlug: 'ws', llm });
+            expect(summary).toBe('**Summary:**\n- One\n- Two');
+        });
+
+        test('should fall back to truncated text without a workspace or when the LLM fails', async () => {
+            const llm = jest.fn(async () => { throw new Error('down'); });
+            const text = 'x'.repeat(2000);
+            expect(await summarizeDetails({ kind: 'notes', text }, { workspaceSlug: null, llm })).toHaveLength(1503);
+            expect(await summarizeDetails({ kind: 'notes', text }, { workspaceSlug: 'ws', llm })).toHaveLength(1503);
+        });
+    });
+
+    describe('processGithubWebhook', () => {
+        test('should post to every subscribed channel and keep going when one fails', async () => {
+            const pool = { query: jest.fn(async () => ({ rows: [{ channel_id: 'C1' }, { channel_id: 'C2' }] })) };
+            const slack = {
+                chat: {
+                    postMessage: jest.fn(async ({ channel }) => {
+                        if (channel === 'C1') throw new Error('channel_not_found');
+                        return { ok: true };
+                    })
+                }
+            };
+
+            const posted = await processGithubWebhook('release', releasePayload, { slack, pool, workspaceSlug: null });
+
+            expect(posted).toBe(1);
+            expect(pool.query.mock.calls[0][1]).toEqual(['gravityforms/gravityforms', 'gravityforms/*', 'release']);
+            expect(slack.chat.postMessage).toHaveBeenLastCalledWith(expect.objectContaining({ channel: 'C2', blocks: expect.any(Array) }));
+        });
+
+        test('should call beforePosting only once there is something to post', async () => {
+            const beforePosting = jest.fn();
+            const slack = { chat: { postMessage: jest.fn(async () => ({ ok: true })) } };
+            const noSubscriptions = { query: jest.fn(async () => ({ rows: [] })) };
+            await processGithubWebhook('release', releasePayload, { slack, pool: noSubscriptions, workspaceSlug: null, beforePosting });
+            expect(beforePosting).not.toHaveBeenCalled();
+
+            const failing = { query: jest.fn(async () => { throw new Error('connection reset'); }) };
+            await expect(processGithubWebhook('release', releasePayload, { slack, pool: failing, workspaceSlug: null, beforePosting })).rejects.toThrow();
+            expect(beforePosting).not.toHaveBeenCalled();
+
+            const pool = { query: jest.fn(async () => ({ rows: [{ channel_id: 'C1' }] })) };
+            await processGithubWebhook('release', releasePayload, { slack, pool, workspaceSlug: null, beforePosting });
+            expect(beforePosting).toHaveBeenCalledTimes(1);
+            expect(beforePosting.mock.invocationCallOrder[0]).toBeLessThan(slack.chat.postMessage.mock.invocationCallOrder[0]);
+        });
+
+        test('should not query subscriptions for ignored actions', async () => {
+            const pool = { query: jest.fn() };
+            expect(await processGithubWebhook('release', { ...releasePayload, action: 'deleted' }, { slack: {}, pool })).toBe(0);
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handleGithubWebhook', () => {
+        const createRequest = (event, delivery = 'd-1') => ({ get: name => ({ 'X-GitHub-Event': event, 'X-GitHub-Delivery': delivery })[name], body: releasePayload });
+        const createResponse = () => {
+            const res = { status: jest.fn(() => res), json: jest.fn() };
+            return res;
+        };
+
+        test('should queue a delivery before acknowledging it', async () => {
+            const enqueue = jest.fn().mockResolvedValue('job-1');
+            const isDuplicate = jest.fn().mockResolvedValue(false);
+            const res = createResponse();
+            await createGithubWebhookHandler({ enqueue, isDuplicate, forget: jest.fn() })(createRequest('release'), res);
+
+            expect(isDuplicate).toHaveBeenCalledWith('github:d-1');
+            expect(enqueue).toHaveBeenCalledWith(GITHUB_WEBHOOK_JOB, { deliveryId: 'd-1', eventName: 'release', payload: releasePayload });
+            expect(enqueue.mock.invocationCallOrder[0]).toBeLessThan(res.status.mock.invocationCallOrder[0]);
+            expect(res.status).toHaveBeenCalledWith(202);
+        });
+
+        test('should answer 503 and forget the delivery when it cannot be queued, so the redelivery is processed', async () => {
+            const seen = new Set();
+            const isDuplicate = jest.fn(async key => seen.has(key) || !seen.add(key));
+            const forget = jest.fn(async key => { seen.delete(key); });
+            const enqueue = jest.fn().mockRejectedValueOnce(new Error('Redis down')).mockResolvedValueOnce('job-2');
+            const handler = createGithubWebhookHandler({ enqueue, isDuplicate, forget });
+
+            const failed = createResponse();
+            await handler(createRequest('release'), failed);
+            expect(failed.status).toHaveBeenCalledWith(503);
+            expect(forget).toHaveBeenCalledWith('github:d-1');
+
+            const redelivered = createResponse();
+            await handler(createRequest('release'), redelivered);
+            expect(enqueue).toHaveBeenCalledTimes(2);
+            expect(redelivered.json).toHaveBeenCalledWith({ ok: true });
+        });
+
+        test('should ignore duplicates, pings and unsupported events without queueing', async () => {
+            const enqueue = jest.fn();
+            const handler = createGithubWebhookHandler({ enqueue, isDuplicate: jest.fn().mockResolvedValue(true), forget: jest.fn() });
+            const responses = [createResponse(), createResponse(), createResponse()];
+            await handler(createRequest('release'), responses[0]);
+            await handler(createRequest('ping'), responses[1]);
+            await handler(createRequest('push'), responses[2]);
+
+            expect(enqueue).not.toHaveBeenCalled();
+            expect(responses.map(res => res.json.mock.calls[0][0])).toEqual([
+                { ok: true, duplicate: true }, { ok: true, message: 'pong' }, { ok: true, ignored: true }
+            ]);
+        });
+    });
+
+    describe('subscriptions', () => {
+        test('the subscribe command should need an owner/repo or owner/* argument', () => {
+            expect(matchCommand('subscribe gravityforms/core releases prs').args).toEqual({ subscribe: true, repository: 'gravityforms/core', events: ['release', 'pull_request'] });
+            expect(matchCommand('unsubscribe gravityforms/*').args).toMatchObject({ subscribe: false, repository: 'gravityforms/*' });
+            expect(matchCommand('subscribe me to the newsletter?')).toBeNull();
+            expect(matchCommand('unsubscribe from these alerts')).toBeNull();
+        });
+
+        test('should normalize repositories and event lists', () => {
+            expect(normalizeRepository('GravityForms/GravityForms')).toBe('gravityforms/gravityforms');
+            expect(normalizeRepository('gravityforms/*')).toBe('gravityforms/*');
+            expect(normalizeRepository('not a repo')).toBeNull();
+            expect(parseEventList(' releases, PRs and ci')).toEqual(['release', 'pull_request', 'workflow_run']);
+            expect(parseEventList('')).toEqual([]);
+        });
+
+        test('getSubscribedChannels should return nothing for invalid repositories', async () => {
+            const pool = { query: jest.fn() };
+            expect(await getSubscribedChannels('nope', 'release', pool)).toEqual([]);
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+});
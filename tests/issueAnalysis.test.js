@@ -0,0 +1,95 @@
+// tests/issueAnalysis.test.js
+import { jest, describe, test, expect } from '@jest/globals';
+import { buildIssueContext, chunkComments, formatIssueHeader, selectStageChunks } from '../src/issueAnalysis.js';
+
+const ref = { owner: 'octo', repo: 'hello', issueNumber: 7 };
+const details = {
+    title: 'Crash on save',
+    body: 'It crashes.',
+    url: 'http://issue/7',
+    state: 'open',
+    author: 'reporter',
+    createdAt: '2026-01-01T00:00:00Z',
+    labels: ['bug'],
+    assignees: [],
+    linkedPullRequests: [{ number: 5, title: 'Fix crash', url: 'http://pr/5', state: 'merged' }],
+    timeline: [{ event: 'labeled', actor: 'triager', createdAt: '2026-01-02T00:00:00Z', detail: 'bug' }],
+    comments: Array.from({ length: 6 }, (_, i) => ({ user: `user${i + 1}`, body: `Comment ${i + 1} ${'x'.repeat(80)}`, createdAt: null }))
+};
+
+describe('Issue Analysis', () => {
+    test('formatIssueHeader should include metadata, linked PRs and timeline', () => {
+        const header = formatIssueHeader(details, ref);
+        expect(header).toContain('octo/hello#7 (open)');
+        expect(header).toContain('**Labels:** bug');
+        expect(header).toContain('**Assignees:** (none)');
+        expect(header).toContain('- #5 Fix crash (merged) http://pr/5');
+        expect(header).toContain('- 2026-01-02 triager labeled: bug');
+    });
+
+    test('chunkComments should keep comments in order within the size limit', () => {
+        const chunks = chunkComments(details.comments, 250);
+        expect(chunks.map(chunk => [chunk.from, chunk.to])).toEqual([[1, 2], [3, 4], [5, 6]]);
+        chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(250));
+    });
+
+    test('short histories should be included verbatim', async () => {
+        const llm = jest.fn();
+        const { context, staged } = await buildIssueContext(details, ref, { workspaceSlug: 'ws', llm });
+        expect(staged).toBe(false);
+        expect(context).toContain('**Comments (6):**');
+        expect(context).toContain('*user6*');
+        expect(llm).not.toHaveBeenCalled();
+    });
+
+    test('long histories should be summarized in stages covering every comment', async () => {
+        const llm = jest.fn(async (workspace, thread, prompt) => `summary of ${prompt.match(/comments (\d+-\d+)/)[1]}`);
+        const onProgress = jest.fn(async () => {});
+        const { context, staged } = await buildIssueContext(details, ref, { workspaceSlug: 'ws', llm, onProgress, maxChars: 300 });
+
+        expect(staged).toBe(true);
+        expect(llm).toHaveBeenCalledTimes(1); // All six comments fit in one default-sized chunk
+        expect(context).toContain('summary of 1-6');
+        expect(onProgress).toHaveBeenCalledWith(expect.stringContaining('part 1 of 1'));
+    });
+
+    test('selectStageChunks should keep the first and the latest chunks', () => {
+        const chunks = Array.from({ length: 6 }, (_, i) => ({ from: i * 2 + 1, to: i * 2 + 2, text: `chunk ${i + 1}` }));
+        expect(selectStageChunks(chunks, 6)).toEqual({ chunks, skipped: null });
+
+        const { chunks: kept, skipped } = selectStageChunks(chunks, 3);
+        expect(kept.map(chunk => chunk.text)).toEqual(['chunk 1', 'chunk 5', 'chunk 6']);
+        expect(skipped).toEqual({ from: 3, to: 8 });
+    });
+
+    test('very long histories should make at most maxStages stage calls', async () => {
+        const longDetails = { ...details, comments: Array.from({ length: 40 }, (_, i) => ({ user: `user${i + 1}`, body: 'y'.repeat(200), createdAt: null })) };
+        const llm = jest.fn(async (workspace, thread, prompt) => `summary of ${prompt.match(/comments (\d+-\d+)/)[1]}`);
+
+        const { context } = await buildIssueContext(longDetails, ref, { workspaceSlug: 'ws', llm, maxChars: 300, maxStages: 3, chunkChars: 500 });
+
+        expect(llm).toHaveBeenCalledTimes(3);
+        expect(context).toContain('summary of 1-2');
+        expect(context).toContain('summary of 39-40');
+        expect(context).toMatch(/\*\*Comments 3-36:\*\* \(skipped/);
+    });
+
+    test('summaries over the budget should be condensed once and then cut to fit', async () => {
+        const header = formatIssueHeader(details, ref);
+        const maxChars = header.length + 2500;
+        const manyComments = { ...details, comments: Array.from({ length: 12 }, (_, i) => ({ user: `user${i + 1}`, body: 'y'.repeat(300), createdAt: null })) };
+        const llm = jest.fn(async (workspace, thread, prompt) => (prompt.startsWith('Condense') ? 'z'.repeat(5000) : 'y'.repeat(1500)));
+        const onProgress = jest.fn(async () => {});
+
+        const { context } = await buildIssueContext(manyComments, ref, { workspaceSlug: 'ws', llm, onProgress, maxChars, chunkChars: 1000 });
+
+        const stagePrompts = llm.mock.calls.map(([, , prompt]) => prompt).filter(prompt => prompt.startsWith('Summarize'));
+        expect(stagePrompts).toHaveLength(4);
+        expect(stagePrompts[0]).toContain('at most 625 characters');
+        expect(llm.mock.calls.at(-1)[2]).toMatch(/^Condense .* into at most 2500 characters/);
+        expect(onProgress).toHaveBeenLastCalledWith(':books: Condensing the discussion...');
+        const discussion = context.split(/\*\*Discussion .*\*\*\n/)[1];
+        expect(discussion.length).toBeLessThanOrEqual(2500);
+        expect(discussion.endsWith('... (cut)')).toBe(true);
+    });
+});
@@ -0,0 +1,82 @@
+// tests/issueDrafts.test.js
+import { describe, test, expect } from '@jest/globals';
+import {
+    trimTranscript, buildIssueDraftPrompt, parseIssueDraft, buildIssueDraftBlocks, buildIssueDraftModal,
+    readIssueDraftSubmission, splitDraftBody, saveIssueDraft, getIssueDraft, takeIssueDraft,
+    ISSUE_DRAFT_OPEN_ACTION, ISSUE_DRAFT_MODAL_CALLBACK_ID
+} from '../src/issueDrafts.js';
+
+const llmDraft = `Here you go:
+\`\`\`json
+{"title": "Export fails for large forms", "summary": "CSV export times out.", "steps_to_reproduce": ["Create 500 entries", "Click Export"],
+ "expected": "A CSV file", "actual": "A 504 error", "labels": ["Bug", "made-up", "export"]}
+\`\`\``;
+
+describe('Issue Drafts', () => {
+    test('trimTranscript should keep the start and the end of long threads', () => {
+        const transcript = `START${'x'.repeat(1000)}END`;
+        const trimmed = trimTranscript(transcript, 200);
+        expect(trimmed.length).toBeLessThanOrEqual(200);
+        expect(trimmed.startsWith('START')).toBe(true);
+        expect(trimmed.endsWith('END')).toBe(true);
+        expect(trimmed).toContain('middle of the conversation omitted');
+        expect(trimTranscript('short', 200)).toBe('short');
+    });
+
+    test('buildIssueDraftPrompt should restrict labels to the repository\'s', () => {
+        const prompt = buildIssueDraftPrompt('# Slack Conversation Export', { owner: 'gf', repo: 'core', availableLabels: ['bug', 'export'], notes: 'mention PHP 8' });
+        expect(prompt).toContain('Draft a GitHub issue for gf/core');
+        expect(prompt).toContain('from this list only: bug, export');
+        expect(prompt).toContain('Also consider: mention PHP 8');
+        expect(prompt).toContain('# Slack Conversation Export');
+    });
+
+    describe('parseIssueDraft', () => {
+        test('should build a sectioned body and keep only known labels', () => {
+            const draft = parseIssueDraft(llmDraft, ['bug', 'export', 'enhancement']);
+            expect(draft.title).toBe('Export fails for large forms');
+            expect(draft.body).toBe('## Summary\nCSV export times out.\n\n## Steps to reproduce\n1. Create 500 entries\n2. Click Export\n\n## Expected behavior\nA CSV file\n\n## Actual behavior\nA 504 error');
+            expect(draft.labels).toEqual(['bug', 'export']);
+        });
+
+        test('should keep suggested labels when the repository has none, and fall back without JSON', () => {
+            expect(parseIssueDraft(llmDraft).labels).toEqual(['Bug', 'made-up', 'export']);
+            expect(parseIssueDraft('Just some text')).toEqual({ title: 'Issue reported in Slack', body: 'Just some text', labels: [] });
+        });
+    });
+
+    test('buildIssueDraftBlocks should carry the draft ID on both buttons', () => {
+        const blocks = buildIssueDraftBlocks({ title: 'T', body: 'B', labels: [] }, { owner: 'gf', repo: 'core', userId: 'U1', draftId: 'd1' });
+        const actions = blocks.find(block => block.type === 'actions');
+        expect(actions.elements.map(element => [element.action_id, element.value])).toEqual([[ISSUE_DRAFT_OPEN_ACTION, 'd1'], ['issue_draft_discard', 'd1']]);
+        expect(blocks[2].elements[0].text).toContain('Labels: none');
+    });
+
+    test('the modal should round-trip through readIssueDraftSubmission', () => {
+        const view = buildIssueDraftModal({ owner: 'gf', repo: 'core', draft: { title: 'T', body: 'x'.repeat(4000), labels: ['bug', 'ui'] } }, { draftId: 'd1', cardTs: '1.2' });
+        expect(view.callback_id).toBe(ISSUE_DRAFT_MODAL_CALLBACK_ID);
+        expect(JSON.parse(view.private_metadata)).toEqual({ draftId: 'd1', cardTs: '1.2' });
+        expect(view.blocks[2].element.initial_value).toHaveLength(3000);
+        expect(view.blocks[3].elements[0].text).toContain('last 1000 characters aren\'t shown');
+
+        const submitted = readIssueDraftSubmission({
+            state: { values: { title_block: { title: { value: ' Edited ' } }, body_block: { body: { value: 'Body' } }, labels_block: { labels: { value: 'bug, , ui ' } } } }
+        });
+        expect(submitted).toEqual({ title: 'Edited', body: 'Body', labels: ['bug', 'ui'] });
+    });
+
+    test('splitDraftBody should cut long bodies at a line break', () => {
+        expect(splitDraftBody('short')).toEqual({ editable: 'short', rest: '' });
+        const body = `${'a'.repeat(2000)}\n${'b'.repeat(2000)}`;
+        expect(splitDraftBody(body)).toEqual({ editable: 'a'.repeat(2000), rest: `\n${'b'.repeat(2000)}` });
+        expect(splitDraftBody('c'.repeat(3500)).editable).toHaveLength(3000);
+    });
+
+    test('drafts should be readable until taken, then gone', async () => {
+        const id = await saveIssueDraft({ owner: 'gf', repo: 'core', draft: { title: 'T', body: '', labels: [] }, userId: 'U1', channel: 'C1', replyTarget: '1.1' });
+        expect(await getIssueDraft(id)).toMatchObject({ owner: 'gf', userId: 'U1' });
+        expect(await getIssueDraft(id)).not.toBeNull();
+        expect(await takeIssueDraft(id)).toMatchObject({ replyTarget: '1.1' });
+        expect(await takeIssueDraft(id)).toBeNull();
+    });
+});
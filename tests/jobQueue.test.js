@@ -0,0 +1,274 @@
+// tests/jobQueue.test.js
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+    computeRetryDelay, registerJobProcessor, enqueueJob, setJobQueueClient, processNextJob, promoteDueJobs
+} from '../src/jobQueue.js';
+import { JOB_QUEUE_REDIS_PREFIX, JOB_LEASE_MS, JOB_RETRY_BASE_DELAY_MS } from '../src/config.js';
+
+const key = name => `${JOB_QUEUE_REDIS_PREFIX}${name}`;
+
+// Just enough of node-redis for the queue: lists, sorted sets, MULTI and its Lua scripts
+function createFakeRedis() {
+    const lists = new Map();
+    const zsets = new Map();
+    const list = name => lists.get(name) ?? lists.set(name, []).get(name);
+    const zset = name => zsets.get(name) ?? zsets.set(name, new Map()).get(name);
+    const commands = {
+        lPush: async (name, value) => list(name).unshift(value),
+        lTrim: async (name, start, stop) => {
+            lists.set(name, list(name).slice(start, stop + 1));
+            return 'OK';
+        },
+        zAdd: async (name, { score, value }, { XX } = {}) => {
+            if (XX && !zset(name).has(value)) return 0;
+            zset(name).set(value, score);
+            return 1;
+        },
+        zRem: async (name, value) => Number(zset(name).delete(value)),
+        zRangeByScore: async (name, min, max, { LIMIT: { count } }) => [...zset(name)]
+            .filter(([, score]) => score <= Number(max)).slice(0, count).map(([job]) => job)
+    };
+    return {
+        ...commands,
+        eval: async (script, { keys: [from, to], arguments: [arg, replacement, now, max] }) => {
+            if (script.includes('RPOP')) {
+                const job = list(from).pop() ?? null;
+                if (job) zset(to).set(job, Number(arg));
+                return job;
+            }
+            if (script.includes('ZSCORE')) {
+                const lease = zset(from).get(arg);
+                if (lease === undefined || (to && lease > Number(now))) return 0;
+                zset(from).delete(arg);
+                if (!to) {
+                    zset(from).set(replacement, lease);
+                    return 1;
+                }
+                list(to).unshift(replacement);
+                if (max) lists.set(to, list(to).slice(0, Number(max)));
+                return 1;
+            }
+            const due = [...zset(from)].filter(([, score]) => score <= Number(arg)).map(([job]) => job);
+            due.forEach(job => {
+                zset(from).delete(job);
+                list(to).unshift(job);
+            });
+            return due.length;
+        },
+        multi() {
+            const queued = [];
+            const chain = { exec: async () => Promise.all(queued.map(run => run())) };
+            for (const [name, command] of Object.entries(commands)) {
+                chain[name] = (...args) => {
+                    queued.push(() => command(...args));
+                    return chain;
+                };
+            }
+            return chain;
+        },
+        jobs: name => list(name).map(raw => JSON.parse(raw)),
+        leases: name => [...zset(name)].map(([raw, score]) => ({ job: JSON.parse(raw), score }))
+    };
+}
+
+describe('Job Queue', () => {
+    test('computeRetryDelay should back off exponentially with bounded jitter', () => {
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const base = 1000 * Math.pow(2, attempt - 1);
+            const delay = computeRetryDelay(attempt, 1000);
+            expect(delay).toBeGreaterThanOrEqual(base);
+            expect(delay).toBeLessThanOrEqual(base * 1.2);
+        }
+    });
+
+    test('enqueueJob should run the job directly with a single attempt when Redis is not configured', async () => {
+        const process = jest.fn(async () => {});
+        registerJobProcessor('test_job', process);
+
+        const jobId = await enqueueJob('test_job', { hello: 'world' });
+
+        expect(jobId).toEqual(expect.any(String));
+        expect(process).toHaveBeenCalledWith(expect.objectContaining({
+            id: jobId, type: 'test_job', payload: { hello: 'world' }, attempt: 1, maxAttempts: 1
+        }), expect.anything());
+    });
+
+    test('enqueueJob should reject unknown job types', async () => {
+        await expect(enqueueJob('unknown_job', {})).rejects.toThrow('No processor registered');
+    });
+
+    describe('with Redis', () => {
+        const start = Date.parse('2024-06-01T00:00:00Z');
+        let redis;
+
+        beforeEach(() => {
+            jest.useFakeTimers({ now: start });
+            redis = createFakeRedis();
+            setJobQueueClient(redis);
+        });
+
+        afterEach(() => {
+            setJobQueueClient(null);
+            jest.useRealTimers();
+        });
+
+        // Claims and runs jobs (promoting due ones first) until the queue has nothing left to run right now
+        async function drain() {
+            await promoteDueJobs();
+            while (await processNextJob()) await promoteDueJobs();
+        }
+
+        test('should claim a job with a lease and ack it once processed', async () => {
+            let leaseWhileRunning;
+            registerJobProcessor('claim_job', async () => {
+                leaseWhileRunning = redis.leases(key('processing'));
+            });
+
+            const jobId = await enqueueJob('claim_job', { n: 1 });
+            expect(redis.jobs(key('pending'))).toEqual([expect.objectContaining({ id: jobId, attempt: 1, maxAttempts: 3 })]);
+
+            expect(await processNextJob()).toBe(true);
+            expect(leaseWhileRunning).toEqual([{ job: expect.objectContaining({ id: jobId }), score: start + JOB_LEASE_MS }]);
+            expect(redis.jobs(key('pending'))).toEqual([]);
+            expect(redis.leases(key('processing'))).toEqual([]);
+            expect(await processNextJob()).toBe(false);
+        });
+
+        test('should extend the lease while a job runs', async () => {
+            let finish;
+            registerJobProcessor('slow_job', () => new Promise(resolve => { finish = resolve; }));
+            await enqueueJob('slow_job', {});
+
+            const running = processNextJob();
+            await jest.advanceTimersByTimeAsync(JOB_LEASE_MS / 2);
+
+            const [{ score }] = redis.leases(key('processing'));
+            expect(score).toBe(start + Math.floor(JOB_LEASE_MS / 3) + JOB_LEASE_MS);
+            finish();
+            await running;
+            expect(redis.leases(key('processing'))).toEqual([]);
+        });
+
+        test('should retry a failed job after a backoff delay', async () => {
+            const process = jest.fn()
+                .mockRejectedValueOnce(new Error('LLM unavailable'))
+                .mockResolvedValueOnce();
+            const onRetry = jest.fn(async () => {});
+            registerJobProcessor('flaky_job', process, onRetry);
+            const jobId = await enqueueJob('flaky_job', {});
+
+            await processNextJob();
+
+            expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ id: jobId, attempt: 2 }), expect.any(Error), expect.any(Number));
+            const [{ job, score }] = redis.leases(key('delayed'));
+            expect(job).toEqual(expect.objectContaining({ id: jobId, attempt: 2, lastError: 'LLM unavailable' }));
+            expect(score).toBeGreaterThanOrEqual(start + JOB_RETRY_BASE_DELAY_MS);
+            expect(score).toBeLessThanOrEqual(start + JOB_RETRY_BASE_DELAY_MS * 1.2);
+            expect(redis.leases(key('processing'))).toEqual([]);
+
+            // Not due yet
+            await drain();
+            expect(process).toHaveBeenCalledTimes(1);
+
+            jest.setSystemTime(score);
+            await drain();
+            expect(process).toHaveBeenCalledTimes(2);
+            expect(process).toHaveBeenLastCalledWith(expect.objectContaining({ id: jobId, attempt: 2 }), expect.anything());
+            expect(redis.leases(key('delayed'))).toEqual([]);
+            expect(redis.jobs(key('dead'))).toEqual([]);
+        });
+
+        test('should move a job to the dead-letter list after maxAttempts', async () => {
+            const process = jest.fn(async () => { throw new Error('still broken'); });
+            registerJobProcessor('broken_job', process);
+            const jobId = await enqueueJob('broken_job', {});
+
+            for (let i = 0; i < 3; i++) {
+                jest.setSystemTime(Date.now() + JOB_RETRY_BASE_DELAY_MS * 10);
+                await drain();
+            }
+
+            expect(process).toHaveBeenCalledTimes(3);
+            expect(redis.jobs(key('dead'))).toEqual([
+                expect.objectContaining({ id: jobId, attempt: 3, lastError: 'still broken', failedAt: expect.any(String) })
+            ]);
+            expect(redis.leases(key('delayed'))).toEqual([]);
+            expect(redis.leases(key('processing'))).toEqual([]);
+        });
+
+        test('should not retry a job that disabled its retries', async () => {
+            const onRetry = jest.fn(async () => {});
+            registerJobProcessor('posting_job', async (job, { disableRetry }) => {
+                disableRetry();
+                throw new Error('failed after posting');
+            }, onRetry);
+            const jobId = await enqueueJob('posting_job', {});
+
+            await processNextJob();
+
+            expect(onRetry).not.toHaveBeenCalled();
+            expect(redis.leases(key('delayed'))).toEqual([]);
+            expect(redis.jobs(key('dead'))).toEqual([expect.objectContaining({ id: jobId, attempt: 1 })]);
+        });
+
+        test('should recover jobs whose lease expired', async () => {
+            const expired = JSON.stringify({ id: 'crashed', type: 'claim_job', attempt: 1, maxAttempts: 3 });
+            const active = JSON.stringify({ id: 'running', type: 'claim_job', attempt: 1, maxAttempts: 3 });
+            await redis.zAdd(key('processing'), { score: start - 1, value: expired });
+            await redis.zAdd(key('processing'), { score: start + JOB_LEASE_MS, value: active });
+
+            await promoteDueJobs();
+
+            expect(redis.jobs(key('pending'))).toEqual([expect.objectContaining({ id: 'crashed', attempt: 2 })]);
+            expect(redis.leases(key('processing'))).toEqual([{ job: expect.objectContaining({ id: 'running' }), score: start + JOB_LEASE_MS }]);
+        });
+
+        test('should dead-letter a job that keeps losing its lease once its attempts are used up', async () => {
+            const wedged = jest.fn(() => new Promise(() => {}));
+            registerJobProcessor('wedged_job', wedged);
+            const jobId = await enqueueJob('wedged_job', {});
+
+            // Each time, the worker running the job dies: its lease is never extended or acked
+            for (let i = 1; i <= 3; i++) {
+                processNextJob();
+                await jest.advanceTimersByTimeAsync(0);
+                jest.clearAllTimers();
+                jest.setSystemTime(start + i * (JOB_LEASE_MS + 1));
+                await promoteDueJobs();
+            }
+
+            expect(wedged.mock.calls.map(([job]) => job.attempt)).toEqual([1, 2, 3]);
+            expect(redis.jobs(key('pending'))).toEqual([]);
+            expect(redis.leases(key('processing'))).toEqual([]);
+            expect(redis.jobs(key('dead'))).toEqual([
+                expect.objectContaining({ id: jobId, attempt: 3, lastError: expect.stringContaining('Lease expired'), failedAt: expect.any(String) })
+            ]);
+        });
+
+        test('should dead-letter instead of rerunning a job whose worker died after disabling its retries', async () => {
+            const posts = [];
+            registerJobProcessor('posted_job', async (job, { disableRetry }) => {
+                await disableRetry();
+                posts.push(job.id);
+                await new Promise(() => {}); // The process dies here
+            });
+            const jobId = await enqueueJob('posted_job', {});
+
+            processNextJob();
+            await jest.advanceTimersByTimeAsync(0);
+            expect(redis.leases(key('processing'))).toEqual([
+                { job: expect.objectContaining({ id: jobId, retryable: false }), score: start + JOB_LEASE_MS }
+            ]);
+
+            // The lease stops being extended once the process is gone
+            jest.clearAllTimers();
+            jest.setSystemTime(start + JOB_LEASE_MS + 1);
+            await drain();
+
+            expect(posts).toEqual([jobId]);
+            expect(redis.jobs(key('pending'))).toEqual([]);
+            expect(redis.leases(key('processing'))).toEqual([]);
+            expect(redis.jobs(key('dead'))).toEqual([expect.objectContaining({ id: jobId, attempt: 1, retryable: false })]);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+// tests/llm.test.js
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import { parseSseEvents, streamLlm } from '../src/llm.js';
+import { setAnythingLLMClient } from '../src/anythingLLMClient.js';
+
+describe('LLM Service', () => {
+    describe('parseSseEvents', () => {
+        test('should parse complete data events', () => {
+            const buffer = 'data: {"type":"textResponseChunk","textResponse":"Hel"}\n\ndata: {"type":"textResponseChunk","textResponse":"lo"}\n\n';
+            const { events, rest } = parseSseEvents(buffer);
+            expect(events).toEqual([
+                { type: 'textResponseChunk', textResponse: 'Hel' },
+                { type: 'textResponseChunk', textResponse: 'lo' }
+            ]);
+            expect(rest).toBe('');
+        });
+
+        test('should keep an incomplete trailing event as rest', () => {
+            const buffer = 'data: {"textResponse":"A"}\n\ndata: {"textRes';
+            const { events, rest } = parseSseEvents(buffer);
+            expect(events).toEqual([{ textResponse: 'A' }]);
+            expect(rest).toBe('data: {"textRes');
+
+            const next = parseSseEvents(rest + 'ponse":"B"}\n\n');
+            expect(next.events).toEqual([{ textResponse: 'B' }]);
+        });
+
+        test('should handle CRLF line endings and ignore non-data lines', () => {
+            const buffer = 'event: message\r\nid: 1\r\ndata: {"close":true}\r\n\r\n';
+            const { events } = parseSseEvents(buffer);
+            expect(events).toEqual([{ close: true }]);
+        });
+
+        test('should skip events with invalid JSON', () => {
+            const { events } = parseSseEvents('data: not-json\n\ndata: {"ok":1}\n\n');
+            expect(events).toEqual([{ ok: 1 }]);
+        });
+    });
+
+    describe('streamLlm', () => {
+        afterEach(() => {
+            setAnythingLLMClient(null);
+        });
+
+        // Splits the SSE bytes at the given byte offsets, like a network stream would
+        const streamOf = (text, cuts) => {
+            const bytes = Buffer.from(text, 'utf8');
+            const offsets = [0, ...cuts, bytes.length];
+            return offsets.slice(1).map((end, i) => bytes.subarray(offsets[i], end));
+        };
+
+        test('should keep multi-byte characters that are split across chunks', async () => {
+            const sse = 'data: {"type":"textResponseChunk","textResponse":"Grüße "}\n\ndata: {"type":"textResponseChunk","textResponse":"👋"}\n\n';
+            const umlaut = Buffer.from(sse).indexOf(Buffer.from('ü'));
+            const emoji = Buffer.from(sse).indexOf(Buffer.from('👋'));
+            setAnythingLLMClient({ streamChat: async () => streamOf(sse, [umlaut + 1, emoji + 1, emoji + 3]) });
+            const onChunk = jest.fn();
+
+            const text = await streamLlm('docs', 'thread-1', 'Hi', onChunk);
+
+            expect(text).toBe('Grüße 👋');
+            expect(onChunk).toHaveBeenLastCalledWith('Grüße 👋', '👋');
+        });
+
+        test('should use a final event that has no closing blank line', async () => {
+            const sse = 'data: {"type":"textResponseChunk","textResponse":"Done"}\n\ndata: {"type":"textResponseChunk","textResponse":" ✓"}';
+            setAnythingLLMClient({ streamChat: async () => streamOf(sse, [Buffer.byteLength(sse) - 2]) });
+
+            expect(await streamLlm('docs', null, 'Hi')).toBe('Done ✓');
+        });
+    });
+});
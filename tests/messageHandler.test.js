@@ -0,0 +1,130 @@
+// tests/messageHandler.test.js
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { createThrottledStreamUpdater, buildFeedbackBlocks } from '../src/handlers/messageHandler.js';
+import { MAX_SLACK_BLOCK_TEXT_LENGTH } from '../src/config.js';
+
+describe('Message Handler', () => {
+    describe('createThrottledStreamUpdater', () => {
+        const INTERVAL_MS = 1000;
+        let slack;
+        let pendingUpdates;
+        const sentTexts = () => slack.chat.update.mock.calls.map(([{ text }]) => text);
+        // Lets the oldest chat.update call finish
+        const finishUpdate = async () => {
+            pendingUpdates.shift()();
+            await jest.advanceTimersByTimeAsync(0);
+        };
+
+        beforeEach(() => {
+            jest.useFakeTimers({ now: Date.parse('2024-06-01T00:00:00Z') });
+            pendingUpdates = [];
+            slack = { chat: { update: jest.fn(() => new Promise(resolve => pendingUpdates.push(resolve))) } };
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should send the first text right away and then at most one update per interval', async () => {
+            const updater = createThrottledStreamUpdater(slack, 'C1', '1.0', INTERVAL_MS);
+
+            updater.update('Hel');
+            await jest.advanceTimersByTimeAsync(0);
+            expect(sentTexts()).toEqual(['Hel :writing_hand:']);
+            expect(slack.chat.update).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C1', ts: '1.0' }));
+
+            // Arrives while the first update is still in flight; intermediate texts are skipped
+            updater.update('Hello');
+            updater.update('Hello, wor');
+            await finishUpdate();
+            await jest.advanceTimersByTimeAsync(INTERVAL_MS - 1);
+            expect(slack.chat.update).toHaveBeenCalledTimes(1);
+
+            await jest.advanceTimersByTimeAsync(1);
+            expect(sentTexts()).toEqual(['Hel :writing_hand:', 'Hello, wor :writing_hand:']);
+            await finishUpdate();
+            await updater.stop();
+        });
+
+        test('should flush the latest text after the interval once the stream goes quiet', async () => {
+            const updater = createThrottledStreamUpdater(slack, 'C1', '1.0', INTERVAL_MS);
+
+            updater.update('A');
+            await jest.advanceTimersByTimeAsync(0);
+            await finishUpdate();
+            updater.update('AB');
+            updater.update('ABC');
+            await jest.advanceTimersByTimeAsync(INTERVAL_MS);
+
+            expect(sentTexts()).toEqual(['A :writing_hand:', 'ABC :writing_hand:']);
+            await finishUpdate();
+
+            // Nothing new, nothing sent
+            await jest.advanceTimersByTimeAsync(INTERVAL_MS * 5);
+            expect(slack.chat.update).toHaveBeenCalledTimes(2);
+            await updater.stop();
+        });
+
+        test('should show the end of long texts within the Slack limit', async () => {
+            const updater = createThrottledStreamUpdater(slack, 'C1', '1.0', INTERVAL_MS);
+            const longText = 'a'.repeat(MAX_SLACK_BLOCK_TEXT_LENGTH) + 'THE END';
+
+            updater.update(longText);
+            await jest.advanceTimersByTimeAsync(0);
+
+            const [text] = sentTexts();
+            expect(text.startsWith('…')).toBe(true);
+            expect(text).toContain('THE END :writing_hand:');
+            expect(text.length).toBe(MAX_SLACK_BLOCK_TEXT_LENGTH + ' :writing_hand:'.length);
+            await finishUpdate();
+            await updater.stop();
+        });
+
+        test('stop should wait for the update in flight and drop pending ones', async () => {
+            const updater = createThrottledStreamUpdater(slack, 'C1', '1.0', INTERVAL_MS);
+
+            updater.update('A');
+            await jest.advanceTimersByTimeAsync(0);
+            updater.update('AB');
+
+            let stopped = false;
+            const stopping = updater.stop().then(() => { stopped = true; });
+            await jest.advanceTimersByTimeAsync(0);
+            expect(stopped).toBe(false);
+
+            await finishUpdate();
+            await stopping;
+            expect(stopped).toBe(true);
+
+            updater.update('ABC');
+            await jest.advanceTimersByTimeAsync(INTERVAL_MS * 5);
+            expect(sentTexts()).toEqual(['A :writing_hand:']);
+        });
+    });
+
+    describe('buildFeedbackBlocks', () => {
+        const answer = { originalTs: '1712345678.000100', workspaceSlug: 'support', fallbackText: 'Try turning it off_and on.' };
+
+        test('should add the feedback buttons and a picker with the other workspaces', async () => {
+            const listWorkspaces = jest.fn().mockResolvedValue(['support', 'billing', 'hosting']);
+
+            const [divider, feedback, picker] = await buildFeedbackBlocks(answer, listWorkspaces);
+
+            expect(divider.type).toBe('divider');
+            expect(feedback.block_id).toBe(`feedback_1712345678.000100_support_${encodeURIComponent('Try turning it off_and on.')}`);
+            expect(feedback.elements.map(element => element.action_id)).toEqual(['feedback_bad', 'feedback_ok', 'feedback_great']);
+            expect(picker.elements[0].options.map(option => option.value)).toEqual(['billing', 'hosting']);
+            expect(listWorkspaces).toHaveBeenCalledTimes(1);
+        });
+
+        test('should leave the picker out when there is nowhere to switch to', async () => {
+            expect(await buildFeedbackBlocks(answer, jest.fn().mockResolvedValue(['support']))).toHaveLength(2);
+            expect(await buildFeedbackBlocks(answer, jest.fn().mockRejectedValue(new Error('AnythingLLM down')))).toHaveLength(2);
+        });
+
+        test('should keep the block_id short for long answers', async () => {
+            const [, feedback] = await buildFeedbackBlocks({ ...answer, fallbackText: 'x'.repeat(500) }, async () => []);
+            expect(feedback.block_id).toBe(`feedback_1712345678.000100_support_${'x'.repeat(150)}`);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+// tests/migrate.test.js
+import { jest, describe, test, expect } from '@jest/globals';
+import { runMigrations, getPendingMigrations, assertSchemaUpToDate } from '../src/migrate.js';
+import { migrations } from '../src/migrations/index.js';
+
+// Minimal fake pg pool that tracks schema_migrations rows and records every query
+function createFakePool({ appliedVersions = [], failOn = null } = {}) {
+    const applied = new Set(appliedVersions);
+    const queries = [];
+    let pendingInsert = null;
+    const client = {
+        query: jest.fn(async (sql, params = []) => {
+            queries.push(sql.trim());
+            if (failOn && sql.includes(failOn)) throw new Error('boom');
+            if (sql.startsWith('SELECT version FROM schema_migrations')) {
+                return { rows: [...applied].map(version => ({ version })) };
+            }
+            if (sql.startsWith('INSERT INTO schema_migrations')) pendingInsert = params[0];
+            if (sql.startsWith('COMMIT') && pendingInsert !== null) { applied.add(pendingInsert); pendingInsert = null; }
+            if (sql.startsWith('ROLLBACK')) pendingInsert = null;
+            return { rows: [] };
+        }),
+        release: jest.fn()
+    };
+    return { pool: { connect: jest.fn(async () => client) }, client, queries, applied };
+}
+
+const testMigrations = [
+    { version: 2, name: 'second', up: 'CREATE TABLE two ();' },
+    { version: 1, name: 'first', up: 'CREATE TABLE one ();' }
+];
+
+describe('Database Migrations', () => {
+    test('shipped migrations should have unique, increasing versions', () => {
+        const versions = migrations.map(migration => migration.version);
+        expect(versions).toEqual([...versions].sort((a, b) => a - b));
+        expect(new Set(versions).size).toBe(versions.length);
+        migrations.forEach(migration => {
+            expect(migration.name).toBeTruthy();
+            expect(migration.up).toMatch(/IF NOT EXISTS/);
+        });
+    });
+
+    test('should apply pending migrations in version order', async () => {
+        const { pool, queries, applied, client } = createFakePool();
+        const result = await runMigrations(pool, testMigrations);
+
+        expect(result).toEqual([1, 2]);
+        expect([...applied]).toEqual([1, 2]);
+        expect(queries.indexOf('CREATE TABLE one ();')).toBeLessThan(queries.indexOf('CREATE TABLE two ();'));
+        expect(queries.some(sql => sql.includes('pg_advisory_unlock'))).toBe(true);
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should skip migrations that were already applied', async () => {
+        const { pool, queries } = createFakePool({ appliedVersions: [1] });
+        const result = await runMigrations(pool, testMigrations);
+
+        expect(result).toEqual([2]);
+        expect(queries).not.toContain('CREATE TABLE one ();');
+    });
+
+    test('should roll back and throw when a migration fails', async () => {
+        const { pool, queries, applied } = createFakePool({ failOn: 'CREATE TABLE two' });
+
+        await expect(runMigrations(pool, testMigrations)).rejects.toThrow('Migration 2_second failed: boom');
+        expect(queries).toContain('ROLLBACK;');
+        expect([...applied]).toEqual([1]);
+    });
+
+    test('should report pending migrations and refuse an outdated schema', async () => {
+        const { pool } = createFakePool({ appliedVersions: [1] });
+
+        const pending = await getPendingMigrations(pool, testMigrations);
+        expect(pending.map(migration => migration.version)).toEqual([2]);
+        await expect(assertSchemaUpToDate(pool, testMigrations)).rejects.toThrow(/Pending migrations: 2_second/);
+    });
+
+    test('should accept an up-to-date schema', async () => {
+        const { pool } = createFakePool({ appliedVersions: [1, 2] });
+        await expect(assertSchemaUpToDate(pool, testMigrations)).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,163 @@
+// tests/prReview.test.js
+import { jest, describe, test, expect } from '@jest/globals';
+import {
+    splitReviewResponse, getCommentableLines, mapFindingsToReviewComments, buildReviewBody,
+    buildReviewBatches, estimateTokens, runMapReduceReview, formatPerFileFindings
+} from '../src/prReview.js';
+
+const patch = [
+    '@@ -10,4 +10,5 @@ function foo() {',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    '+const c = 4;',
+    ' return a;',
+    '@@ -40,2 +41,2 @@',
+    ' x();',
+    '+y();',
+    '\\ No newline at end of file'
+].join('\n');
+
+describe('PR Review', () => {
+    test('getCommentableLines should list new-version lines from every hunk', () => {
+        expect([...getCommentableLines(patch)]).toEqual([10, 11, 12, 13, 41, 42]);
+        expect(getCommentableLines(undefined).size).toBe(0);
+    });
+
+    test('splitReviewResponse should separate the trailing JSON findings', () => {
+        const response = 'Looks fine overall.\n\n```json\n{"summary": "OK", "findings": [{"path": "a.js", "line": 11, "comment": "Why 3?"}, {"path": "a.js"}]}\n```';
+        const { reviewText, structured } = splitReviewResponse(response);
+        expect(reviewText).toBe('Looks fine overall.');
+        expect(structured).toEqual({ summary: 'OK', verdict: null, findings: [{ path: 'a.js', line: 11, comment: 'Why 3?' }] });
+    });
+
+    test('splitReviewResponse should keep the whole text when the JSON is missing or invalid', () => {
+        expect(splitReviewResponse('No JSON here')).toEqual({ reviewText: 'No JSON here', structured: null });
+        expect(splitReviewResponse('Text\n```json\n{oops}\n```').structured).toBeNull();
+    });
+
+    test('mapFindingsToReviewComments should only place findings on diff lines', () => {
+        const files = [{ filename: 'a.js', patch }, { filename: 'b.js' }];
+        const findings = [
+            { path: 'a.js', line: 12, severity: 'minor', comment: 'Name c better.' },
+            { path: 'a.js', line: 30, comment: 'Outside the diff.' },
+            { path: 'b.js', line: 1, comment: 'Binary file.' },
+            { comment: 'General remark.' }
+        ];
+        const { comments, unmapped } = mapFindingsToReviewComments(findings, files);
+        expect(comments).toEqual([{ path: 'a.js', line: 12, side: 'RIGHT', body: '**minor:** Name c better.' }]);
+        expect(unmapped.map(finding => finding.comment)).toEqual(['Outside the diff.', 'Binary file.', 'General remark.']);
+    });
+
+    test('buildReviewBody should include the summary and unplaced findings', () => {
+        const body = buildReviewBody('Solid change.', [{ path: 'a.js', line: 30, severity: 'nit', comment: 'Outside the diff.' }]);
+        expect(body).toContain('Solid change.');
+        expect(body).toContain('- `a.js:30` **nit:** Outside the diff.');
+    });
+    describe('map-reduce review', () => {
+        const bigPatch = ['@@ -1,200 +1,200 @@', ...Array.from({ length: 200 }, (_, i) => `+line ${i + 1} ${'x'.repeat(40)}`)].join('\n');
+        const files = [
+            { filename: 'small.js', status: 'modified', additions: 1, deletions: 0, patch: '@@ -1,1 +1,2 @@\n a\n+b' },
+            { filename: 'big.js', status: 'added', additions: 200, deletions: 0, patch: bigPatch },
+            { filename: 'logo.png', status: 'added', additions: 0, deletions: 0 }
+        ];
+
+        test('buildReviewBatches should respect the budget and split large files without losing lines', () => {
+            const batches = buildReviewBatches(files, { maxTokens: 2000 });
+            const bigParts = batches.flatMap(batch => batch.sections).filter(section => section.filename === 'big.js');
+
+            expect(batches.length).toBeGreaterThan(1);
+            batches.forEach(batch => expect(batch.tokens).toBeLessThanOrEqual(2000));
+            expect(bigParts.length).toBeGreaterThan(1);
+            expect(bigParts.every(part => part.parts === bigParts.length)).toBe(true);
+            const commentable = bigParts.flatMap(part => [...getCommentableLines(part.patch)]);
+            expect(commentable).toEqual(Array.from({ length: 200 }, (_, i) => i + 1));
+            expect(batches.flatMap(batch => batch.sections).some(section => section.filename === 'logo.png' && section.patch === null)).toBe(true);
+        });
+
+        test('estimateTokens should be roughly four characters per token', () => {
+            expect(estimateTokens('abcdefgh')).toBe(2);
+            expect(estimateTokens(undefined)).toBe(0);
+        });
+
+        test('runMapReduceReview should review every batch, then synthesize', async () => {
+            const llm = jest.fn(async (workspace, thread, prompt) => {
+                if (prompt.startsWith('You are reviewing part')) {
+                    return JSON.stringify({ files: [
+                        { path: 'small.js', summary: 'Adds b.', findings: [{ line: 2, severity: 'minor', comment: 'b is unused.' }] },
+                        { path: 'not-in-batch.js', summary: 'Ignored.', findings: [{ line: 1, comment: 'Ignored.' }] }
+                    ] });
+                }
+                return 'Overall fine.\n```json\n{"summary": "Fine.", "verdict": "needs changes"}\n```';
+            });
+            const onProgress = jest.fn(async () => {});
+            const review = await runMapReduceReview({
+                owner: 'o', repo: 'r', prNumber: 1, workspaceSlug: 'ws', onProgress, llm,
+                prDetails: { title: 'T', body: 'B', comments: [], files: files.slice(0, 1) }
+            });
+
+            expect(llm).toHaveBeenCalledTimes(2);
+            expect(llm.mock.calls[1][2]).toContain('small.js: Adds b.');
+            expect(review.reviewText).toBe('Overall fine.');
+            expect(review.structured).toEqual({
+                summary: 'Fine.', verdict: 'needs changes',
+                findings: [{ path: 'small.js', line: 2, severity: 'minor', comment: 'b is unused.' }]
+            });
+            expect(review.notReviewed).toEqual([]);
+            expect(onProgress).toHaveBeenCalledWith(expect.stringContaining('batch 1 of 1'));
+        });
+
+        test('runMapReduceReview should fail when no batch produced a usable result', async () => {
+            const llm = jest.fn(async () => 'not json');
+            await expect(runMapReduceReview({
+                owner: 'o', repo: 'r', prNumber: 1, workspaceSlug: 'ws', llm,
+                prDetails: { title: 'T', body: '', comments: [], files: files.slice(0, 1) }
+            })).rejects.toThrow('None of the files could be reviewed.');
+        });
+
+        test('runMapReduceReview should report a file with some failed parts as partially reviewed, not as not reviewed', async () => {
+            const hugePatch = ['@@ -1,200 +1,200 @@', ...Array.from({ length: 200 }, (_, i) => `+line ${i + 1} ${'x'.repeat(200)}`)].join('\n');
+            const prFiles = [{ filename: 'huge.js', status: 'added', additions: 200, deletions: 0, patch: hugePatch }];
+            const parts = buildReviewBatches(prFiles).flatMap(batch => batch.sections).length;
+            let batchCalls = 0;
+            const llm = jest.fn(async (workspace, thread, prompt) => {
+                if (prompt.startsWith('You are reviewing part')) {
+                    batchCalls++;
+                    if (batchCalls === 2) return 'not json';
+                    return JSON.stringify({ files: [{ path: 'huge.js', summary: 'Adds lines.', findings: batchCalls === 1 ? [{ line: 1, severity: 'minor', comment: 'Long line.' }] : [] }] });
+                }
+                return 'Overall fine.\n```json\n{"summary": "Fine.", "verdict": "comment"}\n```';
+            });
+            const review = await runMapReduceReview({
+                owner: 'o', repo: 'r', prNumber: 1, workspaceSlug: 'ws', llm,
+                prDetails: { title: 'T', body: '', comments: [], files: prFiles }
+            });
+
+            expect(parts).toBeGreaterThan(1);
+            expect(review.notReviewed).toEqual([]);
+            expect(review.partiallyReviewed).toEqual([{ filename: 'huge.js', parts, missingParts: [2] }]);
+            expect(llm.mock.calls.at(-1)[2]).toContain(`**Partially reviewed (size limit or errors):** huge.js (part 2 of ${parts} not reviewed)`);
+            expect(formatPerFileFindings(review.structured.findings, 1, review.notReviewed, review.partiallyReviewed))
+                .toBe(`*Findings per file*\n\`huge.js\` _(part 2 of ${parts} not reviewed)_\n• L1 (minor) Long line.`);
+        });
+
+        test('formatPerFileFindings should list partially reviewed files without findings once', () => {
+            const text = formatPerFileFindings(
+                [{ path: 'a.js', line: 3, severity: 'nit', comment: 'Style.' }],
+                4,
+                ['b.js'],
+                [{ filename: 'c.js', parts: 3, missingParts: [2, 3] }]
+            );
+            expect(text).toBe('*Findings per file*\n`a.js`\n• L3 (nit) Style.\n_No issues found in 1 other file._\n'
+                + ':warning: Partially reviewed, no issues in the reviewed parts: `c.js` (parts 2, 3 of 3 not reviewed)\n:warning: Not reviewed: `b.js`');
+        });
+
+        test('formatPerFileFindings should group by file, most severe first', () => {
+            const text = formatPerFileFindings([
+                { path: 'a.js', line: 3, severity: 'nit', comment: 'Style.' },
+                { path: 'a.js', line: 9, severity: 'critical', comment: 'Crash.' }
+            ], 4, ['b.js']);
+            expect(text).toBe('*Findings per file*\n`a.js`\n• L9 (critical) Crash.\n• L3 (nit) Style.\n_No issues found in 2 other files._\n:warning: Not reviewed: `b.js`');
+        });
+    });
+});
@@ -0,0 +1,55 @@
+// tests/rateLimiter.test.js
+import { jest, describe, test, expect } from '@jest/globals';
+import { getBuckets, checkRateLimit, formatRateLimitMessage } from '../src/rateLimiter.js';
+
+const limits = {
+    chat: { user: { capacity: 10, perMinute: 6 }, channel: { capacity: 30, perMinute: 60 } },
+    pr_review: { user: { capacity: 2, perMinute: 1 } }
+};
+
+describe('Rate Limiter', () => {
+    describe('getBuckets', () => {
+        test('should return a user and a channel bucket for the category', () => {
+            const buckets = getBuckets({ userId: 'U1', channelId: 'C1', category: 'chat' }, limits);
+            expect(buckets).toEqual([
+                { scope: 'user', key: 'rate_limit:chat:user:U1', capacity: 10, refillPerMs: 6 / 60000 },
+                { scope: 'channel', key: 'rate_limit:chat:channel:C1', capacity: 30, refillPerMs: 60 / 60000 }
+            ]);
+        });
+
+        test('should skip scopes without a limit and fall back to chat for unknown categories', () => {
+            expect(getBuckets({ userId: 'U1', channelId: 'C1', category: 'pr_review' }, limits).map(b => b.key))
+                .toEqual(['rate_limit:pr_review:user:U1']);
+            expect(getBuckets({ userId: 'U1', channelId: 'C1', category: 'nope' }, limits).map(b => b.key))
+                .toEqual(['rate_limit:chat:user:U1', 'rate_limit:chat:channel:C1']);
+        });
+    });
+
+    describe('checkRateLimit', () => {
+        test('should allow the request when every bucket has a token', async () => {
+            const client = { eval: jest.fn(async () => [-1, 0]) };
+            const result = await checkRateLimit({ userId: 'U1', channelId: 'C1' }, { client, limits, now: 1000 });
+
+            expect(result).toEqual({ allowed: true });
+            const [, { keys, arguments: args }] = client.eval.mock.calls[0];
+            expect(keys).toEqual(['rate_limit:chat:user:U1', 'rate_limit:chat:channel:C1']);
+            expect(args).toEqual(['1000', '10', String(6 / 60000), '30', String(60 / 60000)]);
+        });
+
+        test('should report the blocking scope and wait time', async () => {
+            const client = { eval: jest.fn(async () => [1, 4200]) };
+            const result = await checkRateLimit({ userId: 'U1', channelId: 'C1' }, { client, limits });
+            expect(result).toEqual({ allowed: false, scope: 'channel', retryAfterMs: 4200 });
+        });
+
+        test('should fail open when Redis errors', async () => {
+            const client = { eval: jest.fn(async () => { throw new Error('down'); }) };
+            await expect(checkRateLimit({ userId: 'U1', channelId: 'C1' }, { client, limits })).resolves.toEqual({ allowed: true });
+        });
+    });
+
+    test('formatRateLimitMessage should say who is limited and when to retry', () => {
+        expect(formatRateLimitMessage({ scope: 'user', retryAfterMs: 4200 })).toContain('You have sent a lot of requests recently. Please try again in 5 seconds');
+        expect(formatRateLimitMessage({ scope: 'channel', retryAfterMs: 180000 }, 'pr_review')).toContain('This channel has sent a lot of `pr_review` requests recently. Please try again in 3 minutes');
+    });
+});
@@ -0,0 +1,53 @@
+// tests/releaseChanges.test.js
+import { describe, test, expect } from '@jest/globals';
+import { formatReleaseChangesContext, buildReleaseChangesPrompt, formatReleaseChangesFallback } from '../src/releaseChanges.js';
+
+const changes = {
+    from: 'v2.8.1',
+    to: 'v2.8.3',
+    compareUrl: 'http://compare',
+    totalCommits: 4,
+    commits: [
+        { sha: 'aaaaaaa111', message: 'Merge pull request #10 from x/y\n\nAdd export', author: 'dev' },
+        { sha: 'bbbbbbb222', message: 'Fix typo (#11)', author: 'dev' },
+        { sha: 'ccccccc333', message: 'Tidy up logging\n\nDetails', author: 'dev' }
+    ],
+    pullRequests: [
+        { number: 10, title: 'Add export', labels: ['feature'], author: 'dev', url: 'http://pr/10', body: 'Adds CSV\nexport' },
+        { number: 11, title: 'Fix typo', labels: [], author: 'dev', url: 'http://pr/11', body: '' }
+    ],
+    releases: [{ tagName: 'v2.8.3', name: '2.8.3', body: 'Bug fixes.', publishedAt: '2024-03-01' }]
+};
+
+describe('Release Changes', () => {
+    describe('formatReleaseChangesContext', () => {
+        test('should list notes, PRs and only the commits not covered by a PR', () => {
+            const { context, truncated } = formatReleaseChangesContext(changes, 10000);
+            expect(context).toContain('### 2.8.3 (v2.8.3)\nBug fixes.');
+            expect(context).toContain('- #10 Add export [feature]\n  Adds CSV export');
+            expect(context).toContain('**Other commits:**\n- Tidy up logging (ccccccc)');
+            expect(context).not.toContain('Fix typo (#11)');
+            // total_commits is larger than the commits we got
+            expect(truncated).toBe(true);
+        });
+
+        test('should stop adding lines at the budget', () => {
+            const { context, truncated } = formatReleaseChangesContext({ ...changes, totalCommits: 3 }, 60);
+            expect(context.length).toBeLessThanOrEqual(60);
+            expect(truncated).toBe(true);
+        });
+    });
+
+    test('buildReleaseChangesPrompt should ask for grouped, customer-facing notes', () => {
+        const prompt = buildReleaseChangesPrompt(changes, { owner: 'gf', repo: 'gravityforms' }, 10000);
+        expect(prompt).toContain('gf/gravityforms between v2.8.1 and v2.8.3 (4 commits)');
+        expect(prompt).toContain('**Features**, **Fixes** and **Breaking changes**');
+        expect(prompt).toContain('may be incomplete');
+    });
+
+    test('formatReleaseChangesFallback should prefer PRs and fall back to commits', () => {
+        expect(formatReleaseChangesFallback(changes)).toBe('• [#10](http://pr/10) Add export\n• [#11](http://pr/11) Fix typo');
+        expect(formatReleaseChangesFallback({ ...changes, pullRequests: [] }, 1)).toBe('• Merge pull request #10 from x/y\n…and 2 more');
+        expect(formatReleaseChangesFallback({ ...changes, pullRequests: [], commits: [] })).toBe('(No changes found.)');
+    });
+});
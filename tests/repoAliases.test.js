@@ -0,0 +1,53 @@
+// tests/repoAliases.test.js
+import { describe, test, expect } from '@jest/globals';
+import { buildRegistry, resolveRepository, editDistance, formatKnownAliases, DEFAULT_REPO_ALIASES } from '../src/repoAliases.js';
+
+const registry = buildRegistry({
+    defaultOwner: 'acme',
+    repoTemplate: 'acme-{name}',
+    repositories: [
+        { repo: 'acme/acme-billing', aliases: ['billing', 'payments'] },
+        { repo: 'widgets', aliases: ['Widget Factory'] }
+    ]
+});
+
+describe('Repository Aliases', () => {
+    test('editDistance should count insertions, deletions and substitutions', () => {
+        expect(editDistance('stripe', 'stripe')).toBe(0);
+        expect(editDistance('stirpe', 'stripe')).toBe(2);
+        expect(editDistance('strpe', 'stripe')).toBe(1);
+        expect(editDistance('', 'abc')).toBe(3);
+    });
+
+    test('should resolve aliases, repo names and owner/repo', () => {
+        expect(resolveRepository('Payments', registry)).toEqual({ owner: 'acme', repo: 'acme-billing', source: 'alias' });
+        expect(resolveRepository('acme-billing', registry)).toEqual({ owner: 'acme', repo: 'acme-billing', source: 'alias' });
+        expect(resolveRepository('widget factory addon', registry)).toEqual({ owner: 'acme', repo: 'widgets', source: 'alias' });
+        expect(resolveRepository('octocat/hello-world', registry)).toEqual({ owner: 'octocat', repo: 'hello-world', source: 'explicit' });
+    });
+
+    test('should suggest close matches for typos', () => {
+        expect(resolveRepository('biling', registry)).toEqual({ owner: null, repo: null, suggestions: ['billing'] });
+    });
+
+    test('should guess from the repo template for unknown names', () => {
+        expect(resolveRepository('reports', registry)).toEqual({ owner: 'acme', repo: 'acme-reports', source: 'template' });
+        expect(resolveRepository('acme-reports', registry)).toEqual({ owner: 'acme', repo: 'acme-reports', source: 'template' });
+    });
+
+    test('should give up without a template', () => {
+        const noTemplate = buildRegistry({ repositories: [{ repo: 'acme/billing' }] });
+        expect(resolveRepository('something else', noTemplate)).toEqual({ owner: null, repo: null, suggestions: [] });
+    });
+
+    test('default registry should keep the existing product names', () => {
+        const defaults = buildRegistry(DEFAULT_REPO_ALIASES);
+        expect(resolveRepository('paypal checkout', defaults).repo).toBe('gravityformsppcp');
+        expect(resolveRepository('stripe', defaults).repo).toBe('gravityformsstripe');
+        expect(resolveRepository('mailchimp', defaults)).toEqual({ owner: 'gravityforms', repo: 'gravityformsmailchimp', source: 'template' });
+    });
+
+    test('formatKnownAliases should group aliases by repository', () => {
+        expect(formatKnownAliases(registry)).toBe('• `acme/acme-billing`: billing, payments\n• `acme/widgets`: widget factory');
+    });
+});
@@ -0,0 +1,196 @@
+// tests/resilientHttp.test.js
+import { describe, test, expect, jest } from '@jest/globals';
+import {
+    describeFailure, computeRetryDelay, withRetry, fetchWithRetry, installOctokitRetry,
+    runWithDelayNotifier, formatDelayNotice, isIdempotentMethod
+} from '../src/resilientHttp.js';
+
+const NOW = Date.UTC(2024, 0, 1, 12, 0, 0);
+const now = () => NOW;
+const noJitter = () => 1; // Always the full exponential delay
+
+// Shapes of the errors thrown by the clients we wrap
+const axiosError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+const octokitError = (status, headers = {}) => Object.assign(new Error('HttpError'), { status, response: { headers } });
+const networkError = code => Object.assign(new Error(code), { code });
+
+describe('Resilient HTTP', () => {
+    describe('computeRetryDelay', () => {
+        test('should back off exponentially with jitter for 5xx and network errors', () => {
+            const options = { baseDelayMs: 1000, maxDelayMs: 5000, now, random: noJitter };
+            expect(computeRetryDelay(describeFailure(axiosError(502)), 1, options)).toEqual({ delayMs: 1000, rateLimited: false });
+            expect(computeRetryDelay(describeFailure(axiosError(503)), 3, options)).toEqual({ delayMs: 4000, rateLimited: false });
+            expect(computeRetryDelay(describeFailure(networkError('ECONNRESET')), 5, options)).toEqual({ delayMs: 5000, rateLimited: false });
+            // The lowest jitter is half the delay
+            expect(computeRetryDelay(describeFailure(axiosError(500)), 2, { ...options, random: () => 0 }).delayMs).toBe(1000);
+        });
+
+        test('should not retry client errors, 501 or client-side timeouts', () => {
+            expect(computeRetryDelay(describeFailure(axiosError(404)), 1)).toBeNull();
+            expect(computeRetryDelay(describeFailure(octokitError(403)), 1)).toBeNull();
+            expect(computeRetryDelay(describeFailure(axiosError(501)), 1)).toBeNull();
+            expect(computeRetryDelay(describeFailure(networkError('ECONNABORTED')), 1)).toBeNull();
+        });
+
+        test('should wait for Retry-After in seconds or as an HTTP date', () => {
+            expect(computeRetryDelay(describeFailure(axiosError(429, { 'retry-after': '30' })), 1, { now })).toEqual({ delayMs: 30000, rateLimited: true });
+            const date = new Date(NOW + 90000).toUTCString();
+            expect(computeRetryDelay(describeFailure(axiosError(429, { 'retry-after': date })), 1, { now }).delayMs).toBe(90000);
+            // GitHub's secondary rate limit is a 403 with Retry-After
+            expect(computeRetryDelay(describeFailure(octokitError(403, { 'retry-after': '60' })), 1, { now })).toEqual({ delayMs: 60000, rateLimited: true });
+        });
+
+        test('should wait until X-RateLimit-Reset when GitHub\'s quota is used up', () => {
+            const headers = { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(NOW / 1000 + 120) };
+            expect(computeRetryDelay(describeFailure(octokitError(403, headers)), 1, { now })).toEqual({ delayMs: 121000, rateLimited: true });
+        });
+
+        test('should read headers from fetch Headers objects', () => {
+            const failure = describeFailure({ response: { status: 429, headers: new Headers({ 'Retry-After': '5' }) } });
+            expect(computeRetryDelay(failure, 1, { now })).toEqual({ delayMs: 5000, rateLimited: true });
+        });
+    });
+
+    describe('withRetry', () => {
+        const options = { baseDelayMs: 100, now, random: noJitter };
+
+        test('should retry until the operation succeeds', async () => {
+            const sleep = jest.fn().mockResolvedValue();
+            const operation = jest.fn()
+                .mockRejectedValueOnce(axiosError(502))
+                .mockRejectedValueOnce(networkError('ECONNRESET'))
+                .mockResolvedValueOnce('ok');
+
+            await expect(withRetry(operation, { ...options, sleep })).resolves.toBe('ok');
+            expect(operation).toHaveBeenCalledTimes(3);
+            expect(sleep.mock.calls).toEqual([[100], [200]]);
+        });
+
+        test('should rethrow non-retryable errors and the last error once attempts run out', async () => {
+            const sleep = jest.fn().mockResolvedValue();
+            const notFound = axiosError(404);
+            await expect(withRetry(jest.fn().mockRejectedValue(notFound), { ...options, sleep })).rejects.toBe(notFound);
+            expect(sleep).not.toHaveBeenCalled();
+
+            const operation = jest.fn().mockRejectedValue(axiosError(500));
+            await expect(withRetry(operation, { ...options, sleep, maxAttempts: 3 })).rejects.toThrow('500');
+            expect(operation).toHaveBeenCalledTimes(3);
+        });
+
+        test('should give up when the wait would exceed the total time budget and say why', async () => {
+            const sleep = jest.fn().mockResolvedValue();
+            const notify = jest.fn();
+            const operation = jest.fn().mockRejectedValue(octokitError(429, { 'retry-after': '600' }));
+
+            await expect(runWithDelayNotifier(notify, () => withRetry(operation, { ...options, sleep, maxTotalMs: 60000, service: 'GitHub' }))).rejects.toThrow();
+            expect(operation).toHaveBeenCalledTimes(1);
+            expect(sleep).not.toHaveBeenCalled();
+            expect(notify).toHaveBeenCalledWith({ service: 'GitHub', delayMs: 600000, rateLimited: true, retrying: false });
+        });
+
+        test('should retry non-idempotent operations only when they were never processed', async () => {
+            const sleep = jest.fn().mockResolvedValue();
+            const badGateway = axiosError(502);
+            const once = jest.fn().mockRejectedValueOnce(badGateway).mockResolvedValueOnce('ok');
+            await expect(withRetry(once, { ...options, sleep, idempotent: false })).rejects.toBe(badGateway);
+            expect(once).toHaveBeenCalledTimes(1);
+
+            const reset = networkError('ECONNRESET');
+            const dropped = jest.fn().mockRejectedValueOnce(reset).mockResolvedValueOnce('ok');
+            await expect(withRetry(dropped, { ...options, sleep, idempotent: false })).rejects.toBe(reset);
+
+            const rateLimited = jest.fn().mockRejectedValueOnce(axiosError(429, { 'retry-after': '1' })).mockResolvedValueOnce('ok');
+            await expect(withRetry(rateLimited, { ...options, sleep, idempotent: false })).resolves.toBe('ok');
+            const refused = jest.fn().mockRejectedValueOnce(networkError('ECONNREFUSED')).mockResolvedValueOnce('ok');
+            await expect(withRetry(refused, { ...options, sleep, idempotent: false })).resolves.toBe('ok');
+        });
+
+        test('should announce long waits to the notifier of the surrounding call only', async () => {
+            const sleep = jest.fn().mockResolvedValue();
+            const notify = jest.fn();
+            const failingOnce = () => jest.fn().mockRejectedValueOnce(axiosError(429, { 'retry-after': '10' })).mockResolvedValueOnce('ok');
+
+            await runWithDelayNotifier(notify, async () => {
+                await Promise.resolve(); // Survives async hops
+                await withRetry(failingOnce(), { ...options, sleep, service: 'AnythingLLM', noticeMs: 5000 });
+                // Short waits are not announced
+                await withRetry(jest.fn().mockRejectedValueOnce(axiosError(503)).mockResolvedValueOnce('ok'), { ...options, sleep, noticeMs: 5000 });
+            });
+            await withRetry(failingOnce(), { ...options, sleep, noticeMs: 5000 });
+
+            expect(notify).toHaveBeenCalledTimes(1);
+            expect(notify).toHaveBeenCalledWith({ service: 'AnythingLLM', delayMs: 10000, rateLimited: true, retrying: true });
+        });
+    });
+
+    test('fetchWithRetry should retry 5xx responses and resolve with the final response', async () => {
+        const sleep = jest.fn().mockResolvedValue();
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce(new Response('down', { status: 503 }))
+            .mockResolvedValueOnce(new Response('{}', { status: 200 }));
+        const response = await fetchWithRetry('https://api.github.com/repos/a/b', { method: 'GET' }, { fetchImpl, sleep, random: noJitter });
+        expect(response.status).toBe(200);
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+
+        const notFound = jest.fn().mockResolvedValue(new Response('nope', { status: 404 }));
+        expect((await fetchWithRetry('https://api.github.com/x', {}, { fetchImpl: notFound, sleep })).status).toBe(404);
+        expect(notFound).toHaveBeenCalledTimes(1);
+
+        const alwaysDown = jest.fn().mockResolvedValue(new Response('down', { status: 502 }));
+        expect((await fetchWithRetry('https://api.github.com/x', {}, { fetchImpl: alwaysDown, sleep, maxAttempts: 2 })).status).toBe(502);
+        expect(alwaysDown).toHaveBeenCalledTimes(2);
+    });
+
+    test('isIdempotentMethod should accept GET, HEAD, PUT and DELETE in any case', () => {
+        expect(['get', 'HEAD', 'put', 'DELETE'].every(method => isIdempotentMethod(method))).toBe(true);
+        expect(isIdempotentMethod()).toBe(true);
+        expect(isIdempotentMethod('post')).toBe(false);
+        expect(isIdempotentMethod('PATCH')).toBe(false);
+    });
+
+    test('fetchWithRetry should not retry a POST that hit a 502 unless it opts in', async () => {
+        const sleep = jest.fn().mockResolvedValue();
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce(new Response('bad gateway', { status: 502 }))
+            .mockResolvedValueOnce(new Response('{}', { status: 201 }));
+        const response = await fetchWithRetry('https://api.github.com/repos/a/b/issues', { method: 'POST', body: '{}' }, { fetchImpl, sleep });
+        expect(response.status).toBe(502);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+        expect(sleep).not.toHaveBeenCalled();
+
+        const optedIn = jest.fn()
+            .mockResolvedValueOnce(new Response('bad gateway', { status: 502 }))
+            .mockResolvedValueOnce(new Response('{}', { status: 200 }));
+        const retried = await fetchWithRetry('https://api.github.com/graphql', { method: 'POST', body: '{}' }, { fetchImpl: optedIn, sleep, idempotent: true, random: noJitter });
+        expect(retried.status).toBe(200);
+        expect(optedIn).toHaveBeenCalledTimes(2);
+    });
+
+    test('installOctokitRetry should wrap the request hook', async () => {
+        let wrapper;
+        const octokit = { hook: { wrap: jest.fn((name, fn) => { wrapper = fn; }) } };
+        expect(installOctokitRetry(octokit, { sleep: () => Promise.resolve(), random: noJitter })).toBe(octokit);
+        expect(octokit.hook.wrap.mock.calls[0][0]).toBe('request');
+
+        const request = jest.fn().mockRejectedValueOnce(octokitError(502)).mockResolvedValueOnce({ data: 1 });
+        await expect(wrapper(request, { method: 'GET', url: '/repos/{owner}/{repo}' })).resolves.toEqual({ data: 1 });
+        expect(request).toHaveBeenCalledTimes(2);
+
+        // Creating an issue twice would file a duplicate
+        const create = jest.fn().mockRejectedValueOnce(octokitError(502)).mockResolvedValueOnce({ data: 2 });
+        await expect(wrapper(create, { method: 'POST', url: '/repos/{owner}/{repo}/issues' })).rejects.toThrow('HttpError');
+        expect(create).toHaveBeenCalledTimes(1);
+
+        const optedIn = jest.fn().mockRejectedValueOnce(octokitError(502)).mockResolvedValueOnce({ data: 3 });
+        await expect(wrapper(optedIn, { method: 'POST', url: '/markdown', request: { idempotent: true } })).resolves.toEqual({ data: 3 });
+    });
+
+    test('formatDelayNotice should describe rate limits, outages and giving up', () => {
+        expect(formatDelayNotice({ service: 'GitHub', delayMs: 30000, rateLimited: true, retrying: true }))
+            .toBe(':hourglass: GitHub is rate limiting me, so your answer will be delayed by about 30s.');
+        expect(formatDelayNotice({ service: 'AnythingLLM', delayMs: 8000, rateLimited: false, retrying: true }))
+            .toBe(':hourglass: AnythingLLM is having trouble, retrying in 8s...');
+        expect(formatDelayNotice({ service: 'GitHub', delayMs: 600000, rateLimited: true, retrying: false }, now))
+            .toBe(':no_entry: GitHub is rate limiting me for another 10 minutes, so I can\'t finish this now. Please try again after 12:10 UTC.');
+    });
+});
@@ -0,0 +1,91 @@
+// tests/slackSignature.test.js
+import { jest, describe, test, expect } from '@jest/globals';
+import crypto from 'crypto';
+import { isValidSlackSignature, verifySlackSignature } from '../src/middleware/slackSignature.js';
+
+const SECRET = 'test-signing-secret';
+const NOW = 1700000000;
+
+function sign(body, timestamp, secret = SECRET) {
+    return 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+}
+
+describe('Slack Signature Verification', () => {
+    const rawBody = 'payload=%7B%22type%22%3A%22block_actions%22%7D';
+
+    describe('isValidSlackSignature', () => {
+        test('should accept a correctly signed, fresh request', () => {
+            const result = isValidSlackSignature({
+                secret: SECRET, signature: sign(rawBody, NOW), timestamp: String(NOW), rawBody, nowSeconds: NOW + 10
+            });
+            expect(result).toEqual({ valid: true });
+        });
+
+        test('should reject a tampered body', () => {
+            const result = isValidSlackSignature({
+                secret: SECRET, signature: sign(rawBody, NOW), timestamp: String(NOW), rawBody: rawBody + 'x', nowSeconds: NOW
+            });
+            expect(result.valid).toBe(false);
+            expect(result.reason).toBe('Signature mismatch');
+        });
+
+        test('should reject a signature made with another secret', () => {
+            const result = isValidSlackSignature({
+                secret: SECRET, signature: sign(rawBody, NOW, 'other'), timestamp: String(NOW), rawBody, nowSeconds: NOW
+            });
+            expect(result.valid).toBe(false);
+        });
+
+        test('should reject replayed (old) timestamps', () => {
+            const result = isValidSlackSignature({
+                secret: SECRET, signature: sign(rawBody, NOW), timestamp: String(NOW), rawBody, nowSeconds: NOW + 301
+            });
+            expect(result.valid).toBe(false);
+            expect(result.reason).toMatch(/replay/);
+        });
+
+        test('should reject missing headers, secret or raw body', () => {
+            expect(isValidSlackSignature({ secret: SECRET, signature: null, timestamp: String(NOW), rawBody, nowSeconds: NOW }).valid).toBe(false);
+            expect(isValidSlackSignature({ secret: SECRET, signature: sign(rawBody, NOW), timestamp: null, rawBody, nowSeconds: NOW }).valid).toBe(false);
+            expect(isValidSlackSignature({ secret: null, signature: sign(rawBody, NOW), timestamp: String(NOW), rawBody, nowSeconds: NOW }).valid).toBe(false);
+            expect(isValidSlackSignature({ secret: SECRET, signature: sign(rawBody, NOW), timestamp: String(NOW), rawBody: undefined, nowSeconds: NOW }).valid).toBe(false);
+        });
+
+        test('should reject signatures of a different length without throwing', () => {
+            const result = isValidSlackSignature({
+                secret: SECRET, signature: 'v0=abc', timestamp: String(NOW), rawBody, nowSeconds: NOW
+            });
+            expect(result.valid).toBe(false);
+        });
+    });
+
+    describe('verifySlackSignature middleware', () => {
+        function mockReqRes(headers, body) {
+            const req = { method: 'POST', originalUrl: '/slack/interactions', rawBody: body, get: name => headers[name] };
+            const res = { status: jest.fn().mockReturnThis(), send: jest.fn().mockReturnThis() };
+            return { req, res };
+        }
+
+        test('should call next() for a valid request', () => {
+            const timestamp = Math.floor(Date.now() / 1000);
+            const { req, res } = mockReqRes({ 'X-Slack-Signature': sign(rawBody, timestamp), 'X-Slack-Request-Timestamp': String(timestamp) }, rawBody);
+            const next = jest.fn();
+
+            verifySlackSignature(SECRET)(req, res, next);
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(res.status).not.toHaveBeenCalled();
+        });
+
+        test('should respond 401 for an invalid request', () => {
+            const timestamp = Math.floor(Date.now() / 1000);
+            const { req, res } = mockReqRes({ 'X-Slack-Signature': 'v0=bad', 'X-Slack-Request-Timestamp': String(timestamp) }, rawBody);
+            const next = jest.fn();
+
+            verifySlackSignature(SECRET)(req, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+// tests/slashCommandHandler.test.js
+import { describe, test, expect, jest } from '@jest/globals';
+import { processSlashCommand, parseSlackPermalink, buildAskResponseBlocks } from '../src/handlers/slashCommandHandler.js';
+
+const PERMALINK = 'https://team.slack.com/archives/C0PRIVATE/p1712345678123456?thread_ts=1712345600.000100&cid=C0PRIVATE';
+
+function createDeps(overrides = {}) {
+    return {
+        respond: jest.fn().mockResolvedValue(),
+        getWorkspaces: jest.fn().mockResolvedValue(['support', 'billing']),
+        queryLlm: jest.fn().mockResolvedValue('An answer'),
+        routeWorkspace: jest.fn().mockResolvedValue({ slug: 'support' }),
+        exportThread: jest.fn().mockResolvedValue(),
+        slackClient: { conversations: { members: jest.fn().mockResolvedValue({ members: ['U1'] }) } },
+        ...overrides
+    };
+}
+
+const payload = (command, text, overrides = {}) => ({ command, text, user_id: 'U1', channel_id: 'C0HERE', response_url: 'https://hooks.slack.com/r', ...overrides });
+
+describe('Slash Command Handler', () => {
+    test('parseSlackPermalink should read the thread from links to replies and to thread starts', () => {
+        expect(parseSlackPermalink(`<${PERMALINK}>`)).toEqual({ channelId: 'C0PRIVATE', threadTs: '1712345600.000100' });
+        expect(parseSlackPermalink('https://team.slack.com/archives/C01/p1712345678123456')).toEqual({ channelId: 'C01', threadTs: '1712345678.123456' });
+        expect(parseSlackPermalink('not a link')).toBeNull();
+        expect(parseSlackPermalink(undefined)).toBeNull();
+    });
+
+    describe('routing', () => {
+        test('should answer /ask in the routed workspace, privately unless --public', async () => {
+            const deps = createDeps();
+            await processSlashCommand(payload('/ask', 'How do refunds work?'), deps);
+            expect(deps.routeWorkspace).toHaveBeenCalledWith({ text: 'How do refunds work?', channelId: 'C0HERE', userId: 'U1' });
+            expect(deps.queryLlm).toHaveBeenCalledWith('support', null, 'How do refunds work?');
+            expect(deps.respond.mock.calls[0][1]).toMatchObject({ response_type: 'ephemeral', text: 'An answer' });
+
+            await processSlashCommand(payload('/ASK', '#billing Refunds? --public'), deps);
+            expect(deps.queryLlm).toHaveBeenLastCalledWith('billing', null, 'Refunds?');
+            expect(deps.respond.mock.calls[1][1].response_type).toBe('in_channel');
+        });
+
+        test('should refuse unknown workspaces and commands', async () => {
+            const deps = createDeps();
+            await processSlashCommand(payload('/ask', '#nope question'), deps);
+            await processSlashCommand(payload('/frobnicate', ''), deps);
+            expect(deps.queryLlm).not.toHaveBeenCalled();
+            expect(deps.respond.mock.calls.map(([, message]) => message.text)).toEqual([
+                'Workspace `nope` doesn\'t exist. Use `/workspace` to see the available ones.',
+                'Sorry, I don\'t know the command `/frobnicate`.'
+            ]);
+        });
+
+        test('should list workspaces and report handler errors', async () => {
+            const deps = createDeps();
+            await processSlashCommand(payload('/workspace', ''), deps);
+            expect(deps.respond.mock.calls[0][1].text).toContain('• `#support`\n• `#billing`');
+
+            const failing = createDeps({ queryLlm: jest.fn().mockRejectedValue(new Error('down')) });
+            await processSlashCommand(payload('/ask', 'question'), failing);
+            expect(failing.respond.mock.calls[0][1].text).toBe('⚠️ Oops! Something went wrong running `/ask`.');
+        });
+    });
+
+    describe('/export', () => {
+        test('should export threads from conversations the user is a member of', async () => {
+            const deps = createDeps({
+                slackClient: {
+                    conversations: {
+                        members: jest.fn()
+                            .mockResolvedValueOnce({ members: ['U7'], response_metadata: { next_cursor: 'page2' } })
+                            .mockResolvedValueOnce({ members: ['U1'], response_metadata: { next_cursor: '' } })
+                    }
+                }
+            });
+            await processSlashCommand(payload('/export', PERMALINK), deps);
+
+            expect(deps.slackClient.conversations.members.mock.calls[1][0]).toMatchObject({ channel: 'C0PRIVATE', cursor: 'page2' });
+            expect(deps.exportThread).toHaveBeenCalledWith('C0PRIVATE', '1712345600.000100', 'U1');
+        });
+
+        test('should refuse threads from conversations the user is not in, or the bot can\'t check', async () => {
+            const notMember = createDeps({ slackClient: { conversations: { members: jest.fn().mockResolvedValue({ members: ['U7'] }) } } });
+            await processSlashCommand(payload('/export', PERMALINK), notMember);
+
+            const unknown = createDeps({ slackClient: { conversations: { members: jest.fn().mockRejectedValue(Object.assign(new Error('x'), { data: { error: 'channel_not_found' } })) } } });
+            await processSlashCommand(payload('/export', PERMALINK), unknown);
+
+            for (const deps of [notMember, unknown]) {
+                expect(deps.exportThread).not.toHaveBeenCalled();
+                expect(deps.respond.mock.calls[0][1].text).toBe('Sorry, you can only export threads from conversations you\'re a member of.');
+            }
+        });
+
+        test('should export from the current conversation without a membership lookup, and explain the usage', async () => {
+            const deps = createDeps();
+            await processSlashCommand(payload('/export', PERMALINK, { channel_id: 'C0PRIVATE' }), deps);
+            expect(deps.slackClient.conversations.members).not.toHaveBeenCalled();
+            expect(deps.exportThread).toHaveBeenCalled();
+
+            await processSlashCommand(payload('/export', 'that thread'), deps);
+            expect(deps.respond.mock.calls.at(-1)[1].text).toContain('Usage: `/export <link to a thread message>`');
+        });
+    });
+
+    test('buildAskResponseBlocks should keep the start of answers too long for one message', () => {
+        const reply = Array.from({ length: 60 }, (_, i) => `Paragraph ${i}\n\`\`\`\ncode ${i}\n\`\`\``).join('\n');
+        const blocks = buildAskResponseBlocks(reply, 'support');
+
+        expect(blocks).toHaveLength(50);
+        expect(JSON.stringify(blocks[0])).toContain('Paragraph 0');
+        expect(blocks[48].elements[0].text).toContain('its end was cut off');
+        expect(blocks[49].elements[0].text).toBe('_Workspace: support_');
+        expect(buildAskResponseBlocks('Short', 'support')).toHaveLength(2);
+    });
+});
@@ -0,0 +1,104 @@
+// tests/socketMode.test.js
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import { startSocketMode, stopSocketMode } from '../src/socketMode.js';
+
+// Records the listeners so tests can deliver envelopes the way SocketModeClient does
+function createStubClient() {
+    const listeners = new Map();
+    return {
+        listeners,
+        on: jest.fn((name, listener) => listeners.set(name, listener)),
+        start: jest.fn(async () => {}),
+        disconnect: jest.fn(async () => {})
+    };
+}
+
+// Starts Socket Mode with a stub client and handlers that note when they ran relative to the ack
+async function start() {
+    const calls = [];
+    const client = createStubClient();
+    const createClient = jest.fn(() => client);
+    const handler = name => jest.fn(async () => { calls.push(name); });
+    const deps = {
+        appToken: 'xapp-test',
+        createClient,
+        handleSlackEvent: handler('event'),
+        processInteractionPayload: handler('interaction'),
+        processSlashCommand: handler('slash')
+    };
+    await startSocketMode(deps);
+    const deliver = async (type, envelope) => {
+        const ack = jest.fn(async () => { calls.push('ack'); });
+        await client.listeners.get(type)({ ack, ...envelope });
+        await Promise.resolve();
+        return ack;
+    };
+    return { client, createClient, deps, calls, deliver };
+}
+
+describe('Socket Mode', () => {
+    afterEach(async () => {
+        await stopSocketMode();
+    });
+
+    test('should require an app token', async () => {
+        await expect(startSocketMode({ appToken: null, createClient: jest.fn() })).rejects.toThrow('SLACK_APP_TOKEN');
+    });
+
+    test('should create the client with auto-reconnect and start it', async () => {
+        const { client, createClient } = await start();
+        expect(createClient).toHaveBeenCalledWith({ appToken: 'xapp-test', autoReconnectEnabled: true });
+        expect([...client.listeners.keys()]).toEqual(expect.arrayContaining(['events_api', 'interactive', 'slash_commands']));
+        expect(client.start).toHaveBeenCalled();
+    });
+
+    test('should ack events before handling them and skip unhandled event types', async () => {
+        const { deps, calls, deliver } = await start();
+        const body = { event_id: 'Ev1', event: { type: 'app_mention', text: 'hi' } };
+
+        await deliver('events_api', { body });
+        expect(calls).toEqual(['ack', 'event']);
+        expect(deps.handleSlackEvent).toHaveBeenCalledWith(body.event, body);
+
+        const ack = await deliver('events_api', { body: { event_id: 'Ev2', event: { type: 'reaction_added' } } });
+        expect(ack).toHaveBeenCalled();
+        expect(deps.handleSlackEvent).toHaveBeenCalledTimes(1);
+    });
+
+    test('should ack interactions before passing them to the interaction handler', async () => {
+        const { deps, calls, deliver } = await start();
+        const body = { type: 'block_actions', actions: [{ action_id: 'feedback_good' }] };
+
+        await deliver('interactive', { body });
+
+        expect(calls).toEqual(['ack', 'interaction']);
+        expect(deps.processInteractionPayload).toHaveBeenCalledWith(body);
+    });
+
+    test('should ack slash commands with a working note before processing them', async () => {
+        const { deps, calls, deliver } = await start();
+        const body = { command: '/ask', text: 'hello', response_url: 'https://hooks.slack.test/1' };
+
+        const ack = await deliver('slash_commands', { body });
+
+        expect(ack).toHaveBeenCalledWith(expect.objectContaining({ response_type: 'ephemeral' }));
+        expect(calls).toEqual(['ack', 'slash']);
+        expect(deps.processSlashCommand).toHaveBeenCalledWith(body);
+    });
+
+    test('should keep the connection when a handler fails', async () => {
+        const { deps, deliver } = await start();
+        deps.handleSlackEvent.mockRejectedValueOnce(new Error('boom'));
+
+        await expect(deliver('events_api', { body: { event_id: 'Ev3', event: { type: 'message' } } })).resolves.toBeDefined();
+    });
+
+    test('stop should disconnect once', async () => {
+        const { client } = await start();
+
+        await stopSocketMode();
+        await stopSocketMode();
+
+        expect(client.disconnect).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,94 @@
+// tests/threadCleanup.test.js
+import { describe, test, expect, jest } from '@jest/globals';
+import { runThreadCleanup, formatCleanupReport, withThreadCleanupLock } from '../src/threadCleanup.js';
+import { NotFoundError, ServerError } from '../src/anythingLLMClient.js';
+
+const NOW = Date.parse('2024-06-30T00:00:00Z');
+
+const mapping = (ts, thread) => ({
+    slack_channel_id: 'C1',
+    slack_thread_ts: ts,
+    anythingllm_workspace_slug: 'support',
+    anythingllm_thread_slug: thread,
+    last_accessed_at: new Date('2024-04-01T00:00:00Z')
+});
+
+function createDeps(rows, overrides = {}) {
+    return {
+        listIdle: jest.fn().mockResolvedValue(rows),
+        removeMapping: jest.fn().mockResolvedValue(true),
+        deleteThread: jest.fn().mockResolvedValue(),
+        ...overrides
+    };
+}
+
+describe('Thread Cleanup', () => {
+    test('should remove the mapping before deleting the AnythingLLM thread', async () => {
+        const rows = [mapping('1.0', 'a'), mapping('2.0', 'b')];
+        const deps = createDeps(rows);
+        const report = await runThreadCleanup({ idleDays: 30, dryRun: false, mode: 'archive', limit: 100, now: NOW }, deps);
+
+        const idleBefore = new Date('2024-05-31T00:00:00Z');
+        expect(deps.listIdle).toHaveBeenCalledWith(idleBefore, 100);
+        expect(deps.removeMapping).toHaveBeenCalledWith(rows[0], idleBefore, { archive: true });
+        expect(deps.deleteThread.mock.calls).toEqual([['support', 'a'], ['support', 'b']]);
+        expect(deps.removeMapping.mock.invocationCallOrder[0]).toBeLessThan(deps.deleteThread.mock.invocationCallOrder[0]);
+        expect(report).toMatchObject({ dryRun: false, candidates: 2, removed: rows, skipped: 0, failed: [] });
+    });
+
+    test('dry runs should only report', async () => {
+        const deps = createDeps([mapping('1.0', 'a')]);
+        const report = await runThreadCleanup({ idleDays: 30, dryRun: true, now: NOW }, deps);
+        expect(report.removed).toHaveLength(1);
+        expect(deps.removeMapping).not.toHaveBeenCalled();
+        expect(deps.deleteThread).not.toHaveBeenCalled();
+        expect(formatCleanupReport(report)).toBe('Dry run: 1 thread(s) idle since before 2024-05-31T00:00:00.000Z would be removed.');
+    });
+
+    test('should skip threads used in the meantime and report failed deletions', async () => {
+        const rows = [mapping('1.0', 'used'), mapping('2.0', 'gone'), mapping('3.0', 'broken')];
+        const deps = createDeps(rows, {
+            removeMapping: jest.fn().mockResolvedValueOnce(false).mockResolvedValue(true),
+            deleteThread: jest.fn().mockRejectedValueOnce(new NotFoundError('404')).mockRejectedValueOnce(new ServerError('502'))
+        });
+        const report = await runThreadCleanup({ idleDays: 30, dryRun: false, mode: 'delete', now: NOW }, deps);
+
+        expect(deps.removeMapping.mock.calls[0][2]).toEqual({ archive: false });
+        expect(report.skipped).toBe(1);
+        expect(report.removed.map(row => row.anythingllm_thread_slug)).toEqual(['gone']);
+        expect(report.failed).toEqual([{ ...rows[2], error: '502' }]);
+        expect(formatCleanupReport(report, { verbose: true }).split('\n')).toEqual([
+            'Removed 1 of 3 thread(s) idle since before 2024-05-31T00:00:00.000Z (1 used again in the meantime, 1 failed).',
+            '  - C1:2.0 -> support:gone (last used 2024-04-01T00:00:00.000Z)',
+            '  ! C1:3.0 -> support:broken: 502'
+        ]);
+    });
+
+    test('should refuse a missing or non-positive idle age', async () => {
+        await expect(runThreadCleanup({ idleDays: 0, now: NOW }, createDeps([]))).rejects.toThrow('positive number of days');
+        await expect(runThreadCleanup({ idleDays: NaN, now: NOW }, createDeps([]))).rejects.toThrow('positive number of days');
+    });
+
+    describe('withThreadCleanupLock', () => {
+        test('should run only when the lock is free and release it with its token', async () => {
+            const client = { set: jest.fn().mockResolvedValueOnce('OK').mockResolvedValueOnce(null), eval: jest.fn().mockResolvedValue(1) };
+            const fn = jest.fn().mockResolvedValue('done');
+
+            expect(await withThreadCleanupLock(fn, { client, useRedis: true })).toEqual({ ran: true, result: 'done' });
+            const [key, token, options] = client.set.mock.calls[0];
+            expect(options).toMatchObject({ NX: true });
+            expect(client.eval.mock.calls[0][1]).toEqual({ keys: [key], arguments: [token] });
+
+            expect(await withThreadCleanupLock(fn, { client, useRedis: true })).toEqual({ ran: false });
+            expect(fn).toHaveBeenCalledTimes(1);
+        });
+
+        test('should release the lock when the run fails, and run unlocked without Redis', async () => {
+            const client = { set: jest.fn().mockResolvedValue('OK'), eval: jest.fn().mockResolvedValue(1) };
+            await expect(withThreadCleanupLock(() => Promise.reject(new Error('db down')), { client, useRedis: true })).rejects.toThrow('db down');
+            expect(client.eval).toHaveBeenCalled();
+
+            expect(await withThreadCleanupLock(async () => 1, { useRedis: false })).toEqual({ ran: true, result: 1 });
+        });
+    });
+});
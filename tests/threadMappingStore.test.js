@@ -0,0 +1,152 @@
+// tests/threadMappingStore.test.js
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { createMemoryMappingStore, createRedisMappingStore, copyThreadMappings } from '../src/threadMappingStore.js';
+import {
+    setThreadMappingStore, getAnythingLLMThreadMapping, storeAnythingLLMThreadMapping, replaceAnythingLLMThreadMapping,
+    getAnythingLLMThreadMappingHistory
+} from '../src/services.js';
+
+// Just enough of node-redis for the Redis store, including its compare-and-set script
+function createFakeRedis() {
+    const data = new Map();
+    const expiries = new Map();
+    return {
+        data,
+        expiries,
+        get: async key => data.get(key) ?? null,
+        set: async (key, value, { NX, EX } = {}) => {
+            if (NX && data.has(key)) return null;
+            data.set(key, value);
+            expiries.set(key, EX);
+            return 'OK';
+        },
+        eval: async (_script, { keys: [key], arguments: [expected, next, ttl] }) => {
+            if ((data.get(key) ?? '') !== expected) return 0;
+            if (next === '') data.delete(key);
+            else {
+                data.set(key, next);
+                expiries.set(key, Number(ttl));
+            }
+            return 1;
+        },
+        async *scanIterator({ MATCH }) {
+            for (const key of [...data.keys()]) {
+                if (key.startsWith(MATCH.slice(0, -1))) yield key;
+            }
+        }
+    };
+}
+
+// A clock the tests move forward
+function createClock(start = '2024-06-01T00:00:00Z') {
+    let time = Date.parse(start);
+    return { now: () => time, advanceDays: days => { time += days * 86400000; } };
+}
+
+const storeFactories = {
+    memory: clock => ({ store: createMemoryMappingStore({ now: clock.now }) }),
+    redis: clock => {
+        const redis = createFakeRedis();
+        return { redis, store: createRedisMappingStore(redis, { prefix: 'thread_map:', ttlSeconds: 3600, now: clock.now }) };
+    }
+};
+
+describe('Thread Mapping Stores', () => {
+    describe.each(Object.keys(storeFactories))('%s store', name => {
+        test('should store once, get and replace with history', async () => {
+            const clock = createClock();
+            const { store } = storeFactories[name](clock);
+
+            expect(await store.get('C1', '1.0')).toBeNull();
+            expect(await store.store('C1', '1.0', 'support', 't1')).toBe(true);
+            expect(await store.store('C1', '1.0', 'other', 't9')).toBe(false);
+            expect(await store.get('C1', '1.0')).toEqual({ anythingllm_workspace_slug: 'support', anythingllm_thread_slug: 't1' });
+
+            clock.advanceDays(1);
+            expect(await store.replace('C1', '1.0', 'billing', 't2', { reason: 'switch', changedBy: 'U1' })).toBe(true);
+            expect(await store.get('C1', '1.0')).toEqual({ anythingllm_workspace_slug: 'billing', anythingllm_thread_slug: 't2' });
+            expect(await store.history('C1', '1.0')).toEqual([
+                { anythingllm_workspace_slug: 'support', anythingllm_thread_slug: 't1', started_at: new Date('2024-06-01T00:00:00Z'), ended_at: new Date('2024-06-02T00:00:00Z'), reason: 'switch' },
+                { anythingllm_workspace_slug: 'billing', anythingllm_thread_slug: 't2', started_at: new Date('2024-06-02T00:00:00Z'), ended_at: null, reason: null }
+            ]);
+            expect(await store.history('C1', 'missing')).toEqual([]);
+        });
+
+        test('should list idle mappings and only remove them while still idle', async () => {
+            const clock = createClock();
+            const { store } = storeFactories[name](clock);
+            await store.store('C1', 'old', 'support', 't-old');
+            clock.advanceDays(10);
+            await store.store('C1', 'new', 'support', 't-new');
+            clock.advanceDays(1);
+
+            const idleBefore = new Date(clock.now() - 5 * 86400000);
+            const idle = await store.listIdle(idleBefore, 10);
+            expect(idle.map(mapping => mapping.anythingllm_thread_slug)).toEqual(['t-old']);
+            expect(idle[0]).toMatchObject({ slack_channel_id: 'C1', slack_thread_ts: 'old', last_accessed_at: new Date('2024-06-01T00:00:00Z') });
+
+            await store.get('C1', 'old'); // Used again after being listed
+            expect(await store.removeIdle(idle[0], idleBefore, { archive: false })).toBe(false);
+
+            clock.advanceDays(10);
+            const later = new Date(clock.now() - 5 * 86400000);
+            const [stale] = await store.listIdle(later, 10);
+            await store.replace('C1', stale.slack_thread_ts, 'billing', 't-replaced', { reason: 'reset' });
+            expect(await store.removeIdle(stale, later, { archive: false })).toBe(false);
+
+            const [replaced] = await store.listIdle(new Date(clock.now() + 1), 1);
+            expect(await store.removeIdle(replaced, new Date(clock.now() + 1), { archive: false })).toBe(true);
+            expect(await store.get('C1', replaced.slack_thread_ts)).toBeNull();
+        });
+    });
+
+    test('redis store should refresh the expiry when a mapping is used', async () => {
+        const clock = createClock();
+        const { store, redis } = storeFactories.redis(clock);
+        await store.store('C1', '1.0', 'support', 't1');
+        expect(redis.expiries.get('thread_map:C1:1.0')).toBe(3600);
+
+        clock.advanceDays(1);
+        redis.expiries.delete('thread_map:C1:1.0');
+        await store.get('C1', '1.0');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(redis.expiries.get('thread_map:C1:1.0')).toBe(3600);
+        expect(JSON.parse(redis.data.get('thread_map:C1:1.0')).last_accessed_at).toBe('2024-06-02T00:00:00.000Z');
+    });
+
+    test('copyThreadMappings should copy mappings with their history and skip existing ones', async () => {
+        const clock = createClock();
+        const { store: source } = storeFactories.redis(clock);
+        await source.store('C1', '1.0', 'support', 't1');
+        await source.replace('C1', '1.0', 'billing', 't2', { reason: 'switch', changedBy: 'U1' });
+        await source.store('C1', '2.0', 'support', 't3');
+
+        const target = createMemoryMappingStore();
+        await target.store('C1', '2.0', 'hosting', 'kept');
+
+        expect(await copyThreadMappings(source, target)).toEqual({ copied: 1, skipped: 1, failed: 0 });
+        expect(await target.history('C1', '1.0')).toEqual(await source.history('C1', '1.0'));
+        expect(await target.get('C1', '2.0')).toEqual({ anythingllm_workspace_slug: 'hosting', anythingllm_thread_slug: 'kept' });
+    });
+
+    describe('services.js', () => {
+        afterEach(() => setThreadMappingStore(null));
+
+        test('should go through the configured store', async () => {
+            setThreadMappingStore(createMemoryMappingStore());
+            expect(await storeAnythingLLMThreadMapping('C1', '1.0', 'support', 't1')).toBe(true);
+            expect(await replaceAnythingLLMThreadMapping('C1', '1.0', 'billing', 't2', { reason: 'switch' })).toBe(true);
+            expect(await getAnythingLLMThreadMapping('C1', '1.0')).toEqual({ anythingllm_workspace_slug: 'billing', anythingllm_thread_slug: 't2' });
+            expect((await getAnythingLLMThreadMappingHistory('C1', '1.0')).map(entry => entry.anythingllm_workspace_slug)).toEqual(['support', 'billing']);
+        });
+
+        test('should turn store errors into empty results', async () => {
+            const failing = () => Promise.reject(new Error('down'));
+            setThreadMappingStore({ name: 'broken', get: failing, store: failing, replace: failing, history: failing });
+            expect(await getAnythingLLMThreadMapping('C1', '1.0')).toBeNull();
+            expect(await storeAnythingLLMThreadMapping('C1', '1.0', 'support', 't1')).toBe(false);
+            expect(await replaceAnythingLLMThreadMapping('C1', '1.0', 'support', 't1', { reason: 'reset' })).toBe(false);
+            expect(await getAnythingLLMThreadMappingHistory('C1', '1.0')).toEqual([]);
+        });
+    });
+});
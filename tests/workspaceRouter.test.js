@@ -0,0 +1,105 @@
+// tests/workspaceRouter.test.js
+import { describe, test, expect, jest } from '@jest/globals';
+import { routeWorkspace, classifyByKeywords, classifyWithLlm, buildClassifierPrompt } from '../src/workspaceRouter.js';
+
+const workspaces = [
+    { slug: 'all', name: 'All', description: '' },
+    { slug: 'general', name: 'General', description: 'Routes questions' },
+    { slug: 'billing', name: 'Billing', description: 'Invoices, refunds, licenses and payments' },
+    { slug: 'gravityforms', name: 'Gravity Forms', description: 'Form builder, entries, notifications and add-ons' },
+    { slug: 'hosting', name: 'Hosting', description: 'Servers, DNS, SSL and backups' }
+];
+
+const baseOptions = {
+    channelMap: {},
+    userMap: {},
+    fallback: 'support',
+    classifierSlug: null,
+    minConfidence: 0.5,
+    listWorkspaces: async () => workspaces
+};
+
+describe('Workspace Router', () => {
+    describe('routeWorkspace priority', () => {
+        test('channel mapping wins over everything', async () => {
+            const route = await routeWorkspace({ text: '#billing refund?', channelId: 'C1', userId: 'U1' }, { ...baseOptions, channelMap: { C1: 'hosting' }, userMap: { U1: 'billing' } });
+            expect(route).toEqual({ slug: 'hosting', confidence: 1, source: 'channel' });
+        });
+
+        test('user mapping comes next, then an existing #tag', async () => {
+            expect(await routeWorkspace({ text: '#billing refund?', channelId: 'C1', userId: 'U1' }, { ...baseOptions, userMap: { U1: 'gravityforms' } }))
+                .toEqual({ slug: 'gravityforms', confidence: 1, source: 'user' });
+            expect(await routeWorkspace({ text: 'question about #billing please', channelId: 'C1', userId: 'U1' }, baseOptions))
+                .toEqual({ slug: 'billing', confidence: 1, source: 'tag' });
+        });
+
+        test('mappings naming an unknown workspace fall back to the fallback workspace', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(await routeWorkspace({ text: '#billing refund?', channelId: 'C1', userId: 'U1' }, { ...baseOptions, channelMap: { C1: 'hostnig' }, userMap: { U1: 'billing' } }))
+                .toEqual({ slug: 'support', confidence: 0, source: 'fallback', reason: 'channel mapping names unknown workspace hostnig' });
+            expect(await routeWorkspace({ text: '#billing refund?', channelId: 'C1', userId: 'U1' }, { ...baseOptions, userMap: { U1: 'deleted' } }))
+                .toEqual({ slug: 'support', confidence: 0, source: 'fallback', reason: 'user mapping names unknown workspace deleted' });
+            expect(warn).toHaveBeenCalledTimes(2);
+            warn.mockRestore();
+        });
+
+        test('unknown #tags are ignored and the classifier decides', async () => {
+            const route = await routeWorkspace({ text: '#urgent my SSL certificate expired on the server', channelId: 'C1', userId: 'U1' }, baseOptions);
+            expect(route.slug).toBe('hosting');
+            expect(route.source).toBe('classifier');
+            expect(route.confidence).toBeGreaterThanOrEqual(0.5);
+        });
+
+        test('low confidence falls back to the fallback workspace', async () => {
+            const route = await routeWorkspace({ text: 'hello there', channelId: 'C1', userId: 'U1' }, baseOptions);
+            expect(route).toMatchObject({ slug: 'support', confidence: 0, source: 'fallback', reason: 'no workspace matched' });
+
+            const strict = await routeWorkspace({ text: 'my SSL certificate expired', channelId: 'C1', userId: 'U1' }, { ...baseOptions, minConfidence: 0.95 });
+            expect(strict.source).toBe('fallback');
+            expect(strict.reason).toContain('best guess hosting');
+        });
+    });
+
+    describe('classifyByKeywords', () => {
+        test('should weigh slug/name matches above description matches', () => {
+            expect(classifyByKeywords('billing for entries', workspaces)).toEqual({ slug: 'billing', confidence: 2 / 4 });
+            expect(classifyByKeywords('form entries not saving', workspaces).slug).toBe('gravityforms');
+        });
+
+        test('should return no slug when nothing matches', () => {
+            expect(classifyByKeywords('what is this', workspaces)).toEqual({ slug: null, confidence: 0 });
+        });
+    });
+
+    describe('LLM classifier', () => {
+        test('should use the classifier workspace and skip it (and all) as a candidate', async () => {
+            const llm = jest.fn().mockResolvedValue('```json\n{"workspace": "billing", "confidence": 0.9}\n```');
+            const route = await routeWorkspace({ text: 'Can I get my money back?', channelId: 'C1', userId: 'U1' }, { ...baseOptions, classifierSlug: 'general', llm });
+
+            expect(route).toEqual({ slug: 'billing', confidence: 0.9, source: 'classifier' });
+            const [slug, thread, prompt] = llm.mock.calls[0];
+            expect([slug, thread]).toEqual(['general', null]);
+            expect(prompt).toContain('- billing: Billing – Invoices, refunds, licenses and payments');
+            expect(prompt).not.toContain('- general:');
+            expect(prompt).not.toContain('- all:');
+        });
+
+        test('should fall back to keywords when the classifier fails or names an unknown workspace', async () => {
+            const failing = jest.fn().mockRejectedValue(new Error('down'));
+            const route = await routeWorkspace({ text: 'DNS for my server', channelId: 'C1', userId: 'U1' }, { ...baseOptions, classifierSlug: 'general', llm: failing });
+            expect(route).toMatchObject({ slug: 'hosting', source: 'classifier' });
+
+            const unknown = jest.fn().mockResolvedValue('{"workspace": "marketing", "confidence": 1}');
+            expect(await classifyWithLlm('q', workspaces, { classifierSlug: 'general', llm: unknown })).toEqual({ slug: null, confidence: 0 });
+        });
+
+        test('should clamp the confidence', async () => {
+            const llm = jest.fn().mockResolvedValue('{"workspace": "#hosting", "confidence": 7}');
+            expect(await classifyWithLlm('q', workspaces, { classifierSlug: 'general', llm })).toEqual({ slug: 'hosting', confidence: 1 });
+        });
+
+        test('buildClassifierPrompt should include the question', () => {
+            expect(buildClassifierPrompt('Where is my invoice?', workspaces.slice(2, 3))).toContain('Question: Where is my invoice?');
+        });
+    });
+});
@@ -0,0 +1,172 @@
+// tests/workspaceSwitch.test.js
+import { describe, test, expect, jest } from '@jest/globals';
+import {
+    switchThreadWorkspace, buildSwitchSummaryPrompt, buildSwitchSeedMessage, formatSwitchResult, formatMappingHistory, buildWorkspaceSwitchBlock,
+    WORKSPACE_SWITCH_ACTION
+} from '../src/workspaceSwitch.js';
+import { handleWorkspaceSwitchAction } from '../src/handlers/switchWorkspaceCommand.js';
+
+const request = { channel: 'C1', threadTs: '111.222', targetSlug: 'billing', userId: 'U1' };
+
+function createDeps(overrides = {}) {
+    return {
+        getTranscript: jest.fn().mockResolvedValue('**Alice:** My invoice is wrong\n**Bot:** Which plan are you on?'),
+        getMapping: jest.fn().mockResolvedValue({ anythingllm_workspace_slug: 'support', anythingllm_thread_slug: 'old-thread' }),
+        replaceMapping: jest.fn().mockResolvedValue(true),
+        listWorkspaces: jest.fn().mockResolvedValue(['support', 'billing', 'hosting']),
+        createThread: jest.fn(async slug => (slug === 'support' ? 'summary-thread' : 'new-thread')),
+        deleteThread: jest.fn().mockResolvedValue(),
+        llm: jest.fn().mockResolvedValueOnce('- Alice reports a wrong invoice').mockResolvedValueOnce('OK'),
+        ...overrides
+    };
+}
+
+describe('Workspace Switch', () => {
+    test('should summarize with the old workspace in a throwaway thread, seed the new thread and replace the mapping', async () => {
+        const deps = createDeps();
+        const result = await switchThreadWorkspace(request, deps);
+
+        expect(result).toEqual({ status: 'switched', from: 'support', to: 'billing', threadSlug: 'new-thread', seeded: true });
+        expect(deps.createThread).toHaveBeenCalledWith('billing');
+
+        const [summarySlug, summaryThread, summaryPrompt] = deps.llm.mock.calls[0];
+        expect([summarySlug, summaryThread]).toEqual(['support', 'summary-thread']);
+        expect(summaryPrompt).toContain('My invoice is wrong');
+        expect(deps.deleteThread).toHaveBeenCalledWith('support', 'summary-thread');
+
+        const [seedSlug, seedThread, seedMessage] = deps.llm.mock.calls[1];
+        expect([seedSlug, seedThread]).toEqual(['billing', 'new-thread']);
+        expect(seedMessage).toContain('- Alice reports a wrong invoice');
+
+        expect(deps.replaceMapping).toHaveBeenCalledWith('C1', '111.222', 'billing', 'new-thread', { reason: 'switch', changedBy: 'U1' });
+    });
+
+    test('should still switch when the summary fails', async () => {
+        const deps = createDeps({ llm: jest.fn().mockRejectedValue(new Error('timeout')) });
+        const result = await switchThreadWorkspace(request, deps);
+        expect(result).toMatchObject({ status: 'switched', seeded: false });
+        expect(deps.replaceMapping).toHaveBeenCalled();
+        expect(deps.deleteThread).toHaveBeenCalledWith('support', 'summary-thread');
+    });
+
+    test('should skip the summary rather than ask outside a thread', async () => {
+        const deps = createDeps({ createThread: jest.fn(async slug => (slug === 'support' ? null : 'new-thread')) });
+        const result = await switchThreadWorkspace(request, deps);
+        expect(result).toMatchObject({ status: 'switched', seeded: false });
+        expect(deps.llm).not.toHaveBeenCalled();
+        expect(deps.deleteThread).not.toHaveBeenCalled();
+    });
+
+    test('should map a thread without a mapping yet, without a summary', async () => {
+        const deps = createDeps({ getMapping: jest.fn().mockResolvedValue(null) });
+        const result = await switchThreadWorkspace(request, deps);
+        expect(result).toMatchObject({ status: 'switched', from: null, seeded: false });
+        expect(deps.getTranscript).not.toHaveBeenCalled();
+        expect(deps.llm).not.toHaveBeenCalled();
+    });
+
+    test('should not touch anything for unknown or unchanged workspaces', async () => {
+        const unknown = createDeps();
+        expect(await switchThreadWorkspace({ ...request, targetSlug: 'marketing' }, unknown))
+            .toEqual({ status: 'unknown_workspace', from: null, to: 'marketing', available: ['support', 'billing', 'hosting'] });
+
+        const unchanged = createDeps();
+        expect(await switchThreadWorkspace({ ...request, targetSlug: 'support' }, unchanged)).toMatchObject({ status: 'unchanged' });
+
+        for (const deps of [unknown, unchanged]) {
+            expect(deps.createThread).not.toHaveBeenCalled();
+            expect(deps.replaceMapping).not.toHaveBeenCalled();
+        }
+    });
+
+    test('should fail when the thread or the mapping cannot be created', async () => {
+        const noThread = createDeps({ createThread: jest.fn().mockResolvedValue(null) });
+        expect(await switchThreadWorkspace(request, noThread)).toEqual({ status: 'failed', from: 'support', to: 'billing' });
+        expect(noThread.replaceMapping).not.toHaveBeenCalled();
+
+        const notStored = createDeps({ replaceMapping: jest.fn().mockResolvedValue(false) });
+        expect(await switchThreadWorkspace(request, notStored)).toMatchObject({ status: 'failed' });
+        expect(notStored.deleteThread).toHaveBeenCalledWith('billing', 'new-thread');
+    });
+
+    test('should delete the new thread when storing the mapping throws', async () => {
+        const deps = createDeps({ replaceMapping: jest.fn().mockRejectedValue(new Error('connection lost')) });
+        await expect(switchThreadWorkspace(request, deps)).rejects.toThrow('connection lost');
+        expect(deps.deleteThread).toHaveBeenCalledWith('billing', 'new-thread');
+    });
+
+    test('buildSwitchSummaryPrompt should keep the end of long transcripts', () => {
+        const prompt = buildSwitchSummaryPrompt(`${'a'.repeat(50)}LATEST`, 10);
+        expect(prompt).toContain('[... earlier messages omitted ...]\naaaaLATEST');
+        expect(buildSwitchSeedMessage({ fromSlug: 'support', summary: 'S' })).toContain('"support"');
+    });
+
+    test('formatSwitchResult should describe each outcome', () => {
+        expect(formatSwitchResult({ status: 'switched', from: 'support', to: 'billing', seeded: true }, 'U1'))
+            .toBe(':twisted_rightwards_arrows: <@U1> switched this thread from *support* to *billing*. Follow-up questions will be answered there, with a summary of the conversation so far.');
+        expect(formatSwitchResult({ status: 'unknown_workspace', to: 'x', available: ['a', 'b'] }, 'U1')).toBe('Workspace `x` doesn\'t exist. Available: `a`, `b`');
+        expect(formatSwitchResult({ status: 'failed', from: 'support', to: 'billing' }, 'U1')).toContain('It still uses *support*');
+    });
+
+    test('formatMappingHistory should list past and current workspaces', () => {
+        const history = [
+            { anythingllm_workspace_slug: 'support', started_at: new Date('2024-05-01T10:00:00Z'), ended_at: new Date('2024-05-01T10:30:00Z'), reason: 'switch' },
+            { anythingllm_workspace_slug: 'billing', started_at: new Date('2024-05-01T10:30:00Z'), ended_at: null, reason: null }
+        ];
+        expect(formatMappingHistory(history)).toBe('Workspaces used in this thread:\n'
+            + '• *support*: 2024-05-01 10:00 – 2024-05-01 10:30 UTC (ended by switch)\n'
+            + '• *billing*: since 2024-05-01 10:30 UTC (current)');
+        expect(formatMappingHistory([])).toBe("This thread isn't linked to a workspace yet.");
+    });
+
+    test('buildWorkspaceSwitchBlock should offer the other workspaces', () => {
+        const block = buildWorkspaceSwitchBlock('support', ['support', 'billing', 'hosting']);
+        expect(block.elements[0].action_id).toBe(WORKSPACE_SWITCH_ACTION);
+        expect(block.elements[0].options.map(option => option.value)).toEqual(['billing', 'hosting']);
+        expect(buildWorkspaceSwitchBlock('support', ['support'])).toBeNull();
+    });
+
+    describe('handleWorkspaceSwitchAction', () => {
+        const createPayload = (selected, message = { ts: '333.444', thread_ts: '111.222' }) => ({
+            user: { id: 'U1' },
+            channel: { id: 'C1' },
+            message,
+            actions: [{ action_id: WORKSPACE_SWITCH_ACTION, selected_option: selected && { value: selected } }]
+        });
+        const createSlack = () => ({ chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } });
+
+        test('should switch the thread the picker was posted in and report it there', async () => {
+            const slack = createSlack();
+            const deps = createDeps();
+
+            await handleWorkspaceSwitchAction(createPayload('billing'), slack, deps);
+
+            expect(deps.replaceMapping).toHaveBeenCalledWith('C1', '111.222', 'billing', 'new-thread', { reason: 'switch', changedBy: 'U1' });
+            expect(slack.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C1',
+                thread_ts: '111.222',
+                text: expect.stringContaining('<@U1> switched this thread from *support* to *billing*')
+            });
+        });
+
+        test('should use the message itself as the thread for top-level answers', async () => {
+            const slack = createSlack();
+            const deps = createDeps();
+
+            await handleWorkspaceSwitchAction(createPayload('billing', { ts: '555.666' }), slack, deps);
+
+            expect(deps.getMapping).toHaveBeenCalledWith('C1', '555.666');
+        });
+
+        test('should report a failed switch and ignore empty selections', async () => {
+            const slack = createSlack();
+            await handleWorkspaceSwitchAction(createPayload('billing'), slack, createDeps({ listWorkspaces: jest.fn().mockRejectedValue(new Error('down')) }));
+            expect(slack.chat.postMessage.mock.calls[0][0].text).toContain("I couldn't switch this thread to *billing*");
+
+            const untouched = createDeps();
+            await handleWorkspaceSwitchAction(createPayload(null), slack, untouched);
+            expect(untouched.listWorkspaces).not.toHaveBeenCalled();
+            expect(slack.chat.postMessage).toHaveBeenCalledTimes(1);
+        });
+    });
+});